@@ -7,11 +7,13 @@ const path = require('path');
 const CONFIG = {
   PLUGIN_ID: 'com.blackmagicdesign.resolve.screenrecorder',
   RECORDINGS_DIR: path.resolve(require('electron').app.getPath('videos'), 'ResolveRecordings'),
+  SETTINGS_PATH: path.resolve(require('electron').app.getPath('userData'), 'screen-recorder-settings.json'),
 
   SHORTCUTS: {
     START: 'CommandOrControl+Shift+R',
     STOP: 'CommandOrControl+Shift+S',
-    TOGGLE: 'CommandOrControl+Shift+Space'
+    TOGGLE: 'CommandOrControl+Shift+Space',
+    SAVE_REPLAY: 'CommandOrControl+Shift+B'
   },
 
   FFMEG_PATHS: [
@@ -30,11 +32,205 @@ const CONFIG = {
       OBS: { width: 1280, height: 720, framerate: 60 },
       DEFAULT: { width: 1920, height: 1080, framerate: 30 }
     },
-    ENCODING: {
-      CODEC: 'libx264',
-      PRESET: 'ultrafast',
-      CRF: 22,
-      PIXEL_FORMAT: 'yuv420p'
+    RECORDING_EXTENSIONS: ['.mp4', '.mov', '.mkv'],
+    // 'profile' keeps the container of the encoding profile
+    DEFAULT_CONTAINER: 'profile',
+    CONTAINERS: [
+      { id: 'mp4', name: 'MP4', extension: '.mp4', profileExtensions: ['.mp4'], muxerArgs: [] },
+      {
+        id: 'fmp4',
+        name: 'Fragmented MP4 (crash-safe)',
+        extension: '.mp4',
+        profileExtensions: ['.mp4'],
+        muxerArgs: ['-movflags', '+frag_keyframe+empty_moov']
+      },
+      { id: 'mov', name: 'MOV', extension: '.mov', profileExtensions: ['.mp4', '.mov'], muxerArgs: [] },
+      { id: 'mkv', name: 'MKV', extension: '.mkv', profileExtensions: ['.mp4', '.mov', '.mkv'], muxerArgs: [] }
+    ],
+    DEFAULT_ENCODING_PROFILE: 'h264-proxy',
+    ENCODING_PROFILES: [
+      {
+        id: 'h264-proxy',
+        name: 'H.264 Proxy',
+        extension: '.mp4',
+        video: { codec: 'libx264', preset: 'ultrafast', crf: 22, pixelFormat: 'yuv420p' },
+        audio: { codec: 'aac', bitrate: '128k' }
+      },
+      {
+        id: 'h265-hq',
+        name: 'H.265 HQ',
+        extension: '.mp4',
+        video: { codec: 'libx265', preset: 'fast', crf: 18, pixelFormat: 'yuv420p10le', extraArgs: ['-tag:v', 'hvc1'] },
+        audio: { codec: 'aac', bitrate: '192k' }
+      },
+      {
+        id: 'prores-422-lt',
+        name: 'ProRes 422 LT',
+        extension: '.mov',
+        video: { codec: 'prores_ks', profile: '1', pixelFormat: 'yuv422p10le' },
+        audio: { codec: 'pcm_s16le' }
+      },
+      {
+        id: 'dnxhr-hq',
+        name: 'DNxHR HQ',
+        extension: '.mov',
+        video: { codec: 'dnxhd', profile: 'dnxhr_hq', pixelFormat: 'yuv422p' },
+        audio: { codec: 'pcm_s16le' }
+      },
+      {
+        id: 'ffv1-lossless',
+        name: 'FFV1 lossless',
+        extension: '.mkv',
+        video: { codec: 'ffv1', pixelFormat: 'yuv444p', extraArgs: ['-level', '3', '-g', '1'] },
+        audio: { codec: 'flac' }
+      }
+    ],
+    // Hardware APIs replace libx264/libx265 once a test encode succeeds
+    HARDWARE_ENCODERS: [
+      { api: 'nvenc', name: 'NVIDIA NVENC', encoders: { h264: 'h264_nvenc', hevc: 'hevc_nvenc' } },
+      { api: 'qsv', name: 'Intel Quick Sync', encoders: { h264: 'h264_qsv', hevc: 'hevc_qsv' } },
+      { api: 'amf', name: 'AMD AMF', encoders: { h264: 'h264_amf', hevc: 'hevc_amf' } },
+      { api: 'vaapi', name: 'VA-API', encoders: { h264: 'h264_vaapi', hevc: 'hevc_vaapi' } }
+    ],
+    SOFTWARE_ENCODER: 'software',
+    VAAPI_DEVICE: '/dev/dri/renderD128',
+    ENCODER_PROBE: {
+      TEST_SOURCE: 'testsrc=duration=1:size=1280x720:rate=30',
+      TEST_FRAMES: 30,
+      TIMEOUT: 15000
+    },
+    // Longest wait for the one-frame grab that tells whether gdigrab captures windows by handle (ms)
+    WINDOW_PROBE_TIMEOUT: 10000,
+    RECOVERY: {
+      JOURNAL_DIR_NAME: '.journal'
+    },
+    // Camera overlay composited into the screen recording (sizes in output pixels, size in % of width)
+    PIP: {
+      POSITIONS: ['top-left', 'top-right', 'bottom-left', 'bottom-right'],
+      DEFAULT_LAYOUT: {
+        position: 'bottom-right',
+        size: 25,
+        margin: 32,
+        cornerRadius: 16,
+        borderWidth: 4,
+        borderColor: '#ffffff',
+        timelineJoin: 'link'
+      },
+      // How separate screen and camera clips are kept together on the Resolve timeline
+      TIMELINE_JOINS: ['link', 'compound', 'none'],
+      MIN_SIZE: 10,
+      MAX_SIZE: 50,
+      MAX_MARGIN: 200,
+      MAX_CORNER_RADIUS: 200,
+      MAX_BORDER_WIDTH: 20
+    },
+    AUDIO_LEVELS: {
+      SAMPLE_RATE: 48000,
+      BLOCK_SAMPLES: 4800, // one level update every 100 ms
+      FLOOR_DB: -90,
+      SILENCE_THRESHOLD_DB: -60,
+      SILENCE_DURATION: 10000,
+      TEST_DURATION: 3,
+      TEST_TIMEOUT: 10000
+    },
+    REPLAY_BUFFER: {
+      DEFAULT_DURATION: 120,
+      MIN_DURATION: 60,
+      MAX_DURATION: 300,
+      SEGMENT_DURATION: 5,
+      KEYFRAME_INTERVAL: 1,
+      DIR_NAME: '.replay-buffer'
+    }
+  },
+
+  MEDIA_POOL: {
+    // Bin for imported recordings; placeholders are filled in per recording, empty keeps the current bin
+    DEFAULT_BIN: 'Recordings/{date}/{sourceType}',
+    BIN_PLACEHOLDERS: ['date', 'year', 'month', 'sourceType'],
+    KEYWORD: 'Screen Recording',
+    // Bin name and Resolve clip color of each source type ('screen' when the source is unknown)
+    SOURCE_TYPES: {
+      desktop: { name: 'Desktop', color: 'Blue' },
+      window: { name: 'Window', color: 'Teal' },
+      selection: { name: 'Region', color: 'Green' },
+      camera: { name: 'Camera', color: 'Orange' },
+      replay: { name: 'Replay', color: 'Purple' },
+      screen: { name: 'Screen', color: 'Navy' }
+    }
+  },
+
+  TIMELINE: {
+    PLACEMENT: {
+      MODES: ['insert', 'overwrite', 'append', 'newTimeline'],
+      // Track 0 picks automatically: the first free track for insert, track 1 otherwise
+      DEFAULT: { mode: 'insert', videoTrack: 0, audioTrack: 0 },
+      MAX_TRACK: 20
+    }
+  },
+
+  LIBRARY: {
+    // Poster frames of the recordings panel, cached next to the recordings
+    THUMBNAIL_DIR: '.thumbnails',
+    THUMBNAIL_WIDTH: 160,
+    PROBE_TIMEOUT: 15000
+  },
+
+  MEDIA_JOBS: {
+    // How often waiting jobs check whether recording has stopped
+    CHECK_INTERVAL: 1000,
+    PROXY: {
+      DIR_NAME: 'Proxy',
+      HEIGHTS: [360, 540, 720],
+      DEFAULT: { enabled: false, height: 540 },
+      // Short GOP without B-frames so Resolve can scrub it
+      VIDEO_ARGS: ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-g', '15', '-bf', '0', '-pix_fmt', 'yuv420p'],
+      AUDIO_ARGS: ['-c:a', 'aac', '-b:a', '128k']
+    }
+  },
+
+  SCHEDULE: {
+    TICK_INTERVAL: 1000,
+    // Scheduled up to a week ahead, timed recordings up to a day long (seconds)
+    MAX_LEAD_TIME: 7 * 86400,
+    MAX_DURATION: 86400,
+    // Seconds past the end before a timed recording that FFmpeg did not stop is stopped by hand
+    STOP_GRACE: 5
+  },
+
+  WINDOW_FOLLOW: {
+    // How often the followed window is looked up while recording (ms)
+    POLL_INTERVAL: 2000,
+    // Longest wait for one lookup; the first one also starts PowerShell on Windows (ms)
+    LOOKUP_TIMEOUT: 15000,
+    // What happens when the window is minimized or closed mid-recording
+    POLICIES: ['pause', 'freeze', 'stop'],
+    DEFAULT: { minimized: 'pause', closed: 'stop' }
+  },
+
+  REGION_SELECTOR: {
+    // Ratios the selection can be locked to, as width:height
+    ASPECT_RATIOS: ['16:9', '9:16', '1:1', '4:5'],
+    // Distance in DIPs within which a selection edge snaps to a window edge
+    SNAP_DISTANCE: 8,
+    MAX_SAVED_REGIONS: 20,
+    MAX_NAME_LENGTH: 40
+  },
+
+  OVERLAY: {
+    // Countdown lengths offered in seconds (0 starts recording straight away)
+    COUNTDOWN_OPTIONS: [0, 3, 5, 10],
+    DEFAULT: { countdown: 3, indicator: true },
+    COUNTDOWN_SIZE: 200,
+    INDICATOR_WIDTH: 220,
+    INDICATOR_HEIGHT: 40,
+    INDICATOR_MARGIN: 16,
+    INDICATOR_INTERVAL: 1000
+  },
+
+  CAPTURE: {
+    LINUX: {
+      DEFAULT_DISPLAY: ':0.0',
+      DRM_DEVICE: '/dev/dri/card0'
     }
   },
 
@@ -47,7 +243,78 @@ const CONFIG = {
   },
 
   POWER_SHELL: {
-    GET_WINDOWS: `Get-Process | Where-Object {$_.MainWindowHandle -ne 0 -and $_.MainWindowTitle -ne ''} | Select-Object ProcessName, MainWindowTitle, Id | ConvertTo-Json -Depth 2`
+    GET_WINDOWS: `Add-Type @"
+using System;
+using System.Runtime.InteropServices;
+public struct WindowRect { public int Left; public int Top; public int Right; public int Bottom; }
+public static class WindowGeometry {
+  [DllImport("user32.dll")] public static extern bool GetWindowRect(IntPtr hWnd, out WindowRect rect);
+  [DllImport("user32.dll")] public static extern bool IsIconic(IntPtr hWnd);
+}
+"@
+Get-Process | Where-Object {$_.MainWindowHandle -ne 0 -and $_.MainWindowTitle -ne ''} | ForEach-Object {
+  $rect = New-Object WindowRect
+  [void][WindowGeometry]::GetWindowRect($_.MainWindowHandle, [ref]$rect)
+  [PSCustomObject]@{
+    ProcessName = $_.ProcessName
+    MainWindowTitle = $_.MainWindowTitle
+    Id = $_.Id
+    Handle = [int64]$_.MainWindowHandle
+    Left = $rect.Left
+    Top = $rect.Top
+    Width = $rect.Right - $rect.Left
+    Height = $rect.Bottom - $rect.Top
+    Minimized = [WindowGeometry]::IsIconic($_.MainWindowHandle)
+  }
+} | ConvertTo-Json -Depth 2`,
+    // Kept running while a window is followed: reads one window handle per line and
+    // answers with one JSON line (null once the window is gone)
+    WATCH_WINDOW: `Add-Type @"
+using System;
+using System.Text;
+using System.Runtime.InteropServices;
+public struct FollowedWindowRect { public int Left; public int Top; public int Right; public int Bottom; }
+public static class FollowedWindow {
+  [DllImport("user32.dll")] public static extern bool IsWindow(IntPtr hWnd);
+  [DllImport("user32.dll")] public static extern bool IsWindowVisible(IntPtr hWnd);
+  [DllImport("user32.dll")] public static extern bool IsIconic(IntPtr hWnd);
+  [DllImport("user32.dll")] public static extern bool GetWindowRect(IntPtr hWnd, out FollowedWindowRect rect);
+  [DllImport("user32.dll")] public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint processId);
+  [DllImport("user32.dll", CharSet = CharSet.Unicode)] public static extern int GetWindowText(IntPtr hWnd, StringBuilder text, int count);
+}
+"@
+while ($null -ne ($line = [Console]::In.ReadLine())) {
+  $handle = [IntPtr][int64]$line
+  if (-not [FollowedWindow]::IsWindow($handle) -or -not [FollowedWindow]::IsWindowVisible($handle)) {
+    [Console]::Out.WriteLine('null')
+    continue
+  }
+  $rect = New-Object FollowedWindowRect
+  [void][FollowedWindow]::GetWindowRect($handle, [ref]$rect)
+  $processId = [uint32]0
+  [void][FollowedWindow]::GetWindowThreadProcessId($handle, [ref]$processId)
+  $title = New-Object System.Text.StringBuilder 512
+  [void][FollowedWindow]::GetWindowText($handle, $title, $title.Capacity)
+  $process = Get-Process -Id $processId -ErrorAction SilentlyContinue
+  [Console]::Out.WriteLine(([PSCustomObject]@{
+    ProcessName = $process.ProcessName
+    MainWindowTitle = $title.ToString()
+    Id = [int]$processId
+    Handle = [int64]$handle
+    Left = $rect.Left
+    Top = $rect.Top
+    Width = $rect.Right - $rect.Left
+    Height = $rect.Bottom - $rect.Top
+    Minimized = [FollowedWindow]::IsIconic($handle)
+  } | ConvertTo-Json -Compress))
+}`
+  },
+
+  X11: {
+    LIST_WINDOWS: 'wmctrl -lpG',
+    SEARCH_WINDOWS: 'xdotool search --onlyvisible --name .',
+    // Followed by a window id; minimized windows are _NET_WM_STATE_HIDDEN
+    WINDOW_STATE: 'xprop _NET_WM_STATE -id'
   }
 };
 
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, dialog, globalShortcut } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, globalShortcut, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
@@ -6,6 +6,34 @@ const { spawn, exec } = require('child_process');
 
 // Import DaVinci Resolve Workflow Integration
 const WorkflowIntegration = require('./WorkflowIntegration.node');
+const { getCaptureBackend, CaptureBackend } = require('./services/captureBackends');
+const { getWindowProvider } = require('./services/windowProviders');
+const WindowFollowService = require('./services/windowFollowService');
+const SegmentService = require('./services/segmentService');
+const FFmpegService = require('./services/ffmpegService');
+const ReplayBufferService = require('./services/replayBufferService');
+const CONFIG = require('./config/constants');
+const SettingsStore = require('./utils/settingsStore');
+const FileSystemUtils = require('./utils/fileSystem');
+const RecordingOverlay = require('./utils/recordingOverlay');
+const RegionSelector = require('./utils/regionSelector');
+const DisplayGeometry = require('./utils/displayGeometry');
+const SavedRegionService = require('./services/savedRegionService');
+const EncoderProfileService = require('./services/encoderProfileService');
+const HardwareEncoderService = require('./services/hardwareEncoderService');
+const ContainerService = require('./services/containerService');
+const RecoveryService = require('./services/recoveryService');
+const AudioLevelService = require('./services/audioLevelService');
+const AudioDeviceService = require('./services/audioDeviceService');
+const PipService = require('./services/pipService');
+const SyncService = require('./services/syncService');
+const MetadataService = require('./services/metadataService');
+const ProcessRunner = require('./utils/processRunner');
+const MediaPoolService = require('./services/mediaPoolService');
+const TimelinePlacementService = require('./services/timelinePlacementService');
+const LibraryService = require('./services/libraryService');
+const MediaJobService = require('./services/mediaJobService');
+const ScheduleService = require('./services/scheduleService');
 
 const PLUGIN_ID = 'com.blackmagicdesign.resolve.screenrecorder';
 
@@ -21,21 +49,97 @@ let resolveObj = null;
 let projectManagerObj = null;
 
 // Global shortcuts
-const SHORTCUTS = {
-    START: 'CommandOrControl+Shift+R',
-    STOP: 'CommandOrControl+Shift+S',
-    TOGGLE: 'CommandOrControl+Shift+Space'
-};
+const SHORTCUTS = CONFIG.SHORTCUTS;
 
 // Available sources
 let availableWindows = [];
 let availableCameras = [];
-let availableAudioDevices = [];
 
 // Dual recording state
 let dualRecordingPaths = null;
 let dualRecordingProcesses = null;
 
+// Platform capture backend (gdigrab/dshow on Windows, x11grab/v4l2/pulse on Linux, avfoundation on macOS)
+const captureBackend = getCaptureBackend();
+
+// Logger adapter for services that expect a Logger instance
+const serviceLogger = { log: debugLog, error: debugLog };
+
+// Platform window enumeration (PowerShell on Windows, wmctrl/xdotool on X11)
+const windowProvider = getWindowProvider(serviceLogger);
+
+// Pause/resume state - each pause ends an ffmpeg segment that is joined on stop
+const segmentService = new SegmentService(serviceLogger);
+let isPaused = false;
+let resumeRecordingSegment = null; // Starts ffmpeg again for the next segment
+let isStartingRecording = false; // From the start request until ffmpeg runs (e.g. during the countdown)
+let recordingRegion = null; // Capture area of the current recording in grabber pixels, null for all displays
+
+// User settings and encoding profiles
+const settingsStore = new SettingsStore(CONFIG.SETTINGS_PATH);
+const encoderProfileService = new EncoderProfileService(serviceLogger, settingsStore);
+// Hardware encoders are only used once a test encode has succeeded
+const hardwareEncoderService = new HardwareEncoderService(serviceLogger, settingsStore);
+// Audio devices with stable ids, rescanned on every source refresh
+const audioDeviceService = new AudioDeviceService(serviceLogger, settingsStore, captureBackend);
+// Picture-in-picture layout for composited dual recordings
+const pipService = new PipService(serviceLogger, settingsStore);
+// Start times of the screen and camera processes of a dual recording
+const syncService = new SyncService(serviceLogger);
+// Start timecode and tags of each recording, copied to the media pool item on import
+const metadataService = new MetadataService(serviceLogger);
+// Media Pool bin, clip color and keywords of imported recordings
+const mediaPoolService = new MediaPoolService(serviceLogger, settingsStore);
+// Where imported recordings are placed on the timeline
+const timelinePlacementService = new TimelinePlacementService(serviceLogger, settingsStore);
+// Past recordings with their details and poster frames, for the library panel
+const libraryService = new LibraryService(serviceLogger);
+// Poster frames and proxies, made one at a time while nothing is being recorded
+const mediaJobService = new MediaJobService(serviceLogger, settingsStore, {
+    isBusy: () => isRecording || replayBufferService.isRunning(),
+    onComplete: handleMediaJobComplete
+});
+// Recordings started at a set time, and the time left of timed recordings
+const scheduleService = new ScheduleService(serviceLogger, {
+    onStart: startScheduledRecording,
+    onTick: status => mainWindow && mainWindow.webContents.send('schedule:tick', status),
+    onExpire: () => stopRecording(null),
+    isRecording: () => isRecording
+});
+// Countdown before recording and the indicator with pause/stop buttons while recording
+const recordingOverlay = new RecordingOverlay(serviceLogger, settingsStore, {
+    isRecording: () => isRecording,
+    canPause: () => !!resumeRecordingSegment,
+    onAction: handleIndicatorAction
+});
+// Window capture follows its window by handle, process or title; minimized and closed windows pause, freeze or stop it
+const windowFollowService = new WindowFollowService(serviceLogger, windowProvider, settingsStore, {
+    isRecording: () => isRecording,
+    onChange: handleFollowedWindowChange
+});
+let windowHold = null; // 'paused' or 'frozen' while the followed window is minimized or closed
+let frozenFramePath = null; // Last frame of the followed window, recorded while it is frozen
+let nextRecordingSegment = null; // Started once ffmpeg has closed the segment being switched
+// Region selection windows, one per display, and named regions that skip them
+const regionSelector = new RegionSelector(serviceLogger);
+const savedRegionService = new SavedRegionService(serviceLogger, settingsStore);
+// Output container (fragmented MP4/MOV/MKV survive a crash)
+const containerService = new ContainerService(serviceLogger, settingsStore);
+
+// Crash recovery - journal entry for the recording in progress
+const recoveryService = new RecoveryService(serviceLogger);
+let recordingJournalId = null;
+
+// Audio level meters - the preview meter follows the renderer's device choice,
+// recording meters watch the recorded devices for silence
+const audioLevelService = new AudioLevelService(serviceLogger, captureBackend);
+const PREVIEW_METER_ID = 'preview';
+let recordingAudioDevices = [];
+
+// Replay buffer - rolling capture that can be saved after the fact
+const ffmpegService = new FFmpegService(serviceLogger, captureBackend, hardwareEncoderService);
+const replayBufferService = new ReplayBufferService(serviceLogger);
+
  const RECORDINGS_DIR = path.resolve(app.getPath('videos'), 'ResolveRecordings');
 
 
@@ -53,90 +157,23 @@ function ensureRecordingsDir() {
 
 // Get available windows for recording
 async function getAvailableWindows() {
-    return new Promise((resolve) => {
-        // Use a more reliable PowerShell command to get windows with titles
-        const powershellCommand = `powershell -Command "Get-Process | Where-Object {$_.MainWindowHandle -ne 0 -and $_.MainWindowTitle -ne ''} | Select-Object ProcessName, MainWindowTitle, Id | ConvertTo-Json -Depth 2"`;
-
-        exec(powershellCommand, { encoding: 'utf8' }, (error, stdout, stderr) => {
-            if (error) {
-                debugLog(`Error getting windows: ${error.message}`);
-                debugLog(`Stderr: ${stderr}`);
-                resolve([]);
-                return;
-            }
-
-            debugLog(`PowerShell output: ${stdout}`);
-
-            try {
-                // Handle both single object and array outputs from PowerShell
-                let processes = [];
-                if (stdout.trim()) {
-                    const parsed = JSON.parse(stdout);
-                    processes = Array.isArray(parsed) ? parsed : [parsed];
-                }
-
-                const windows = processes
-                    .filter(p => p.MainWindowTitle && p.MainWindowTitle.trim() !== '')
-                    .map(p => ({
-                        name: p.MainWindowTitle,
-                        processName: p.ProcessName || 'Unknown',
-                        id: p.Id || 0,
-                        title: p.MainWindowTitle
-                    }));
-
-                debugLog(`Found ${windows.length} windows with titles`);
-                resolve(windows);
-            } catch (parseError) {
-                debugLog(`Error parsing windows: ${parseError.message}`);
-                debugLog(`Raw output: ${stdout}`);
-                resolve([]);
-            }
-        });
-    });
+    const windows = await windowProvider.listWindows();
+    debugLog(`Found ${windows.length} windows with titles`);
+    return windows;
 }
 
 // Get available cameras (including OBS Virtual Camera)
 async function getAvailableCameras() {
     return new Promise((resolve) => {
-        exec('ffmpeg -list_devices true -f dshow -i dummy', (error, stdout, stderr) => {
+        exec(captureBackend.getVideoDeviceListCommand(getFFmpegPath()), (error, stdout, stderr) => {
             if (error) {
                 debugLog(`Error getting cameras: ${error.message}`);
             }
 
             try {
-                const output = stderr || stdout || '';
-                const videoDevices = [];
-                const lines = output.split('\n');
-
-                let inVideoDevices = false;
-                for (const line of lines) {
-                    if (line.includes('[dshow @')) {
-                        // Check if this line indicates video devices section
-                        if (line.includes('DirectShow video devices')) {
-                            inVideoDevices = true;
-                        } else if (line.includes('DirectShow audio devices')) {
-                            inVideoDevices = false;
-                        } else if (line.includes('(video)')) {
-                            // Line contains a video device directly
-                            const match = line.match(/"([^"]+)"/);
-                            if (match) {
-                                videoDevices.push({
-                                    name: match[1],
-                                    isOBS: match[1].toLowerCase().includes('obs virtual camera')
-                                });
-                            }
-                        }
-                    } else if (inVideoDevices && line.includes('"')) {
-                        // Parse video devices in the section
-                        const match = line.match(/"([^"]+)"/);
-                        if (match) {
-                            videoDevices.push({
-                                name: match[1],
-                                isOBS: match[1].toLowerCase().includes('obs virtual camera')
-                            });
-                        }
-                    }
-                }
+                // dshow lists devices on stderr, `ffmpeg -sources` on stdout
+                const output = `${stderr || ''}\n${stdout || ''}`;
+                const videoDevices = captureBackend.parseVideoDevices(output);
 
                 debugLog(`Found cameras: ${JSON.stringify(videoDevices)}`);
                 resolve(videoDevices);
@@ -149,138 +186,18 @@ async function getAvailableCameras() {
 }
 
 
-// Get available audio devices (microphones and system audio)
-async function getAvailableAudioDevices() {
-    return new Promise((resolve) => {
-        exec('ffmpeg -list_devices true -f dshow -i dummy', (error, stdout, stderr) => {
-            if (error) {
-                debugLog(`Error getting audio devices: ${error.message}`);
-            }
-
-            try {
-                const output = stderr || stdout || '';
-                const audioDevices = [];
-                const lines = output.split('\n');
-
-                let inAudioDevices = false;
-                let currentDevice = null;
-                let lookingForAltName = false;
-
-                for (let i = 0; i < lines.length; i++) {
-                    const line = lines[i];
-
-                    if (line.includes('[dshow @')) {
-                        // Check if this line indicates audio devices section
-                        if (line.includes('DirectShow audio devices')) {
-                            inAudioDevices = true;
-                        } else if (line.includes('DirectShow video devices')) {
-                            inAudioDevices = false;
-                        } else if (line.includes('(audio)')) {
-                            // Line contains an audio device directly
-                            const nameMatch = line.match(/"([^"]+)"\s*\(audio\)/);
-
-                            if (nameMatch) {
-                                // Look for alternative name in the next line
-                                let altName = null;
-                                if (i + 1 < lines.length && lines[i + 1].includes('Alternative name')) {
-                                    const altMatch = lines[i + 1].match(/Alternative name "([^"]+)"/);
-                                    if (altMatch) {
-                                        altName = altMatch[1];
-                                    }
-                                }
-
-                                currentDevice = {
-                                    name: nameMatch[1],
-                                    altName: altName,
-                                    isDefault: nameMatch[1].toLowerCase().includes('microphone') || nameMatch[1].toLowerCase().includes('réseau')
-                                };
-                                audioDevices.push(currentDevice);
-                                currentDevice = null;
-                            }
-                        }
-                    } else if (inAudioDevices && line.includes('"')) {
-                        // Parse audio devices in the section
-                        const nameMatch = line.match(/"([^"]+)"/);
-
-                        if (nameMatch) {
-                            // Look for alternative name in the next line
-                            let altName = null;
-                            if (i + 1 < lines.length && lines[i + 1].includes('Alternative name')) {
-                                const altMatch = lines[i + 1].match(/Alternative name "([^"]+)"/);
-                                if (altMatch) {
-                                    altName = altMatch[1];
-                                }
-                            }
-
-                            currentDevice = {
-                                name: nameMatch[1],
-                                altName: altName,
-                                isDefault: nameMatch[1].toLowerCase().includes('microphone') || nameMatch[1].toLowerCase().includes('réseau')
-                            };
-                            audioDevices.push(currentDevice);
-                            currentDevice = null;
-                        }
-                    }
-                }
-
-                debugLog(`Found audio devices: ${JSON.stringify(audioDevices)}`);
-                resolve(audioDevices);
-            } catch (parseError) {
-                debugLog(`Error parsing audio devices: ${parseError.message}`);
-                resolve([]);
-            }
+// Send the current sources to the renderer (audioChanges lists devices plugged in or removed)
+function sendSourcesUpdated(audioChanges = { added: [], removed: [] }) {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('sources-updated', {
+            windows: availableWindows,
+            cameras: availableCameras,
+            displays: getDisplayList(),
+            audioDevices: audioDeviceService.getDevices(),
+            selectedAudioDevices: audioDeviceService.getSelectedDeviceIds(),
+            audioDevicesAdded: audioChanges.added,
+            audioDevicesRemoved: audioChanges.removed
         });
-    });
-}
-
-// Get the best audio device for recording (prefer microphone, fallback to any audio device)
-async function getBestAudioDevice() {
-    try {
-        // Use cached audio devices instead of rescanning
-        const devices = availableAudioDevices.length > 0 ? availableAudioDevices : await getAvailableAudioDevices();
-        if (devices.length === 0) {
-            debugLog('No audio devices found');
-            return null;
-        }
-
-        // First try to find a device with "microphone" or "réseau" in the name
-        let preferredDevice = devices.find(device =>
-            device.name.toLowerCase().includes('microphone') ||
-            device.name.toLowerCase().includes('réseau')
-        );
-
-        // If no preferred device found, use the first available device
-        if (!preferredDevice) {
-            preferredDevice = devices[0];
-            debugLog(`Using first available audio device: ${preferredDevice.name}`);
-        } else {
-            debugLog(`Using preferred audio device: ${preferredDevice.name}`);
-        }
-
-        // Return the display name for shell execution compatibility
-        return preferredDevice.name;
-    } catch (error) {
-        debugLog(`Error getting audio device: ${error.message}`);
-        return null;
-    }
-}
-
-// Get the correct audio device name (with fallback to alternative name)
-async function getCorrectAudioDeviceName(displayName) {
-    try {
-        // Use cached audio devices instead of rescanning
-        const devices = availableAudioDevices.length > 0 ? availableAudioDevices : await getAvailableAudioDevices();
-        const deviceInfo = devices.find(device => device.name === displayName);
-
-        if (deviceInfo && deviceInfo.altName) {
-            debugLog(`Using alternative device name for "${displayName}": ${deviceInfo.altName}`);
-            return deviceInfo.altName;
-        }
-
-        return displayName;
-    } catch (error) {
-        debugLog(`Error getting correct audio device name: ${error.message}`);
-        return displayName;
     }
 }
 
@@ -289,22 +206,11 @@ async function updateAvailableSources() {
     try {
         availableWindows = await getAvailableWindows();
         availableCameras = await getAvailableCameras();
+        const { devices: audioDevices, added, removed } = await audioDeviceService.refresh(getFFmpegPath());
 
-        // Only scan audio devices once at startup - cache them for subsequent calls
-        if (availableAudioDevices.length === 0) {
-            availableAudioDevices = await getAvailableAudioDevices();
-            debugLog(`Audio devices scanned and cached: ${availableAudioDevices.length} devices found`);
-        }
+        sendSourcesUpdated({ added, removed });
 
-        if (mainWindow) {
-            mainWindow.webContents.send('sources-updated', {
-                windows: availableWindows,
-                cameras: availableCameras,
-                audioDevices: availableAudioDevices
-            });
-        }
-
-        debugLog(`Found ${availableWindows.length} windows, ${availableCameras.length} cameras, and ${availableAudioDevices.length} cached audio devices`);
+        debugLog(`Found ${availableWindows.length} windows, ${availableCameras.length} cameras, and ${audioDevices.length} audio devices`);
     } catch (error) {
         debugLog(`Error updating sources: ${error.message}`);
     }
@@ -341,6 +247,14 @@ function setupGlobalShortcuts() {
             }
         });
 
+        // Save replay buffer shortcut
+        globalShortcut.register(SHORTCUTS.SAVE_REPLAY, () => {
+            if (replayBufferService.isRunning()) {
+                debugLog('Global shortcut: Save replay buffer');
+                saveReplayBuffer();
+            }
+        });
+
         debugLog('Global shortcuts registered');
     } catch (error) {
         debugLog(`Error setting up global shortcuts: ${error.message}`);
@@ -381,190 +295,502 @@ function getFFmpegPath() {
     return possiblePaths[0]; // Default to system ffmpeg
 }
 
-// Get screen region selection
-async function getScreenRegion() {
-    return new Promise((resolve, reject) => {
-        const { screen } = require('electron');
-        const primaryDisplay = screen.getPrimaryDisplay();
-        const { width: screenWidth, height: screenHeight } = primaryDisplay.bounds;
-        const { x: screenX, y: screenY } = primaryDisplay.bounds;
-        const scaleFactor = primaryDisplay.scaleFactor;
-
-        debugLog(`Screen info: bounds=${screenX},${screenY} ${screenWidth}x${screenHeight}, scale=${scaleFactor}x`);
-
-        // Create a transparent window for region selection
-        const regionWindow = new BrowserWindow({
-            width: screenWidth,
-            height: screenHeight,
-            x: screenX,
-            y: screenY,
-            frame: false,
-            alwaysOnTop: true,
-            skipTaskbar: true,
-            transparent: false,
-            backgroundColor: '#00000030',
-            webPreferences: {
-                nodeIntegration: true,
-                contextIsolation: false
-            }
-        });
+// Build the camera input fragment of a shell command for the platform backend
+function cameraInputCommand(cameraName, framerate, videoSize = null) {
+    return CaptureBackend.toCommandString(captureBackend.getCameraInputArgs(cameraName, { framerate, videoSize }));
+}
 
-        // Load selection interface with proper coordinate handling
-        const htmlContent = `<!DOCTYPE html>
-<html>
-<head>
-    <style>
-        body { margin:0; padding:0; background:rgba(0,0,0,0.2); font-family:Arial; user-select:none; overflow:hidden; }
-        #selection-box { position:absolute; border:2px dashed #ff0000; background:rgba(255,0,0,0.1); pointer-events:none; }
-        #instructions { position:absolute; top:20px; left:20px; background:rgba(0,0,0,0.8); color:white; padding:15px; border-radius:5px; font-size:14px; }
-        .button { background:#ff0000; color:white; border:none; padding:10px 20px; margin:5px; border-radius:3px; cursor:pointer; }
-        .button:hover { background:#cc0000; }
-        #controls { position:absolute; top:20px; right:20px; background:rgba(0,0,0,0.8); color:white; padding:15px; border-radius:5px; }
-    </style>
-</head>
-<body>
-    <div id="instructions"><strong>Select Recording Region</strong><br>Click and drag to select an area<br>Press ESC to cancel</div>
-    <div id="controls"><button class="button" onclick="selectRegion()">Select Region</button><button class="button" onclick="recordFull()">Record Full Screen</button></div>
-    <div id="selection-box"></div>
-    <script>
-        const screenX = ${screenX};
-        const screenY = ${screenY};
-        const scaleFactor = ${scaleFactor};
-        let isSelecting = false, startX, startY, endX, endY;
-        const selectionBox = document.getElementById('selection-box');
-
-        function startSelection(e) {
-            isSelecting = true;
-            startX = e.clientX;
-            startY = e.clientY;
-            selectionBox.style.left = startX + 'px';
-            selectionBox.style.top = startY + 'px';
-            selectionBox.style.width = '0px';
-            selectionBox.style.height = '0px';
-            selectionBox.style.display = 'block';
-            e.preventDefault();
-        }
+// Build the audio input fragment of a shell command for the platform backend
+function audioInputCommand(deviceName) {
+    return CaptureBackend.toCommandString(captureBackend.getAudioInputArgs(deviceName));
+}
+
+// Audio devices chosen in the renderer, in track order
+function getSelectedAudioDevices(options) {
+    if (Array.isArray(options.audioDevices) && options.audioDevices.length > 0) {
+        return options.audioDevices;
+    }
+    return options.audioDevice ? [options.audioDevice] : [];
+}
 
-        function updateSelection(e) {
-            if (!isSelecting) return;
-            endX = e.clientX; endY = e.clientY;
-            const left = Math.min(startX, endX);
-            const top = Math.min(startY, endY);
-            const width = Math.abs(endX - startX);
-            const height = Math.abs(endY - startY);
-            selectionBox.style.left = left + 'px';
-            selectionBox.style.top = top + 'px';
-            selectionBox.style.width = width + 'px';
-            selectionBox.style.height = height + 'px';
+// Audio devices chosen in the renderer, or the default device if none were chosen
+async function resolveAudioDevices(options) {
+    const selected = getSelectedAudioDevices(options);
+    if (selected.length > 0) {
+        return selected;
+    }
+
+    if (audioDeviceService.getDevices().length === 0) {
+        await audioDeviceService.refresh(getFFmpegPath());
+    }
+    const defaultDevice = audioDeviceService.getDefaultDevice();
+    debugLog(defaultDevice ? `Using default audio device: ${defaultDevice.name}` : 'No audio devices found');
+    return defaultDevice ? [defaultDevice.id] : [];
+}
+
+// Check the chosen audio devices are still connected (devices can be unplugged between
+// source refreshes); stores their stable ids in options. Returns an error message or null
+async function checkAudioDevices(options) {
+    const selected = getSelectedAudioDevices(options);
+    if (selected.length === 0) {
+        return null;
+    }
+
+    const { devices, missing } = await audioDeviceService.resolveDevices(selected, getFFmpegPath());
+    if (missing.length > 0) {
+        sendSourcesUpdated();
+        return `Audio device no longer connected: ${missing.map(id => audioDeviceService.getDeviceName(id)).join(', ')}`;
+    }
+
+    options.audioDevices = devices;
+    options.audioDevice = devices[0];
+    return null;
+}
+
+// Build the audio input fragments of a shell command, one input per device
+function audioInputsCommand(devices) {
+    return devices.map(device => audioInputCommand(device)).join(' ');
+}
+
+// Display names of audio devices, used as track titles
+function getAudioTrackNames(devices) {
+    return devices.map(device => audioDeviceService.getDeviceName(device));
+}
+
+// Build the -map fragment that keeps each audio input on its own track
+function audioTrackCommand(devices, videoInput, firstAudioInput) {
+    return CaptureBackend.toCommandString(FFmpegService.getAudioTrackArgs(getAudioTrackNames(devices), videoInput, firstAudioInput));
+}
+
+// Build the encoding fragments of a shell command for an encoding profile
+// (container options such as fragmented MP4 movflags go with the video options)
+function videoEncodingCommand(profile) {
+    return CaptureBackend.toCommandString([
+        ...EncoderProfileService.getVideoArgs(profile),
+        ...ContainerService.getMuxerArgs(profile)
+    ]);
+}
+
+function audioEncodingCommand(profile) {
+    return CaptureBackend.toCommandString(EncoderProfileService.getAudioArgs(profile));
+}
+
+// Build the options that make the recording print the level of each audio track,
+// read back from its stderr for the silence warning
+function audioLevelCommand(devices) {
+    return CaptureBackend.toCommandString(AudioLevelService.getTrackLevelArgs(devices.length));
+}
+
+// Create the start timecode and tags of a recording file
+function beginRecordingMetadata(filePath, options, info = {}, startedAt = new Date()) {
+    return metadataService.begin(filePath, {
+        sourceType: options.sourceType,
+        windowTitle: options.sourceType === 'window' ? options.windowTitle : null,
+        frameRate: options.framerate || CONFIG.RECORDING.DEFAULT_FRAMERATE,
+        encodingProfile: options.encodingProfile.name,
+        pluginVersion: app.getVersion(),
+        ...info
+    }, startedAt);
+}
+
+// Output options that write the timecode and tags of a recording file
+function metadataArgs(filePath) {
+    return MetadataService.getOutputArgs(metadataService.get(filePath), path.extname(filePath));
+}
+
+// Options written before every recording output path: timecode and tags, and -t for the time left of a timed recording
+function outputArgs(filePath) {
+    return [...metadataArgs(filePath), ...ScheduleService.getDurationArgs(scheduleService.getRemaining())];
+}
+
+// Build the output fragment of a shell command: the output options, then the file path
+function outputCommand(filePath) {
+    return CaptureBackend.toCommandString([...outputArgs(filePath), filePath]);
+}
+
+// Build the -vf fragment; encoder filters (e.g. VA-API hwupload) go after scaling
+function filterCommand(filters, profile) {
+    const allFilters = filters.concat(EncoderProfileService.getVideoFilters(profile));
+    return allFilters.length > 0 ? CaptureBackend.toCommandString(['-vf', allFilters.join(',')]) : '';
+}
+
+// Build the -vf fragment required by the capture backend (empty for most grabbers)
+function inputFilterCommand(region, profile) {
+    return filterCommand(captureBackend.getInputFilters(region), profile);
+}
+
+// Remove the journal entry of a recording that ended normally
+function clearRecordingJournal() {
+    recoveryService.completeEntry(recordingJournalId);
+    recordingJournalId = null;
+}
+
+// Repair recordings cut off by a crash and offer to add them to the timeline
+async function recoverInterruptedRecordings() {
+    const results = await recoveryService.recoverAll(getFFmpegPath());
+    if (results.length === 0) {
+        return;
+    }
+
+    const recovered = results.flatMap(result => result.recovered);
+    const failed = results.flatMap(result => result.failed);
+    const detail = [
+        ...recovered.map(filePath => `Recovered: ${path.basename(filePath)}`),
+        ...failed.map(failure => `Could not recover ${path.basename(failure.path)}: ${failure.error}`)
+    ].join('\n');
+
+    const { response } = await dialog.showMessageBox(mainWindow, {
+        type: recovered.length > 0 ? 'question' : 'warning',
+        buttons: recovered.length > 0 ? ['Add to Timeline', 'Keep in Recordings Folder'] : ['OK'],
+        defaultId: 0,
+        message: recovered.length > 0
+            ? `${recovered.length} recording(s) were interrupted by a crash and have been recovered.`
+            : 'Recordings interrupted by a crash could not be recovered.',
+        detail
+    });
+
+    if (recovered.length > 0 && response === 0) {
+        for (const filePath of recovered) {
+            const result = await addRecordingToTimeline(null, filePath);
+            debugLog(`Recovered recording ${filePath}: ${result.success ? 'added to timeline' : result.error}`);
         }
+    }
+}
 
-        function endSelection(e) {
-            if (!isSelecting) return;
-            isSelecting = false;
-            endX = e.clientX; endY = e.clientY;
-            let region = {
-                x: Math.min(startX, endX) + screenX,
-                y: Math.min(startY, endY) + screenY,
-                width: Math.abs(endX - startX),
-                height: Math.abs(endY - startY)
-            };
-            if (scaleFactor !== 1) {
-                region.x = Math.round(region.x * scaleFactor);
-                region.y = Math.round(region.y * scaleFactor);
-                region.width = Math.round(region.width * scaleFactor);
-                region.height = Math.round(region.height * scaleFactor);
+// Send a level update for an audio device to the renderer
+function sendAudioLevel(device, level) {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('audio:level', { device, ...level });
+    }
+}
+
+// Find an audio device chosen in the renderer; only listed devices go into shell commands
+async function getListedAudioDevice(device) {
+    if (audioDeviceService.getDevices().length === 0) {
+        await audioDeviceService.refresh(getFFmpegPath());
+    }
+    return typeof device === 'string' ? audioDeviceService.getDevice(device) : null;
+}
+
+// Start the level meter for the audio device selected in the renderer
+async function startAudioMeter(event, device) {
+    if (!device) {
+        return { success: false, error: 'No audio device selected' };
+    }
+
+    // Recording meters already report levels for the recorded devices
+    if (isRecording) {
+        return { success: false, error: 'Recording in progress' };
+    }
+
+    const listed = await getListedAudioDevice(device);
+    if (!listed) {
+        return { success: false, error: `Unknown audio device: ${device}` };
+    }
+
+    // Levels are reported under the value the renderer selected
+    return audioLevelService.startMeter(PREVIEW_METER_ID, listed.id, getFFmpegPath(), {
+        onLevel: (level) => sendAudioLevel(device, level)
+    });
+}
+
+// Stop the preview level meter
+function stopAudioMeter() {
+    return audioLevelService.stopMeter(PREVIEW_METER_ID);
+}
+
+// Record a few seconds from an audio device so the renderer can play it back
+async function testAudioDevice(event, device) {
+    if (!device) {
+        return { success: false, error: 'No audio device selected' };
+    }
+
+    if (isRecording) {
+        return { success: false, error: 'Cannot test an audio device while recording' };
+    }
+
+    const listed = await getListedAudioDevice(device);
+    if (!listed) {
+        return { success: false, error: `Unknown audio device: ${device}` };
+    }
+
+    return audioLevelService.testDevice(listed.id, getFFmpegPath());
+}
+
+// Watch the levels the recording prints for its audio tracks and warn the renderer if one stays silent
+function startSilenceMonitor(devices) {
+    audioLevelService.stopMeter(PREVIEW_METER_ID);
+    const names = getAudioTrackNames(devices);
+
+    audioLevelService.startRecordingMonitor(devices.length, {
+        onLevel: (track, level) => {
+            if (isRecording) {
+                sendAudioLevel(devices[track], level);
+            }
+        },
+        onSilence: (track, silent) => {
+            debugLog(`Audio input ${names[track]} ${silent ? 'has been silent' : 'has sound again'}`);
+            if (isRecording && mainWindow && !mainWindow.isDestroyed()) {
+                mainWindow.webContents.send('audio:silence', { device: devices[track], name: names[track], silent });
             }
-            console.log('Region selected: x=' + region.x + ', y=' + region.y + ', width=' + region.width + ', height=' + region.height);
-            require('electron').ipcRenderer.send('region-selected', region);
         }
+    });
+}
+
+// Start a recording and watch its audio devices for silence
+async function startMonitoredRecording(event, options) {
+    if (isRecording || isStartingRecording) {
+        return { success: false, error: 'Recording already in progress' };
+    }
+
+    const duration = ScheduleService.normalizeDuration(options.duration);
+    if (duration && duration.error) {
+        return { success: false, error: duration.error };
+    }
+
+    // Background media jobs must not compete with the capture
+    mediaJobService.suspend();
+    scheduleService.setLimit(duration);
+    isStartingRecording = true;
+    let result;
+    try {
+        result = await startRecording(event, options);
+    } finally {
+        isStartingRecording = false;
+        mediaJobService.resume();
+    }
+    if (result.success) {
+        scheduleService.startClock();
+        recordingOverlay.showIndicator(getRecordedScreenArea(options));
+        recordingAudioDevices = getSelectedAudioDevices(options);
+        startSilenceMonitor(recordingAudioDevices);
+    } else {
+        scheduleService.setLimit(null);
+    }
+    return result;
+}
+
+// Pause, resume or stop from the on-screen indicator, keeping the plugin window in step
+async function handleIndicatorAction(action) {
+    debugLog(`Recording indicator: ${action}`);
+    let result;
+    if (action === 'pause') {
+        result = await pauseRecording(null);
+    } else if (action === 'resume') {
+        result = await resumeRecording(null);
+    } else if (action === 'stop') {
+        result = await stopRecording(null);
+    } else {
+        return;
+    }
+
+    if (!result.success) {
+        debugLog(`Recording indicator ${action} failed: ${result.error}`);
+    } else if (mainWindow) {
+        mainWindow.webContents.send('recording:stateChanged', { paused: isPaused, stopping: action === 'stop' });
+    }
+}
+
+// Start the recording scheduled in the renderer and tell it whether it started
+async function startScheduledRecording(options) {
+    const result = await startMonitoredRecording(null, options);
+    debugLog(`Scheduled recording ${result.success ? 'started' : `failed to start: ${result.error}`}`);
+    if (mainWindow) {
+        mainWindow.webContents.send('schedule:started', result);
+    }
+}
+
+// Schedule a recording with the options chosen now; a region is selected now too, as nobody may be there at the start time
+async function scheduleRecording(event, schedule, options) {
+    const normalized = ScheduleService.normalizeSchedule(schedule);
+    if (normalized.error) {
+        return { success: false, error: normalized.error };
+    }
+
+    const scheduledOptions = { ...options };
+    if (options.region === 'selection') {
+        try {
+            scheduledOptions.selectedRegion = await selectRecordingRegion(options);
+        } catch (error) {
+            return { success: false, error: 'Region selection failed: ' + error.message };
+        }
+        if (!scheduledOptions.selectedRegion) {
+            return { success: false, error: 'Region selection cancelled' };
+        }
+    }
+
+    return scheduleService.schedule(normalized, scheduledOptions);
+}
 
-        function selectRegion() {
-            document.body.style.cursor = 'crosshair';
-            document.addEventListener('mousedown', startSelection);
-            document.addEventListener('mousemove', updateSelection);
-            document.addEventListener('mouseup', endSelection);
-            document.getElementById('instructions').innerHTML = '<strong>Click and drag to select region</strong><br>Press ESC to cancel';
-            document.getElementById('controls').style.display = 'none';
+// Get screen region selection - the region is drawn on one of the displays and reported in DIPs;
+// open windows are offered to snap to, and the region is saved if it was given a name
+async function getScreenRegion() {
+    const displays = getDisplays();
+    const origin = DisplayGeometry.getOrigin(displays, captureBackend.platform);
+    const windows = (await getAvailableWindows().catch(() => []))
+        .filter(window => window.geometry)
+        .map(window => DisplayGeometry.fromDesktopPixels(window.geometry, displays, origin))
+        .filter(Boolean);
+
+    const region = await regionSelector.getScreenRegion({ windows, savedRegions: savedRegionService.list() });
+    if (region && region.saveAs) {
+        const result = savedRegionService.save(region.saveAs, region);
+        if (!result.success) {
+            debugLog(`Could not save region "${region.saveAs}": ${result.error}`);
         }
+        sendSavedRegionsUpdated(result.success ? null : result.error);
+    }
+    return region;
+}
 
-        function recordFull() { require('electron').ipcRenderer.send('region-selected', null); }
-        document.addEventListener('keydown', (e) => { if (e.key === 'Escape') require('electron').ipcRenderer.send('region-selected', null); });
-        selectRegion();
-    </script>
-</body>
-</html>`;
+// Region for a recording: a saved region, one selected when scheduling, or one selected now
+async function selectRecordingRegion(options) {
+    if (options.savedRegionName) {
+        const saved = savedRegionService.get(options.savedRegionName);
+        if (!saved) {
+            throw new Error(`Saved region "${options.savedRegionName}" no longer exists`);
+        }
+        return saved;
+    }
+    return options.selectedRegion || getScreenRegion();
+}
 
-        regionWindow.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(htmlContent));
+// Let the renderer refresh its saved region list
+function sendSavedRegionsUpdated(error = null) {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('regions:updated', { regions: savedRegionService.list(), error });
+    }
+}
 
-        // Handle region selection
-        const regionHandler = (event, region) => {
-            regionWindow.close();
-            ipcMain.removeListener('region-selected', regionHandler);
-            resolve(region);
-        };
+// Delete a saved region from the renderer
+function deleteSavedRegion(event, name) {
+    const result = savedRegionService.remove(name);
+    if (result.success) {
+        sendSavedRegionsUpdated();
+    }
+    return result;
+}
 
-        ipcMain.once('region-selected', regionHandler);
+// Connected displays in the platform's screen order; Windows lays mixed-DPI displays out in DIPs
+// that only Electron can map back to desktop pixels
+function getDisplays() {
+    const { screen } = require('electron');
+    const primaryId = screen.getPrimaryDisplay().id;
+    return screen.getAllDisplays().map(display => ({
+        id: display.id,
+        bounds: display.bounds,
+        scaleFactor: display.scaleFactor,
+        primary: display.id === primaryId,
+        physicalBounds: process.platform === 'win32' ? screen.dipToScreenRect(null, display.bounds) : null
+    }));
+}
 
-        // Handle window close (user closed without selection)
-        regionWindow.on('closed', () => {
-            ipcMain.removeListener('region-selected', regionHandler);
-            reject(new Error('Region selection cancelled'));
-        });
-    });
+// Displays offered in the monitor picker
+function getDisplayList() {
+    return getDisplays().map((display, index) => ({
+        id: display.id,
+        label: DisplayGeometry.describeDisplay(display, index),
+        primary: display.primary
+    }));
+}
+
+// Capture area of a selected region, or of the display chosen for desktop recording
+// (all displays when none is chosen); throws when the chosen display is gone
+function resolveCaptureArea(options, selection) {
+    const displays = getDisplays();
+
+    if (selection) {
+        const display = displays.find(d => d.id === selection.displayId) || DisplayGeometry.findDisplay(displays, selection);
+        return DisplayGeometry.getCaptureArea(displays, display, selection, captureBackend.platform);
+    }
+
+    if (options.sourceType === 'desktop' && options.displayId) {
+        const display = displays.find(d => String(d.id) === String(options.displayId));
+        if (!display) {
+            throw new Error('The chosen display is no longer connected');
+        }
+        return DisplayGeometry.getCaptureArea(displays, display, null, captureBackend.platform);
+    }
+
+    return { region: null, screenIndex: null };
+}
+
+// Pick the capture area for a recording and the screen to capture it from (macOS)
+function applyCaptureArea(options, selection) {
+    const area = resolveCaptureArea(options, selection);
+    if (area.screenIndex !== null) {
+        options.screenIndex = area.screenIndex;
+    }
+    if (area.region) {
+        debugLog(`Capture area: ${area.region.width}x${area.region.height} at (${area.region.x}, ${area.region.y})` +
+            (area.screenIndex !== null ? ` on screen ${area.screenIndex}` : ''));
+    }
+    return area.region;
+}
+
+// Screen area a recording captures, in DIPs, for the indicator to keep out of; null where
+// content protection already keeps it out of the capture (x11grab records every window)
+function getRecordedScreenArea(options) {
+    if (captureBackend.platform !== 'linux' || options.sourceType === 'camera') {
+        return null;
+    }
+
+    const displays = getDisplays();
+    const window = options.sourceType === 'window' ? windowFollowService.getWindow() : null;
+    const pixels = window ? window.geometry : recordingRegion;
+    const area = pixels && DisplayGeometry.fromDesktopPixels(pixels, displays, DisplayGeometry.getOrigin(displays, captureBackend.platform));
+    return area || DisplayGeometry.getVirtualBounds(displays.map(display => display.bounds));
 }
 
 // Start dual recording (primary source + camera with separate tracks)
-async function startDualRecording(options, cameraName, outputPath) {
+async function startDualRecording(options, cameraName, outputPath, region = null) {
     try {
-        // Get audio device
-        const audioDevice = options.audioDevice || await getBestAudioDevice();
+        // Get audio devices (each recorded to its own track)
+        const audioDevices = await resolveAudioDevices(options);
+        const encodingProfile = options.encodingProfile;
 
         // Create separate output paths for primary source and camera
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-        const primaryPath = path.join(RECORDINGS_DIR, `${options.sourceType}-recording-${timestamp}.mp4`);
-        const cameraPath = path.join(RECORDINGS_DIR, `camera-recording-${timestamp}.mp4`);
+        const primaryPath = path.join(RECORDINGS_DIR, `${options.sourceType}-recording-${timestamp}${encodingProfile.extension}`);
+        const cameraPath = path.join(RECORDINGS_DIR, `camera-recording-${timestamp}${encodingProfile.extension}`);
 
         debugLog(`Dual recording paths: Primary=${primaryPath}, Camera=${cameraPath}`);
+        recoveryService.updatePaths(recordingJournalId, [primaryPath, cameraPath]);
 
         // Store both paths for dual timeline integration
         dualRecordingPaths = { primary: primaryPath, camera: cameraPath };
 
-        // Build primary source recording command based on source type
-        let primaryCommand = '';
-        switch (options.sourceType) {
-            case 'desktop':
-                primaryCommand = audioDevice
-                    ? `${getFFmpegPath()} -f gdigrab -framerate ${options.framerate || '30'} -i desktop -f dshow -i audio="${audioDevice}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -c:a aac -b:a 128k "${primaryPath}"`
-                    : `${getFFmpegPath()} -f gdigrab -framerate ${options.framerate || '30'} -i desktop -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p "${primaryPath}"`;
-                break;
-            case 'window':
-                primaryCommand = audioDevice
-                    ? `${getFFmpegPath()} -f gdigrab -framerate ${options.framerate || '30'} -i title="${options.windowTitle}" -f dshow -i audio="${audioDevice}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -c:a aac -b:a 128k "${primaryPath}"`
-                    : `${getFFmpegPath()} -f gdigrab -framerate ${options.framerate || '30'} -i title="${options.windowTitle}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p "${primaryPath}"`;
-                break;
-            case 'selection':
-                // Get region from options
-                if (options.region) {
-                    primaryCommand = audioDevice
-                        ? `${getFFmpegPath()} -f gdigrab -video_size ${options.region.width}x${options.region.height} -framerate ${options.framerate || '30'} -offset_x ${options.region.x} -offset_y ${options.region.y} -i desktop -f dshow -i audio="${audioDevice}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -c:a aac -b:a 128k "${primaryPath}"`
-                        : `${getFFmpegPath()} -f gdigrab -video_size ${options.region.width}x${options.region.height} -framerate ${options.framerate || '30'} -offset_x ${options.region.x} -offset_y ${options.region.y} -i desktop -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p "${primaryPath}"`;
-                } else {
-                    throw new Error('No region specified for selection recording');
-                }
-                break;
-            default:
-                throw new Error(`Unknown source type for dual recording: ${options.sourceType}`);
+        // Both files share a start timecode
+        const startedAt = new Date();
+        beginRecordingMetadata(primaryPath, options, {}, startedAt);
+        beginRecordingMetadata(cameraPath, options, { sourceType: 'camera', windowTitle: null, cameraName, frameRate: 30 }, startedAt);
+
+        // Build primary source input based on source type
+        if (options.sourceType === 'window') {
+            await probeWindowCapture({ handle: options.windowHandle });
         }
+        const primaryInput = getPrimaryInputArgs(options, region);
+
+        const primaryFilters = inputFilterCommand(region, encodingProfile);
+        // Both video inputs report a wall-clock start, measured to line the clips up on the timeline
+        const syncArgs = SyncService.getInputArgs();
+        const primaryCommand = audioDevices.length > 0
+            ? `${getFFmpegPath()} ${CaptureBackend.toCommandString([...syncArgs, ...primaryInput])} ${audioInputsCommand(audioDevices)} ${audioTrackCommand(audioDevices, 0, 1)} ${videoEncodingCommand(encodingProfile)} ${audioEncodingCommand(encodingProfile)} ${audioLevelCommand(audioDevices)} ${primaryFilters} ${outputCommand(primaryPath)}`
+            : `${getFFmpegPath()} ${CaptureBackend.toCommandString([...syncArgs, ...primaryInput])} ${videoEncodingCommand(encodingProfile)} ${primaryFilters} ${outputCommand(primaryPath)}`;
 
         // Build camera recording command (camera only, no audio to avoid duplication)
-        const cameraCommand = `${getFFmpegPath()} -f dshow -framerate 30 -i video="${cameraName}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p "${cameraPath}"`;
+        const cameraCommand = `${getFFmpegPath()} ${CaptureBackend.toCommandString(syncArgs)} ${cameraInputCommand(cameraName, 30)} ${videoEncodingCommand(encodingProfile)} ${filterCommand([], encodingProfile)} ${outputCommand(cameraPath)}`;
 
         debugLog(`Primary recording command: ${primaryCommand}`);
         debugLog(`Camera recording command: ${cameraCommand}`);
 
         // Start both recording processes
+        syncService.reset();
         const primaryProcess = spawn(primaryCommand, [], { shell: true });
         const cameraProcess = spawn(cameraCommand, [], { shell: true });
+        syncService.watch('screen', primaryProcess);
+        syncService.watch('camera', cameraProcess);
+        primaryProcess.stderr.on('data', audioLevelService.createRecordingReader());
 
         // Store processes for proper cleanup
         dualRecordingProcesses = { primary: primaryProcess, camera: cameraProcess };
@@ -583,7 +809,7 @@ async function startDualRecording(options, cameraName, outputPath) {
         const handleDualCompletion = () => {
             if (primaryClosed && cameraClosed) {
                 debugLog('Both dual recording processes completed');
-                handleDualRecordingCompletion(primaryPath, cameraPath);
+                handleDualRecordingCompletion(primaryPath, cameraPath, syncService.getOffset('screen', 'camera'));
             }
         };
 
@@ -615,6 +841,126 @@ async function startDualRecording(options, cameraName, outputPath) {
 
     } catch (error) {
         debugLog(`Dual recording failed: ${error.message}`);
+        clearRecordingJournal();
+        return { success: false, error: error.message };
+    }
+}
+
+// gdigrab takes hwnd= from FFmpeg 6.1; older builds are found out once and capture windows by title
+async function probeWindowCapture(window) {
+    if (captureBackend.platform !== 'win32' || !window || !window.handle || captureBackend.windowHandleSupported !== null) {
+        return;
+    }
+
+    const result = await ProcessRunner.run(getFFmpegPath(), captureBackend.getWindowProbeArgs(window), {
+        timeout: CONFIG.RECORDING.WINDOW_PROBE_TIMEOUT
+    }).catch(error => ({ code: null, stderr: error.message }));
+    const supported = captureBackend.parseWindowProbe(result.code, result.stderr);
+    if (supported !== null) {
+        captureBackend.windowHandleSupported = supported;
+        debugLog(supported ? 'gdigrab captures windows by handle' : 'FFmpeg is older than 6.1, capturing windows by title');
+    }
+}
+
+// Input arguments of the primary source of a dual or picture-in-picture recording
+function getPrimaryInputArgs(options, region = null) {
+    const framerate = options.framerate || '30';
+    switch (options.sourceType) {
+        case 'desktop':
+            return captureBackend.getDesktopInputArgs(framerate, region, { screenIndex: options.screenIndex });
+        case 'window':
+            return captureBackend.getWindowInputArgs(framerate, { title: options.windowTitle, handle: options.windowHandle });
+        case 'selection':
+            // Get region from options
+            if (options.region) {
+                return captureBackend.getDesktopInputArgs(framerate, options.region, { screenIndex: options.screenIndex });
+            }
+            throw new Error('No region specified for selection recording');
+        default:
+            throw new Error(`Unknown source type for dual recording: ${options.sourceType}`);
+    }
+}
+
+// Start a picture-in-picture recording - the camera is composited over the primary source into one file
+async function startPipRecording(options, cameraName, outputPath, region) {
+    try {
+        const audioDevices = await resolveAudioDevices(options);
+        const encodingProfile = options.encodingProfile;
+        const layout = pipService.getLayout();
+        beginRecordingMetadata(outputPath, options, { cameraName });
+
+        const evenRegion = region
+            ? { ...region, width: Math.floor(region.width / 2) * 2, height: Math.floor(region.height / 2) * 2 }
+            : null;
+        const filterGraph = PipService.getFilterComplex(layout, {
+            screenInput: 0,
+            cameraInput: 1,
+            screenFilters: captureBackend.getInputFilters(evenRegion),
+            encoderFilters: EncoderProfileService.getVideoFilters(encodingProfile)
+        });
+
+        if (options.sourceType === 'window') {
+            await probeWindowCapture({ handle: options.windowHandle });
+        }
+        const pipCommand = [
+            getFFmpegPath(),
+            CaptureBackend.toCommandString(getPrimaryInputArgs(options, evenRegion)),
+            cameraInputCommand(cameraName, 30),
+            audioInputsCommand(audioDevices),
+            CaptureBackend.toCommandString(['-filter_complex', filterGraph]),
+            CaptureBackend.toCommandString(PipService.getMapArgs(getAudioTrackNames(audioDevices), 2)),
+            videoEncodingCommand(encodingProfile),
+            audioDevices.length > 0 ? audioEncodingCommand(encodingProfile) : '',
+            audioLevelCommand(audioDevices),
+            outputCommand(outputPath)
+        ].filter(Boolean).join(' ');
+
+        debugLog(`Picture-in-picture layout: ${JSON.stringify(layout)}`);
+        debugLog(`Picture-in-picture recording command: ${pipCommand}`);
+
+        recordingProcess = spawn(pipCommand, [], { shell: true });
+        isRecording = true;
+        currentRecordingPath = outputPath;
+        originalRecordingPath = outputPath;
+
+        recordingProcess.on('close', (code, signal) => {
+            debugLog(`Picture-in-picture recording closed with code: ${code}, signal: ${signal}`);
+
+            isRecording = false;
+            clearRecordingJournal();
+            recordingProcess = null;
+            currentRecordingPath = null;
+
+            if (mainWindow && !timelineAdded) {
+                timelineAdded = true;
+                addRecordingToTimeline(null, outputPath).then(result => {
+                    mainWindow.webContents.send('recording:completed', {
+                        success: true,
+                        filePath: outputPath,
+                        timelineResult: result
+                    });
+                });
+            }
+        });
+
+        recordingProcess.on('error', (error) => {
+            debugLog(`Picture-in-picture recording process error: ${error.message}`);
+        });
+
+        // Level lines feed the silence warning and stay out of the log
+        const readOutput = audioLevelService.createRecordingReader();
+        recordingProcess.stderr.on('data', (data) => {
+            const output = readOutput(data).trim();
+            if (output && !output.includes('frame=') && !output.includes('size=') && !output.includes('time=') && !output.includes('bitrate=') && !output.includes('speed=')) {
+                debugLog(`FFmpeg stderr: ${output}`);
+            }
+        });
+
+        return { success: true, outputPath };
+
+    } catch (error) {
+        debugLog(`Picture-in-picture recording failed: ${error.message}`);
+        clearRecordingJournal();
         return { success: false, error: error.message };
     }
 }
@@ -626,23 +972,50 @@ async function startRecording(event, options) {
         return { success: false, error: 'Recording already in progress' };
     }
 
+    if (replayBufferService.isRunning()) {
+        return { success: false, error: 'Stop the replay buffer before starting a recording' };
+    }
+
     ensureRecordingsDir();
 
     // Reset timeline flag for new recording
     timelineAdded = false;
 
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    const filename = `screen-recording-${timestamp}.mp4`;
+    // Only screen/window/region recordings set these up again below
+    isPaused = false;
+    resumeRecordingSegment = null;
+    segmentService.reset();
+    windowFollowService.stop();
+    windowHold = null;
+    frozenFramePath = null;
+    nextRecordingSegment = null;
+
+    const audioDeviceError = await checkAudioDevices(options);
+    if (audioDeviceError) {
+        return { success: false, error: audioDeviceError };
+    }
+
+    // Encoding profile picked in the renderer (also decides the container); only a
+    // hardware encoder has to wait for the probe started at launch
+    const selectedProfile = encoderProfileService.getProfile(options.encodingProfileId);
+    if (hardwareEncoderService.needsProbe(selectedProfile)) {
+        await hardwareEncoderService.probe(getFFmpegPath());
+    }
+    const encodingProfile = containerService.applyToProfile(hardwareEncoderService.applyToProfile(selectedProfile));
+    options.encodingProfile = encodingProfile;
+    debugLog(`Encoding profile: ${encodingProfile.name} (${encodingProfile.video.codec}, ${encodingProfile.extension})`);
+
+    const filename = FileSystemUtils.generateRecordingFilename(encodingProfile);
     const outputPath = path.join(RECORDINGS_DIR, filename);
     debugLog(`app.getPath('videos'): ${app.getPath('videos')}`);
     debugLog(`Output path: ${outputPath}`);
     debugLog(`RECORDINGS_DIR: ${RECORDINGS_DIR}`);
 
-    // Get region if selection mode
+    // Get region if selection mode (saved regions and scheduled recordings skip the overlay)
     let region = null;
     if (options.region === 'selection') {
         try {
-            region = await getScreenRegion();
+            region = await selectRecordingRegion(options);
             if (!region) {
                 return { success: false, error: 'Region selection cancelled' };
             }
@@ -651,6 +1024,34 @@ async function startRecording(event, options) {
         }
     }
 
+    // Map the region, or the display chosen for desktop recording, to capture pixels
+    try {
+        region = applyCaptureArea(options, region);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+
+    // Validate region size before counting down and journaling a recording that cannot start
+    if (region && (region.width < 16 || region.height < 16)) {
+        return {
+            success: false,
+            error: `Selected region is too small (${region.width}x${region.height}). Minimum size is 16x16 pixels.`
+        };
+    }
+    recordingRegion = region;
+
+    // Count down once the region is chosen; the countdown window is closed before capture starts
+    if (!await recordingOverlay.countdown()) {
+        return { success: false, error: 'Recording cancelled during the countdown' };
+    }
+
+    // Journal the recording so it can be recovered if the app crashes
+    recordingJournalId = recoveryService.startEntry({
+        sourceType: options.sourceType,
+        options: { ...options, region },
+        paths: [outputPath]
+    });
+
     // Build ffmpeg command for screen recording
     let args = [];
     let inputSource = '';
@@ -665,8 +1066,17 @@ async function startRecording(event, options) {
         cleanCameraName = options.dualCameraName.replace(/[\[\]]/g, '').trim();
         debugLog(`Dual recording camera: ${cleanCameraName}`);
 
+        // Picture-in-picture writes a single file with the camera composited in
+        if (options.pipComposite) {
+            if (options.sourceType === 'camera') {
+                clearRecordingJournal();
+                return { success: false, error: 'Picture-in-picture needs a screen, window or region as the primary source' };
+            }
+            return startPipRecording(options, cleanCameraName, outputPath, region);
+        }
+
         // Create dual recording with camera overlay
-        return startDualRecording(options, cleanCameraName, outputPath);
+        return startDualRecording(options, cleanCameraName, outputPath, region);
     } else if (options.sourceType === 'camera') {
         // Clean camera name and remove any brackets or extra characters
         cleanCameraName = options.cameraName.replace(/[\[\]]/g, '').trim();
@@ -674,23 +1084,17 @@ async function startRecording(event, options) {
         debugLog(`Clean camera name: "${cleanCameraName}"`);
         debugLog(`Is OBS Camera: ${cleanCameraName.toLowerCase().includes('obs virtual')}`);
 
-        // Use DirectShow for camera input with different settings for OBS vs regular cameras
+        // Use the platform camera input with different settings for OBS vs regular cameras
         if (cleanCameraName.toLowerCase().includes('obs virtual')) {
             // OBS Virtual Camera requires specific settings: 1280x720 at 60fps
-            args = [
-                '-f', 'dshow',
-                '-framerate', '60', // OBS Virtual Camera only supports ~60fps
-                '-i', `video="${cleanCameraName}"`
-            ];
+            args = captureBackend.getCameraInputArgs(cleanCameraName, { framerate: '60' }); // OBS Virtual Camera only supports ~60fps
             debugLog(`Using OBS Virtual Camera settings (1280x720 @ 60fps native)`);
         } else {
             // Regular camera - add video_size parameter and ensure proper input format
-            args = [
-                '-f', 'dshow',
-                '-framerate', options.framerate || '30',
-                '-video_size', '1920x1080', // Request HD resolution
-                '-i', `video="${cleanCameraName}"`
-            ];
+            args = captureBackend.getCameraInputArgs(cleanCameraName, {
+                framerate: options.framerate || '30',
+                videoSize: '1920x1080' // Request HD resolution
+            });
             debugLog(`Using regular camera settings with video_size`);
         }
 
@@ -699,22 +1103,23 @@ async function startRecording(event, options) {
         debugLog(`FFmpeg input argument: "${args[args.length - 1]}"`);
         debugLog(`All FFmpeg args:`, JSON.stringify(args, null, 2));
     } else if (options.sourceType === 'window' && options.windowTitle) {
-        // Use specific window with gdigrab - properly quote the window title for shell execution
-        args = [
-            '-f', 'gdigrab',
-            '-framerate', options.framerate || '30',
-            '-i', `title="${options.windowTitle}"`
-        ];
-        debugLog(`Recording window: ${options.windowTitle}`);
-    } else if (region) {
-        // Validate region size
-        if (region.width < 16 || region.height < 16) {
-            return {
-                success: false,
-                error: `Selected region is too small (${region.width}x${region.height}). Minimum size is 16x16 pixels.`
-            };
+        // Follow the window by handle, then process, then title pattern, so title changes do not lose it
+        const follow = await windowFollowService.start({
+            handle: options.windowHandle,
+            pid: options.windowPid,
+            title: options.windowTitle,
+            titlePattern: options.windowTitlePattern
+        });
+        if (!follow.success) {
+            clearRecordingJournal();
+            return { success: false, error: follow.error };
         }
 
+        // Use specific window - the title is quoted when joined for shell execution
+        await probeWindowCapture(follow.window);
+        args = captureBackend.getWindowInputArgs(options.framerate || '30', follow.window);
+        debugLog(`Recording window: ${follow.window.title}`);
+    } else if (region) {
         // Adjust dimensions to be even (required for H.264)
         const evenWidth = Math.floor(region.width / 2) * 2;
         const evenHeight = Math.floor(region.height / 2) * 2;
@@ -723,44 +1128,104 @@ async function startRecording(event, options) {
             debugLog(`Adjusted region from ${region.width}x${region.height} to ${evenWidth}x${evenHeight} (H.264 requires even dimensions)`);
         }
 
-        // Use selected region with gdigrab - try alternative format
-        args = [
-            '-f', 'gdigrab',
-            '-video_size', `${evenWidth}x${evenHeight}`,
-            '-framerate', options.framerate || '30',
-            '-offset_x', region.x.toString(),
-            '-offset_y', region.y.toString(),
-            '-i', 'desktop',
-            '-draw_mouse', '1',
-            '-probesize', '10M',
-            '-analyzeduration', '0'
-        ];
+        // Use selected region
+        args = captureBackend.getDesktopInputArgs(options.framerate || '30', {
+            x: region.x,
+            y: region.y,
+            width: evenWidth,
+            height: evenHeight
+        }, { screenIndex: options.screenIndex });
         debugLog(`Recording region: ${evenWidth}x${evenHeight} at (${region.x}, ${region.y})`);
         debugLog(`Original selected region: ${region.width}x${region.height} at (${region.x}, ${region.y})`);
         debugLog(`Screen info: Region selected at (${region.x}, ${region.y}) with dimensions ${region.width}x${region.height}`);
     } else {
         // Full desktop
-        args = [
-            '-f', 'gdigrab',
-            '-framerate', options.framerate || '30',
-            '-i', 'desktop'
-        ];
+        args = captureBackend.getDesktopInputArgs(options.framerate || '30', null, { screenIndex: options.screenIndex });
         debugLog('Recording full desktop');
     }
 
-    // Add audio device if specified (must come before video for dshow compatibility)
+    // Video input of each segment: the followed window as it is now, or its last frame while it is frozen
+    const captureInputArgs = [...args];
+    const getVideoInputArgs = () => {
+        if (frozenFramePath) {
+            return CaptureBackend.getStillInputArgs(frozenFramePath, options.framerate || '30');
+        }
+        return windowFollowService.isFollowing()
+            ? captureBackend.getWindowInputArgs(options.framerate || '30', windowFollowService.getWindow())
+            : captureInputArgs;
+    };
+    // A resized window is letterboxed into the size it started with, so the segments still join
+    const followFilters = windowFollowService.isFollowing()
+        ? WindowFollowService.getFitFilters(WindowFollowService.getFrameSize(windowFollowService.getWindow().geometry, options.resolution))
+        : [];
+
+    // Start timecode and tags written into the file (OBS Virtual Camera always records at 60 fps)
+    const isObsCamera = options.sourceType === 'camera' && cleanCameraName.toLowerCase().includes('obs virtual');
+    beginRecordingMetadata(outputPath, options, options.sourceType === 'camera'
+        ? { cameraName: cleanCameraName, ...(isObsCamera ? { frameRate: 60 } : {}) }
+        : {});
+
+    // Add audio devices if specified (must come before video for dshow compatibility)
     let audioInputAdded = false;
-    if (options.audioDevice && options.sourceType !== 'camera') { // Don't add audio for cameras here - they have their own audio logic
-        debugLog(`Adding audio device: ${options.audioDevice}`);
-
-        // Try the display name first (it works better with shell execution)
-        const audioDeviceName = options.audioDevice;
+    const audioDevices = getSelectedAudioDevices(options);
+    if (audioDevices.length > 0 && options.sourceType !== 'camera') { // Don't add audio for cameras here - they have their own audio logic
+        debugLog(`Adding audio devices: ${audioDevices.join(', ')}`);
 
         // Build shell command for audio compatibility (spawn has issues with complex device names)
-        const shellCommand = `${getFFmpegPath()} -f dshow -i audio="${audioDeviceName}" ${args.join(' ')} -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -c:a aac -b:a 128k "${outputPath}"`;
+        // Audio inputs come first, so the video input follows them
+        // Built for each segment, so a timed recording resumed after a pause only records the time left
+        const getShellCommand = () => `${getFFmpegPath()} ${audioInputsCommand(audioDevices)} ${CaptureBackend.toCommandString(getVideoInputArgs())} ${audioTrackCommand(audioDevices, audioDevices.length, 0)} ${videoEncodingCommand(encodingProfile)} ${audioEncodingCommand(encodingProfile)} ${audioLevelCommand(audioDevices)} ${filterCommand([...captureBackend.getInputFilters(region), ...followFilters], encodingProfile)} ${outputCommand(outputPath)}`;
 
-        debugLog(`Using shell execution for audio recording: ${shellCommand}`);
-        recordingProcess = spawn(shellCommand, [], { shell: true });
+        const startAudioSegment = () => {
+            const shellCommand = getShellCommand();
+            debugLog(`Using shell execution for audio recording: ${shellCommand}`);
+            recordingProcess = spawn(shellCommand, [], { shell: true });
+
+            // Set up event handlers for shell-based recording
+            recordingProcess.on('close', async (code, signal) => {
+                debugLog(`Recording process closed with code: ${code}, signal: ${signal}`);
+
+                if (isPaused) {
+                    // Segment ended by pauseRecording or a switch - keep it for the final concat
+                    keepRecordingSegment(outputPath);
+                    return;
+                }
+                if (await holdForFollowedWindow(outputPath)) {
+                    return;
+                }
+
+                // Reset state
+                isRecording = false;
+                clearRecordingJournal();
+                recordingProcess = null;
+                currentRecordingPath = null;
+
+                // Add recording to timeline (single call to avoid duplication)
+                if (mainWindow && !timelineAdded) {
+                    timelineAdded = true;
+                    finishSegmentedRecording(outputPath).then(result => {
+                        mainWindow.webContents.send('recording:completed', {
+                            success: true,
+                            filePath: outputPath,
+                            timelineResult: result
+                        });
+                    });
+                }
+            });
+
+            // Level lines feed the silence warning and stay out of the log
+            const readOutput = audioLevelService.createRecordingReader();
+            recordingProcess.stderr.on('data', (data) => {
+                const output = readOutput(data).trim();
+                if (output && !output.includes('frame=') && !output.includes('size=') && !output.includes('time=') && !output.includes('bitrate=') && !output.includes('speed=')) {
+                    debugLog(`FFmpeg stderr: ${output}`);
+                }
+            });
+        };
+
+        startAudioSegment();
+        segmentService.startSession(outputPath);
+        resumeRecordingSegment = startAudioSegment;
 
         // Set recording state to true for shell execution
         isRecording = true;
@@ -770,51 +1235,19 @@ async function startRecording(event, options) {
         audioInputAdded = true;
         debugLog('Audio recording started with shell execution for compatibility');
 
-        // Set up event handlers for shell-based recording
-        recordingProcess.on('close', (code, signal) => {
-            debugLog(`Recording process closed with code: ${code}, signal: ${signal}`);
-
-            // Reset state
-            isRecording = false;
-            recordingProcess = null;
-            currentRecordingPath = null;
-
-            // Add recording to timeline (single call to avoid duplication)
-            if (mainWindow && !timelineAdded) {
-                timelineAdded = true;
-                addRecordingToTimeline(null, outputPath).then(result => {
-                    mainWindow.webContents.send('recording:completed', {
-                        success: true,
-                        filePath: outputPath,
-                        timelineResult: result
-                    });
-                });
-            }
-        });
-
-        recordingProcess.stderr.on('data', (data) => {
-            const output = data.toString().trim();
-            if (output && !output.includes('frame=') && !output.includes('size=') && !output.includes('time=') && !output.includes('bitrate=') && !output.includes('speed=')) {
-                debugLog(`FFmpeg stderr: ${output}`);
-            }
-        });
-
         // Return early since we're handling everything with shell execution
         return { success: true, outputPath };
     }
 
 
-    // Add video encoding options
-    args.push('-c:v', 'libx264');
-    args.push('-preset', 'ultrafast');
-    args.push('-crf', '22');
-    args.push('-pix_fmt', 'yuv420p');
+    // Add video encoding and container options
+    args.push(...EncoderProfileService.getVideoArgs(encodingProfile));
+    args.push(...ContainerService.getMuxerArgs(encodingProfile));
 
     // Add audio encoding if audio input was added
     if (audioInputAdded) {
-        args.push('-c:a', 'aac');
-        args.push('-b:a', '128k');
-        debugLog('Added audio encoding with AAC codec at 128k bitrate');
+        args.push(...EncoderProfileService.getAudioArgs(encodingProfile));
+        debugLog(`Added audio encoding: ${encodingProfile.audio.codec}`);
     }
 
     // For camera recordings, add flush_packets to make files more resilient to sudden termination
@@ -823,16 +1256,28 @@ async function startRecording(event, options) {
         debugLog('Added flush_packets option for camera recording to prevent file corruption');
     }
 
-    // Add resolution scaling if needed (but not for region selection)
-    if (options.resolution && options.resolution !== 'desktop' && !region) {
-        args.push('-vf', `scale=${options.resolution}`);
+    // Backend filters (e.g. kmsgrab hwdownload) run before scaling
+    const videoFilters = options.sourceType === 'camera' ? [] : captureBackend.getInputFilters(region);
+    videoFilters.push(...followFilters);
+
+    // Add resolution scaling if needed (but not for region selection; a chosen display is scaled)
+    if (options.resolution && options.resolution !== 'desktop' && options.region !== 'selection') {
+        videoFilters.push(`scale=${options.resolution}`);
     }
 
-    args.push(outputPath);
+    // Encoder filters (e.g. VA-API hwupload) run last
+    videoFilters.push(...EncoderProfileService.getVideoFilters(encodingProfile));
+
+    if (videoFilters.length > 0) {
+        args.push('-vf', videoFilters.join(','));
+    }
+
+    // Output options are added for each segment, so a timed recording resumed after a pause only records the time left
+    const getSegmentArgs = () => [...getVideoInputArgs(), ...args.slice(captureInputArgs.length), ...outputArgs(outputPath), outputPath];
 
     try {
         // Log the FFmpeg command for debugging
-        const fullCommand = `${getFFmpegPath()} ${args.join(' ')}`;
+        const fullCommand = `${getFFmpegPath()} ${getSegmentArgs().join(' ')}`;
         debugLog(`FFmpeg command: ${fullCommand}`);
 
         // Test if this exact command works manually
@@ -847,60 +1292,64 @@ async function startRecording(event, options) {
             // Set up fallback attempts for regular cameras
             if (cleanCameraName.toLowerCase().includes('obs virtual')) {
                 // OBS Virtual Camera: use native framerate and allow scaling to desired resolution
-                // Use the selected audio device if provided, otherwise try to get the best one
-                let audioDevice = options.audioDevice || await getBestAudioDevice();
+                // Use the selected audio devices if provided, otherwise try to get the best one
+                const audioDevices = await resolveAudioDevices(options);
                 let cameraCommand;
-                if (audioDevice) {
+                if (audioDevices.length > 0) {
                     // Use the display name for shell execution compatibility
-                    cameraCommand = `${getFFmpegPath()} -f dshow -framerate 60 -i video="${cleanCameraName}" -f dshow -i audio="${audioDevice}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -c:a aac -b:a 128k -flush_packets 1 -vf scale=${options.resolution || '1920x1080'} "${outputPath}"`;
-                    debugLog(`OBS Virtual Camera with audio (${audioDevice}): ${cameraCommand}`);
+                    cameraCommand = `${getFFmpegPath()} ${cameraInputCommand(cleanCameraName, 60)} ${audioInputsCommand(audioDevices)} ${audioTrackCommand(audioDevices, 0, 1)} ${videoEncodingCommand(encodingProfile)} ${audioEncodingCommand(encodingProfile)} ${audioLevelCommand(audioDevices)} -flush_packets 1 ${filterCommand([`scale=${options.resolution || '1920x1080'}`], encodingProfile)} ${outputCommand(outputPath)}`;
+                    debugLog(`OBS Virtual Camera with audio (${audioDevices.join(', ')}): ${cameraCommand}`);
                 } else {
                     // Video only if no audio device found
-                    cameraCommand = `${getFFmpegPath()} -f dshow -framerate 60 -i video="${cleanCameraName}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -flush_packets 1 -vf scale=${options.resolution || '1920x1080'} "${outputPath}"`;
+                    cameraCommand = `${getFFmpegPath()} ${cameraInputCommand(cleanCameraName, 60)} ${videoEncodingCommand(encodingProfile)} -flush_packets 1 ${filterCommand([`scale=${options.resolution || '1920x1080'}`], encodingProfile)} ${outputCommand(outputPath)}`;
                     debugLog(`OBS Virtual Camera video only (no audio device found): ${cameraCommand}`);
                 }
                 debugLog('Added flush_packets option for OBS Virtual Camera to prevent file corruption');
                 recordingProcess = spawn(cameraCommand, [], { shell: true });
+                recordingProcess.stderr.on('data', audioLevelService.createRecordingReader());
             } else {
                 // Regular camera: use automatic fallback system with audio
                 const targetResolution = options.resolution || '1920x1080';
 
-                // Get audio device for regular cameras too
-                getBestAudioDevice().then(audioDevice => {
+                // Get audio devices for regular cameras too
+                resolveAudioDevices(options).then(audioDevices => {
                     const fallbackCommands = [];
 
-                    if (audioDevice) {
+                    if (audioDevices.length > 0) {
                         // Commands with audio
-                        debugLog(`Adding audio device (${audioDevice}) to regular camera recording`);
+                        debugLog(`Adding audio devices (${audioDevices.join(', ')}) to regular camera recording`);
+                        const audioInputs = `${audioInputsCommand(audioDevices)} ${audioTrackCommand(audioDevices, 0, 1)}`;
                         fallbackCommands.push(
                             // Approach 1: Request 1920x1080 input with audio
-                            `${getFFmpegPath()} -f dshow -framerate ${options.framerate || '30'} -video_size 1920x1080 -i video="${cleanCameraName}" -f dshow -i audio="${audioDevice.replace(/\\/g, '\\\\')}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -c:a aac -b:a 128k -flush_packets 1 ${targetResolution !== '1920x1080' ? `-vf scale=${targetResolution}` : ''} "${outputPath}"`,
+                            `${getFFmpegPath()} ${cameraInputCommand(cleanCameraName, options.framerate || '30', '1920x1080')} ${audioInputs} ${videoEncodingCommand(encodingProfile)} ${audioEncodingCommand(encodingProfile)} ${audioLevelCommand(audioDevices)} -flush_packets 1 ${filterCommand(targetResolution !== '1920x1080' ? [`scale=${targetResolution}`] : [], encodingProfile)} ${outputCommand(outputPath)}`,
                             // Fallback 1: No video_size specified with audio
-                            `${getFFmpegPath()} -f dshow -framerate ${options.framerate || '30'} -i video="${cleanCameraName}" -f dshow -i audio="${audioDevice.replace(/\\/g, '\\\\')}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -c:a aac -b:a 128k -flush_packets 1 ${targetResolution !== '1920x1080' ? `-vf scale=${targetResolution}` : ''} "${outputPath}"`,
+                            `${getFFmpegPath()} ${cameraInputCommand(cleanCameraName, options.framerate || '30')} ${audioInputs} ${videoEncodingCommand(encodingProfile)} ${audioEncodingCommand(encodingProfile)} ${audioLevelCommand(audioDevices)} -flush_packets 1 ${filterCommand(targetResolution !== '1920x1080' ? [`scale=${targetResolution}`] : [], encodingProfile)} ${outputCommand(outputPath)}`,
                             // Fallback 2: Use 1280x720 input with audio
-                            `${getFFmpegPath()} -f dshow -framerate ${options.framerate || '30'} -video_size 1280x720 -i video="${cleanCameraName}" -f dshow -i audio="${audioDevice.replace(/\\/g, '\\\\')}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -c:a aac -b:a 128k -flush_packets 1 -vf scale=${targetResolution} "${outputPath}"`
+                            `${getFFmpegPath()} ${cameraInputCommand(cleanCameraName, options.framerate || '30', '1280x720')} ${audioInputs} ${videoEncodingCommand(encodingProfile)} ${audioEncodingCommand(encodingProfile)} ${audioLevelCommand(audioDevices)} -flush_packets 1 ${filterCommand([`scale=${targetResolution}`], encodingProfile)} ${outputCommand(outputPath)}`
                         );
                     } else {
                         // Commands without audio (fallback)
                         debugLog('No audio device found for regular camera, recording video only');
                         fallbackCommands.push(
                             // Approach 1: Request 1920x1080 input
-                            `${getFFmpegPath()} -f dshow -framerate ${options.framerate || '30'} -video_size 1920x1080 -i video="${cleanCameraName}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -flush_packets 1 ${targetResolution !== '1920x1080' ? `-vf scale=${targetResolution}` : ''} "${outputPath}"`,
+                            `${getFFmpegPath()} ${cameraInputCommand(cleanCameraName, options.framerate || '30', '1920x1080')} ${videoEncodingCommand(encodingProfile)} -flush_packets 1 ${filterCommand(targetResolution !== '1920x1080' ? [`scale=${targetResolution}`] : [], encodingProfile)} ${outputCommand(outputPath)}`,
                             // Fallback 1: No video_size specified
-                            `${getFFmpegPath()} -f dshow -framerate ${options.framerate || '30'} -i video="${cleanCameraName}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -flush_packets 1 ${targetResolution !== '1920x1080' ? `-vf scale=${targetResolution}` : ''} "${outputPath}"`,
+                            `${getFFmpegPath()} ${cameraInputCommand(cleanCameraName, options.framerate || '30')} ${videoEncodingCommand(encodingProfile)} -flush_packets 1 ${filterCommand(targetResolution !== '1920x1080' ? [`scale=${targetResolution}`] : [], encodingProfile)} ${outputCommand(outputPath)}`,
                             // Fallback 2: Use 1280x720 input
-                            `${getFFmpegPath()} -f dshow -framerate ${options.framerate || '30'} -video_size 1280x720 -i video="${cleanCameraName}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -flush_packets 1 -vf scale=${targetResolution} "${outputPath}"`
+                            `${getFFmpegPath()} ${cameraInputCommand(cleanCameraName, options.framerate || '30', '1280x720')} ${videoEncodingCommand(encodingProfile)} -flush_packets 1 ${filterCommand([`scale=${targetResolution}`], encodingProfile)} ${outputCommand(outputPath)}`
                         );
                     }
                     debugLog('Added flush_packets option to all camera fallback commands to prevent file corruption');
 
                     let currentAttempt = 0;
                     let ioErrorDetected = false;
+                    let metadataPath = outputPath;
 
                     function attemptRecording() {
                         if (currentAttempt >= fallbackCommands.length) {
                             debugLog(`All fallback attempts failed for camera recording`);
                             isRecording = false;
+                            clearRecordingJournal();
                             recordingProcess = null;
                             const failedFilePath = currentRecordingPath;
                             currentRecordingPath = null;
@@ -925,6 +1374,9 @@ async function startRecording(event, options) {
                             const dir = path.dirname(outputPath);
                             currentOutputPath = path.join(dir, `${base}_attempt${currentAttempt}${ext}`);
                         }
+                        // Tags and timecode follow the attempt's file, so the import still finds them
+                        metadataService.move(metadataPath, currentOutputPath);
+                        metadataPath = currentOutputPath;
 
                         // Update the command with the unique filename and add overwrite flag
                         const modifiedCommand = cameraCommand.replace(outputPath, currentOutputPath).replace('ffmpeg', 'ffmpeg -y');
@@ -947,6 +1399,7 @@ async function startRecording(event, options) {
                         if (wasManuallyStopped) {
                             debugLog(`Camera recording was manually stopped or failed. Code: ${code}, Signal: ${signal}`);
                             isRecording = false;
+                            clearRecordingJournal();
                             recordingProcess = null;
                             const completedFilePath = currentRecordingPath || originalRecordingPath; // Use fallback if main path was reset
                             debugLog(`Camera fallback stopping - currentRecordingPath: ${currentRecordingPath}, originalRecordingPath: ${originalRecordingPath}, using: ${completedFilePath}`);
@@ -1017,6 +1470,7 @@ async function startRecording(event, options) {
                                 if (stats.size > 0) {
                                     debugLog(`Camera recording successful with ${attemptName}`);
                                     isRecording = false;
+                                    clearRecordingJournal();
                                     recordingProcess = null;
                                     currentRecordingPath = null;
                                     if (mainWindow && !timelineAdded) {
@@ -1042,8 +1496,10 @@ async function startRecording(event, options) {
                         setTimeout(attemptRecording, 1000); // Wait 1 second before retry
                     });
 
+                    // Level lines feed the silence warning and stay out of the log
+                    const readOutput = audioLevelService.createRecordingReader();
                     recordingProcess.stderr.on('data', (data) => {
-                        const stderrOutput = data.toString().trim();
+                        const stderrOutput = readOutput(data).trim();
                         if (stderrOutput) {
                             debugLog(`FFmpeg stderr: ${stderrOutput}`);
 
@@ -1065,6 +1521,7 @@ async function startRecording(event, options) {
                         if (currentAttempt >= fallbackCommands.length) {
                             debugLog(`All camera recording attempts failed due to errors`);
                             isRecording = false;
+                            clearRecordingJournal();
                             recordingProcess = null;
                             const errorFilePath = currentRecordingPath;
                             currentRecordingPath = null;
@@ -1089,9 +1546,9 @@ async function startRecording(event, options) {
                     debugLog(`Error getting audio device for regular camera: ${error.message}`);
                     // Fallback to video-only recording
                     const fallbackCommands = [
-                        `${getFFmpegPath()} -f dshow -framerate ${options.framerate || '30'} -video_size 1920x1080 -i video="${cleanCameraName}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -flush_packets 1 ${targetResolution !== '1920x1080' ? `-vf scale=${targetResolution}` : ''} "${outputPath}"`,
-                        `${getFFmpegPath()} -f dshow -framerate ${options.framerate || '30'} -i video="${cleanCameraName}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -flush_packets 1 ${targetResolution !== '1920x1080' ? `-vf scale=${targetResolution}` : ''} "${outputPath}"`,
-                        `${getFFmpegPath()} -f dshow -framerate ${options.framerate || '30'} -video_size 1280x720 -i video="${cleanCameraName}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -flush_packets 1 -vf scale=${targetResolution} "${outputPath}"`
+                        `${getFFmpegPath()} ${cameraInputCommand(cleanCameraName, options.framerate || '30', '1920x1080')} ${videoEncodingCommand(encodingProfile)} -flush_packets 1 ${filterCommand(targetResolution !== '1920x1080' ? [`scale=${targetResolution}`] : [], encodingProfile)} ${outputCommand(outputPath)}`,
+                        `${getFFmpegPath()} ${cameraInputCommand(cleanCameraName, options.framerate || '30')} ${videoEncodingCommand(encodingProfile)} -flush_packets 1 ${filterCommand(targetResolution !== '1920x1080' ? [`scale=${targetResolution}`] : [], encodingProfile)} ${outputCommand(outputPath)}`,
+                        `${getFFmpegPath()} ${cameraInputCommand(cleanCameraName, options.framerate || '30', '1280x720')} ${videoEncodingCommand(encodingProfile)} -flush_packets 1 ${filterCommand([`scale=${targetResolution}`], encodingProfile)} ${outputCommand(outputPath)}`
                     ];
 
                     let currentAttempt = 0;
@@ -1105,7 +1562,7 @@ async function startRecording(event, options) {
             }
         } else {
             // Screen/window recording uses array execution
-            recordingProcess = spawn(getFFmpegPath(), args);
+            recordingProcess = spawn(getFFmpegPath(), getSegmentArgs());
         }
         // Set recording state to true for all recording types
         isRecording = true;
@@ -1117,92 +1574,113 @@ async function startRecording(event, options) {
         // Note: For camera recording, error handling is done inside the fallback system
         // For non-camera recording, set up error handling here
         if (options.sourceType !== 'camera') {
-            recordingProcess.on('error', (error) => {
-                debugLog(`Recording process error: ${error.message}`);
-                isRecording = false;
-                recordingProcess = null;
+            const attachScreenHandlers = () => {
+                recordingProcess.on('error', (error) => {
+                    debugLog(`Recording process error: ${error.message}`);
+                    isRecording = false;
+                    clearRecordingJournal();
+                    recordingProcess = null;
 
-                if (mainWindow) {
-                    mainWindow.webContents.send('recording:completed', {
-                        success: false,
-                        error: `Recording process error: ${error.message}`
-                    });
-                }
-            });
+                    if (mainWindow) {
+                        mainWindow.webContents.send('recording:completed', {
+                            success: false,
+                            error: `Recording process error: ${error.message}`
+                        });
+                    }
+                });
 
-            recordingProcess.on('close', (code, signal) => {
-                debugLog(`Recording process closed with code: ${code}, signal: ${signal}`);
-                isRecording = false;
-                recordingProcess = null;
+                recordingProcess.on('close', async (code, signal) => {
+                    debugLog(`Recording process closed with code: ${code}, signal: ${signal}`);
 
-                if (code === 0 && mainWindow && !timelineAdded) {
-                    // Successfully completed recording
-                    timelineAdded = true;
-                    addRecordingToTimeline(null, outputPath).then(result => {
-                        mainWindow.webContents.send('recording:completed', {
-                            success: true,
-                            filePath: outputPath,
-                            timelineResult: result
+                    if (isPaused) {
+                        // Segment ended by pauseRecording or a switch - keep it for the final concat
+                        keepRecordingSegment(outputPath);
+                        return;
+                    }
+                    if (await holdForFollowedWindow(outputPath)) {
+                        return;
+                    }
+
+                    isRecording = false;
+                    clearRecordingJournal();
+                    recordingProcess = null;
+
+                    if (code === 0 && mainWindow && !timelineAdded) {
+                        // Successfully completed recording
+                        timelineAdded = true;
+                        finishSegmentedRecording(outputPath).then(result => {
+                            mainWindow.webContents.send('recording:completed', {
+                                success: true,
+                                filePath: outputPath,
+                                timelineResult: result
+                            });
                         });
-                    });
-                } else if (code !== null && code !== 0) {
-                    // For camera recordings, exit code 1 is expected when manually stopped via taskkill
-                    // Check if this was a camera recording by checking if the file exists and has content
-                    try {
-                        const fs = require('fs');
-                        if (fs.existsSync(outputPath)) {
-                            const stats = fs.statSync(outputPath);
-                            if (stats.size > 1024) { // At least 1KB - indicates a valid recording
-                                debugLog(`Recording completed with exit code ${code}, but file is valid (${stats.size} bytes)`);
-                                if (mainWindow && !timelineAdded) {
-                                    timelineAdded = true;
-                                    addRecordingToTimeline(null, outputPath).then(result => {
-                                        mainWindow.webContents.send('recording:completed', {
-                                            success: true,
-                                            filePath: outputPath,
-                                            timelineResult: result,
-                                            warning: `Recording completed with exit code ${code} (normal for cameras)`
+                    } else if (code !== null && code !== 0) {
+                        // For camera recordings, exit code 1 is expected when manually stopped via taskkill
+                        // Check if this was a camera recording by checking if the file exists and has content
+                        try {
+                            const fs = require('fs');
+                            if (fs.existsSync(outputPath)) {
+                                const stats = fs.statSync(outputPath);
+                                if (stats.size > 1024) { // At least 1KB - indicates a valid recording
+                                    debugLog(`Recording completed with exit code ${code}, but file is valid (${stats.size} bytes)`);
+                                    if (mainWindow && !timelineAdded) {
+                                        timelineAdded = true;
+                                        finishSegmentedRecording(outputPath).then(result => {
+                                            mainWindow.webContents.send('recording:completed', {
+                                                success: true,
+                                                filePath: outputPath,
+                                                timelineResult: result,
+                                                warning: `Recording completed with exit code ${code} (normal for cameras)`
+                                            });
                                         });
-                                    });
+                                    }
+                                    return;
                                 }
-                                return;
                             }
+                        } catch (fileCheckError) {
+                            debugLog(`Error checking recording file: ${fileCheckError.message}`);
                         }
-                    } catch (fileCheckError) {
-                        debugLog(`Error checking recording file: ${fileCheckError.message}`);
+
+                        // FFmpeg exited with error and file is invalid or missing
+                        debugLog(`FFmpeg failed with exit code ${code}`);
+                        if (mainWindow) {
+                            mainWindow.webContents.send('recording:completed', {
+                                success: false,
+                                error: `FFmpeg recording failed with exit code ${code}`
+                            });
+                        }
+                    } else if (signal) {
+                        // Process was killed by signal
+                        debugLog(`Recording process killed by signal: ${signal}`);
                     }
+                });
 
-                    // FFmpeg exited with error and file is invalid or missing
-                    debugLog(`FFmpeg failed with exit code ${code}`);
-                    if (mainWindow) {
-                        mainWindow.webContents.send('recording:completed', {
-                            success: false,
-                            error: `FFmpeg recording failed with exit code ${code}`
-                        });
+                recordingProcess.stderr.on('data', (data) => {
+                    const stderrOutput = data.toString().trim();
+                    if (stderrOutput) {
+                        debugLog(`FFmpeg stderr: ${stderrOutput}`);
                     }
-                } else if (signal) {
-                    // Process was killed by signal
-                    debugLog(`Recording process killed by signal: ${signal}`);
-                }
-            });
+                });
 
-            recordingProcess.stderr.on('data', (data) => {
-                const stderrOutput = data.toString().trim();
-                if (stderrOutput) {
-                    debugLog(`FFmpeg stderr: ${stderrOutput}`);
-                }
-            });
+                recordingProcess.stdin.on('error', (error) => {
+                    debugLog(`FFmpeg stdin error: ${error.message}`);
+                });
 
-            recordingProcess.stdin.on('error', (error) => {
-                debugLog(`FFmpeg stdin error: ${error.message}`);
-            });
+                recordingProcess.stdout.on('data', (data) => {
+                    const stdoutOutput = data.toString().trim();
+                    if (stdoutOutput) {
+                        debugLog(`FFmpeg stdout: ${stdoutOutput}`);
+                    }
+                });
+            };
 
-            recordingProcess.stdout.on('data', (data) => {
-                const stdoutOutput = data.toString().trim();
-                if (stdoutOutput) {
-                    debugLog(`FFmpeg stdout: ${stdoutOutput}`);
-                }
-            });
+            attachScreenHandlers();
+            segmentService.startSession(outputPath);
+            resumeRecordingSegment = () => {
+                recordingProcess = spawn(getFFmpegPath(), getSegmentArgs());
+                attachScreenHandlers();
+            };
 
             debugLog(`Recording started: ${outputPath}`);
         } else {
@@ -1214,24 +1692,42 @@ async function startRecording(event, options) {
     } catch (error) {
         debugLog(`Failed to start recording: ${error.message}`);
         isRecording = false;
+        clearRecordingJournal();
         recordingProcess = null;
         return { success: false, error: error.message };
     }
 }
 
+// Join paused segments into the output file (no-op if never paused), then add it to the timeline
+async function finishSegmentedRecording(outputPath) {
+    try {
+        // The concat demuxer drops the segments' tags, so they are written again
+        const { pausedSpans, sidecarPath } = await segmentService.finalize(getFFmpegPath(), metadataArgs(outputPath));
+        if (sidecarPath) {
+            debugLog(`Recording had ${pausedSpans.length} pauses, listed in ${sidecarPath}`);
+        }
+    } catch (error) {
+        debugLog(`Failed to join recording segments: ${error.message}`);
+        return { success: false, error: `Failed to join recording segments: ${error.message}` };
+    }
+
+    return addRecordingToTimeline(null, outputPath);
+}
+
 // Handle dual recording completion
-async function handleDualRecordingCompletion(primaryPath, cameraPath) {
+async function handleDualRecordingCompletion(primaryPath, cameraPath, syncOffset = null) {
     try {
         debugLog(`Handling dual recording completion: Primary=${primaryPath}, Camera=${cameraPath}`);
 
         // Reset recording state
         isRecording = false;
+        clearRecordingJournal();
         recordingProcess = null;
         dualRecordingProcesses = null;
         dualRecordingPaths = null;
 
         // Add both recordings to timeline on separate tracks
-        const result = await addDualRecordingToTimeline(primaryPath, cameraPath);
+        const result = await addDualRecordingToTimeline(primaryPath, cameraPath, syncOffset);
 
         if (mainWindow) {
             mainWindow.webContents.send('recording:completed', {
@@ -1243,40 +1739,204 @@ async function handleDualRecordingCompletion(primaryPath, cameraPath) {
             });
         }
 
-    } catch (error) {
-        debugLog(`Error handling dual recording completion: ${error.message}`);
-        if (mainWindow) {
-            mainWindow.webContents.send('recording:completed', {
-                success: false,
-                error: `Timeline integration failed: ${error.message}`,
-                dualRecording: true,
-                filePath: primaryPath,
-                cameraPath: cameraPath
-            });
+    } catch (error) {
+        debugLog(`Error handling dual recording completion: ${error.message}`);
+        if (mainWindow) {
+            mainWindow.webContents.send('recording:completed', {
+                success: false,
+                error: `Timeline integration failed: ${error.message}`,
+                dualRecording: true,
+                filePath: primaryPath,
+                cameraPath: cameraPath
+            });
+        }
+    }
+}
+
+// Parse a "1920x1080" resolution reported by Resolve
+function parseResolveResolution(value) {
+    const match = /^(\d+)\s*x\s*(\d+)$/.exec(String(value || '').trim());
+    return match ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) } : null;
+}
+
+// Import a recording into its Media Pool bin, with its metadata, clip color and keywords
+async function importToMediaPool(mediaStorage, mediaPool, filePath) {
+    const metadata = metadataService.get(filePath);
+    const sourceType = metadata ? metadata.tags.source_type : MediaPoolService.getSourceTypeFromPath(filePath);
+    const binPath = MediaPoolService.getBinPath(mediaPoolService.getBinTemplate(), { sourceType, date: new Date() });
+
+    // Clips are imported into the current bin, which is put back afterwards
+    const previousFolder = await mediaPool.GetCurrentFolder();
+    const bin = await mediaPoolService.openBin(mediaPool, binPath);
+    let clips;
+    try {
+        clips = await mediaStorage.AddItemListToMediaPool([filePath]);
+    } finally {
+        if (bin && previousFolder) {
+            await mediaPool.SetCurrentFolder(previousFolder);
+        }
+    }
+
+    if (clips && clips.length > 0) {
+        if (bin) {
+            debugLog(`Imported ${path.basename(filePath)} into bin ${binPath.join('/')}`);
+        }
+        // Timecode and tags of the recording, searchable in the Media Pool
+        await metadataService.applyToClip(clips[0], filePath);
+        await mediaPoolService.labelClip(clips[0], sourceType);
+        await queueMediaJobs(filePath, clips[0]);
+    }
+    return clips;
+}
+
+// Queue a recording's poster frame and, if proxies are on, a proxy linked to its media pool item
+async function queueMediaJobs(filePath, clip = null) {
+    const thumbnailPath = libraryService.getThumbnailPath(path.basename(filePath));
+    mediaJobService.queueThumbnail(filePath, thumbnailPath, LibraryService.getThumbnailArgs(filePath, thumbnailPath), getFFmpegPath());
+    await mediaJobService.queueProxy(filePath, getFFmpegPath(), clip);
+}
+
+// Tell the library panel a poster frame or proxy is ready
+function handleMediaJobComplete(job) {
+    if (job.success && mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('library:updated', { type: job.type, name: path.basename(job.filePath) });
+    }
+}
+
+// Import one recording of a dual recording into the media pool
+async function importRecording(mediaStorage, mediaPool, filePath) {
+    await containerService.prepareForImport(filePath, getFFmpegPath());
+
+    const clips = await importToMediaPool(mediaStorage, mediaPool, filePath);
+    if (!clips || clips.length === 0) {
+        throw new Error(`Failed to import media file ${path.basename(filePath)}`);
+    }
+    return clips[0];
+}
+
+// Move and scale the camera clip to the PiP layout
+async function applyPipTransform(timeline, cameraClip, cameraItem, layout) {
+    const timelineSize = {
+        width: parseInt(await timeline.GetSetting('timelineResolutionWidth'), 10),
+        height: parseInt(await timeline.GetSetting('timelineResolutionHeight'), 10)
+    };
+    const cameraSize = parseResolveResolution(await cameraClip.GetClipProperty('Resolution'));
+    if (!timelineSize.width || !timelineSize.height || !cameraSize) {
+        debugLog('Unknown timeline or camera resolution, camera left full frame');
+        return false;
+    }
+
+    const transform = PipService.getTimelineTransform(layout, timelineSize, cameraSize);
+    let applied = true;
+    for (const [property, value] of Object.entries(transform)) {
+        if (!(await cameraItem.SetProperty(property, value))) {
+            debugLog(`Failed to set camera ${property} to ${value}`);
+            applied = false;
         }
     }
+    return applied;
+}
+
+// Record frame offsets that make the camera and screen clips start at the same moment
+async function getDualRecordingFrameOffsets(timeline, syncOffset) {
+    const frameRate = parseFloat(await timeline.GetSetting('timelineFrameRate'));
+    if (syncOffset === null || !(frameRate > 0)) {
+        debugLog('Dual recording start offset unknown, clips placed at the same frame');
+        return { first: 0, second: 0 };
+    }
+
+    const offsets = SyncService.getFrameOffsets(syncOffset, frameRate);
+    debugLog(`Camera started ${Math.round(syncOffset * 1000)} ms after the screen, delaying screen by ${offsets.first} and camera by ${offsets.second} frames`);
+    return offsets;
+}
+
+// Keep the screen and camera clips together as the layout asks
+async function joinDualRecordingClips(timeline, items, join, name) {
+    if (join === 'link') {
+        return Boolean(await timeline.SetClipsLinked(items, true));
+    }
+    if (join === 'compound') {
+        return Boolean(await timeline.CreateCompoundClip(items, { name }));
+    }
+    return true;
 }
 
-// Add dual recording to timeline (separate tracks)
-async function addDualRecordingToTimeline(primaryPath, cameraPath) {
+// Add dual recording to timeline: screen and camera lined up by their measured start offset
+// (seconds the camera started after the screen), camera on the track above as PiP
+async function addDualRecordingToTimeline(primaryPath, cameraPath, syncOffset = null) {
     try {
         debugLog(`Adding dual recording to timeline: Primary=${primaryPath}, Camera=${cameraPath}`);
 
-        // Add primary recording to timeline first
-        const primaryResult = await addRecordingToTimeline(null, primaryPath);
-        debugLog(`Primary recording timeline result:`, primaryResult);
+        const resolve = await getResolve();
+        if (!resolve) {
+            return { success: false, error: 'Failed to connect to DaVinci Resolve', primaryPath, cameraPath };
+        }
+
+        const mediaStorage = await resolve.GetMediaStorage();
+        const mediaPool = await getMediaPool();
+        const project = await getCurrentProject();
+        if (!mediaStorage || !mediaPool || !project) {
+            return { success: false, error: 'Failed to get the current project and media pool', primaryPath, cameraPath };
+        }
+
+        const screenClip = await importRecording(mediaStorage, mediaPool, primaryPath);
+        const cameraClip = await importRecording(mediaStorage, mediaPool, cameraPath);
+
+        // The placement policy picks the timeline, record frame and tracks; a new timeline starts with the recording
+        const placement = timelinePlacementService.getPlacement();
+        const { timeline, createdNewTimeline } = await timelinePlacementService.getTimeline(mediaPool, project, placement);
+        const timelineName = await timeline.GetName();
+        const policy = createdNewTimeline ? { ...placement, mode: 'append' } : placement;
+
+        // Both clips start at the target frame, the one that started first delayed to match
+        const frameRate = parseFloat(await timeline.GetSetting('timelineFrameRate')) || 30;
+        const offsets = await getDualRecordingFrameOffsets(timeline, syncOffset);
+        const screenLength = await timelinePlacementService.getClipLength(screenClip, frameRate);
+        const cameraLength = await timelinePlacementService.getClipLength(cameraClip, frameRate);
+        const duration = Math.max(screenLength.duration + offsets.first, cameraLength.duration + offsets.second);
+
+        // The camera needs a video track above the screen
+        const target = await timelinePlacementService.getTarget(timeline, policy, duration, 2);
+        const screenTrack = target.videoTrack;
+        const cameraTrack = screenTrack + 1;
+        await timelinePlacementService.ensureTracks(timeline, 'video', cameraTrack);
+        if (target.audioTrack) {
+            await timelinePlacementService.ensureTracks(timeline, 'audio', target.audioTrack);
+        }
 
-        // Add camera recording to timeline
-        const cameraResult = await addRecordingToTimeline(null, cameraPath);
-        debugLog(`Camera recording timeline result:`, cameraResult);
+        const screenInfos = TimelinePlacementService.getClipInfos(screenClip,
+            { ...target, recordFrame: target.recordFrame + offsets.first }, screenLength.frames);
+        const cameraInfos = TimelinePlacementService.getClipInfos(cameraClip,
+            { recordFrame: target.recordFrame + offsets.second, videoTrack: cameraTrack, audioTrack: 0 }, cameraLength.frames);
+        const items = await mediaPool.AppendToTimeline([...screenInfos, ...cameraInfos]);
+        if (!items || items.length < screenInfos.length + cameraInfos.length) {
+            return { success: false, error: 'Failed to place the recordings on the timeline', primaryPath, cameraPath };
+        }
+        debugLog(`Dual recording placed at frame ${target.recordFrame} on video tracks ${screenTrack} and ${cameraTrack}`);
+
+        const layout = pipService.getLayout();
+        const transformed = await applyPipTransform(timeline, cameraClip, items[screenInfos.length], layout);
+        const clipName = `PiP ${path.basename(primaryPath, path.extname(primaryPath))}`;
+        const joined = await joinDualRecordingClips(timeline, items, layout.timelineJoin, clipName);
+        if (!joined) {
+            debugLog(`Failed to ${layout.timelineJoin} the dual recording clips`);
+        }
 
         return {
-            success: primaryResult.success && cameraResult.success,
+            success: true,
+            timelineName,
+            createdNewTimeline,
             primaryPath,
             cameraPath,
-            primaryResult,
-            cameraResult,
-            dualRecording: true
+            mode: policy.mode,
+            recordFrame: target.recordFrame,
+            screenTrack,
+            cameraTrack,
+            transformed,
+            joined,
+            syncOffset,
+            dualRecording: true,
+            message: `Dual recording added to timeline "${timelineName}" (screen on track ${screenTrack}, camera on track ${cameraTrack})`
         };
 
     } catch (error) {
@@ -1342,6 +2002,382 @@ async function stopDualRecording() {
     }
 }
 
+// Start replay buffer - captures continuously, keeping only the last N seconds
+async function startReplayBuffer(event, options) {
+    // A recording counting down has not set isRecording yet
+    if (isRecording || isStartingRecording) {
+        return { success: false, error: 'Stop the current recording before starting the replay buffer' };
+    }
+
+    if (options.sourceType === 'camera' || options.dualRecording) {
+        return { success: false, error: 'Replay buffer supports desktop, region and window capture' };
+    }
+
+    const audioDeviceError = await checkAudioDevices(options);
+    if (audioDeviceError) {
+        return { success: false, error: audioDeviceError };
+    }
+
+    let region = null;
+    if (options.region === 'selection') {
+        try {
+            region = await selectRecordingRegion(options);
+            if (!region) {
+                return { success: false, error: 'Region selection cancelled' };
+            }
+        } catch (error) {
+            return { success: false, error: 'Region selection failed: ' + error.message };
+        }
+    }
+
+    try {
+        region = applyCaptureArea(options, region);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+
+    // Buffer segments are MPEG-TS, so only MP4-friendly profiles can be used as-is
+    const selectedProfile = encoderProfileService.getProfile(options.encodingProfileId);
+    const encodingProfile = selectedProfile.extension === '.mp4' ? selectedProfile : EncoderProfileService.getDefaultProfile();
+    if (encodingProfile !== selectedProfile) {
+        debugLog(`${selectedProfile.name} cannot be buffered in MPEG-TS segments, using ${encodingProfile.name}`);
+    }
+
+    // Background media jobs must not compete with the capture
+    mediaJobService.suspend();
+    try {
+        if (hardwareEncoderService.needsProbe(encodingProfile)) {
+            await hardwareEncoderService.probe(getFFmpegPath());
+        }
+        const args = ffmpegService.generateFFmpegArgs({ ...options, encodingProfile }, region);
+        const audioDevices = getSelectedAudioDevices(options);
+        if (audioDevices.length > 0) {
+            args.unshift(...audioDevices.flatMap(device => captureBackend.getAudioInputArgs(device)));
+            args.push(...FFmpegService.getAudioTrackArgs(getAudioTrackNames(audioDevices), audioDevices.length, 0));
+            args.push(...EncoderProfileService.getAudioArgs(encodingProfile));
+        }
+
+        const result = replayBufferService.start(args, {
+            ffmpegPath: getFFmpegPath(),
+            framerate: options.framerate,
+            duration: options.replayDuration
+        });
+        debugLog(result.success ? `Replay buffer started (${result.duration}s)` : `Replay buffer failed: ${result.error}`);
+        return result;
+    } catch (error) {
+        debugLog(`Failed to start replay buffer: ${error.message}`);
+        return { success: false, error: error.message };
+    } finally {
+        mediaJobService.resume();
+    }
+}
+
+// Stop replay buffer
+async function stopReplayBuffer() {
+    return replayBufferService.stop();
+}
+
+// Save replay buffer - stitch the buffered segments and add them to the timeline
+async function saveReplayBuffer() {
+    if (!replayBufferService.isRunning()) {
+        return { success: false, error: 'Replay buffer is not running' };
+    }
+
+    ensureRecordingsDir();
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const outputPath = path.join(RECORDINGS_DIR, `replay-${timestamp}.mp4`);
+
+    const result = await replayBufferService.save(outputPath, getFFmpegPath());
+    if (!result.success) {
+        debugLog(`Failed to save replay buffer: ${result.error}`);
+        return result;
+    }
+
+    const timelineResult = await addRecordingToTimeline(null, outputPath);
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('recording:completed', {
+            success: true,
+            filePath: outputPath,
+            timelineResult,
+            replay: true
+        });
+    }
+
+    return { success: true, filePath: outputPath, timelineResult };
+}
+
+// Pause recording - ends the current ffmpeg segment
+async function pauseRecording(event) {
+    if (!isRecording || isPaused || !recordingProcess) {
+        return { success: false, error: 'No active recording to pause' };
+    }
+
+    if (!resumeRecordingSegment) {
+        return { success: false, error: 'Pause is only supported for screen, window and region recordings' };
+    }
+
+    isPaused = true;
+    segmentService.markPaused();
+    scheduleService.stopClock();
+    recordingOverlay.setPaused(true);
+    // A paused recording is expected to be silent
+    audioLevelService.stopRecordingMonitor();
+
+    try {
+        recordingProcess.stdin.write('q');
+    } catch (error) {
+        debugLog(`Failed to write to stdin, killing process: ${error.message}`);
+        recordingProcess.kill('SIGTERM');
+    }
+
+    debugLog('Recording paused');
+    return { success: true };
+}
+
+// Resume recording - starts a new ffmpeg segment
+async function resumeRecording(event) {
+    if (!isRecording || !isPaused) {
+        return { success: false, error: 'Recording is not paused' };
+    }
+
+    if (recordingProcess) {
+        return { success: false, error: 'Previous segment is still being finalized' };
+    }
+
+    segmentService.markResumed();
+    scheduleService.startClock();
+    recordingOverlay.setPaused(false);
+    isPaused = false;
+    if (windowHold === 'paused') {
+        // Resumed by hand or because the followed window is back
+        windowHold = null;
+    }
+    resumeRecordingSegment();
+    startSilenceMonitor(recordingAudioDevices);
+
+    debugLog('Recording resumed');
+    return { success: true };
+}
+
+// Keep the segment ffmpeg has just closed, and start the next one if the segment was switched
+function keepRecordingSegment(outputPath) {
+    recordingProcess = null;
+    const segmentPath = segmentService.keepSegment(outputPath);
+    const startNext = nextRecordingSegment;
+    nextRecordingSegment = null;
+    if (startNext && isRecording) {
+        startNext(segmentPath);
+    }
+}
+
+// End the current segment without pausing; startNext(segmentPath) runs once it has been kept
+function switchRecordingSegment(startNext) {
+    isPaused = true; // The close handler keeps the segment instead of finishing the recording
+    nextRecordingSegment = startNext;
+
+    try {
+        recordingProcess.stdin.write('q');
+    } catch (error) {
+        debugLog(`Failed to write to stdin, killing process: ${error.message}`);
+        recordingProcess.kill('SIGTERM');
+    }
+}
+
+// Start a new segment of the followed window, e.g. with its new handle or size
+function restartWindowSegment() {
+    switchRecordingSegment(() => {
+        isPaused = false;
+        resumeRecordingSegment();
+    });
+}
+
+// Record the last frame of the followed window while it is gone; the audio and the clock keep going
+function freezeRecording() {
+    windowHold = 'frozen';
+    switchRecordingSegment(holdLastFrame);
+}
+
+// Start a segment showing the last frame of a kept segment (runs while the recording is marked paused)
+async function holdLastFrame(segmentPath) {
+    const framePath = segmentPath ? await segmentService.extractLastFrame(segmentPath, getFFmpegPath()) : null;
+    if (!isRecording) {
+        // Stopped while the frame was being saved, after the segments were joined
+        if (framePath) {
+            fs.rmSync(framePath, { force: true });
+        }
+        return;
+    }
+
+    if (windowHold !== 'frozen') {
+        // The window came back while the frame was being saved
+        isPaused = false;
+        resumeRecordingSegment();
+    } else if (framePath) {
+        frozenFramePath = framePath;
+        isPaused = false;
+        resumeRecordingSegment();
+        debugLog(`Holding the last frame of the followed window: ${framePath}`);
+    } else {
+        // Nothing to hold, so pause instead
+        holdPausedForWindow();
+        sendRecordingStateChanged('Window gone - recording paused until it is back');
+    }
+}
+
+// Pause a recording whose window is gone, once no segment is being recorded
+function holdPausedForWindow() {
+    windowHold = 'paused';
+    segmentService.markPaused();
+    scheduleService.stopClock();
+    recordingOverlay.setPaused(true);
+    audioLevelService.stopRecordingMonitor();
+}
+
+// ffmpeg stops by itself when the followed window is destroyed, usually before the next poll
+// notices; look the window up first, so its closed or minimized policy applies instead of the
+// recording just finishing. Returns true when the close handler has nothing more to do
+async function holdForFollowedWindow(outputPath) {
+    // A timed recording ends when its time is up, whatever the window does
+    const remaining = scheduleService.getRemaining();
+    if (!windowFollowService.isFollowing() || !resumeRecordingSegment || (remaining !== null && remaining <= 1)) {
+        return false;
+    }
+
+    // Treated like a pause being finalized while the window is looked up: stop, pause and resume wait
+    isPaused = true;
+    let check;
+    try {
+        check = await windowFollowService.check();
+    } catch (error) {
+        check = { success: false, error: error.message };
+    }
+    if (!isRecording) {
+        return true;
+    }
+
+    if (!check.success || check.state === 'visible') {
+        // The window is still there (or unknown), so ffmpeg ended for another reason
+        isPaused = false;
+        return false;
+    }
+
+    const policy = windowFollowService.getSettings()[check.state];
+    const reason = check.state === 'minimized' ? 'Window minimized' : 'Window closed';
+    debugLog(`${reason} and its capture ended, policy: ${policy}`);
+    if (policy === 'stop') {
+        isPaused = false;
+        sendRecordingStateChanged(`${reason} - recording stopped`, true);
+        return false;
+    }
+
+    recordingProcess = null;
+    const segmentPath = segmentService.keepSegment(outputPath);
+    if (policy === 'pause') {
+        holdPausedForWindow();
+        sendRecordingStateChanged(`${reason} - recording paused until it is back`);
+    } else {
+        windowHold = 'frozen';
+        sendRecordingStateChanged(`${reason} - holding its last frame until it is back`);
+        holdLastFrame(segmentPath);
+    }
+    return true;
+}
+
+// Go back to capturing the followed window after a freeze
+function thawRecording() {
+    const wasHolding = frozenFramePath !== null;
+    windowHold = null;
+    frozenFramePath = null;
+
+    // While the frame is still being saved, capture resumes once it is; a recording paused by hand resumes live
+    if (wasHolding && !isPaused && recordingProcess) {
+        restartWindowSegment();
+    }
+}
+
+// Tell the renderer the recording was paused, resumed or stopped outside its buttons
+function sendRecordingStateChanged(notice = null, stopping = false) {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('recording:stateChanged', { paused: isPaused && windowHold !== 'frozen', stopping, notice });
+    }
+}
+
+// Apply the minimized/closed policy when the followed window changes, and pick it up again when it is back
+async function handleFollowedWindowChange({ state, window, restart }) {
+    if (!isRecording || !resumeRecordingSegment) {
+        return;
+    }
+
+    if (state === 'visible') {
+        if (windowHold === 'paused') {
+            const result = await resumeRecording(null);
+            if (result.success) {
+                sendRecordingStateChanged(`Window is back - recording resumed: ${window.title}`);
+            }
+        } else if (windowHold === 'frozen') {
+            thawRecording();
+            sendRecordingStateChanged(isPaused ? null : `Window is back - recording resumed: ${window.title}`);
+        } else if (restart && !isPaused && recordingProcess) {
+            debugLog(`Capturing the followed window again: ${window.title}`);
+            restartWindowSegment();
+        }
+        return;
+    }
+
+    const policy = windowFollowService.getSettings()[state];
+    const reason = state === 'minimized' ? 'Window minimized' : 'Window closed';
+    debugLog(`${reason}, policy: ${policy}`);
+
+    if (policy === 'stop') {
+        const result = await stopRecording(null);
+        if (result.success) {
+            sendRecordingStateChanged(`${reason} - recording stopped`, true);
+        }
+    } else if (windowHold || isPaused || !recordingProcess) {
+        // Already held (e.g. minimized, then closed), paused by hand or between segments
+        return;
+    } else if (policy === 'pause') {
+        const result = await pauseRecording(null);
+        if (result.success) {
+            windowHold = 'paused';
+            sendRecordingStateChanged(`${reason} - recording paused until it is back`);
+        }
+    } else {
+        freezeRecording();
+        sendRecordingStateChanged(`${reason} - holding its last frame until it is back`);
+    }
+}
+
+// Stop a paused recording - no ffmpeg process is running, so join the segments directly
+async function stopPausedRecording() {
+    if (recordingProcess) {
+        return { success: false, error: 'Previous segment is still being finalized' };
+    }
+
+    windowFollowService.stop();
+    const outputPath = currentRecordingPath;
+    segmentService.markResumed();
+    isPaused = false;
+    isRecording = false;
+    clearRecordingJournal();
+    resumeRecordingSegment = null;
+    currentRecordingPath = null;
+    originalRecordingPath = null;
+
+    if (mainWindow && !timelineAdded) {
+        timelineAdded = true;
+        finishSegmentedRecording(outputPath).then(result => {
+            mainWindow.webContents.send('recording:completed', {
+                success: true,
+                filePath: outputPath,
+                timelineResult: result
+            });
+        });
+    }
+
+    return { success: true };
+}
+
 // Stop screen recording
 async function stopRecording(event) {
     if (!isRecording) {
@@ -1356,11 +2392,19 @@ async function stopRecording(event) {
             return stopDualRecording();
         }
 
+        if (isPaused) {
+            debugLog('Stopping paused recording');
+            return stopPausedRecording();
+        }
+
         if (!recordingProcess) {
             debugLog('No single recording process found');
             return { success: false, error: 'No recording process found' };
         }
 
+        // ffmpeg closing now is the stop, not the followed window going away
+        windowFollowService.stop();
+
         debugLog(`Attempting to stop recording process. PID: ${recordingProcess.pid}, Killed: ${recordingProcess.killed}`);
 
         // Check if this is a shell process by examining spawnargs or other properties
@@ -1446,6 +2490,7 @@ async function stopRecording(event) {
                 const completedFilePath = currentRecordingPath || originalRecordingPath;
                 recordingProcess = null;
                 isRecording = false;
+                clearRecordingJournal();
                 currentRecordingPath = null;
                 originalRecordingPath = null;
 
@@ -1584,6 +2629,7 @@ async function stopRecording(event) {
                 // Reset state regardless of kill success
                 recordingProcess = null;
                 isRecording = false;
+                clearRecordingJournal();
                 currentRecordingPath = null;
                 originalRecordingPath = null;
             }
@@ -1599,6 +2645,7 @@ async function stopRecording(event) {
         debugLog(`Failed to stop recording: ${error.message}`);
         // Reset state on error
         isRecording = false;
+        clearRecordingJournal();
         recordingProcess = null;
         currentRecordingPath = null;
         originalRecordingPath = null;
@@ -1627,30 +2674,29 @@ async function getRecordingSettings() {
     };
 }
 
-// List all recordings in the recordings directory
+// Paths of the files being recorded right now
+function getRecordingPathsInUse() {
+    if (!isRecording) {
+        return [];
+    }
+    return [currentRecordingPath, dualRecordingPaths && dualRecordingPaths.camera].filter(Boolean);
+}
+
+// List all recordings in the recordings directory, with their details for the library panel
 async function listRecordings() {
     try {
         ensureRecordingsDir();
-
-        if (!fs.existsSync(RECORDINGS_DIR)) {
-            return [];
-        }
-
-        const files = fs.readdirSync(RECORDINGS_DIR)
-            .filter(file => file.endsWith('.mp4'))
-            .map(file => {
-                const filePath = path.join(RECORDINGS_DIR, file);
-                const stats = fs.statSync(filePath);
-                return {
-                    name: file,
-                    path: filePath,
-                    size: stats.size,
-                    modified: stats.mtime
-                };
-            })
-            .sort((a, b) => b.modified - a.modified); // Sort by modification time, newest first
-
-        return files;
+        const recordings = await libraryService.list(getFFmpegPath(), getRecordingPathsInUse());
+
+        // Poster frames missing from older recordings are made in the background
+        recordings
+            .filter(recording => !recording.thumbnail && !recording.inUse)
+            .forEach(recording => {
+                const thumbnailPath = libraryService.getThumbnailPath(recording.name);
+                mediaJobService.queueThumbnail(recording.path, thumbnailPath,
+                    LibraryService.getThumbnailArgs(recording.path, thumbnailPath), getFFmpegPath());
+            });
+        return recordings;
 
     } catch (error) {
         debugLog(`Failed to list recordings: ${error.message}`);
@@ -1658,6 +2704,68 @@ async function listRecordings() {
     }
 }
 
+// Get a library recording that is not being recorded right now
+function getLibraryRecording(name) {
+    const filePath = libraryService.getRecordingPath(name);
+    if (!filePath) {
+        throw new Error(`Recording ${name} not found`);
+    }
+    if (getRecordingPathsInUse().includes(filePath)) {
+        throw new Error(`${name} is still being recorded`);
+    }
+    return filePath;
+}
+
+// Import a library recording into the current timeline again
+async function importLibraryRecording(event, name) {
+    try {
+        return await addRecordingToTimeline(event, getLibraryRecording(name));
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Show a library recording in the file manager
+function revealLibraryRecording(event, name) {
+    try {
+        shell.showItemInFolder(getLibraryRecording(name));
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Rename a library recording
+function renameLibraryRecording(event, name, newName) {
+    try {
+        const filePath = getLibraryRecording(name);
+        mediaJobService.cancel(filePath);
+        const result = libraryService.rename(name, newName);
+        if (result.success) {
+            MediaJobService.moveProxy(filePath, result.path);
+        }
+        return result;
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Move a library recording to the trash
+async function deleteLibraryRecording(event, name) {
+    try {
+        const filePath = getLibraryRecording(name);
+        mediaJobService.cancel(filePath);
+        await shell.trashItem(filePath);
+        libraryService.forget(name);
+        MediaJobService.removeProxy(filePath);
+        debugLog(`Moved recording to trash: ${filePath}`);
+        return { success: true };
+    } catch (error) {
+        debugLog(`Failed to delete recording ${name}: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
 // DaVinci Resolve API Functions
 
 // Function to log into renderer window console
@@ -1759,6 +2867,9 @@ async function addRecordingToTimeline(event, filePath) {
     try {
         debugLog(`Adding recording to timeline: ${filePath}`);
 
+        // Fragmented MP4 is remuxed first; other containers import as they are
+        await containerService.prepareForImport(filePath, getFFmpegPath());
+
         // Initialize Resolve interface
         const resolve = await getResolve();
         if (!resolve) {
@@ -1778,7 +2889,7 @@ async function addRecordingToTimeline(event, filePath) {
         }
 
         // Import the media file
-        const clips = await mediaStorage.AddItemListToMediaPool([filePath]);
+        const clips = await importToMediaPool(mediaStorage, mediaPool, filePath);
         if (!clips || clips.length === 0) {
             return { success: false, error: 'Failed to import media file' };
         }
@@ -1789,109 +2900,21 @@ async function addRecordingToTimeline(event, filePath) {
             return { success: false, error: 'Failed to get current project' };
         }
 
-        // Get current timeline
-        let timeline = await project.GetCurrentTimeline();
-        let timelineName;
-        let createdNewTimeline = false;
-
-        if (!timeline) {
-            // No current timeline, create a new one
-            timelineName = `Screen Recording - ${new Date().toLocaleString()}`;
-            timeline = await mediaPool.CreateTimelineFromClips(timelineName, clips);
-            createdNewTimeline = true;
-
-            if (!timeline) {
-                return { success: false, error: 'Failed to create timeline' };
-            }
-
-            // Set the new timeline as current
-            const success = await project.SetCurrentTimeline(timeline);
-            if (!success) {
-                return { success: false, error: 'Failed to set current timeline' };
-            }
-
-            debugLog(`Created new timeline: ${timelineName}`);
-        } else {
-            // Use existing timeline
-            timelineName = await timeline.GetName();
-            debugLog(`Using existing timeline: ${timelineName}`);
-
-            // Add clips to current timeline at cursor position
-            try {
-                // Get current timeline position (playhead position)
-                const currentTimecode = await timeline.GetCurrentTimecode();
-                debugLog(`Current timecode: ${currentTimecode}`);
-
-                // Try different methods to add clip to timeline
-                let success = false;
-
-                // Method 1: Try to insert at current position
-                try {
-                    const insertResult = await timeline.InsertClips([clips[0]], currentTimecode);
-                    if (insertResult) {
-                        debugLog('Clip inserted at cursor position');
-                        success = true;
-                    }
-                } catch (insertError) {
-                    debugLog(`InsertClips failed: ${insertError.message}`);
-                }
-
-                // Method 2: Try to drop clip at current position
-                if (!success) {
-                    try {
-                        const dropResult = await timeline.DropClips([clips[0]], currentTimecode);
-                        if (dropResult) {
-                            debugLog('Clip dropped at cursor position');
-                            success = true;
-                        }
-                    } catch (dropError) {
-                        debugLog(`DropClips failed: ${dropError.message}`);
-                    }
-                }
-
-                // Method 3: Try to append to end of timeline
-                if (!success) {
-                    try {
-                        const appendResult = await mediaPool.AppendToTimeline([clips[0]]);
-                        if (appendResult) {
-                            debugLog('Clip appended to timeline');
-                            success = true;
-                        }
-                    } catch (appendError) {
-                        debugLog(`AppendToTimeline failed: ${appendError.message}`);
-                    }
-                }
-
-                // Method 4: Try to drop clip at end of timeline
-                if (!success) {
-                    try {
-                        const endResult = await timeline.DropClips([clips[0]], null);
-                        if (endResult) {
-                            debugLog('Clip dropped at end of timeline');
-                            success = true;
-                        }
-                    } catch (endError) {
-                        debugLog(`DropClips (end) failed: ${endError.message}`);
-                    }
-                }
-
-                if (!success) {
-                    return { success: false, error: 'Failed to add clip to timeline using any available method' };
-                }
-
-            } catch (timelineError) {
-                return { success: false, error: `Timeline error: ${timelineError.message}` };
-            }
-        }
+        // Place the clip as the placement policy chosen in the renderer says
+        const placement = await timelinePlacementService.place(mediaPool, project, clips[0]);
 
-        debugLog(`Successfully added recording to timeline: ${timelineName}`);
+        debugLog(`Successfully added recording to timeline: ${placement.timelineName}`);
         return {
             success: true,
-            timelineName: timelineName,
-            createdNewTimeline: createdNewTimeline,
-            message: createdNewTimeline ?
-                `Recording added to new timeline "${timelineName}"` :
-                `Recording added to existing timeline "${timelineName}"`
+            timelineName: placement.timelineName,
+            createdNewTimeline: placement.createdNewTimeline,
+            placement: {
+                mode: placement.mode,
+                recordFrame: placement.recordFrame,
+                videoTrack: placement.videoTrack,
+                audioTrack: placement.audioTrack
+            },
+            message: placement.message
         };
 
     } catch (error) {
@@ -1943,16 +2966,65 @@ function createWindow() {
 
 // Register IPC handlers
 function registerHandlers() {
-    ipcMain.handle('recording:start', startRecording);
+    ipcMain.handle('recording:start', startMonitoredRecording);
     ipcMain.handle('recording:stop', stopRecording);
+    ipcMain.handle('recording:pause', pauseRecording);
+    ipcMain.handle('recording:resume', resumeRecording);
+    ipcMain.handle('profiles:list', () => ({
+        profiles: encoderProfileService.getProfiles(),
+        selectedId: encoderProfileService.getSelectedProfileId()
+    }));
+    ipcMain.handle('profiles:select', (event, id) => encoderProfileService.selectProfile(id));
+    ipcMain.handle('profiles:save', (event, profile) => encoderProfileService.saveProfile(profile));
+    ipcMain.handle('profiles:delete', (event, id) => encoderProfileService.deleteProfile(id));
+    ipcMain.handle('encoders:list', async (event, refresh = false) => ({
+        encoders: await hardwareEncoderService.probe(getFFmpegPath(), refresh),
+        selected: hardwareEncoderService.getSelectedEncoder()
+    }));
+    ipcMain.handle('encoders:select', (event, api) => hardwareEncoderService.selectEncoder(api));
+    ipcMain.handle('containers:list', () => ({
+        containers: CONFIG.RECORDING.CONTAINERS.map(({ id, name, profileExtensions }) => ({ id, name, profileExtensions })),
+        selectedId: containerService.getSelectedContainer()
+    }));
+    ipcMain.handle('containers:select', (event, id) => containerService.selectContainer(id));
+    ipcMain.handle('pip:getLayout', () => pipService.getLayout());
+    ipcMain.handle('pip:saveLayout', (event, layout) => pipService.saveLayout(layout));
+    ipcMain.handle('mediaPool:getBin', () => mediaPoolService.getBinTemplate());
+    ipcMain.handle('mediaPool:saveBin', (event, template) => mediaPoolService.saveBinTemplate(template));
+    ipcMain.handle('timeline:getPlacement', () => timelinePlacementService.getPlacement());
+    ipcMain.handle('timeline:savePlacement', (event, placement) => timelinePlacementService.savePlacement(placement));
+    ipcMain.handle('media:getProxySettings', () => mediaJobService.getProxySettings());
+    ipcMain.handle('media:saveProxySettings', (event, settings) => mediaJobService.saveProxySettings(settings));
+    ipcMain.handle('audio:startMeter', startAudioMeter);
+    ipcMain.handle('audio:stopMeter', stopAudioMeter);
+    ipcMain.handle('audio:testDevice', testAudioDevice);
+    ipcMain.handle('replay:start', startReplayBuffer);
+    ipcMain.handle('replay:stop', stopReplayBuffer);
+    ipcMain.handle('replay:save', saveReplayBuffer);
+    ipcMain.handle('replay:isRunning', () => replayBufferService.isRunning());
     ipcMain.handle('recording:getSettings', getRecordingSettings);
     ipcMain.handle('recording:isRecording', () => isRecording);
     ipcMain.handle('recording:listRecordings', listRecordings);
+    ipcMain.handle('schedule:create', scheduleRecording);
+    ipcMain.handle('schedule:cancel', () => scheduleService.cancel());
+    ipcMain.handle('schedule:getStatus', () => scheduleService.getStatus());
+    ipcMain.handle('overlay:getSettings', () => recordingOverlay.getSettings());
+    ipcMain.handle('overlay:saveSettings', (event, settings) => recordingOverlay.saveSettings(settings));
+    ipcMain.handle('windowFollow:getSettings', () => windowFollowService.getSettings());
+    ipcMain.handle('windowFollow:saveSettings', (event, settings) => windowFollowService.saveSettings(settings));
+    ipcMain.handle('regions:list', () => savedRegionService.list());
+    ipcMain.handle('regions:delete', deleteSavedRegion);
+    ipcMain.handle('library:import', importLibraryRecording);
+    ipcMain.handle('library:reveal', revealLibraryRecording);
+    ipcMain.handle('library:rename', renameLibraryRecording);
+    ipcMain.handle('library:delete', deleteLibraryRecording);
     ipcMain.handle('resolve:addToTimeline', addRecordingToTimeline);
     ipcMain.handle('sources:update', updateAvailableSources);
     ipcMain.handle('sources:getWindows', getAvailableWindows);
     ipcMain.handle('sources:getCameras', getAvailableCameras);
-    ipcMain.handle('sources:getAudioDevices', () => availableAudioDevices);
+    ipcMain.handle('sources:getDisplays', getDisplayList);
+    ipcMain.handle('sources:getAudioDevices', () => audioDeviceService.getDevices());
+    ipcMain.handle('audio:selectDevices', (event, ids) => audioDeviceService.selectDevices(ids));
 }
 
 app.whenReady().then(() => {
@@ -1964,8 +3036,22 @@ app.whenReady().then(() => {
     registerHandlers();
     createWindow();
     ensureRecordingsDir();
+
+    // Test the hardware encoders in the background, so a recording with one selected rarely waits
+    hardwareEncoderService.probe(getFFmpegPath()).catch(error => debugLog(`Hardware encoder probe failed: ${error.message}`));
+
+    // Check for recordings cut off by a crash once the UI is up
+    mainWindow.webContents.once('did-finish-load', () => {
+        recoverInterruptedRecordings().catch(error => debugLog(`Crash recovery failed: ${error.message}`));
+    });
     setupGlobalShortcuts();
 
+    // Keep the monitor picker in step with plugged in, removed or rescaled displays
+    const { screen } = require('electron');
+    ['display-added', 'display-removed', 'display-metrics-changed'].forEach(eventName => {
+        screen.on(eventName, () => sendSourcesUpdated());
+    });
+
     // Update sources after a short delay
     setTimeout(() => {
         updateAvailableSources();
@@ -1990,6 +3076,10 @@ app.on('before-quit', () => {
     if (isRecording && recordingProcess) {
         recordingProcess.kill();
     }
+    if (replayBufferService.isRunning()) {
+        replayBufferService.stop();
+    }
+    audioLevelService.stopMeters();
     cleanupGlobalShortcuts();
 });
 
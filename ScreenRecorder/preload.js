@@ -4,10 +4,79 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Recording controls
     startRecording: (options) => ipcRenderer.invoke('recording:start', options),
     stopRecording: () => ipcRenderer.invoke('recording:stop'),
+    pauseRecording: () => ipcRenderer.invoke('recording:pause'),
+    resumeRecording: () => ipcRenderer.invoke('recording:resume'),
     getRecordingSettings: () => ipcRenderer.invoke('recording:getSettings'),
     isRecording: () => ipcRenderer.invoke('recording:isRecording'),
     listRecordings: () => ipcRenderer.invoke('recording:listRecordings'),
 
+    // Scheduled and timed recordings
+    scheduleRecording: (schedule, options) => ipcRenderer.invoke('schedule:create', schedule, options),
+    cancelScheduledRecording: () => ipcRenderer.invoke('schedule:cancel'),
+    getScheduleStatus: () => ipcRenderer.invoke('schedule:getStatus'),
+
+    // Countdown and recording indicator
+    getOverlaySettings: () => ipcRenderer.invoke('overlay:getSettings'),
+    saveOverlaySettings: (settings) => ipcRenderer.invoke('overlay:saveSettings', settings),
+
+    // Followed window in window capture
+    getWindowFollowSettings: () => ipcRenderer.invoke('windowFollow:getSettings'),
+    saveWindowFollowSettings: (settings) => ipcRenderer.invoke('windowFollow:saveSettings', settings),
+
+    // Saved regions
+    getSavedRegions: () => ipcRenderer.invoke('regions:list'),
+    deleteSavedRegion: (name) => ipcRenderer.invoke('regions:delete', name),
+
+    // Recordings library
+    importLibraryRecording: (name) => ipcRenderer.invoke('library:import', name),
+    revealLibraryRecording: (name) => ipcRenderer.invoke('library:reveal', name),
+    renameLibraryRecording: (name, newName) => ipcRenderer.invoke('library:rename', name, newName),
+    deleteLibraryRecording: (name) => ipcRenderer.invoke('library:delete', name),
+
+    // Proxy media made after each recording
+    getProxySettings: () => ipcRenderer.invoke('media:getProxySettings'),
+    saveProxySettings: (settings) => ipcRenderer.invoke('media:saveProxySettings', settings),
+
+    // Encoding profiles
+    getEncodingProfiles: () => ipcRenderer.invoke('profiles:list'),
+    selectEncodingProfile: (id) => ipcRenderer.invoke('profiles:select', id),
+    saveEncodingProfile: (profile) => ipcRenderer.invoke('profiles:save', profile),
+    deleteEncodingProfile: (id) => ipcRenderer.invoke('profiles:delete', id),
+
+    // Hardware encoders
+    getHardwareEncoders: (refresh) => ipcRenderer.invoke('encoders:list', refresh),
+    selectHardwareEncoder: (api) => ipcRenderer.invoke('encoders:select', api),
+
+    // Output containers
+    getContainers: () => ipcRenderer.invoke('containers:list'),
+    selectContainer: (id) => ipcRenderer.invoke('containers:select', id),
+
+    // Picture-in-picture layout
+    getPipLayout: () => ipcRenderer.invoke('pip:getLayout'),
+    savePipLayout: (layout) => ipcRenderer.invoke('pip:saveLayout', layout),
+
+    // Media Pool bin for imported recordings
+    getMediaPoolBin: () => ipcRenderer.invoke('mediaPool:getBin'),
+    saveMediaPoolBin: (template) => ipcRenderer.invoke('mediaPool:saveBin', template),
+
+    // Timeline placement of imported recordings
+    getTimelinePlacement: () => ipcRenderer.invoke('timeline:getPlacement'),
+    saveTimelinePlacement: (placement) => ipcRenderer.invoke('timeline:savePlacement', placement),
+
+    // Audio devices
+    selectAudioDevices: (ids) => ipcRenderer.invoke('audio:selectDevices', ids),
+
+    // Audio levels
+    startAudioMeter: (device) => ipcRenderer.invoke('audio:startMeter', device),
+    stopAudioMeter: () => ipcRenderer.invoke('audio:stopMeter'),
+    testAudioDevice: (device) => ipcRenderer.invoke('audio:testDevice', device),
+
+    // Replay buffer
+    startReplayBuffer: (options) => ipcRenderer.invoke('replay:start', options),
+    stopReplayBuffer: () => ipcRenderer.invoke('replay:stop'),
+    saveReplayBuffer: () => ipcRenderer.invoke('replay:save'),
+    isReplayBufferRunning: () => ipcRenderer.invoke('replay:isRunning'),
+
     // DaVinci Resolve integration
     addToTimeline: (filePath) => ipcRenderer.invoke('resolve:addToTimeline', filePath),
 
@@ -15,15 +84,24 @@ contextBridge.exposeInMainWorld('electronAPI', {
     updateSources: () => ipcRenderer.invoke('sources:update'),
     getWindows: () => ipcRenderer.invoke('sources:getWindows'),
     getCameras: () => ipcRenderer.invoke('sources:getCameras'),
+    getDisplays: () => ipcRenderer.invoke('sources:getDisplays'),
     getSources: async () => {
         const windows = await ipcRenderer.invoke('sources:getWindows');
         const cameras = await ipcRenderer.invoke('sources:getCameras');
-        return { windows, cameras };
+        const displays = await ipcRenderer.invoke('sources:getDisplays');
+        return { windows, cameras, displays };
     },
 
     // Recording events
     onRecordingCompleted: (callback) => ipcRenderer.on('recording:completed', callback),
+    onRecordingStateChanged: (callback) => ipcRenderer.on('recording:stateChanged', callback),
+    onSavedRegionsUpdated: (callback) => ipcRenderer.on('regions:updated', callback),
     onSourcesUpdated: (callback) => ipcRenderer.on('sources-updated', callback),
+    onAudioLevel: (callback) => ipcRenderer.on('audio:level', callback),
+    onAudioSilence: (callback) => ipcRenderer.on('audio:silence', callback),
+    onLibraryUpdated: (callback) => ipcRenderer.on('library:updated', callback),
+    onScheduleTick: (callback) => ipcRenderer.on('schedule:tick', callback),
+    onScheduledRecordingStarted: (callback) => ipcRenderer.on('schedule:started', callback),
     onGlobalShortcutStart: (callback) => ipcRenderer.on('global-shortcut-start', callback),
     onGlobalShortcutStop: (callback) => ipcRenderer.on('global-shortcut-stop', callback),
     onGlobalShortcutToggle: (callback) => ipcRenderer.on('global-shortcut-toggle', callback),
@@ -1,17 +1,54 @@
 let isRecording = false;
+let isPaused = false;
+let isReplayRunning = false;
+let encodingProfiles = [];
+let containers = [];
 let recordingSettings = null;
+let meteredAudioDevice = null; // Device the preview level meter is running for
+let silentAudioDevices = new Set(); // Recorded devices that have stayed silent
+
+// Margins, borders and corners are previewed as on a 1920-pixel-wide recording
+const PIP_PREVIEW_REFERENCE_WIDTH = 1920;
+let pipPreviewStream = null;
+let libraryRequest = 0; // Only the latest library listing is shown
+let libraryRenaming = false; // Background updates wait until a rename is finished
+
+// Saved regions are listed under Recording Region as "saved:<name>"
+const SAVED_REGION_PREFIX = 'saved:';
+
+const AUDIO_DEVICE_GROUPS = [
+    { type: 'microphone', label: 'Microphones' },
+    { type: 'loopback', label: 'System audio' },
+    { type: 'virtual', label: 'Virtual devices' }
+];
 
 // DOM elements (will be initialized after DOM loads)
-let startBtn, stopBtn, statusText, ffmpegStatus, refreshBtn;
+let startBtn, stopBtn, pauseBtn, resumeBtn, replayBtn, saveReplayBtn, statusText, ffmpegStatus, refreshBtn;
 let framerateSelect, resolutionSelect, regionSelect;
-let windowSelect, cameraSelect, audioSelect;
-let windowSelectGroup, cameraSelectGroup, dualRecordingGroup, cameraDualGroup;
-let recordDualMode, cameraDualSelect;
+let windowSelect, cameraSelect, audioSelect, displaySelect;
+let windowTitlePatternInput, windowMinimizedPolicySelect, windowClosedPolicySelect;
+let windowSelectGroup, cameraSelectGroup, displaySelectGroup, dualRecordingGroup, cameraDualGroup;
+let recordDualMode, cameraDualSelect, replayDurationSelect, encodingProfileSelect, videoEncoderSelect, containerSelect;
+let saveProfileBtn, saveProfileAsNewBtn, deleteProfileBtn;
+let audioMeterLevel, audioMeterToggle, testAudioBtn;
+let pipGroup, pipComposite, pipSettings, pipPositionSelect, pipSizeInput, pipMarginInput;
+let pipCornerRadiusInput, pipBorderWidthInput, pipBorderColorInput, pipPreview, pipPreviewCamera;
+let pipTimelineJoinGroup, pipTimelineJoinSelect;
+let mediaPoolBinInput;
+let timelinePlacementSelect, timelineVideoTrackSelect, timelineAudioTrackSelect, proxyMediaSelect;
+let libraryList, refreshLibraryBtn, recordingsDirText;
+let scheduleStartInput, scheduleDurationInput, scheduleBtn, cancelScheduleBtn;
+let countdownSelect, recordingIndicatorToggle;
+let savedRegionOptions, savedRegionGroup, deleteSavedRegionBtn;
 
 // Initialize DOM elements
 function initializeDOMElements() {
     startBtn = document.getElementById('startBtn');
     stopBtn = document.getElementById('stopBtn');
+    pauseBtn = document.getElementById('pauseBtn');
+    resumeBtn = document.getElementById('resumeBtn');
+    replayBtn = document.getElementById('replayBtn');
+    saveReplayBtn = document.getElementById('saveReplayBtn');
     refreshBtn = document.getElementById('refreshBtn');
     statusText = document.getElementById('status');
     ffmpegStatus = document.getElementById('ffmpegStatus');
@@ -19,14 +56,59 @@ function initializeDOMElements() {
     resolutionSelect = document.getElementById('resolution');
     regionSelect = document.getElementById('region');
     windowSelect = document.getElementById('windowSelect');
+    windowTitlePatternInput = document.getElementById('windowTitlePattern');
+    windowMinimizedPolicySelect = document.getElementById('windowMinimizedPolicy');
+    windowClosedPolicySelect = document.getElementById('windowClosedPolicy');
     cameraSelect = document.getElementById('cameraSelect');
     audioSelect = document.getElementById('audioSelect');
+    displaySelect = document.getElementById('displaySelect');
     windowSelectGroup = document.getElementById('windowSelectGroup');
     cameraSelectGroup = document.getElementById('cameraSelectGroup');
+    displaySelectGroup = document.getElementById('displaySelectGroup');
     dualRecordingGroup = document.getElementById('dualRecordingGroup');
     cameraDualGroup = document.getElementById('cameraDualGroup');
     recordDualMode = document.getElementById('recordDualMode');
     cameraDualSelect = document.getElementById('cameraDualSelect');
+    replayDurationSelect = document.getElementById('replayDuration');
+    scheduleStartInput = document.getElementById('scheduleStart');
+    scheduleDurationInput = document.getElementById('scheduleDuration');
+    scheduleBtn = document.getElementById('scheduleBtn');
+    cancelScheduleBtn = document.getElementById('cancelScheduleBtn');
+    countdownSelect = document.getElementById('countdown');
+    recordingIndicatorToggle = document.getElementById('recordingIndicator');
+    savedRegionOptions = document.getElementById('savedRegionOptions');
+    savedRegionGroup = document.getElementById('savedRegionGroup');
+    deleteSavedRegionBtn = document.getElementById('deleteSavedRegionBtn');
+    encodingProfileSelect = document.getElementById('encodingProfile');
+    videoEncoderSelect = document.getElementById('videoEncoder');
+    containerSelect = document.getElementById('container');
+    mediaPoolBinInput = document.getElementById('mediaPoolBin');
+    timelinePlacementSelect = document.getElementById('timelinePlacement');
+    timelineVideoTrackSelect = document.getElementById('timelineVideoTrack');
+    timelineAudioTrackSelect = document.getElementById('timelineAudioTrack');
+    proxyMediaSelect = document.getElementById('proxyMedia');
+    libraryList = document.getElementById('libraryList');
+    refreshLibraryBtn = document.getElementById('refreshLibraryBtn');
+    recordingsDirText = document.getElementById('recordingsDir');
+    saveProfileBtn = document.getElementById('saveProfileBtn');
+    saveProfileAsNewBtn = document.getElementById('saveProfileAsNewBtn');
+    deleteProfileBtn = document.getElementById('deleteProfileBtn');
+    audioMeterLevel = document.getElementById('audioMeterLevel');
+    audioMeterToggle = document.getElementById('audioMeterToggle');
+    testAudioBtn = document.getElementById('testAudioBtn');
+    pipGroup = document.getElementById('pipGroup');
+    pipComposite = document.getElementById('pipComposite');
+    pipSettings = document.getElementById('pipSettings');
+    pipPositionSelect = document.getElementById('pipPosition');
+    pipSizeInput = document.getElementById('pipSize');
+    pipMarginInput = document.getElementById('pipMargin');
+    pipCornerRadiusInput = document.getElementById('pipCornerRadius');
+    pipBorderWidthInput = document.getElementById('pipBorderWidth');
+    pipBorderColorInput = document.getElementById('pipBorderColor');
+    pipTimelineJoinGroup = document.getElementById('pipTimelineJoinGroup');
+    pipTimelineJoinSelect = document.getElementById('pipTimelineJoin');
+    pipPreview = document.getElementById('pipPreview');
+    pipPreviewCamera = document.getElementById('pipPreviewCamera');
 }
 
 // Initialize
@@ -46,16 +128,53 @@ async function init() {
             startBtn.disabled = true;
         }
 
+        // Recordings library; reading durations can take a while, and poster frames arrive as they are made
+        recordingsDirText.textContent = recordingSettings.recordingsDir;
+        refreshLibraryBtn.addEventListener('click', loadLibrary);
+        loadLibrary();
+        window.electronAPI.onLibraryUpdated(() => {
+            if (!libraryRenaming) {
+                loadLibrary();
+            }
+        });
+
         // Listen for recording completion
         window.electronAPI.onRecordingCompleted((event, data) => {
             handleRecordingCompleted(data);
         });
 
+        // Pause, resume and stop pressed on the on-screen indicator, or applied when the followed window changes
+        window.electronAPI.onRecordingStateChanged((event, data) => {
+            handleRecordingStateChanged(data);
+        });
+
         // Listen for sources updates
         window.electronAPI.onSourcesUpdated((event, data) => {
             updateSourceLists(data);
         });
 
+        // Listen for audio levels and silent inputs
+        window.electronAPI.onAudioLevel((event, data) => {
+            if (data.device === getMeteredAudioDevice()) {
+                showAudioLevel(data);
+            }
+        });
+
+        window.electronAPI.onAudioSilence((event, data) => {
+            handleAudioSilence(data);
+        });
+
+        // Scheduled recordings are started by the main process, which keeps counting down while the window is minimized
+        scheduleBtn.addEventListener('click', scheduleRecording);
+        cancelScheduleBtn.addEventListener('click', cancelScheduledRecording);
+        window.electronAPI.onScheduleTick((event, status) => {
+            showScheduleStatus(status);
+        });
+        window.electronAPI.onScheduledRecordingStarted((event, result) => {
+            handleScheduledRecordingStarted(result);
+        });
+        showScheduleStatus(await window.electronAPI.getScheduleStatus());
+
         // Listen for global shortcuts
         window.electronAPI.onGlobalShortcutStart(() => {
             handleGlobalShortcutStart();
@@ -75,6 +194,57 @@ async function init() {
         // Setup dual mode change listener
         recordDualMode.addEventListener('change', handleDualModeChange);
 
+        // Setup picture-in-picture listeners
+        pipComposite.addEventListener('change', updatePipSettingsVisibility);
+        cameraDualSelect.addEventListener('change', restartPipPreview);
+        [pipPositionSelect, pipSizeInput, pipMarginInput, pipCornerRadiusInput, pipBorderWidthInput, pipBorderColorInput,
+            pipTimelineJoinSelect]
+            .forEach(input => input.addEventListener('change', handlePipLayoutChange));
+        await loadPipLayout();
+
+        // Setup encoding profile listeners
+        encodingProfileSelect.addEventListener('change', handleEncodingProfileChange);
+        saveProfileBtn.addEventListener('click', () => saveEncodingProfile(false));
+        saveProfileAsNewBtn.addEventListener('click', () => saveEncodingProfile(true));
+        deleteProfileBtn.addEventListener('click', deleteEncodingProfile);
+        containerSelect.addEventListener('change', handleContainerChange);
+        await loadContainers();
+        mediaPoolBinInput.addEventListener('change', handleMediaPoolBinChange);
+        mediaPoolBinInput.value = await window.electronAPI.getMediaPoolBin();
+        [timelinePlacementSelect, timelineVideoTrackSelect, timelineAudioTrackSelect].forEach(select => {
+            select.addEventListener('change', handleTimelinePlacementChange);
+        });
+        await loadTimelinePlacement();
+        proxyMediaSelect.addEventListener('change', handleProxyMediaChange);
+        await loadProxySettings();
+        [countdownSelect, recordingIndicatorToggle].forEach(input => {
+            input.addEventListener('change', handleOverlaySettingsChange);
+        });
+        await loadOverlaySettings();
+        [windowMinimizedPolicySelect, windowClosedPolicySelect].forEach(select => {
+            select.addEventListener('change', handleWindowFollowSettingsChange);
+        });
+        await loadWindowFollowSettings();
+        deleteSavedRegionBtn.addEventListener('click', deleteSavedRegion);
+        window.electronAPI.onSavedRegionsUpdated((event, data) => {
+            updateSavedRegionList(data.regions);
+            if (data.error) {
+                statusText.textContent = `Region not saved: ${data.error}`;
+                statusText.style.color = 'red';
+            }
+        });
+        updateSavedRegionList(await window.electronAPI.getSavedRegions());
+        await loadEncodingProfiles();
+
+        // Setup audio meter listeners
+        audioSelect.addEventListener('change', handleAudioDeviceChange);
+        audioMeterToggle.addEventListener('change', updateAudioMeter);
+        testAudioBtn.addEventListener('click', testAudioDevice);
+
+        // Hardware encoder probe runs test encodes, so don't hold up the sources
+        videoEncoderSelect.addEventListener('change', handleVideoEncoderChange);
+        loadHardwareEncoders();
+
         // Initial sources update
         await updateSources();
 
@@ -88,12 +258,19 @@ async function init() {
 async function handleRecordingCompleted(data) {
     if (data.success) {
         isRecording = false;
+        isPaused = false;
         updateRecordingUI();
 
+        // Recording meters have stopped, so bring the preview meter back
+        silentAudioDevices.clear();
+        meteredAudioDevice = null;
+        updateAudioMeter();
+        updatePipSettingsVisibility();
+
         if (data.dualRecording) {
             // Handle dual recording completion
             if (data.timelineResult && data.timelineResult.success) {
-                statusText.textContent = `✅ Dual recording added to timeline (screen on track 1, camera on track 2)`;
+                statusText.textContent = `✅ ${data.timelineResult.message}`;
                 statusText.style.color = 'green';
 
                 const screenFileName = data.filePath ? data.filePath.split(/[\\\/]/).pop() : 'Unknown screen file';
@@ -109,12 +286,14 @@ async function handleRecordingCompleted(data) {
                 const timelineError = data.timelineResult ? data.timelineResult.error : 'Unknown error';
                 const screenLocation = data.filePath || 'Unknown screen location';
                 const cameraLocation = data.cameraPath || 'Unknown camera location';
-                alert(`⚠️ Dual recording completed but automatic timeline integration failed: ${timelineError}\n\nManual import required:\n\nScreen recording: ${screenLocation}\nCamera recording: ${cameraLocation}\n\nIn DaVinci Resolve, you can:\n1. Go to Media Pool\n2. Right-click and import media\n3. Navigate to the recordings folder\n4. Import both files\n5. Place screen recording on track 1\n6. Place camera recording on track 2\n7. Position camera as overlay in bottom-right corner`);
+                alert(`⚠️ Dual recording completed but automatic timeline integration failed: ${timelineError}\n\nManual import required:\n\nScreen recording: ${screenLocation}\nCamera recording: ${cameraLocation}\n\nIn DaVinci Resolve, you can:\n1. Go to Media Pool\n2. Right-click and import media\n3. Navigate to the recordings folder\n4. Import both files\n5. Place screen recording on track 1\n6. Place camera recording on track 2\n7. Position camera as overlay in bottom-right corner\n\nTip: enable picture-in-picture to record a single file with the camera already composited`);
             }
         } else {
             // Handle single recording completion
             if (data.timelineResult && data.timelineResult.success) {
-                if (data.timelineResult.createdNewTimeline) {
+                if (data.timelineResult.message) {
+                    statusText.textContent = `✅ ${data.timelineResult.message}`;
+                } else if (data.timelineResult.createdNewTimeline) {
                     statusText.textContent = `✅ Recording added to new timeline: ${data.timelineResult.timelineName}`;
                 } else {
                     statusText.textContent = `✅ Recording added to existing timeline: ${data.timelineResult.timelineName}`;
@@ -135,88 +314,140 @@ async function handleRecordingCompleted(data) {
         statusText.textContent = `Recording failed: ${data.error}`;
         statusText.style.color = 'red';
     }
+
+    loadLibrary();
 }
 
 // Update recording UI state
 function updateRecordingUI() {
+    pauseBtn.style.display = isPaused ? 'none' : '';
+    testAudioBtn.disabled = isRecording;
+    resumeBtn.style.display = isPaused ? '' : 'none';
+
     if (isRecording) {
         startBtn.disabled = true;
         stopBtn.disabled = false;
-        statusText.textContent = 'Recording in progress...';
-        statusText.style.color = 'red';
+        pauseBtn.disabled = false;
+        resumeBtn.disabled = false;
+        statusText.textContent = isPaused ? 'Recording paused' : 'Recording in progress...';
+        statusText.style.color = isPaused ? 'orange' : 'red';
     } else {
         startBtn.disabled = false;
         stopBtn.disabled = true;
+        pauseBtn.disabled = true;
         statusText.textContent = 'Ready to record';
         statusText.style.color = 'black';
     }
+
+    updateReplayUI();
 }
 
-// Start recording
-async function startRecording() {
-    if (isRecording) return;
+// Build recording options from the current settings (null if a required choice is missing)
+function buildRecordingOptions() {
+    const region = regionSelect.value;
+    const options = {
+        framerate: framerateSelect.value,
+        resolution: resolutionSelect.value,
+        region: region
+    };
 
-    try {
-        const region = regionSelect.value;
-        let options = {
-            framerate: framerateSelect.value,
-            resolution: resolutionSelect.value,
-            region: region
-        };
+    // A saved region is recorded like a selected one, without the overlay
+    if (region.startsWith(SAVED_REGION_PREFIX)) {
+        options.region = 'selection';
+        options.savedRegionName = region.slice(SAVED_REGION_PREFIX.length);
+    }
 
-        // Add source-specific options
-        if (region === 'window') {
-            const selectedWindow = windowSelect.value;
-            if (selectedWindow) {
-                options.sourceType = 'window';
-                options.windowTitle = selectedWindow;
-            } else {
-                statusText.textContent = 'Please select a window to record';
-                return;
-            }
-        } else if (region === 'camera') {
-            const selectedCamera = cameraSelect.value;
-            if (selectedCamera) {
-                options.sourceType = 'camera';
-                options.cameraName = selectedCamera;
-            } else {
-                statusText.textContent = 'Please select a camera to record';
-                return;
-            }
+    // Add source-specific options
+    if (region === 'window') {
+        const selectedWindow = windowSelect.value;
+        if (selectedWindow) {
+            options.sourceType = 'window';
+            options.windowTitle = selectedWindow;
+            options.windowHandle = windowSelect.selectedOptions[0].dataset.handle || null;
+            options.windowPid = windowSelect.selectedOptions[0].dataset.pid || null;
+            options.windowTitlePattern = windowTitlePatternInput.value.trim();
         } else {
-            options.sourceType = 'desktop';
+            statusText.textContent = 'Please select a window to record';
+            return null;
         }
-
-        // Add dual recording option for any mode
-        if (recordDualMode.checked) {
-            const selectedDualCamera = cameraDualSelect.value;
-            if (selectedDualCamera) {
-                options.dualRecording = true;
-                options.dualCameraName = selectedDualCamera;
-                console.log(`Dual recording enabled: ${options.sourceType} + camera`);
-            } else {
-                statusText.textContent = 'Please select a camera for dual recording';
-                return;
-            }
+    } else if (region === 'camera') {
+        const selectedCamera = cameraSelect.value;
+        if (selectedCamera) {
+            options.sourceType = 'camera';
+            options.cameraName = selectedCamera;
+        } else {
+            statusText.textContent = 'Please select a camera to record';
+            return null;
         }
+    } else {
+        options.sourceType = 'desktop';
+        if (region === 'desktop' && displaySelect.value) {
+            options.displayId = displaySelect.value;
+        }
+    }
 
-        // Add audio device option
-        const selectedAudioDevice = audioSelect.value;
-        if (selectedAudioDevice) {
-            options.audioDevice = selectedAudioDevice;
-            console.log(`Using audio device: ${selectedAudioDevice}`);
+    // Add dual recording option for any mode
+    if (recordDualMode.checked) {
+        const selectedDualCamera = cameraDualSelect.value;
+        if (selectedDualCamera) {
+            options.dualRecording = true;
+            options.dualCameraName = selectedDualCamera;
+            options.pipComposite = pipComposite.checked;
+            console.log(`Dual recording enabled: ${options.sourceType} + camera`);
         } else {
-            console.log('No audio device selected, recording video only');
+            statusText.textContent = 'Please select a camera for dual recording';
+            return null;
         }
+    }
+
+    // Stop automatically after the set number of minutes
+    if (scheduleDurationInput.value) {
+        options.duration = Math.round(parseFloat(scheduleDurationInput.value) * 60);
+    }
 
+    // Add encoding profile option
+    if (encodingProfileSelect.value) {
+        options.encodingProfileId = encodingProfileSelect.value;
+    }
+
+    // Add audio devices - each one is recorded to its own track, in list order
+    const selectedAudioDevices = Array.from(audioSelect.selectedOptions)
+        .map(option => option.value)
+        .filter(Boolean);
+    if (selectedAudioDevices.length > 0) {
+        options.audioDevices = selectedAudioDevices;
+        options.audioDevice = selectedAudioDevices[0];
+        console.log(`Using audio devices: ${selectedAudioDevices.join(', ')}`);
+    } else {
+        console.log('No audio device selected, recording video only');
+    }
+
+    return options;
+}
+
+// Start recording
+async function startRecording() {
+    if (isRecording) return;
+
+    try {
+        const options = buildRecordingOptions();
+        if (!options) return;
+
+        // FFmpeg needs the camera the preview is holding
+        stopPipPreview();
+
+        // The countdown runs before the main process answers
+        statusText.textContent = 'Starting recording...';
         const result = await window.electronAPI.startRecording(options);
 
         if (result.success) {
             isRecording = true;
+            silentAudioDevices.clear();
             updateRecordingUI();
             statusText.textContent = 'Recording started...';
         } else {
             statusText.textContent = `Failed to start recording: ${result.error}`;
+            updatePipSettingsVisibility();
         }
 
     } catch (error) {
@@ -225,6 +456,133 @@ async function startRecording() {
     }
 }
 
+// Remember the chosen audio devices and move the level meter to the first one
+async function handleAudioDeviceChange() {
+    const ids = Array.from(audioSelect.selectedOptions).map(option => option.value).filter(Boolean);
+    try {
+        await window.electronAPI.selectAudioDevices(ids);
+    } catch (error) {
+        console.error('Failed to save audio devices:', error);
+    }
+    updateAudioMeter();
+}
+
+// Mention audio devices plugged in or removed since the last refresh
+function announceAudioDeviceChanges(added = [], removed = []) {
+    if (isRecording || (added.length === 0 && removed.length === 0)) return;
+
+    const changes = [
+        ...added.map(device => `${device.name} connected`),
+        ...removed.map(device => `${device.name} disconnected`)
+    ];
+    statusText.textContent = `Audio devices changed: ${changes.join(', ')}`;
+    statusText.style.color = removed.length > 0 ? 'orange' : 'green';
+}
+
+// Device shown on the level meter (the first selected audio device)
+function getMeteredAudioDevice() {
+    const option = Array.from(audioSelect.selectedOptions).find(option => option.value);
+    return option ? option.value : null;
+}
+
+// Start, move or stop the preview level meter to match the audio selection
+async function updateAudioMeter() {
+    // Levels come from the recording meters while recording
+    if (isRecording) return;
+
+    const device = audioMeterToggle.checked ? getMeteredAudioDevice() : null;
+    if (device === meteredAudioDevice) return;
+
+    meteredAudioDevice = device;
+    showAudioLevel(null);
+
+    try {
+        if (device) {
+            await window.electronAPI.startAudioMeter(device);
+        } else {
+            await window.electronAPI.stopAudioMeter();
+        }
+    } catch (error) {
+        console.error('Failed to update audio meter:', error);
+    }
+}
+
+// Draw a level on the meter (null clears it)
+function showAudioLevel(level) {
+    const floor = -60;
+    const peak = level ? level.peak : floor;
+    const percent = Math.max(0, Math.min(100, ((peak - floor) / -floor) * 100));
+
+    audioMeterLevel.style.width = `${percent}%`;
+    audioMeterLevel.classList.toggle('loud', peak > -12 && peak <= -1);
+    audioMeterLevel.classList.toggle('clipping', peak > -1);
+}
+
+// Warn on the status bar while a recorded device stays silent
+function handleAudioSilence(data) {
+    if (!isRecording) return;
+
+    if (data.silent) {
+        silentAudioDevices.add(data.device);
+        statusText.textContent = `⚠️ No sound from ${data.name} - check that it is connected and not muted`;
+        statusText.style.color = 'orange';
+    } else {
+        silentAudioDevices.delete(data.device);
+        if (silentAudioDevices.size === 0) {
+            updateRecordingUI();
+        }
+    }
+}
+
+// Record a few seconds from the selected audio device and play them back
+async function testAudioDevice() {
+    const device = getMeteredAudioDevice();
+    if (!device) {
+        statusText.textContent = 'Please select an audio device to test';
+        return;
+    }
+
+    try {
+        testAudioBtn.disabled = true;
+        statusText.textContent = 'Testing audio device - speak now (3 seconds)...';
+        statusText.style.color = 'black';
+
+        const result = await window.electronAPI.testAudioDevice(device);
+        if (!result.success) {
+            statusText.textContent = `Audio device test failed: ${result.error}`;
+            statusText.style.color = 'red';
+            return;
+        }
+
+        statusText.textContent = 'Playing back test recording...';
+        await playAudioData(result.data);
+        statusText.textContent = 'Audio device test finished';
+        statusText.style.color = 'green';
+    } catch (error) {
+        console.error('Failed to test audio device:', error);
+        statusText.textContent = 'Audio device test failed: ' + error.message;
+        statusText.style.color = 'red';
+    } finally {
+        testAudioBtn.disabled = isRecording;
+    }
+}
+
+// Play WAV data received from the main process
+function playAudioData(data) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([data], { type: 'audio/wav' }));
+        const audio = new Audio(url);
+        const finish = (error) => {
+            URL.revokeObjectURL(url);
+            error ? reject(error) : resolve();
+        };
+
+        audio.addEventListener('ended', () => finish());
+        audio.addEventListener('error', () => finish(new Error('Playback failed')));
+        audio.play().catch(finish);
+    });
+}
+
 // Stop recording
 async function stopRecording() {
     if (!isRecording) return;
@@ -244,6 +602,527 @@ async function stopRecording() {
     }
 }
 
+// Schedule a recording with the current settings for the chosen start time
+async function scheduleRecording() {
+    if (!scheduleStartInput.value) {
+        statusText.textContent = 'Please choose a start time';
+        return;
+    }
+
+    try {
+        const options = buildRecordingOptions();
+        if (!options) return;
+
+        scheduleBtn.disabled = true;
+        const startAt = new Date(scheduleStartInput.value).getTime();
+        const result = await window.electronAPI.scheduleRecording({ startAt, duration: options.duration }, options);
+
+        if (result.success) {
+            // FFmpeg will need the camera the preview is holding
+            stopPipPreview();
+            showScheduleStatus(await window.electronAPI.getScheduleStatus());
+        } else {
+            scheduleBtn.disabled = false;
+            statusText.textContent = `Failed to schedule recording: ${result.error}`;
+            statusText.style.color = 'red';
+        }
+
+    } catch (error) {
+        console.error('Failed to schedule recording:', error);
+        scheduleBtn.disabled = false;
+        statusText.textContent = 'Failed to schedule recording: ' + error.message;
+    }
+}
+
+// Cancel the scheduled recording
+async function cancelScheduledRecording() {
+    try {
+        const result = await window.electronAPI.cancelScheduledRecording();
+        if (result.success) {
+            updateRecordingUI();
+            updatePipSettingsVisibility();
+        } else {
+            statusText.textContent = `Failed to cancel scheduled recording: ${result.error}`;
+        }
+    } catch (error) {
+        console.error('Failed to cancel scheduled recording:', error);
+        statusText.textContent = 'Failed to cancel scheduled recording: ' + error.message;
+    }
+}
+
+// Show the countdown to a scheduled recording, or the time left of a timed one
+function showScheduleStatus(status) {
+    const waiting = status.state === 'waiting';
+    scheduleBtn.style.display = waiting ? 'none' : '';
+    scheduleBtn.disabled = false;
+    cancelScheduleBtn.style.display = waiting ? '' : 'none';
+
+    if (waiting) {
+        const stopAfter = status.duration ? `, stopping after ${formatDuration(status.duration)}` : '';
+        statusText.textContent = `Recording starts at ${new Date(status.startAt).toLocaleTimeString()} (in ${formatDuration(status.remaining)})${stopAfter}`;
+        statusText.style.color = 'black';
+    } else if (status.state === 'recording' && silentAudioDevices.size === 0) {
+        statusText.textContent = `Recording in progress... ${formatDuration(status.remaining)} left`;
+        statusText.style.color = 'red';
+    } else if (status.state === 'paused') {
+        statusText.textContent = `Recording paused - ${formatDuration(status.remaining)} left`;
+        statusText.style.color = 'orange';
+    }
+}
+
+// Update the controls once the main process has started a scheduled recording
+function handleScheduledRecordingStarted(result) {
+    if (result.success) {
+        isRecording = true;
+        isPaused = false;
+        silentAudioDevices.clear();
+        updateRecordingUI();
+        statusText.textContent = 'Scheduled recording started...';
+    } else {
+        statusText.textContent = `Scheduled recording failed to start: ${result.error}`;
+        statusText.style.color = 'red';
+        updatePipSettingsVisibility();
+    }
+}
+
+// Load encoding profiles into the profile picker
+async function loadEncodingProfiles(selectedId = null) {
+    const { profiles, selectedId: savedId } = await window.electronAPI.getEncodingProfiles();
+    encodingProfiles = profiles;
+
+    encodingProfileSelect.innerHTML = '';
+    profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = `${profile.name} (${profile.extension.slice(1).toUpperCase()})${profile.modified ? ' *' : ''}`;
+        encodingProfileSelect.appendChild(option);
+    });
+
+    encodingProfileSelect.value = selectedId || savedId;
+    fillProfileEditor(getSelectedEncodingProfile());
+    updateContainerOptions();
+}
+
+// Load output containers into the container picker
+async function loadContainers() {
+    const { containers: available, selectedId } = await window.electronAPI.getContainers();
+    containers = available;
+
+    containerSelect.innerHTML = '<option value="profile">Profile default</option>';
+    containers.forEach(container => {
+        const option = document.createElement('option');
+        option.value = container.id;
+        option.textContent = container.name;
+        containerSelect.appendChild(option);
+    });
+
+    containerSelect.value = selectedId;
+}
+
+// Disable containers that can't hold the selected profile's codecs (e.g. ProRes in MP4)
+function updateContainerOptions() {
+    const profile = getSelectedEncodingProfile();
+    if (!profile) return;
+
+    containers.forEach(container => {
+        const option = containerSelect.querySelector(`option[value="${container.id}"]`);
+        if (option) {
+            option.disabled = !container.profileExtensions.includes(profile.extension);
+        }
+    });
+
+    if (containerSelect.selectedOptions[0] && containerSelect.selectedOptions[0].disabled) {
+        containerSelect.value = 'profile';
+        handleContainerChange();
+    }
+}
+
+// Handle container change
+async function handleContainerChange() {
+    await window.electronAPI.selectContainer(containerSelect.value);
+}
+
+// Save the Media Pool bin template (main rejects unknown placeholders)
+async function handleMediaPoolBinChange() {
+    const result = await window.electronAPI.saveMediaPoolBin(mediaPoolBinInput.value);
+    if (result.success) {
+        mediaPoolBinInput.value = result.template;
+    } else {
+        statusText.textContent = `Failed to save Media Pool bin: ${result.error}`;
+        statusText.style.color = 'red';
+        mediaPoolBinInput.value = await window.electronAPI.getMediaPoolBin();
+    }
+}
+
+// Show the saved timeline placement policy
+async function loadTimelinePlacement() {
+    const placement = await window.electronAPI.getTimelinePlacement();
+    timelinePlacementSelect.value = placement.mode;
+    timelineVideoTrackSelect.value = String(placement.videoTrack);
+    timelineAudioTrackSelect.value = String(placement.audioTrack);
+}
+
+// Save the timeline placement policy
+async function handleTimelinePlacementChange() {
+    const result = await window.electronAPI.saveTimelinePlacement({
+        mode: timelinePlacementSelect.value,
+        videoTrack: timelineVideoTrackSelect.value,
+        audioTrack: timelineAudioTrackSelect.value
+    });
+    if (!result.success) {
+        statusText.textContent = `Failed to save timeline placement: ${result.error}`;
+        statusText.style.color = 'red';
+        await loadTimelinePlacement();
+    }
+}
+
+// Show the saved proxy setting ('off' or the proxy height)
+async function loadProxySettings() {
+    const settings = await window.electronAPI.getProxySettings();
+    proxyMediaSelect.value = settings.enabled ? String(settings.height) : 'off';
+}
+
+// Save the proxy setting
+async function handleProxyMediaChange() {
+    const enabled = proxyMediaSelect.value !== 'off';
+    const result = await window.electronAPI.saveProxySettings(enabled ? { enabled, height: proxyMediaSelect.value } : { enabled });
+    if (!result.success) {
+        statusText.textContent = `Failed to save proxy setting: ${result.error}`;
+        statusText.style.color = 'red';
+        await loadProxySettings();
+    }
+}
+
+// Load the countdown and recording indicator settings
+async function loadOverlaySettings() {
+    const settings = await window.electronAPI.getOverlaySettings();
+    countdownSelect.value = String(settings.countdown);
+    recordingIndicatorToggle.checked = settings.indicator;
+}
+
+// Save the countdown and recording indicator settings
+async function handleOverlaySettingsChange() {
+    const result = await window.electronAPI.saveOverlaySettings({
+        countdown: countdownSelect.value,
+        indicator: recordingIndicatorToggle.checked
+    });
+    if (!result.success) {
+        statusText.textContent = `Failed to save countdown setting: ${result.error}`;
+        statusText.style.color = 'red';
+        await loadOverlaySettings();
+    }
+}
+
+// Load what window capture does when the window is minimized or closed
+async function loadWindowFollowSettings() {
+    const settings = await window.electronAPI.getWindowFollowSettings();
+    windowMinimizedPolicySelect.value = settings.minimized;
+    windowClosedPolicySelect.value = settings.closed;
+}
+
+// Save what window capture does when the window is minimized or closed
+async function handleWindowFollowSettingsChange() {
+    const result = await window.electronAPI.saveWindowFollowSettings({
+        minimized: windowMinimizedPolicySelect.value,
+        closed: windowClosedPolicySelect.value
+    });
+    if (!result.success) {
+        statusText.textContent = `Failed to save window setting: ${result.error}`;
+        statusText.style.color = 'red';
+        await loadWindowFollowSettings();
+    }
+}
+
+// List the saved regions under Recording Region, keeping the choice while it still exists
+function updateSavedRegionList(regions) {
+    const selected = regionSelect.value;
+    savedRegionOptions.innerHTML = '';
+    regions.forEach(region => {
+        const option = document.createElement('option');
+        option.value = SAVED_REGION_PREFIX + region.name;
+        option.textContent = region.aspect ? `${region.name} (${region.aspect})` : region.name;
+        savedRegionOptions.appendChild(option);
+    });
+    savedRegionOptions.style.display = regions.length > 0 ? '' : 'none';
+
+    regionSelect.value = selected;
+    if (regionSelect.value !== selected) {
+        regionSelect.value = 'desktop';
+        handleRegionChange();
+    }
+}
+
+// Delete the saved region chosen under Recording Region
+async function deleteSavedRegion() {
+    const name = regionSelect.value.slice(SAVED_REGION_PREFIX.length);
+    const result = await window.electronAPI.deleteSavedRegion(name);
+    if (result.success) {
+        statusText.textContent = `Deleted saved region ${name}`;
+        statusText.style.color = 'green';
+    } else {
+        statusText.textContent = `Failed to delete saved region: ${result.error}`;
+        statusText.style.color = 'red';
+    }
+}
+
+// Follow a recording paused, resumed or stopped from the on-screen indicator
+function handleRecordingStateChanged(data) {
+    if (!isRecording) return;
+
+    isPaused = data.paused;
+    updateRecordingUI();
+    if (data.notice) {
+        // The followed window was minimized, closed or came back
+        statusText.textContent = data.notice;
+    } else if (data.stopping) {
+        statusText.textContent = 'Stopping recording...';
+    }
+}
+
+// Get the profile currently chosen in the picker
+function getSelectedEncodingProfile() {
+    return encodingProfiles.find(profile => profile.id === encodingProfileSelect.value) || encodingProfiles[0];
+}
+
+// Handle encoding profile change
+async function handleEncodingProfileChange() {
+    fillProfileEditor(getSelectedEncodingProfile());
+    updateContainerOptions();
+    await window.electronAPI.selectEncodingProfile(encodingProfileSelect.value);
+}
+
+// Load working hardware encoders into the encoder picker
+async function loadHardwareEncoders(refresh = false) {
+    videoEncoderSelect.disabled = true;
+
+    try {
+        const { encoders, selected } = await window.electronAPI.getHardwareEncoders(refresh);
+
+        videoEncoderSelect.innerHTML = '<option value="software">Software (libx264 / libx265)</option>';
+        encoders.forEach(encoder => {
+            const option = document.createElement('option');
+            option.value = encoder.api;
+            option.textContent = `${encoder.name} (${encoder.codecs.map(codec => codec.toUpperCase()).join(', ')})`;
+            videoEncoderSelect.appendChild(option);
+        });
+
+        // Keep a saved choice visible even if its test encode failed this time
+        if (!encoders.some(encoder => encoder.api === selected) && selected !== 'software') {
+            const option = document.createElement('option');
+            option.value = selected;
+            option.textContent = `${selected.toUpperCase()} (not working, using software)`;
+            videoEncoderSelect.appendChild(option);
+        }
+
+        videoEncoderSelect.value = selected;
+    } catch (error) {
+        console.error('Failed to detect hardware encoders:', error);
+        videoEncoderSelect.innerHTML = '<option value="software">Software (libx264 / libx265)</option>';
+    } finally {
+        videoEncoderSelect.disabled = false;
+    }
+}
+
+// Handle video encoder change
+async function handleVideoEncoderChange() {
+    const result = await window.electronAPI.selectHardwareEncoder(videoEncoderSelect.value);
+    if (!result.success) {
+        statusText.textContent = result.error;
+        statusText.style.color = 'red';
+    }
+}
+
+// Show a profile in the editor fields
+function fillProfileEditor(profile) {
+    if (!profile) return;
+
+    const video = profile.video || {};
+    const audio = profile.audio || {};
+    document.getElementById('profileName').value = profile.name;
+    document.getElementById('profileExtension').value = profile.extension;
+    document.getElementById('profileVideoCodec').value = video.codec || '';
+    document.getElementById('profilePreset').value = video.preset || '';
+    document.getElementById('profileCrf').value = video.crf !== undefined ? video.crf : '';
+    document.getElementById('profileCodecProfile').value = video.profile || '';
+    document.getElementById('profilePixelFormat').value = video.pixelFormat || '';
+    document.getElementById('profileExtraArgs').value = (video.extraArgs || []).join(' ');
+    document.getElementById('profileAudioCodec').value = audio.codec || '';
+    document.getElementById('profileAudioBitrate').value = audio.bitrate || '';
+
+    deleteProfileBtn.textContent = profile.builtIn ? 'Restore Default' : 'Delete Profile';
+    deleteProfileBtn.disabled = profile.builtIn && !profile.modified;
+}
+
+// Read a profile from the editor fields
+function readProfileEditor() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const crf = value('profileCrf');
+
+    return {
+        name: value('profileName'),
+        extension: value('profileExtension'),
+        video: {
+            codec: value('profileVideoCodec'),
+            preset: value('profilePreset') || undefined,
+            crf: crf === '' ? undefined : Number(crf),
+            profile: value('profileCodecProfile') || undefined,
+            pixelFormat: value('profilePixelFormat') || undefined,
+            extraArgs: value('profileExtraArgs').split(/\s+/).filter(Boolean)
+        },
+        audio: {
+            codec: value('profileAudioCodec') || undefined,
+            bitrate: value('profileAudioBitrate') || undefined
+        }
+    };
+}
+
+// Save the edited profile (in place, or as a new profile)
+async function saveEncodingProfile(asNew) {
+    const profile = readProfileEditor();
+    if (!asNew) {
+        profile.id = encodingProfileSelect.value;
+    }
+
+    const result = await window.electronAPI.saveEncodingProfile(profile);
+    if (result.success) {
+        await window.electronAPI.selectEncodingProfile(result.profile.id);
+        await loadEncodingProfiles(result.profile.id);
+        statusText.textContent = `Encoding profile saved: ${result.profile.name}`;
+        statusText.style.color = 'green';
+    } else {
+        statusText.textContent = `Failed to save profile: ${result.error}`;
+        statusText.style.color = 'red';
+    }
+}
+
+// Delete a custom profile or restore a built-in one
+async function deleteEncodingProfile() {
+    const profile = getSelectedEncodingProfile();
+    if (!profile) return;
+
+    const result = await window.electronAPI.deleteEncodingProfile(profile.id);
+    if (result.success) {
+        await loadEncodingProfiles(profile.builtIn ? profile.id : null);
+        statusText.textContent = profile.builtIn ? `Restored ${profile.name}` : `Deleted ${profile.name}`;
+        statusText.style.color = 'green';
+    } else {
+        statusText.textContent = `Failed to delete profile: ${result.error}`;
+        statusText.style.color = 'red';
+    }
+}
+
+// Update replay buffer controls
+function updateReplayUI() {
+    replayBtn.textContent = isReplayRunning ? 'Stop Replay Buffer' : 'Start Replay Buffer';
+    replayBtn.disabled = isRecording;
+    saveReplayBtn.disabled = !isReplayRunning;
+    startBtn.disabled = isRecording || isReplayRunning || (recordingSettings && !recordingSettings.ffmpegAvailable);
+}
+
+// Start or stop the replay buffer
+async function toggleReplayBuffer() {
+    try {
+        replayBtn.disabled = true;
+
+        if (isReplayRunning) {
+            const result = await window.electronAPI.stopReplayBuffer();
+            isReplayRunning = false;
+            statusText.textContent = result.success ? 'Replay buffer stopped' : `Failed to stop replay buffer: ${result.error}`;
+            statusText.style.color = 'black';
+        } else {
+            const options = buildRecordingOptions();
+            if (!options) {
+                updateReplayUI();
+                return;
+            }
+            options.replayDuration = replayDurationSelect.value;
+
+            const result = await window.electronAPI.startReplayBuffer(options);
+            if (result.success) {
+                isReplayRunning = true;
+                statusText.textContent = `Replay buffer running (last ${result.duration}s) - press Save Replay to keep it`;
+                statusText.style.color = 'purple';
+            } else {
+                statusText.textContent = `Failed to start replay buffer: ${result.error}`;
+            }
+        }
+
+        updateReplayUI();
+    } catch (error) {
+        console.error('Failed to toggle replay buffer:', error);
+        statusText.textContent = 'Replay buffer error: ' + error.message;
+        updateReplayUI();
+    }
+}
+
+// Save the replay buffer to the timeline
+async function saveReplayBuffer() {
+    if (!isReplayRunning) return;
+
+    try {
+        saveReplayBtn.disabled = true;
+        statusText.textContent = 'Saving replay buffer...';
+
+        // Completion (timeline result) is reported through recording:completed
+        const result = await window.electronAPI.saveReplayBuffer();
+        if (!result.success) {
+            statusText.textContent = `Failed to save replay: ${result.error}`;
+            statusText.style.color = 'red';
+        }
+    } catch (error) {
+        console.error('Failed to save replay buffer:', error);
+        statusText.textContent = 'Failed to save replay: ' + error.message;
+    } finally {
+        updateReplayUI();
+    }
+}
+
+// Pause recording (e.g. while credentials are on screen)
+async function pauseRecording() {
+    if (!isRecording || isPaused) return;
+
+    try {
+        pauseBtn.disabled = true;
+        const result = await window.electronAPI.pauseRecording();
+
+        if (result.success) {
+            isPaused = true;
+            updateRecordingUI();
+        } else {
+            pauseBtn.disabled = false;
+            statusText.textContent = `Failed to pause recording: ${result.error}`;
+        }
+
+    } catch (error) {
+        console.error('Failed to pause recording:', error);
+        pauseBtn.disabled = false;
+        statusText.textContent = 'Failed to pause recording: ' + error.message;
+    }
+}
+
+// Resume a paused recording
+async function resumeRecording() {
+    if (!isRecording || !isPaused) return;
+
+    try {
+        resumeBtn.disabled = true;
+        const result = await window.electronAPI.resumeRecording();
+
+        if (result.success) {
+            isPaused = false;
+            updateRecordingUI();
+        } else {
+            resumeBtn.disabled = false;
+            statusText.textContent = `Failed to resume recording: ${result.error}`;
+        }
+
+    } catch (error) {
+        console.error('Failed to resume recording:', error);
+        resumeBtn.disabled = false;
+        statusText.textContent = 'Failed to resume recording: ' + error.message;
+    }
+}
+
 // Handle region selection change
 function handleRegionChange() {
     const selectedRegion = regionSelect.value;
@@ -251,6 +1130,15 @@ function handleRegionChange() {
     // Hide all selection groups first
     windowSelectGroup.style.display = 'none';
     cameraSelectGroup.style.display = 'none';
+    displaySelectGroup.style.display = 'none';
+    savedRegionGroup.style.display = 'none';
+
+    if (selectedRegion.startsWith(SAVED_REGION_PREFIX)) {
+        statusText.textContent = 'The saved region is recorded without the selection overlay';
+        savedRegionGroup.style.display = 'block';
+        dualRecordingGroup.style.display = 'block';
+        return;
+    }
 
     // Show appropriate group based on selection
     switch (selectedRegion) {
@@ -268,7 +1156,8 @@ function handleRegionChange() {
             dualRecordingGroup.style.display = 'block';
             break;
         default:
-            // Full desktop
+            // Full desktop, all displays or the chosen one
+            displaySelectGroup.style.display = 'block';
             dualRecordingGroup.style.display = 'block';
             break;
     }
@@ -278,11 +1167,121 @@ function handleRegionChange() {
 function handleDualModeChange() {
     if (recordDualMode.checked) {
         cameraDualGroup.style.display = 'block';
+        pipGroup.style.display = 'block';
         // Populate camera dropdown for dual recording
         updateCameraDropdown();
     } else {
         cameraDualGroup.style.display = 'none';
+        pipGroup.style.display = 'none';
     }
+    updatePipSettingsVisibility();
+}
+
+// Load the saved picture-in-picture layout into the editor
+async function loadPipLayout() {
+    const layout = await window.electronAPI.getPipLayout();
+    pipPositionSelect.value = layout.position;
+    pipSizeInput.value = layout.size;
+    pipMarginInput.value = layout.margin;
+    pipCornerRadiusInput.value = layout.cornerRadius;
+    pipBorderWidthInput.value = layout.borderWidth;
+    pipBorderColorInput.value = layout.borderColor;
+    pipTimelineJoinSelect.value = layout.timelineJoin;
+}
+
+// Read the layout from the editor
+function readPipLayout() {
+    return {
+        position: pipPositionSelect.value,
+        size: parseInt(pipSizeInput.value, 10),
+        margin: parseInt(pipMarginInput.value, 10),
+        cornerRadius: parseInt(pipCornerRadiusInput.value, 10),
+        borderWidth: parseInt(pipBorderWidthInput.value, 10),
+        borderColor: pipBorderColorInput.value,
+        timelineJoin: pipTimelineJoinSelect.value
+    };
+}
+
+// Save the edited layout (main clamps it to supported values)
+async function handlePipLayoutChange() {
+    try {
+        const result = await window.electronAPI.savePipLayout(readPipLayout());
+        if (result.success) {
+            await loadPipLayout();
+        } else {
+            statusText.textContent = `Failed to save picture-in-picture layout: ${result.error}`;
+            statusText.style.color = 'red';
+        }
+    } catch (error) {
+        console.error('Failed to save picture-in-picture layout:', error);
+    }
+    updatePipPreview();
+}
+
+// Show the layout editor and live preview in dual recording mode
+function updatePipSettingsVisibility() {
+    // Separate files use the layout for the camera transform on the timeline
+    const visible = recordDualMode.checked;
+    pipSettings.style.display = visible ? 'block' : 'none';
+    pipTimelineJoinGroup.style.display = pipComposite.checked ? 'none' : 'block';
+
+    if (visible && !isRecording) {
+        updatePipPreview();
+        startPipPreview();
+    } else {
+        stopPipPreview();
+    }
+}
+
+// Position the preview camera like the overlay filter will
+function updatePipPreview() {
+    const layout = readPipLayout();
+    const scale = pipPreview.clientWidth / PIP_PREVIEW_REFERENCE_WIDTH;
+    const [vertical, horizontal] = layout.position.split('-');
+    const style = pipPreviewCamera.style;
+
+    style.width = `${layout.size}%`;
+    style.top = vertical === 'top' ? `${layout.margin * scale}px` : '';
+    style.bottom = vertical === 'bottom' ? `${layout.margin * scale}px` : '';
+    style.left = horizontal === 'left' ? `${layout.margin * scale}px` : '';
+    style.right = horizontal === 'right' ? `${layout.margin * scale}px` : '';
+    style.borderWidth = `${layout.borderWidth * scale}px`;
+    style.borderColor = layout.borderColor;
+    style.borderRadius = `${layout.cornerRadius * scale}px`;
+}
+
+// Show the dual recording camera in the preview (the camera is released before recording)
+async function startPipPreview() {
+    if (pipPreviewStream) return;
+
+    try {
+        const cameraName = cameraDualSelect.value;
+        if (!cameraName) return;
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        // Chromium labels can carry a USB id suffix, e.g. "Integrated Webcam (0c45:6723)"
+        const camera = devices.find(device => device.kind === 'videoinput' && device.label &&
+            (device.label.includes(cameraName) || cameraName.includes(device.label)));
+        if (!camera) return; // Keep the placeholder until the camera can be matched
+
+        pipPreviewStream = await navigator.mediaDevices.getUserMedia({ video: { deviceId: { exact: camera.deviceId } } });
+        pipPreviewCamera.srcObject = pipPreviewStream;
+    } catch (error) {
+        console.error('Failed to start picture-in-picture preview:', error);
+    }
+}
+
+function stopPipPreview() {
+    if (pipPreviewStream) {
+        pipPreviewStream.getTracks().forEach(track => track.stop());
+        pipPreviewStream = null;
+    }
+    pipPreviewCamera.srcObject = null;
+}
+
+function restartPipPreview() {
+    stopPipPreview();
+    updatePipSettingsVisibility();
 }
 
 // Update camera dropdown for dual recording
@@ -311,7 +1310,15 @@ function updateSourceLists(data) {
         data.windows.forEach(window => {
             const option = document.createElement('option');
             option.value = window.title; // Use window title instead of ID for FFmpeg
-            option.textContent = window.name;
+            option.textContent = window.geometry
+                ? `${window.name} (${window.geometry.width}x${window.geometry.height})`
+                : window.name;
+            if (window.handle) {
+                option.dataset.handle = window.handle; // Captured by handle, so title changes do not matter
+            }
+            if (window.pid) {
+                option.dataset.pid = window.pid; // Finds the window again by its process
+            }
             windowSelect.appendChild(option);
         });
     } else {
@@ -323,7 +1330,7 @@ function updateSourceLists(data) {
         cameraSelect.innerHTML = '';
         data.cameras.forEach(camera => {
             const option = document.createElement('option');
-            option.value = camera.name; // Use camera name as value since no id property exists
+            option.value = camera.id || camera.name; // Linux cameras carry a device path as id
             option.textContent = camera.name;
             cameraSelect.appendChild(option);
         });
@@ -331,21 +1338,44 @@ function updateSourceLists(data) {
         cameraSelect.innerHTML = '<option value="">No cameras found</option>';
     }
 
-    // Update audio device list
-    if (data.audioDevices && data.audioDevices.length > 0) {
-        audioSelect.innerHTML = '<option value="">No audio (video only)</option>';
-        data.audioDevices.forEach(device => {
+    // Update monitor list, keeping the chosen display while it is connected
+    if (data.displays) {
+        const selectedDisplay = displaySelect.value;
+        displaySelect.innerHTML = '<option value="">All displays</option>';
+        data.displays.forEach(display => {
             const option = document.createElement('option');
-            option.value = device.name;
-            option.textContent = device.name;
-            if (device.isDefault) {
-                option.selected = true;
-            }
-            audioSelect.appendChild(option);
+            option.value = display.id;
+            option.textContent = display.label;
+            option.selected = String(display.id) === selectedDisplay;
+            displaySelect.appendChild(option);
+        });
+    }
+
+    // Update audio device list, grouped by kind
+    if (data.audioDevices && data.audioDevices.length > 0) {
+        // Main remembers the choice, including across launches and device changes
+        const selectedAudioDevices = data.selectedAudioDevices || [];
+        audioSelect.innerHTML = '';
+        AUDIO_DEVICE_GROUPS.forEach(({ type, label }) => {
+            const devices = data.audioDevices.filter(device => device.type === type);
+            if (devices.length === 0) return;
+
+            const group = document.createElement('optgroup');
+            group.label = label;
+            devices.forEach(device => {
+                const option = document.createElement('option');
+                option.value = device.id; // dshow GUID or pulse/alsa source, stable across reboots
+                option.textContent = device.name;
+                option.selected = selectedAudioDevices.includes(device.id);
+                group.appendChild(option);
+            });
+            audioSelect.appendChild(group);
         });
     } else {
         audioSelect.innerHTML = '<option value="">No audio devices found</option>';
     }
+    announceAudioDeviceChanges(data.audioDevicesAdded, data.audioDevicesRemoved);
+    updateAudioMeter();
 }
 
 // Handle global shortcut start
@@ -377,7 +1407,7 @@ async function refreshSources() {
         refreshBtn.disabled = true;
         refreshBtn.textContent = 'Refreshing...';
 
-        await updateSources();
+        await Promise.all([updateSources(), loadHardwareEncoders(true)]);
 
         refreshBtn.disabled = false;
         refreshBtn.textContent = 'Refresh Sources';
@@ -398,6 +1428,179 @@ async function refreshSources() {
     }
 }
 
+// Format a duration in seconds as M:SS or H:MM:SS
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const pad = value => String(value).padStart(2, '0');
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total / 60) % 60;
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${minutes}:${pad(total % 60)}`;
+}
+
+// Format a file size in bytes
+function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${size.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// List past recordings in the library panel
+async function loadLibrary() {
+    const request = ++libraryRequest;
+    refreshLibraryBtn.disabled = true;
+
+    try {
+        const recordings = await window.electronAPI.listRecordings();
+        if (request !== libraryRequest) {
+            return;
+        }
+
+        libraryList.replaceChildren(...recordings.map(createLibraryEntry));
+        if (recordings.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'library-empty';
+            empty.textContent = 'No recordings yet';
+            libraryList.appendChild(empty);
+        }
+    } catch (error) {
+        console.error('Failed to load recordings library:', error);
+    } finally {
+        if (request === libraryRequest) {
+            refreshLibraryBtn.disabled = false;
+        }
+    }
+}
+
+// Build the library panel entry of a recording
+function createLibraryEntry(recording) {
+    const entry = document.createElement('div');
+    entry.className = 'library-entry';
+
+    const thumbnail = document.createElement(recording.thumbnail ? 'img' : 'div');
+    thumbnail.className = 'library-thumbnail';
+    if (recording.thumbnail) {
+        thumbnail.src = recording.thumbnail;
+        thumbnail.alt = '';
+    }
+
+    const info = document.createElement('div');
+    info.className = 'library-info';
+    const name = document.createElement('div');
+    name.className = 'library-name';
+    name.textContent = recording.name;
+    name.title = recording.path;
+    const details = document.createElement('div');
+    details.className = 'library-details';
+    details.textContent = recording.inUse ? `Recording... · ${recording.sourceName}` : [
+        recording.duration !== null ? formatDuration(recording.duration) : null,
+        recording.width ? `${recording.width}x${recording.height}` : null,
+        formatSize(recording.size),
+        recording.sourceName,
+        new Date(recording.modified).toLocaleString()
+    ].filter(Boolean).join(' · ');
+    info.append(name, details);
+
+    const actions = document.createElement('div');
+    actions.className = 'library-actions';
+    const buttons = [
+        ['Re-import', 'btn-timeline', () => importLibraryRecording(recording)],
+        ['Reveal', 'btn-refresh', () => revealLibraryRecording(recording)],
+        ['Rename', 'btn-pause', () => startLibraryRename(name, recording)],
+        ['Delete', 'btn-stop', () => deleteLibraryRecording(recording)]
+    ];
+    buttons.forEach(([label, style, action]) => {
+        const button = document.createElement('button');
+        button.className = `btn btn-small ${style}`;
+        button.textContent = label;
+        button.disabled = recording.inUse;
+        button.addEventListener('click', action);
+        actions.appendChild(button);
+    });
+
+    entry.append(thumbnail, info, actions);
+    return entry;
+}
+
+// Show the result of a library action on the status bar
+function showLibraryResult(result, message) {
+    statusText.textContent = result.success ? message : `⚠️ ${result.error}`;
+    statusText.style.color = result.success ? 'green' : 'red';
+}
+
+// Import a past recording into the current timeline
+async function importLibraryRecording(recording) {
+    statusText.textContent = `Importing ${recording.name}...`;
+    statusText.style.color = 'black';
+    const result = await window.electronAPI.importLibraryRecording(recording.name);
+    showLibraryResult(result, `✅ ${result.message}`);
+}
+
+// Show a recording in the file manager
+async function revealLibraryRecording(recording) {
+    const result = await window.electronAPI.revealLibraryRecording(recording.name);
+    if (!result.success) {
+        showLibraryResult(result);
+    }
+}
+
+// Edit a recording's name in place: Enter saves, Escape cancels
+function startLibraryRename(nameElement, recording) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'library-rename';
+    input.value = recording.name;
+    nameElement.replaceChildren(input);
+    libraryRenaming = true;
+    input.focus();
+    input.setSelectionRange(0, recording.name.length - recording.container.length - 1);
+
+    let done = false;
+    const finish = async (save) => {
+        if (done) {
+            return;
+        }
+        done = true;
+        libraryRenaming = false;
+
+        if (save && input.value.trim() !== recording.name) {
+            const result = await window.electronAPI.renameLibraryRecording(recording.name, input.value);
+            showLibraryResult(result, `Renamed to ${result.name}`);
+            if (result.success) {
+                await loadLibrary();
+                return;
+            }
+        }
+        nameElement.textContent = recording.name;
+    };
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            finish(true);
+        } else if (e.key === 'Escape') {
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+// Move a recording to the trash after asking
+async function deleteLibraryRecording(recording) {
+    if (!confirm(`Move ${recording.name} to the trash?\n\nClips already imported into Resolve will go offline.`)) {
+        return;
+    }
+
+    const result = await window.electronAPI.deleteLibraryRecording(recording.name);
+    showLibraryResult(result, `Moved ${recording.name} to the trash`);
+    if (result.success) {
+        await loadLibrary();
+    }
+}
+
 // Event listeners
 document.addEventListener('DOMContentLoaded', () => {
     init();
@@ -405,5 +1608,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Add event listeners after DOM is loaded
     startBtn.addEventListener('click', startRecording);
     stopBtn.addEventListener('click', stopRecording);
+    pauseBtn.addEventListener('click', pauseRecording);
+    resumeBtn.addEventListener('click', resumeRecording);
+    replayBtn.addEventListener('click', toggleReplayBuffer);
+    saveReplayBtn.addEventListener('click', saveReplayBuffer);
     refreshBtn.addEventListener('click', refreshSources);
 });
\ No newline at end of file
@@ -0,0 +1,245 @@
+/**
+ * Audio device service - device list, stable ids and the remembered choice
+ *
+ * Devices are listed by the capture backend on every refresh. Each one gets an
+ * id that survives a reboot or a device being unplugged (the dshow alternative
+ * name on Windows, the pulse/alsa source name on Linux) and is classified as a
+ * microphone, a loopback of the system output or a virtual device.
+ */
+
+const { exec } = require('child_process');
+const { getCaptureBackend } = require('./captureBackends');
+
+const SELECTED_DEVICES_KEY = 'audioDevices';
+
+// Checked in order: virtual loopback drivers such as BlackHole count as loopback
+const LOOPBACK_PATTERNS = [
+  /stereo ?mix/i, /mixage st[ée]r[ée]o/i, /what u hear/i, /wave out/i, /loopback/i,
+  /^monitor of /i, /\.monitor$/i, /blackhole/i, /soundflower/i, /system audio/i
+];
+const VIRTUAL_PATTERNS = [
+  /virtual/i, /vb-audio/i, /\bcable\b/i, /voicemeeter/i, /\bobs\b/i, /krisp/i, /nvidia broadcast/i, /zoomaudiodevice/i
+];
+
+class AudioDeviceService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {SettingsStore} settingsStore - Store for the selected devices
+   * @param {CaptureBackend} captureBackend - Platform capture backend (default: current platform)
+   */
+  constructor(logger, settingsStore, captureBackend = getCaptureBackend()) {
+    this.logger = logger;
+    this.settingsStore = settingsStore;
+    this.captureBackend = captureBackend;
+    this.devices = [];
+    this.hasListed = false;
+    this.knownNames = new Map(); // Names of every device seen, so unplugged ones can still be named
+    this.refreshPromise = null;
+  }
+
+  /**
+   * Classify a device by its name and id
+   * @param {Object} device - Parsed device { name, id }
+   * @returns {string} 'microphone', 'loopback' or 'virtual'
+   */
+  static classifyDevice(device) {
+    const labels = [device.name, device.id].filter(Boolean);
+    const matches = patterns => labels.some(label => patterns.some(pattern => pattern.test(label)));
+
+    if (matches(LOOPBACK_PATTERNS)) {
+      return 'loopback';
+    }
+    return matches(VIRTUAL_PATTERNS) ? 'virtual' : 'microphone';
+  }
+
+  /**
+   * Build the device model from a device parsed by a capture backend
+   * @param {Object} device - Parsed device { name, id, altName, isDefault }
+   * @returns {Object} Device { id, name, altName, type, isDefault }
+   */
+  static toDevice(device) {
+    return {
+      // dshow alternative names are GUID paths that FFmpeg accepts in place of the name
+      id: device.altName || device.id || device.name,
+      name: device.name,
+      altName: device.altName || null,
+      type: AudioDeviceService.classifyDevice(device),
+      isDefault: Boolean(device.isDefault)
+    };
+  }
+
+  /**
+   * Compare two device lists
+   * @param {Array} previous - Devices before a refresh
+   * @param {Array} current - Devices after a refresh
+   * @returns {Object} { added, removed } device lists
+   */
+  static diffDevices(previous, current) {
+    const previousIds = new Set(previous.map(device => device.id));
+    const currentIds = new Set(current.map(device => device.id));
+
+    return {
+      added: current.filter(device => !previousIds.has(device.id)),
+      removed: previous.filter(device => !currentIds.has(device.id))
+    };
+  }
+
+  /**
+   * Get the devices found by the last refresh
+   * @returns {Array} Devices
+   */
+  getDevices() {
+    return this.devices;
+  }
+
+  /**
+   * Find a device by id, or by the display name older settings stored
+   * @param {string} idOrName - Device id or name
+   * @returns {Object|null} Device
+   */
+  getDevice(idOrName) {
+    return this.devices.find(device => device.id === idOrName) ||
+      this.devices.find(device => device.name === idOrName || device.altName === idOrName) ||
+      null;
+  }
+
+  /**
+   * Get the display name of a device, even if it has been unplugged
+   * @param {string} idOrName - Device id or name
+   * @returns {string} Device name (the id itself if the device was never seen)
+   */
+  getDeviceName(idOrName) {
+    const device = this.getDevice(idOrName);
+    return device ? device.name : (this.knownNames.get(idOrName) || idOrName);
+  }
+
+  /**
+   * List the devices again and report what was plugged in or removed
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {Promise<Object>} { devices, added, removed }
+   */
+  refresh(ffmpegPath = 'ffmpeg') {
+    // Recording start and the periodic refresh can ask at the same time
+    if (!this.refreshPromise) {
+      this.refreshPromise = this._listDevices(ffmpegPath)
+        .then(devices => {
+          // The first listing finds every device, which is not a change
+          const changes = this.hasListed
+            ? AudioDeviceService.diffDevices(this.devices, devices)
+            : { added: [], removed: [] };
+
+          changes.added.forEach(device => this.logger.log(`Audio device added: ${device.name} (${device.type})`));
+          changes.removed.forEach(device => this.logger.log(`Audio device removed: ${device.name}`));
+
+          this.devices = devices;
+          this.hasListed = true;
+          devices.forEach(device => this.knownNames.set(device.id, device.name));
+          return { devices, ...changes };
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * Get the device to use when nothing was chosen
+   * @returns {Object|null} Backend default, else the first microphone, else the first device
+   */
+  getDefaultDevice() {
+    return this.devices.find(device => device.isDefault) ||
+      this.devices.find(device => device.type === 'microphone') ||
+      this.devices[0] ||
+      null;
+  }
+
+  /**
+   * Get the remembered devices that are currently available
+   * @returns {Array} Device ids in track order (the default device if none of them are available)
+   */
+  getSelectedDeviceIds() {
+    const stored = this.settingsStore.get(SELECTED_DEVICES_KEY, null);
+
+    if (Array.isArray(stored)) {
+      // An empty choice means video only
+      if (stored.length === 0) {
+        return [];
+      }
+
+      const available = stored.map(id => this.getDevice(id)).filter(Boolean).map(device => device.id);
+      if (available.length > 0) {
+        return available;
+      }
+    }
+
+    const defaultDevice = this.getDefaultDevice();
+    return defaultDevice ? [defaultDevice.id] : [];
+  }
+
+  /**
+   * Remember the devices chosen in the renderer
+   * @param {Array} ids - Device ids in track order
+   * @returns {Object} Result
+   */
+  selectDevices(ids) {
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string' || id === '')) {
+      return { success: false, error: 'Audio devices must be a list of device ids' };
+    }
+
+    // Unplugged devices are kept so they are picked again once they come back
+    this.settingsStore.set(SELECTED_DEVICES_KEY, ids);
+    return { success: true };
+  }
+
+  /**
+   * Check chosen devices against a fresh device list before recording
+   * @param {Array} ids - Device ids
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {Promise<Object>} { devices: ids still present, missing: ids that are gone }
+   */
+  async resolveDevices(ids, ffmpegPath = 'ffmpeg') {
+    await this.refresh(ffmpegPath);
+
+    const devices = [];
+    const missing = [];
+    ids.forEach(id => {
+      const device = this.getDevice(id);
+      if (device) {
+        devices.push(device.id);
+      } else {
+        missing.push(id);
+      }
+    });
+
+    return { devices, missing };
+  }
+
+  /**
+   * List audio devices with the capture backend
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {Promise<Array>} Devices (empty if listing failed)
+   * @private
+   */
+  _listDevices(ffmpegPath) {
+    return new Promise((resolve) => {
+      exec(this.captureBackend.getAudioDeviceListCommand(ffmpegPath), (error, stdout, stderr) => {
+        if (error) {
+          // dshow exits with an error after listing, so keep parsing
+          this.logger.log(`Audio device listing exited with: ${error.message}`);
+        }
+
+        try {
+          const output = `${stderr || ''}\n${stdout || ''}`;
+          resolve(this.captureBackend.parseAudioDevices(output).map(AudioDeviceService.toDevice));
+        } catch (parseError) {
+          this.logger.error(`Error parsing audio devices: ${parseError.message}`);
+          resolve([]);
+        }
+      });
+    });
+  }
+}
+
+module.exports = AudioDeviceService;
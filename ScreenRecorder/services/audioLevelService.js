@@ -0,0 +1,388 @@
+/**
+ * Audio level service - live input levels and device tests
+ *
+ * A meter is a small FFmpeg process that captures one audio device, measures
+ * RMS and peak level with astats for every 100 ms block and prints them to
+ * stderr. While recording, the same filters run on each audio track of the
+ * recording process itself (a device is not opened twice), and its levels
+ * are used to notice an input that stays silent.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const CONFIG = require('../config/constants');
+const { CaptureBackend } = require('./captureBackends');
+const ProcessRunner = require('../utils/processRunner');
+
+const LEVELS = CONFIG.RECORDING.AUDIO_LEVELS;
+const LEVEL_LINE_PATTERN = /lavfi\.astats\.Overall\.(RMS|Peak)_level=(\S+)/;
+// Filter instances on a recording are named after their track, e.g. [ametadata@level1_peak @ 0x55d5c]
+const TRACK_LEVEL_PATTERN = /^\[\S*@level(\d+)_(?:rms|peak) @/;
+
+class AudioLevelService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {CaptureBackend} captureBackend - Platform capture backend
+   */
+  constructor(logger, captureBackend) {
+    this.logger = logger;
+    this.captureBackend = captureBackend;
+    this.meters = new Map();
+    this.recordingMonitor = null; // { tracks, handlers }
+  }
+
+  /**
+   * Get the filter chain that prints RMS and peak level per block
+   * @returns {string} Audio filter expression
+   */
+  static getLevelFilter() {
+    return [`aresample=${LEVELS.SAMPLE_RATE}`, ...AudioLevelService._getStatsFilters('ametadata', 'ametadata')].join(',');
+  }
+
+  /**
+   * Get output options that print the level of each audio track of a recording;
+   * the filters pass the audio through unchanged
+   * @param {number} trackCount - Number of audio tracks
+   * @returns {Array} FFmpeg arguments
+   */
+  static getTrackLevelArgs(trackCount) {
+    return Array.from({ length: trackCount }, (value, track) => [
+      `-filter:a:${track}`,
+      AudioLevelService._getStatsFilters(`ametadata@level${track}_rms`, `ametadata@level${track}_peak`).join(',')
+    ]).flat();
+  }
+
+  /**
+   * Get the filters that measure and print levels per block
+   * @param {string} rmsFilter - Name of the filter instance printing RMS
+   * @param {string} peakFilter - Name of the filter instance printing peak
+   * @returns {Array} Filter expressions
+   * @private
+   */
+  static _getStatsFilters(rmsFilter, peakFilter) {
+    return [
+      `asetnsamples=n=${LEVELS.BLOCK_SAMPLES}:p=0`,
+      'astats=metadata=1:reset=1',
+      `${rmsFilter}=mode=print:key=lavfi.astats.Overall.RMS_level`,
+      `${peakFilter}=mode=print:key=lavfi.astats.Overall.Peak_level`
+    ];
+  }
+
+  /**
+   * Parse one line of meter output
+   * @param {string} line - FFmpeg log line
+   * @returns {Object|null} { key: 'rms'|'peak', value } in dBFS, or null for other lines
+   */
+  static parseLevelLine(line) {
+    const match = line.match(LEVEL_LINE_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    // Digital silence is reported as -inf
+    const value = parseFloat(match[2]);
+    return {
+      key: match[1] === 'RMS' ? 'rms' : 'peak',
+      value: isNaN(value) ? LEVELS.FLOOR_DB : Math.max(LEVELS.FLOOR_DB, value)
+    };
+  }
+
+  /**
+   * Get the audio track a line of recording output is about
+   * @param {string} line - FFmpeg log line
+   * @returns {number|null} Track index, or null if the line is not printed by a track's level filters
+   */
+  static parseTrack(line) {
+    const match = line.match(TRACK_LEVEL_PATTERN);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Add a parsed level line to the state of a meter or recorded track
+   * @param {Object} state - { rms, silence }, updated in place
+   * @param {Object} parsed - Parsed level line
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} { level, silenceChange } once a block is complete, otherwise null
+   */
+  static addLevel(state, parsed, now) {
+    if (parsed.key === 'rms') {
+      state.rms = parsed.value;
+      return null;
+    }
+
+    // Peak is printed after RMS, so it completes a block
+    const level = { rms: state.rms === null ? parsed.value : state.rms, peak: parsed.value };
+    state.rms = null;
+    return { level, silenceChange: AudioLevelService.updateSilence(state.silence, level, now) };
+  }
+
+  /**
+   * Track how long an input has been silent
+   * @param {Object} state - Silence state { silentSince, warned }, updated in place
+   * @param {Object} level - Level { rms, peak }
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean|null} true when the input just became silent, false when sound returned, otherwise null
+   */
+  static updateSilence(state, level, now) {
+    if (level.peak > LEVELS.SILENCE_THRESHOLD_DB) {
+      const wasWarned = state.warned;
+      state.silentSince = null;
+      state.warned = false;
+      return wasWarned ? false : null;
+    }
+
+    if (state.silentSince === null) {
+      state.silentSince = now;
+    }
+
+    if (!state.warned && now - state.silentSince >= LEVELS.SILENCE_DURATION) {
+      state.warned = true;
+      return true;
+    }
+    return null;
+  }
+
+  /**
+   * Build the shell command of a level meter
+   * @param {string} device - Audio device name or id
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {string} Shell command
+   */
+  getMeterCommand(device, ffmpegPath = 'ffmpeg') {
+    return [
+      ffmpegPath,
+      '-hide_banner -nostats',
+      CaptureBackend.toCommandString(this.captureBackend.getAudioInputArgs(device)),
+      `-af ${AudioLevelService.getLevelFilter()}`,
+      '-f null -'
+    ].join(' ');
+  }
+
+  /**
+   * Build the shell command that records a short device test
+   * @param {string} device - Audio device name or id
+   * @param {string} outputPath - WAV file path
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {string} Shell command
+   */
+  getTestCommand(device, outputPath, ffmpegPath = 'ffmpeg') {
+    return [
+      ffmpegPath,
+      '-hide_banner -nostats -y',
+      CaptureBackend.toCommandString(this.captureBackend.getAudioInputArgs(device)),
+      CaptureBackend.toCommandString(['-t', String(LEVELS.TEST_DURATION), '-c:a', 'pcm_s16le', outputPath])
+    ].join(' ');
+  }
+
+  /**
+   * Check if a meter is running
+   * @param {string} id - Meter id
+   * @returns {boolean} True if running
+   */
+  isMetering(id) {
+    return this.meters.has(id);
+  }
+
+  /**
+   * Start measuring an audio device
+   * @param {string} id - Meter id (one meter per id)
+   * @param {string} device - Audio device name or id
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @param {Object} handlers - { onLevel(level), onSilence(silent), onExit(code, stopped) }
+   *   (stopped is false when the meter ended on its own, e.g. the device could not be opened)
+   * @returns {Object} Result
+   */
+  startMeter(id, device, ffmpegPath, handlers = {}) {
+    this.stopMeter(id);
+
+    const command = this.getMeterCommand(device, ffmpegPath);
+    this.logger.log(`Starting audio meter: ${command}`);
+
+    let meterProcess;
+    try {
+      // Shell keeps the quoted dshow device names intact, like the recording commands
+      meterProcess = spawn(command, [], { shell: true });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    const meter = { process: meterProcess, device, forceKillTimeout: null };
+    this.meters.set(id, meter);
+
+    const state = { rms: null, silence: { silentSince: null, warned: false } };
+    let pending = '';
+    let lastMessage = '';
+
+    meterProcess.stderr.on('data', (data) => {
+      const lines = (pending + data.toString()).split(/\r?\n/);
+      pending = lines.pop();
+
+      lines.forEach(line => {
+        const parsed = AudioLevelService.parseLevelLine(line);
+        if (!parsed) {
+          lastMessage = line.trim() || lastMessage;
+          return;
+        }
+
+        const block = AudioLevelService.addLevel(state, parsed, Date.now());
+        if (!block) {
+          return;
+        }
+        if (handlers.onLevel) {
+          handlers.onLevel(block.level);
+        }
+        if (block.silenceChange !== null && handlers.onSilence) {
+          handlers.onSilence(block.silenceChange);
+        }
+      });
+    });
+
+    meterProcess.on('error', (error) => {
+      this.logger.error(`Audio meter failed: ${error.message}`);
+    });
+
+    meterProcess.on('close', (code) => {
+      clearTimeout(meter.forceKillTimeout);
+      const stopped = this.meters.get(id) !== meter;
+      if (!stopped) {
+        this.meters.delete(id);
+        this.logger.error(`Audio meter for ${device} exited with code ${code}: ${lastMessage}`);
+      }
+      if (handlers.onExit) {
+        handlers.onExit(code, stopped);
+      }
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Watch the levels a recording prints for its audio tracks (see getTrackLevelArgs)
+   * @param {number} trackCount - Number of audio tracks
+   * @param {Object} handlers - { onLevel(track, level), onSilence(track, silent) }
+   */
+  startRecordingMonitor(trackCount, handlers = {}) {
+    this.recordingMonitor = {
+      tracks: Array.from({ length: trackCount }, () => ({ rms: null, silence: { silentSince: null, warned: false } })),
+      handlers
+    };
+  }
+
+  /**
+   * Stop watching recording levels, e.g. while paused, when silence is expected
+   */
+  stopRecordingMonitor() {
+    this.recordingMonitor = null;
+  }
+
+  /**
+   * Create a reader for the stderr of one recording process: level lines go to
+   * the recording monitor, and the other output is returned to be logged
+   * @returns {Function} (data) => output without level lines
+   */
+  createRecordingReader() {
+    let pending = '';
+
+    return (data) => {
+      // Progress lines end with \r, so they are complete lines too
+      const lines = (pending + data.toString()).split(/\r\n|\r|\n/);
+      pending = lines.pop();
+
+      return lines.filter(line => {
+        const track = AudioLevelService.parseTrack(line);
+        if (track === null) {
+          return true;
+        }
+
+        const parsed = AudioLevelService.parseLevelLine(line);
+        const monitor = this.recordingMonitor;
+        if (parsed && monitor && monitor.tracks[track]) {
+          this._readTrackLevel(monitor, track, parsed);
+        }
+        return false;
+      }).join('\n');
+    };
+  }
+
+  /**
+   * Report a recorded track's level and silence
+   * @param {Object} monitor - Recording monitor
+   * @param {number} track - Track index
+   * @param {Object} parsed - Parsed level line
+   * @private
+   */
+  _readTrackLevel(monitor, track, parsed) {
+    const block = AudioLevelService.addLevel(monitor.tracks[track], parsed, Date.now());
+    if (!block) {
+      return;
+    }
+    if (monitor.handlers.onLevel) {
+      monitor.handlers.onLevel(track, block.level);
+    }
+    if (block.silenceChange !== null && monitor.handlers.onSilence) {
+      monitor.handlers.onSilence(track, block.silenceChange);
+    }
+  }
+
+  /**
+   * Stop a level meter
+   * @param {string} id - Meter id
+   * @returns {Object} Result
+   */
+  stopMeter(id) {
+    const meter = this.meters.get(id);
+    if (!meter) {
+      return { success: false, error: 'Audio meter is not running' };
+    }
+
+    this.meters.delete(id);
+    try {
+      meter.process.stdin.write('q');
+    } catch (error) {
+      meter.process.kill('SIGTERM');
+    }
+
+    meter.forceKillTimeout = setTimeout(() => {
+      this.logger.log('Force killing audio meter after timeout');
+      meter.process.kill('SIGKILL');
+    }, CONFIG.RECORDING.FORCE_KILL_TIMEOUT);
+
+    return { success: true };
+  }
+
+  /**
+   * Stop every meter whose id starts with a prefix
+   * @param {string} prefix - Meter id prefix (empty for all)
+   */
+  stopMeters(prefix = '') {
+    Array.from(this.meters.keys())
+      .filter(id => id.startsWith(prefix))
+      .forEach(id => this.stopMeter(id));
+  }
+
+  /**
+   * Record a few seconds from a device so it can be played back
+   * @param {string} device - Audio device name or id
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {Promise<Object>} Result with the WAV file contents as data
+   */
+  async testDevice(device, ffmpegPath = 'ffmpeg') {
+    const outputPath = path.join(os.tmpdir(), `audio-test-${Date.now()}.wav`);
+    const command = this.getTestCommand(device, outputPath, ffmpegPath);
+    this.logger.log(`Testing audio device: ${command}`);
+
+    try {
+      await ProcessRunner.runChecked(command, [], 'Audio test', { shell: true, timeout: (LEVELS.TEST_DURATION * 1000) + LEVELS.TEST_TIMEOUT });
+      return { success: true, data: fs.readFileSync(outputPath) };
+    } catch (error) {
+      this.logger.error(`Audio device test failed: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      fs.rmSync(outputPath, { force: true });
+    }
+  }
+}
+
+module.exports = AudioLevelService;
@@ -0,0 +1,159 @@
+/**
+ * Base class for platform capture backends
+ */
+
+class CaptureBackend {
+  constructor(env = process.env) {
+    this.env = env;
+    this.name = 'base';
+    this.platform = null;
+  }
+
+  /**
+   * Get input arguments for full desktop or region capture
+   * @param {string} framerate - Capture framerate
+   * @param {Object} region - Selected region (optional)
+   * @param {Object} settings - Screen settings ({ screenIndex })
+   * @returns {Array} FFmpeg input arguments
+   */
+  getDesktopInputArgs(framerate, region = null, settings = {}) {
+    throw new Error(`Desktop capture is not supported by the ${this.name} backend`);
+  }
+
+  /**
+   * Get input arguments for window capture
+   * @param {string} framerate - Capture framerate
+   * @param {Object} window - Window descriptor ({ title, handle }); the handle is preferred, as titles change
+   * @returns {Array} FFmpeg input arguments
+   */
+  getWindowInputArgs(framerate, window) {
+    throw new Error(`Window capture is not supported by the ${this.name} backend`);
+  }
+
+  /**
+   * Get input arguments for camera capture
+   * @param {string} cameraName - Camera name or device identifier
+   * @param {Object} settings - Capture settings ({ framerate, videoSize })
+   * @returns {Array} FFmpeg input arguments
+   */
+  getCameraInputArgs(cameraName, settings = {}) {
+    throw new Error(`Camera capture is not supported by the ${this.name} backend`);
+  }
+
+  /**
+   * Get input arguments for audio capture
+   * @param {string} deviceName - Audio device name or identifier
+   * @returns {Array} FFmpeg input arguments
+   */
+  getAudioInputArgs(deviceName) {
+    throw new Error(`Audio capture is not supported by the ${this.name} backend`);
+  }
+
+  /**
+   * Get video filters that must run before any user filters (e.g. hwdownload)
+   * @param {Object} region - Selected region (optional)
+   * @returns {Array} Filter expressions
+   */
+  getInputFilters(region = null) {
+    return [];
+  }
+
+  /**
+   * Get command used to list video capture devices
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {string} Shell command
+   */
+  getVideoDeviceListCommand(ffmpegPath = 'ffmpeg') {
+    throw new Error(`Device listing is not supported by the ${this.name} backend`);
+  }
+
+  /**
+   * Get command used to list audio capture devices
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {string} Shell command
+   */
+  getAudioDeviceListCommand(ffmpegPath = 'ffmpeg') {
+    return this.getVideoDeviceListCommand(ffmpegPath);
+  }
+
+  /**
+   * Parse video devices from device list output
+   * @param {string} output - Command output
+   * @returns {Array} Array of video devices
+   */
+  parseVideoDevices(output) {
+    return [];
+  }
+
+  /**
+   * Parse audio devices from device list output
+   * @param {string} output - Command output
+   * @returns {Array} Array of audio devices
+   */
+  parseAudioDevices(output) {
+    return [];
+  }
+
+  /**
+   * Check whether a camera name refers to OBS Virtual Camera
+   * @param {string} cameraName - Camera name
+   * @returns {boolean} True if OBS Virtual Camera
+   */
+  isOBSCamera(cameraName) {
+    return String(cameraName).toLowerCase().includes('obs virtual');
+  }
+
+  /**
+   * Get input arguments that repeat a still image in real time (e.g. the last frame of a window)
+   * @param {string} imagePath - Image file path
+   * @param {string} framerate - Capture framerate
+   * @returns {Array} FFmpeg input arguments
+   */
+  static getStillInputArgs(imagePath, framerate) {
+    return ['-re', '-loop', '1', '-framerate', String(framerate), '-i', imagePath];
+  }
+
+  /**
+   * Join FFmpeg arguments into a command line for the shell that runs it
+   * (cmd.exe on Windows, sh elsewhere); window titles and device names come
+   * from other programs, so every argument the shell could change is quoted
+   * @param {Array} args - FFmpeg arguments
+   * @param {string} platform - Platform whose shell runs the command
+   * @returns {string} Command fragment
+   */
+  static toCommandString(args, platform = process.platform) {
+    const quote = platform === 'win32' ? CaptureBackend._quoteForCmd : CaptureBackend._quoteForSh;
+    return args.map(arg => quote(String(arg))).join(' ');
+  }
+
+  /**
+   * Quote an argument for sh: single quotes keep everything literal but the quote itself
+   * @param {string} value - Argument
+   * @returns {string} Quoted argument
+   * @private
+   */
+  static _quoteForSh(value) {
+    if (/^[\w@%+=:,./-]+$/.test(value)) {
+      return value;
+    }
+    return `'${value.replace(/'/g, "'\\''")}'`;
+  }
+
+  /**
+   * Quote an argument for cmd.exe: it is first quoted for the program's own
+   * argument parsing (backslashes before a quote doubled, quotes escaped), then
+   * every character cmd.exe would act on, the quotes included, is escaped with ^
+   * @param {string} value - Argument
+   * @returns {string} Quoted argument
+   * @private
+   */
+  static _quoteForCmd(value) {
+    if (/^[\w@+=:,./\\-]+$/.test(value)) {
+      return value;
+    }
+    const quoted = `"${value.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1')}"`;
+    return quoted.replace(/[()%!^"<>&|]/g, '^$&');
+  }
+}
+
+module.exports = CaptureBackend;
@@ -0,0 +1,34 @@
+/**
+ * Capture backend selection
+ */
+
+const CaptureBackend = require('./baseBackend');
+const WindowsCaptureBackend = require('./windowsBackend');
+const LinuxCaptureBackend = require('./linuxBackend');
+const MacCaptureBackend = require('./macosBackend');
+
+const BACKENDS = {
+  win32: WindowsCaptureBackend,
+  linux: LinuxCaptureBackend,
+  darwin: MacCaptureBackend
+};
+
+/**
+ * Create the capture backend for a platform
+ * @param {string} platform - Node platform name (default: current platform)
+ * @param {Object} env - Process environment
+ * @returns {CaptureBackend} Capture backend instance
+ */
+function getCaptureBackend(platform = process.platform, env = process.env) {
+  // Unknown platforms keep the historical gdigrab/dshow behavior
+  const Backend = BACKENDS[platform] || WindowsCaptureBackend;
+  return new Backend(env);
+}
+
+module.exports = {
+  getCaptureBackend,
+  CaptureBackend,
+  WindowsCaptureBackend,
+  LinuxCaptureBackend,
+  MacCaptureBackend
+};
@@ -0,0 +1,179 @@
+/**
+ * Linux capture backend (x11grab / kmsgrab / v4l2 / pulse / alsa)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CaptureBackend = require('./baseBackend');
+const CONFIG = require('../../config/constants');
+
+class LinuxCaptureBackend extends CaptureBackend {
+  /**
+   * @param {Object} env - Process environment
+   * @param {Object} settings - Backend overrides ({ grabber, audioSystem })
+   */
+  constructor(env = process.env, settings = {}) {
+    super(env);
+    this.platform = 'linux';
+    this.grabber = settings.grabber || this._detectGrabber();
+    this.audioSystem = settings.audioSystem || this._detectAudioSystem();
+    this.name = this.grabber;
+  }
+
+  /**
+   * Pick x11grab when an X display is reachable, kmsgrab otherwise
+   * @returns {string} Grabber name
+   * @private
+   */
+  _detectGrabber() {
+    return this.env.DISPLAY ? 'x11grab' : 'kmsgrab';
+  }
+
+  /**
+   * Pick PulseAudio (or PipeWire's pulse server) when running, ALSA otherwise
+   * @returns {string} Audio system name
+   * @private
+   */
+  _detectAudioSystem() {
+    if (this.env.PULSE_SERVER) {
+      return 'pulse';
+    }
+
+    if (this.env.XDG_RUNTIME_DIR) {
+      try {
+        if (fs.existsSync(path.join(this.env.XDG_RUNTIME_DIR, 'pulse', 'native'))) {
+          return 'pulse';
+        }
+      } catch (error) {
+        // Fall through to ALSA
+      }
+    }
+
+    return 'alsa';
+  }
+
+  /**
+   * Get X11 display name used for x11grab
+   * @returns {string} Display name
+   * @private
+   */
+  _getDisplay() {
+    return this.env.DISPLAY || CONFIG.CAPTURE.LINUX.DEFAULT_DISPLAY;
+  }
+
+  getDesktopInputArgs(framerate, region = null) {
+    if (this.grabber === 'kmsgrab') {
+      return [
+        '-device', CONFIG.CAPTURE.LINUX.DRM_DEVICE,
+        '-f', 'kmsgrab',
+        '-framerate', framerate,
+        '-i', '-'
+      ];
+    }
+
+    if (region) {
+      return [
+        '-f', 'x11grab',
+        '-video_size', `${region.width}x${region.height}`,
+        '-framerate', framerate,
+        '-draw_mouse', '1',
+        '-i', `${this._getDisplay()}+${region.x},${region.y}`
+      ];
+    }
+
+    return [
+      '-f', 'x11grab',
+      '-framerate', framerate,
+      '-i', this._getDisplay()
+    ];
+  }
+
+  getWindowInputArgs(framerate, window) {
+    if (this.grabber !== 'x11grab' || !window.handle) {
+      throw new Error('Window capture on Linux requires X11 and a window handle');
+    }
+
+    return [
+      '-f', 'x11grab',
+      '-framerate', framerate,
+      '-window_id', String(window.handle),
+      '-i', this._getDisplay()
+    ];
+  }
+
+  getCameraInputArgs(cameraName, settings = {}) {
+    const args = ['-f', 'v4l2', '-framerate', String(settings.framerate)];
+    if (settings.videoSize) {
+      args.push('-video_size', settings.videoSize);
+    }
+    args.push('-i', cameraName);
+    return args;
+  }
+
+  getAudioInputArgs(deviceName) {
+    return ['-f', this.audioSystem, '-i', deviceName || 'default'];
+  }
+
+  getInputFilters(region = null) {
+    if (this.grabber !== 'kmsgrab') {
+      return [];
+    }
+
+    // kmsgrab produces DRM frames that must be downloaded before software encoding
+    const filters = ['hwdownload', 'format=bgr0'];
+    if (region) {
+      filters.push(`crop=${region.width}:${region.height}:${region.x}:${region.y}`);
+    }
+    return filters;
+  }
+
+  getVideoDeviceListCommand(ffmpegPath = 'ffmpeg') {
+    return `${ffmpegPath} -hide_banner -sources v4l2`;
+  }
+
+  getAudioDeviceListCommand(ffmpegPath = 'ffmpeg') {
+    return `${ffmpegPath} -hide_banner -sources ${this.audioSystem}`;
+  }
+
+  /**
+   * Parse `ffmpeg -sources` output
+   * @param {string} output - Command output
+   * @returns {Array} Array of { id, description, isDefault }
+   * @private
+   */
+  _parseSources(output) {
+    const sources = [];
+
+    for (const line of output.split('\n')) {
+      const match = line.match(/^\s*(\*)?\s*(\S+)\s+\[(.*)\]\s*$/);
+      if (match) {
+        sources.push({
+          id: match[2],
+          description: match[3].trim() || match[2],
+          isDefault: Boolean(match[1])
+        });
+      }
+    }
+
+    return sources;
+  }
+
+  parseVideoDevices(output) {
+    return this._parseSources(output).map(source => ({
+      name: source.description,
+      id: source.id,
+      isOBS: false
+    }));
+  }
+
+  parseAudioDevices(output) {
+    return this._parseSources(output).map(source => ({
+      name: source.description,
+      id: source.id,
+      altName: null,
+      isDefault: source.isDefault
+    }));
+  }
+}
+
+module.exports = LinuxCaptureBackend;
@@ -0,0 +1,121 @@
+/**
+ * macOS capture backend (avfoundation)
+ */
+
+const CaptureBackend = require('./baseBackend');
+
+class MacCaptureBackend extends CaptureBackend {
+  constructor(env = process.env) {
+    super(env);
+    this.name = 'avfoundation';
+    this.platform = 'darwin';
+  }
+
+  /**
+   * Get avfoundation screen device name for a screen index
+   * @param {number} screenIndex - Screen number (0 = main display)
+   * @returns {string} Device name understood by avfoundation
+   * @private
+   */
+  _getScreenDevice(screenIndex = 0) {
+    return `Capture screen ${screenIndex || 0}`;
+  }
+
+  getDesktopInputArgs(framerate, region = null, settings = {}) {
+    // avfoundation always grabs the whole screen; regions are cropped in getInputFilters
+    return [
+      '-f', 'avfoundation',
+      '-framerate', framerate,
+      '-capture_cursor', '1',
+      '-i', `${this._getScreenDevice(settings.screenIndex)}:none`
+    ];
+  }
+
+  getCameraInputArgs(cameraName, settings = {}) {
+    const args = ['-f', 'avfoundation', '-framerate', String(settings.framerate)];
+    if (settings.videoSize) {
+      args.push('-video_size', settings.videoSize);
+    }
+    args.push('-i', `${cameraName}:none`);
+    return args;
+  }
+
+  getAudioInputArgs(deviceName) {
+    return ['-f', 'avfoundation', '-i', `:${deviceName}`];
+  }
+
+  getInputFilters(region = null) {
+    return region ? [`crop=${region.width}:${region.height}:${region.x}:${region.y}`] : [];
+  }
+
+  getVideoDeviceListCommand(ffmpegPath = 'ffmpeg') {
+    return `${ffmpegPath} -hide_banner -f avfoundation -list_devices true -i ""`;
+  }
+
+  /**
+   * Parse `-list_devices` output into video and audio sections
+   * @param {string} output - FFmpeg output
+   * @returns {Object} { video: Array, audio: Array } of { index, name }
+   * @private
+   */
+  _parseDeviceSections(output) {
+    const sections = { video: [], audio: [] };
+    let current = null;
+
+    for (const line of output.split('\n')) {
+      if (!line.includes('[AVFoundation')) {
+        continue;
+      }
+
+      if (line.includes('AVFoundation video devices')) {
+        current = sections.video;
+      } else if (line.includes('AVFoundation audio devices')) {
+        current = sections.audio;
+      } else if (current) {
+        const match = line.match(/\]\s*\[(\d+)\]\s+(.+?)\s*$/);
+        if (match) {
+          current.push({ index: parseInt(match[1], 10), name: match[2] });
+        }
+      }
+    }
+
+    return sections;
+  }
+
+  parseVideoDevices(output) {
+    return this._parseDeviceSections(output).video
+      .filter(device => !/^Capture screen \d+$/.test(device.name))
+      .map(device => ({
+        name: device.name,
+        index: device.index,
+        isOBS: device.name.toLowerCase().includes('obs virtual camera')
+      }));
+  }
+
+  /**
+   * Parse screen capture devices from `-list_devices` output
+   * @param {string} output - FFmpeg output
+   * @returns {Array} Array of { name, index, screenIndex }
+   */
+  parseScreenDevices(output) {
+    return this._parseDeviceSections(output).video
+      .map(device => ({ ...device, match: device.name.match(/^Capture screen (\d+)$/) }))
+      .filter(device => device.match)
+      .map(device => ({
+        name: device.name,
+        index: device.index,
+        screenIndex: parseInt(device.match[1], 10)
+      }));
+  }
+
+  parseAudioDevices(output) {
+    return this._parseDeviceSections(output).audio.map((device, position) => ({
+      name: device.name,
+      index: device.index,
+      altName: null,
+      isDefault: position === 0
+    }));
+  }
+}
+
+module.exports = MacCaptureBackend;
@@ -0,0 +1,166 @@
+/**
+ * Windows capture backend (gdigrab / dshow)
+ */
+
+const CaptureBackend = require('./baseBackend');
+
+class WindowsCaptureBackend extends CaptureBackend {
+  constructor(env = process.env) {
+    super(env);
+    this.name = 'gdigrab';
+    this.platform = 'win32';
+    // Whether gdigrab takes hwnd= (FFmpeg 6.1+), null until a window probe has told
+    this.windowHandleSupported = null;
+  }
+
+  getDesktopInputArgs(framerate, region = null) {
+    if (region) {
+      return [
+        '-f', 'gdigrab',
+        '-video_size', `${region.width}x${region.height}`,
+        '-framerate', framerate,
+        '-offset_x', region.x.toString(),
+        '-offset_y', region.y.toString(),
+        '-i', 'desktop',
+        '-draw_mouse', '1',
+        '-probesize', '10M',
+        '-analyzeduration', '0'
+      ];
+    }
+
+    return [
+      '-f', 'gdigrab',
+      '-framerate', framerate,
+      '-i', 'desktop'
+    ];
+  }
+
+  getWindowInputArgs(framerate, window) {
+    // hwnd= (FFmpeg 6.1+) keeps working when the title changes; title= finds the first window with that exact title
+    const byHandle = window.handle && this.windowHandleSupported !== false;
+    return [
+      '-f', 'gdigrab',
+      '-framerate', framerate,
+      '-i', byHandle ? `hwnd=${window.handle}` : `title=${window.title}`
+    ];
+  }
+
+  /**
+   * Get FFmpeg arguments that grab one frame of a window by its handle
+   * @param {Object} window - Window descriptor with a handle
+   * @returns {Array} FFmpeg arguments
+   */
+  getWindowProbeArgs(window) {
+    return ['-hide_banner', '-f', 'gdigrab', '-framerate', '1', '-i', `hwnd=${window.handle}`, '-frames:v', '1', '-f', 'null', '-'];
+  }
+
+  /**
+   * Read the result of a window probe
+   * @param {number|null} code - FFmpeg exit code
+   * @param {string} output - FFmpeg stderr
+   * @returns {boolean|null} True if hwnd= works, false if gdigrab predates it, null if the probe failed otherwise
+   */
+  parseWindowProbe(code, output) {
+    if (code === 0) {
+      return true;
+    }
+    // Before 6.1 the error names only "desktop" and "title=<windowname>" as targets
+    return /"desktop" or "title=<windowname>"/.test(output) ? false : null;
+  }
+
+  getCameraInputArgs(cameraName, settings = {}) {
+    const args = ['-f', 'dshow', '-framerate', String(settings.framerate)];
+    if (settings.videoSize) {
+      args.push('-video_size', settings.videoSize);
+    }
+    args.push('-i', `video=${cameraName}`);
+    return args;
+  }
+
+  getAudioInputArgs(deviceName) {
+    return ['-f', 'dshow', '-i', `audio=${deviceName}`];
+  }
+
+  getVideoDeviceListCommand(ffmpegPath = 'ffmpeg') {
+    return `${ffmpegPath} -list_devices true -f dshow -i dummy`;
+  }
+
+  parseVideoDevices(output) {
+    const videoDevices = [];
+    const lines = output.split('\n');
+    let inVideoDevices = false;
+
+    for (const line of lines) {
+      if (line.includes('[dshow @')) {
+        if (line.includes('DirectShow video devices')) {
+          inVideoDevices = true;
+        } else if (line.includes('DirectShow audio devices')) {
+          inVideoDevices = false;
+        } else if (line.includes('(video)')) {
+          const match = line.match(/"([^"]+)"/);
+          if (match) {
+            videoDevices.push({
+              name: match[1],
+              isOBS: match[1].toLowerCase().includes('obs virtual camera')
+            });
+          }
+        }
+      } else if (inVideoDevices && line.includes('"')) {
+        const match = line.match(/"([^"]+)"/);
+        if (match) {
+          videoDevices.push({
+            name: match[1],
+            isOBS: match[1].toLowerCase().includes('obs virtual camera')
+          });
+        }
+      }
+    }
+
+    return videoDevices;
+  }
+
+  parseAudioDevices(output) {
+    const audioDevices = [];
+    const lines = output.split('\n');
+    let inAudioDevices = false;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      let nameMatch = null;
+
+      if (line.includes('[dshow @')) {
+        if (line.includes('DirectShow audio devices')) {
+          inAudioDevices = true;
+        } else if (line.includes('DirectShow video devices')) {
+          inAudioDevices = false;
+        } else if (line.includes('(audio)')) {
+          nameMatch = line.match(/"([^"]+)"\s*\(audio\)/);
+        }
+      } else if (inAudioDevices && line.includes('"')) {
+        nameMatch = line.match(/"([^"]+)"/);
+      }
+
+      if (nameMatch) {
+        // Look for alternative name in the next line
+        let altName = null;
+        if (i + 1 < lines.length && lines[i + 1].includes('Alternative name')) {
+          const altMatch = lines[i + 1].match(/Alternative name "([^"]+)"/);
+          if (altMatch) {
+            altName = altMatch[1];
+          }
+        }
+
+        // dshow does not report the system default device
+        audioDevices.push({
+          name: nameMatch[1],
+          altName: altName,
+          isDefault: false
+        });
+      }
+    }
+
+    return audioDevices;
+  }
+}
+
+module.exports = WindowsCaptureBackend;
@@ -0,0 +1,176 @@
+/**
+ * Container service - output container choice and import preparation
+ *
+ * A regular MP4 or MOV is unreadable until FFmpeg writes the moov atom on exit,
+ * so a crash loses the whole recording; fragmented MP4 and MKV keep what was
+ * written. Fragmented MP4 is remuxed to a regular MP4 before it is imported,
+ * because Resolve seeks it far more reliably that way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config/constants');
+const ProcessRunner = require('../utils/processRunner');
+
+const SELECTED_CONTAINER_KEY = 'container';
+
+class ContainerService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {SettingsStore} settingsStore - Store for the selected container
+   */
+  constructor(logger, settingsStore) {
+    this.logger = logger;
+    this.settingsStore = settingsStore;
+  }
+
+  /**
+   * Get a container by id
+   * @param {string} id - Container id
+   * @returns {Object|null} Container
+   */
+  static getContainer(id) {
+    return CONFIG.RECORDING.CONTAINERS.find(container => container.id === id) || null;
+  }
+
+  /**
+   * Check if a profile's codecs can be written to a container
+   * @param {Object} container - Container
+   * @param {Object} profile - Encoding profile
+   * @returns {boolean} True if compatible
+   */
+  static isCompatible(container, profile) {
+    return container.profileExtensions.includes(profile.extension);
+  }
+
+  /**
+   * Get FFmpeg output options for the profile's container
+   * @param {Object} profile - Encoding profile
+   * @returns {Array} FFmpeg arguments
+   */
+  static getMuxerArgs(profile) {
+    return profile.muxerArgs ? [...profile.muxerArgs] : [];
+  }
+
+  /**
+   * List the top-level box types of an MP4/MOV file
+   * @param {string} filePath - File path
+   * @returns {Array} Box types in file order (empty if unreadable)
+   */
+  static getTopLevelBoxes(filePath) {
+    const types = [];
+    let fd = null;
+    try {
+      fd = fs.openSync(filePath, 'r');
+      const fileSize = fs.fstatSync(fd).size;
+      const header = Buffer.alloc(16);
+      let offset = 0;
+
+      while (offset + 8 <= fileSize) {
+        fs.readSync(fd, header, 0, 16, offset);
+        types.push(header.toString('latin1', 4, 8));
+
+        let boxSize = header.readUInt32BE(0);
+        if (boxSize === 1) {
+          boxSize = Number(header.readBigUInt64BE(8));
+        } else if (boxSize === 0) {
+          // Box runs to the end of the file
+          break;
+        }
+        if (boxSize < 8) {
+          break;
+        }
+        offset += boxSize;
+      }
+    } catch (error) {
+      return types;
+    } finally {
+      if (fd !== null) {
+        fs.closeSync(fd);
+      }
+    }
+
+    return types;
+  }
+
+  /**
+   * Check if an MP4 file is fragmented (has a top-level moof box)
+   * @param {string} filePath - File path
+   * @returns {boolean} True if fragmented
+   */
+  static isFragmentedMp4(filePath) {
+    return ContainerService.getTopLevelBoxes(filePath).includes('moof');
+  }
+
+  /**
+   * Get id of the container chosen in the renderer
+   * @returns {string} Container id, or 'profile'
+   */
+  getSelectedContainer() {
+    return this.settingsStore.get(SELECTED_CONTAINER_KEY, CONFIG.RECORDING.DEFAULT_CONTAINER);
+  }
+
+  /**
+   * Remember the container chosen in the renderer
+   * @param {string} id - Container id, or 'profile'
+   * @returns {Object} Result
+   */
+  selectContainer(id) {
+    if (id !== CONFIG.RECORDING.DEFAULT_CONTAINER && !ContainerService.getContainer(id)) {
+      return { success: false, error: `Unknown container: ${id}` };
+    }
+
+    this.settingsStore.set(SELECTED_CONTAINER_KEY, id);
+    return { success: true };
+  }
+
+  /**
+   * Apply the selected container to a profile
+   * @param {Object} profile - Encoding profile
+   * @param {string} id - Container id (default: selected container)
+   * @returns {Object} Profile with extension and muxerArgs (unchanged if incompatible)
+   */
+  applyToProfile(profile, id = null) {
+    const container = ContainerService.getContainer(id || this.getSelectedContainer());
+    if (!container) {
+      return profile;
+    }
+
+    if (!ContainerService.isCompatible(container, profile)) {
+      this.logger.log(`${profile.name} cannot be written to ${container.name}, using ${profile.extension}`);
+      return profile;
+    }
+
+    return { ...profile, extension: container.extension, muxerArgs: [...container.muxerArgs] };
+  }
+
+  /**
+   * Get a recording ready for import into Resolve
+   * @param {string} filePath - Recording path
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {Promise<Object>} Result with remuxed flag
+   */
+  async prepareForImport(filePath, ffmpegPath = 'ffmpeg') {
+    if (path.extname(filePath).toLowerCase() !== '.mp4' || !ContainerService.isFragmentedMp4(filePath)) {
+      return { success: true, remuxed: false };
+    }
+
+    const ext = path.extname(filePath);
+    const tempPath = `${filePath.slice(0, filePath.length - ext.length)}.remux${ext}`;
+
+    try {
+      // use_metadata_tags keeps the recording's descriptive tags
+      await ProcessRunner.runChecked(ffmpegPath, ['-y', '-i', filePath, '-map', '0', '-c', 'copy', '-movflags', '+faststart+use_metadata_tags', tempPath], 'Remux');
+      fs.renameSync(tempPath, filePath);
+      this.logger.log(`Remuxed fragmented MP4 for import: ${filePath}`);
+      return { success: true, remuxed: true };
+    } catch (error) {
+      // The fragmented file is still playable, so import it as it is
+      fs.rmSync(tempPath, { force: true });
+      this.logger.error(`Failed to remux ${filePath}: ${error.message}`);
+      return { success: false, remuxed: false, error: error.message };
+    }
+  }
+}
+
+module.exports = ContainerService;
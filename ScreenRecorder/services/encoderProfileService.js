@@ -0,0 +1,220 @@
+/**
+ * Encoder profile service - built-in and user-edited encoding profiles
+ */
+
+const CONFIG = require('../config/constants');
+const Validator = require('../utils/validation');
+
+const PROFILES_KEY = 'encodingProfiles';
+const SELECTED_PROFILE_KEY = 'selectedEncodingProfile';
+
+class EncoderProfileService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {SettingsStore} settingsStore - Store for user profiles and the selected profile
+   */
+  constructor(logger, settingsStore) {
+    this.logger = logger;
+    this.settingsStore = settingsStore;
+  }
+
+  /**
+   * Get a built-in profile by id
+   * @param {string} id - Profile id
+   * @returns {Object|null} Built-in profile
+   */
+  static getBuiltInProfile(id) {
+    return CONFIG.RECORDING.ENCODING_PROFILES.find(profile => profile.id === id) || null;
+  }
+
+  /**
+   * Get the default profile (H.264 Proxy, matching the historical settings)
+   * @returns {Object} Default profile
+   */
+  static getDefaultProfile() {
+    return EncoderProfileService.getBuiltInProfile(CONFIG.RECORDING.DEFAULT_ENCODING_PROFILE);
+  }
+
+  /**
+   * Build FFmpeg video encoding arguments for a profile
+   * @param {Object} profile - Encoding profile
+   * @returns {Array} FFmpeg arguments
+   */
+  static getVideoArgs(profile) {
+    const video = profile.video;
+    const args = ['-c:v', video.codec];
+
+    if (video.preset) {
+      args.push('-preset', video.preset);
+    }
+    if (video.crf !== undefined && video.crf !== null && video.crf !== '') {
+      args.push('-crf', String(video.crf));
+    }
+    if (video.profile) {
+      args.push('-profile:v', String(video.profile));
+    }
+    if (video.bitrate) {
+      args.push('-b:v', video.bitrate);
+    }
+    if (video.pixelFormat) {
+      args.push('-pix_fmt', video.pixelFormat);
+    }
+
+    return args.concat((video.extraArgs || []).map(String));
+  }
+
+  /**
+   * Get video filters the encoder needs after any scaling (e.g. VA-API hwupload)
+   * @param {Object} profile - Encoding profile
+   * @returns {Array} Filter strings
+   */
+  static getVideoFilters(profile) {
+    return (profile && profile.video.filters) ? [...profile.video.filters] : [];
+  }
+
+  /**
+   * Build FFmpeg audio encoding arguments for a profile
+   * @param {Object} profile - Encoding profile
+   * @returns {Array} FFmpeg arguments
+   */
+  static getAudioArgs(profile) {
+    const audio = profile.audio || {};
+    const args = ['-c:a', audio.codec || 'aac'];
+
+    if (audio.bitrate) {
+      args.push('-b:a', audio.bitrate);
+    }
+
+    return args;
+  }
+
+  /**
+   * Get user-saved profiles
+   * @returns {Array} User profiles
+   * @private
+   */
+  _getUserProfiles() {
+    const profiles = this.settingsStore.get(PROFILES_KEY, []);
+    return Array.isArray(profiles) ? profiles : [];
+  }
+
+  /**
+   * Get all profiles; user profiles override built-ins with the same id
+   * @returns {Array} Profiles with builtIn/modified flags
+   */
+  getProfiles() {
+    const userProfiles = this._getUserProfiles();
+
+    const builtIns = CONFIG.RECORDING.ENCODING_PROFILES.map(builtIn => {
+      const override = userProfiles.find(profile => profile.id === builtIn.id);
+      return { ...(override || builtIn), builtIn: true, modified: Boolean(override) };
+    });
+
+    const custom = userProfiles
+      .filter(profile => !EncoderProfileService.getBuiltInProfile(profile.id))
+      .map(profile => ({ ...profile, builtIn: false, modified: false }));
+
+    return builtIns.concat(custom);
+  }
+
+  /**
+   * Get a profile by id, falling back to the default profile
+   * @param {string} id - Profile id
+   * @returns {Object} Encoding profile
+   */
+  getProfile(id = null) {
+    const profiles = this.getProfiles();
+    const profileId = id || this.getSelectedProfileId();
+    return profiles.find(profile => profile.id === profileId) ||
+      profiles.find(profile => profile.id === CONFIG.RECORDING.DEFAULT_ENCODING_PROFILE);
+  }
+
+  /**
+   * Get id of the profile chosen in the renderer
+   * @returns {string} Profile id
+   */
+  getSelectedProfileId() {
+    return this.settingsStore.get(SELECTED_PROFILE_KEY, CONFIG.RECORDING.DEFAULT_ENCODING_PROFILE);
+  }
+
+  /**
+   * Remember the profile chosen in the renderer
+   * @param {string} id - Profile id
+   * @returns {Object} Result
+   */
+  selectProfile(id) {
+    if (!this.getProfiles().some(profile => profile.id === id)) {
+      return { success: false, error: `Unknown encoding profile: ${id}` };
+    }
+
+    this.settingsStore.set(SELECTED_PROFILE_KEY, id);
+    return { success: true };
+  }
+
+  /**
+   * Create an id from a profile name
+   * @param {string} name - Profile name
+   * @returns {string} Profile id
+   * @private
+   */
+  _createId(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+  }
+
+  /**
+   * Save a new or edited profile
+   * @param {Object} profile - Encoding profile
+   * @returns {Object} Result with the saved profile
+   */
+  saveProfile(profile) {
+    const validation = Validator.validateEncodingProfile(profile);
+    if (!validation.valid) {
+      return { success: false, error: Validator.formatValidationErrors(validation.errors) };
+    }
+
+    // Filters are only set by the hardware encoder service, never taken from the renderer
+    const { filters, ...video } = profile.video;
+    const saved = {
+      id: profile.id || this._createId(profile.name),
+      name: profile.name.trim(),
+      extension: profile.extension,
+      video,
+      audio: { ...profile.audio }
+    };
+
+    const userProfiles = this._getUserProfiles().filter(existing => existing.id !== saved.id);
+    userProfiles.push(saved);
+    this.settingsStore.set(PROFILES_KEY, userProfiles);
+
+    this.logger.log(`Saved encoding profile: ${saved.name} (${saved.id})`);
+    return { success: true, profile: saved };
+  }
+
+  /**
+   * Delete a custom profile, or restore a modified built-in profile
+   * @param {string} id - Profile id
+   * @returns {Object} Result
+   */
+  deleteProfile(id) {
+    const userProfiles = this._getUserProfiles();
+    const remaining = userProfiles.filter(profile => profile.id !== id);
+
+    if (remaining.length === userProfiles.length) {
+      return {
+        success: false,
+        error: EncoderProfileService.getBuiltInProfile(id) ?
+          'Built-in profiles cannot be deleted' : `Unknown encoding profile: ${id}`
+      };
+    }
+
+    this.settingsStore.set(PROFILES_KEY, remaining);
+    if (this.getSelectedProfileId() === id && !EncoderProfileService.getBuiltInProfile(id)) {
+      this.settingsStore.set(SELECTED_PROFILE_KEY, CONFIG.RECORDING.DEFAULT_ENCODING_PROFILE);
+    }
+
+    this.logger.log(`Deleted encoding profile: ${id}`);
+    return { success: true };
+  }
+}
+
+module.exports = EncoderProfileService;
@@ -5,14 +5,29 @@
 const { spawn, exec } = require('child_process');
 const CONFIG = require('../config/constants');
 const FileSystemUtils = require('../utils/fileSystem');
+const { getCaptureBackend, CaptureBackend } = require('./captureBackends');
+const SegmentService = require('./segmentService');
+const EncoderProfileService = require('./encoderProfileService');
+const ContainerService = require('./containerService');
 
 class FFmpegService {
-  constructor(logger) {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {CaptureBackend} captureBackend - Platform capture backend (default: current platform)
+   * @param {HardwareEncoderService} hardwareEncoderService - Swaps in the selected hardware encoder (optional)
+   */
+  constructor(logger, captureBackend = getCaptureBackend(), hardwareEncoderService = null) {
     this.logger = logger;
+    this.captureBackend = captureBackend;
+    this.hardwareEncoderService = hardwareEncoderService;
     this.recordingProcess = null;
     this.isRecording = false;
     this.currentRecordingPath = null;
     this.forceKillTimeout = null;
+    this.isPaused = false;
+    this.segmentService = new SegmentService(logger);
+    this.resumeSegment = null;
+    this.onRecordingComplete = null;
   }
 
   /**
@@ -35,6 +50,57 @@ class FFmpegService {
     });
   }
 
+  /**
+   * Build -map arguments that put each audio input on its own track
+   * @param {Array} trackNames - Track titles, one per audio input, in input order
+   * @param {number} videoInput - Index of the video input
+   * @param {number} firstAudioInput - Index of the first audio input
+   * @returns {Array} FFmpeg arguments (empty for a single input, which FFmpeg maps by default)
+   */
+  static getAudioTrackArgs(trackNames, videoInput, firstAudioInput) {
+    if (trackNames.length <= 1) {
+      return [];
+    }
+
+    const args = ['-map', `${videoInput}:v`];
+    trackNames.forEach((name, index) => {
+      args.push('-map', `${firstAudioInput + index}:a`);
+    });
+
+    return args.concat(FFmpegService.getAudioTitleArgs(trackNames));
+  }
+
+  /**
+   * Build arguments that name each audio track
+   * @param {Array} trackNames - Track titles, in track order
+   * @returns {Array} FFmpeg arguments
+   */
+  static getAudioTitleArgs(trackNames) {
+    return trackNames.flatMap((name, index) => [`-metadata:s:a:${index}`, `title=${name}`]);
+  }
+
+  /**
+   * Get the encoding profile for a recording
+   * @param {Object} options - Recording options ({ encodingProfile })
+   * @returns {Object} Encoding profile (default: H.264 Proxy), using the selected hardware encoder if it works
+   */
+  getEncodingProfile(options = {}) {
+    const profile = options.encodingProfile || EncoderProfileService.getDefaultProfile();
+    return this.hardwareEncoderService ? this.hardwareEncoderService.applyToProfile(profile) : profile;
+  }
+
+  /**
+   * Build the -vf arguments for capture filters plus any the encoder needs
+   * @param {Array} filters - Capture and scaling filters
+   * @param {Object} profile - Encoding profile
+   * @returns {Array} FFmpeg arguments (empty when there are no filters)
+   * @private
+   */
+  _getFilterArgs(filters, profile) {
+    const allFilters = filters.concat(EncoderProfileService.getVideoFilters(profile));
+    return allFilters.length > 0 ? ['-vf', allFilters.join(',')] : [];
+  }
+
   /**
    * Generate FFmpeg arguments based on recording options
    * @param {Object} options - Recording options
@@ -51,49 +117,34 @@ class FFmpegService {
         return this._generateCameraArgs(options);
 
       case 'window':
-        args.push(
-          '-f', 'gdigrab',
-          '-framerate', framerate,
-          '-i', `title=${options.windowTitle}`
-        );
+        args.push(...this.captureBackend.getWindowInputArgs(framerate, {
+          title: options.windowTitle,
+          handle: options.windowHandle
+        }));
         break;
 
       default:
-        if (region) {
-          args.push(
-            '-f', 'gdigrab',
-            '-video_size', `${region.width}x${region.height}`,
-            '-framerate', framerate,
-            '-offset_x', region.x.toString(),
-            '-offset_y', region.y.toString(),
-            '-i', 'desktop',
-            '-draw_mouse', '1',
-            '-probesize', '10M',
-            '-analyzeduration', '0'
-          );
-        } else {
-          args.push(
-            '-f', 'gdigrab',
-            '-framerate', framerate,
-            '-i', 'desktop'
-          );
-        }
+        args.push(...this.captureBackend.getDesktopInputArgs(framerate, region, {
+          screenIndex: options.screenIndex
+        }));
         break;
     }
 
-    // Add encoding options
-    args.push(
-      '-c:v', CONFIG.RECORDING.ENCODING.CODEC,
-      '-preset', CONFIG.RECORDING.ENCODING.PRESET,
-      '-crf', CONFIG.RECORDING.ENCODING.CRF.toString(),
-      '-pix_fmt', CONFIG.RECORDING.ENCODING.PIXEL_FORMAT
-    );
+    // Add encoding options from the selected profile
+    const encodingProfile = this.getEncodingProfile(options);
+    args.push(...EncoderProfileService.getVideoArgs(encodingProfile));
+    args.push(...ContainerService.getMuxerArgs(encodingProfile));
+
+    // Backend filters (e.g. kmsgrab hwdownload) run before scaling
+    const filters = this.captureBackend.getInputFilters(region);
 
     // Add resolution scaling if needed (but not for region selection)
-    if (options.resolution && options.resolution !== 'desktop' && !region) {
-      args.push('-vf', `scale=${options.resolution}`);
+    if (options.resolution && options.resolution !== 'desktop' && options.region !== 'selection') {
+      filters.push(`scale=${options.resolution}`);
     }
 
+    args.push(...this._getFilterArgs(filters, encodingProfile));
+
     return args;
   }
 
@@ -105,23 +156,18 @@ class FFmpegService {
    */
   _generateCameraArgs(options) {
     const cleanCameraName = options.cameraName.replace(/[\[\]]/g, '').trim();
-    const isOBS = cleanCameraName.toLowerCase().includes('obs virtual');
 
-    if (isOBS) {
+    if (this.captureBackend.isOBSCamera(cleanCameraName)) {
       // OBS Virtual Camera settings
-      return [
-        '-f', 'dshow',
-        '-framerate', CONFIG.RECORDING.CAMERA_RESOLUTIONS.OBS.framerate.toString(),
-        '-i', `video="${cleanCameraName}"`
-      ];
+      return this.captureBackend.getCameraInputArgs(cleanCameraName, {
+        framerate: CONFIG.RECORDING.CAMERA_RESOLUTIONS.OBS.framerate
+      });
     } else {
       // Regular camera settings
-      return [
-        '-f', 'dshow',
-        '-framerate', options.framerate || CONFIG.RECORDING.DEFAULT_FRAMERATE,
-        '-video_size', `${CONFIG.RECORDING.CAMERA_RESOLUTIONS.DEFAULT.width}x${CONFIG.RECORDING.CAMERA_RESOLUTIONS.DEFAULT.height}`,
-        '-i', `video="${cleanCameraName}"`
-      ];
+      return this.captureBackend.getCameraInputArgs(cleanCameraName, {
+        framerate: options.framerate || CONFIG.RECORDING.DEFAULT_FRAMERATE,
+        videoSize: `${CONFIG.RECORDING.CAMERA_RESOLUTIONS.DEFAULT.width}x${CONFIG.RECORDING.CAMERA_RESOLUTIONS.DEFAULT.height}`
+      });
     }
   }
 
@@ -136,24 +182,33 @@ class FFmpegService {
     const cleanCameraName = options.cameraName.replace(/[\[\]]/g, '').trim();
     const targetResolution = options.resolution || CONFIG.RECORDING.DEFAULT_RESOLUTION;
     const ffmpegPath = this.getFFmpegPath();
-
-    if (cleanCameraName.toLowerCase().includes('obs virtual')) {
+    const backend = this.captureBackend;
+    const input = (settings) => CaptureBackend.toCommandString(backend.getCameraInputArgs(cleanCameraName, settings));
+    const encodingProfile = this.getEncodingProfile(options);
+    const encoding = CaptureBackend.toCommandString([
+      ...EncoderProfileService.getVideoArgs(encodingProfile),
+      ...ContainerService.getMuxerArgs(encodingProfile)
+    ]);
+    const scale = (filters) => CaptureBackend.toCommandString(this._getFilterArgs(filters, encodingProfile));
+    const output = CaptureBackend.toCommandString([outputPath]);
+
+    if (backend.isOBSCamera(cleanCameraName)) {
       // OBS Virtual Camera command
       return [
-        `${ffmpegPath} -f dshow -framerate ${CONFIG.RECORDING.CAMERA_RESOLUTIONS.OBS.framerate} -i video="${cleanCameraName}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -vf scale=${targetResolution} "${outputPath}"`
+        `${ffmpegPath} ${input({ framerate: CONFIG.RECORDING.CAMERA_RESOLUTIONS.OBS.framerate })} ${encoding} ${scale([`scale=${targetResolution}`])} ${output}`
       ];
     } else {
       // Regular camera fallbacks
       const framerate = options.framerate || CONFIG.RECORDING.DEFAULT_FRAMERATE;
-      const scaleFilter = targetResolution !== CONFIG.RECORDING.DEFAULT_RESOLUTION ? `-vf scale=${targetResolution}` : '';
+      const scaleFilter = scale(targetResolution !== CONFIG.RECORDING.DEFAULT_RESOLUTION ? [`scale=${targetResolution}`] : []);
 
       return [
         // Primary: Request 1920x1080 input
-        `${ffmpegPath} -f dshow -framerate ${framerate} -video_size ${CONFIG.RECORDING.DEFAULT_RESOLUTION} -i video="${cleanCameraName}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p ${scaleFilter} "${outputPath}"`,
+        `${ffmpegPath} ${input({ framerate, videoSize: CONFIG.RECORDING.DEFAULT_RESOLUTION })} ${encoding} ${scaleFilter} ${output}`,
         // Fallback 1: No video_size specified
-        `${ffmpegPath} -f dshow -framerate ${framerate} -i video="${cleanCameraName}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p ${scaleFilter} "${outputPath}"`,
+        `${ffmpegPath} ${input({ framerate })} ${encoding} ${scaleFilter} ${output}`,
         // Fallback 2: Use 1280x720 input
-        `${ffmpegPath} -f dshow -framerate ${framerate} -video_size 1280x720 -i video="${cleanCameraName}" -c:v libx264 -preset ultrafast -crf 22 -pix_fmt yuv420p -vf scale=${targetResolution} "${outputPath}"`
+        `${ffmpegPath} ${input({ framerate, videoSize: '1280x720' })} ${encoding} ${scale([`scale=${targetResolution}`])} ${output}`
       ];
     }
   }
@@ -171,7 +226,8 @@ class FFmpegService {
     }
 
     FileSystemUtils.ensureRecordingsDir();
-    const outputPath = FileSystemUtils.getRecordingPath();
+    const extension = this.getEncodingProfile(options).extension;
+    const outputPath = FileSystemUtils.getRecordingPath(FileSystemUtils.generateRecordingFilename(extension));
 
     this.logger.log(`Starting recording: ${outputPath}`);
 
@@ -219,7 +275,7 @@ class FFmpegService {
         const cameraCommand = fallbackCommands[currentAttempt];
         const attemptName = currentAttempt === 0 ? 'Primary approach' : `Fallback ${currentAttempt}`;
         const currentOutputPath = currentAttempt > 0 ?
-          FileSystemUtils.getRecordingPath(`_attempt${currentAttempt}.mp4`) : outputPath;
+          FileSystemUtils.getRecordingPath(`_attempt${currentAttempt}${this.getEncodingProfile(options).extension}`) : outputPath;
 
         const modifiedCommand = cameraCommand.replace(outputPath, currentOutputPath).replace('ffmpeg', 'ffmpeg -y');
 
@@ -348,12 +404,17 @@ class FFmpegService {
     const fullCommand = `${this.getFFmpegPath()} ${args.join(' ')}`;
     this.logger.log(`FFmpeg command: ${fullCommand}`);
 
-    this.recordingProcess = spawn(this.getFFmpegPath(), args);
+    this.segmentService.startSession(outputPath);
+    this.onRecordingComplete = onComplete;
+    this.resumeSegment = () => {
+      this.recordingProcess = spawn(this.getFFmpegPath(), args);
+      this._setupScreenProcessHandlers(outputPath, onComplete);
+    };
+
+    this.resumeSegment();
     this.isRecording = true;
     this.currentRecordingPath = outputPath;
 
-    this._setupScreenProcessHandlers(outputPath, onComplete);
-
     return { success: true, filePath: outputPath };
   }
 
@@ -374,12 +435,18 @@ class FFmpegService {
 
     this.recordingProcess.on('close', (code, signal) => {
       this.logger.log(`Recording process closed with code: ${code}, signal: ${signal}`);
+
+      if (this.isPaused) {
+        // Segment ended by pauseRecording; keep the session alive for resume
+        this.recordingProcess = null;
+        this.segmentService.keepSegment(outputPath);
+        return;
+      }
+
       this._resetRecordingState();
 
       if (code === 0) {
-        if (onComplete) {
-          onComplete({ success: true, filePath: outputPath });
-        }
+        this._finalizeSegments(outputPath, onComplete);
       } else if (code !== null && code !== 0) {
         this.logger.error(`FFmpeg failed with exit code ${code}`);
         if (onComplete) {
@@ -398,11 +465,87 @@ class FFmpegService {
     });
   }
 
+  /**
+   * Join recorded segments and report completion
+   * @param {string} outputPath - Output file path
+   * @param {Function} onComplete - Completion callback
+   * @private
+   */
+  async _finalizeSegments(outputPath, onComplete) {
+    try {
+      const { pausedSpans } = await this.segmentService.finalize(this.getFFmpegPath());
+      if (onComplete) {
+        onComplete({ success: true, filePath: outputPath, pausedSpans });
+      }
+    } catch (error) {
+      this.logger.error(`Failed to join recording segments: ${error.message}`);
+      if (onComplete) {
+        onComplete({ success: false, error: `Failed to join recording segments: ${error.message}` });
+      }
+    }
+  }
+
+  /**
+   * Pause recording by ending the current segment
+   * @returns {Promise<Object>} Pause result
+   */
+  async pauseRecording() {
+    if (!this.isRecording || this.isPaused || !this.recordingProcess) {
+      return { success: false, error: 'No active recording to pause' };
+    }
+
+    if (!this.resumeSegment) {
+      return { success: false, error: 'Pause is only supported for screen and window recordings' };
+    }
+
+    this.logger.log('Pausing recording');
+    this.isPaused = true;
+    this.segmentService.markPaused();
+    await this._stopScreenRecording();
+
+    return { success: true };
+  }
+
+  /**
+   * Resume a paused recording in a new segment
+   * @returns {Promise<Object>} Resume result
+   */
+  async resumeRecording() {
+    if (!this.isRecording || !this.isPaused) {
+      return { success: false, error: 'Recording is not paused' };
+    }
+
+    if (this.recordingProcess) {
+      return { success: false, error: 'Previous segment is still being finalized' };
+    }
+
+    this.logger.log('Resuming recording');
+    this.segmentService.markResumed();
+    this.isPaused = false;
+    this.resumeSegment();
+
+    return { success: true };
+  }
+
   /**
    * Stop recording process
    * @returns {Promise<Object>} Stop result
    */
   async stopRecording() {
+    if (this.isRecording && this.isPaused) {
+      // No process is running while paused; just join what was recorded
+      if (this.recordingProcess) {
+        return { success: false, error: 'Previous segment is still being finalized' };
+      }
+
+      const outputPath = this.currentRecordingPath;
+      const onComplete = this.onRecordingComplete;
+      this.segmentService.markResumed();
+      this._resetRecordingState();
+      await this._finalizeSegments(outputPath, onComplete);
+      return { success: true };
+    }
+
     if (!this.isRecording || !this.recordingProcess) {
       return { success: false, error: 'No recording in progress' };
     }
@@ -516,8 +659,11 @@ class FFmpegService {
    */
   _resetRecordingState() {
     this.isRecording = false;
+    this.isPaused = false;
     this.recordingProcess = null;
     this.currentRecordingPath = null;
+    this.resumeSegment = null;
+    this.onRecordingComplete = null;
     this._cleanupForceKillTimeout();
   }
 
@@ -528,6 +674,7 @@ class FFmpegService {
   getState() {
     return {
       isRecording: this.isRecording,
+      isPaused: this.isPaused,
       currentRecordingPath: this.currentRecordingPath,
       hasProcess: this.recordingProcess !== null
     };
@@ -0,0 +1,260 @@
+/**
+ * Hardware encoder service
+ *
+ * `ffmpeg -encoders` only says which encoders were compiled in, not whether a
+ * GPU and driver are present, so every candidate is also tried with a short
+ * test encode of a lavfi test source. Only encoders that pass are offered, and
+ * anything else keeps the profile's software encoder (libx264/libx265).
+ */
+
+const CONFIG = require('../config/constants');
+const ProcessRunner = require('../utils/processRunner');
+const EncoderProfileService = require('./encoderProfileService');
+
+const SELECTED_ENCODER_KEY = 'hardwareEncoder';
+const SOFTWARE_CODECS = { libx264: 'h264', libx265: 'hevc' };
+const DEFAULT_QUALITY = 23;
+// A broken driver can hang the test encode
+const PROBE_TIMEOUT = CONFIG.RECORDING.ENCODER_PROBE.TIMEOUT;
+
+class HardwareEncoderService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {SettingsStore} settingsStore - Store for the selected encoder
+   */
+  constructor(logger, settingsStore) {
+    this.logger = logger;
+    this.settingsStore = settingsStore;
+    this.available = null;
+    this.probePromise = null;
+  }
+
+  /**
+   * Parse the encoder names from `ffmpeg -encoders` output
+   * @param {string} output - FFmpeg output
+   * @returns {Array} Video encoder names
+   */
+  static parseEncoderList(output) {
+    const lines = output.split(/\r?\n/);
+    // The flag legend above the separator looks like encoder lines
+    const start = lines.findIndex(line => line.trim().startsWith('---'));
+
+    return lines.slice(start + 1)
+      .map(line => line.match(/^\s*V[A-Z.]{5}\s+(\S+)/))
+      .filter(Boolean)
+      .map(match => match[1]);
+  }
+
+  /**
+   * Get hardware encoders that were compiled into FFmpeg
+   * @param {Array} encoderNames - Encoder names from `ffmpeg -encoders`
+   * @returns {Array} Candidates { api, name, codec, encoder }
+   */
+  static getCandidates(encoderNames) {
+    const candidates = [];
+
+    CONFIG.RECORDING.HARDWARE_ENCODERS.forEach(hardware => {
+      Object.entries(hardware.encoders).forEach(([codec, encoder]) => {
+        if (encoderNames.includes(encoder)) {
+          candidates.push({ api: hardware.api, name: hardware.name, codec, encoder });
+        }
+      });
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Get video settings that encode with a hardware encoder at a similar quality
+   * @param {string} api - Hardware API (nvenc, qsv, amf, vaapi)
+   * @param {string} encoder - FFmpeg encoder name
+   * @param {Object} video - Software video settings from the profile
+   * @returns {Object} Video settings
+   */
+  static getHardwareVideo(api, encoder, video = {}) {
+    const quality = String(video.crf !== undefined && video.crf !== null && video.crf !== '' ? video.crf : DEFAULT_QUALITY);
+    const tenBit = /10le$/.test(video.pixelFormat || '');
+    const extraArgs = (video.extraArgs || []).map(String);
+
+    switch (api) {
+      case 'nvenc':
+        return {
+          codec: encoder,
+          preset: 'p4',
+          pixelFormat: tenBit ? 'p010le' : 'yuv420p',
+          extraArgs: ['-rc', 'vbr', '-cq', quality, ...extraArgs]
+        };
+
+      case 'qsv':
+        return {
+          codec: encoder,
+          preset: 'veryfast',
+          pixelFormat: tenBit ? 'p010le' : 'nv12',
+          extraArgs: ['-global_quality', quality, ...extraArgs]
+        };
+
+      case 'amf':
+        return {
+          codec: encoder,
+          pixelFormat: 'nv12',
+          extraArgs: ['-rc', 'cqp', '-qp_i', quality, '-qp_p', quality, ...extraArgs]
+        };
+
+      case 'vaapi':
+        // Frames are uploaded to the GPU after scaling
+        return {
+          codec: encoder,
+          extraArgs: ['-vaapi_device', CONFIG.RECORDING.VAAPI_DEVICE, '-qp', quality, ...extraArgs],
+          filters: [tenBit ? 'format=p010' : 'format=nv12', 'hwupload']
+        };
+
+      default:
+        throw new Error(`Unknown hardware encoder API: ${api}`);
+    }
+  }
+
+  /**
+   * Get FFmpeg arguments for a test encode of the lavfi test source
+   * @param {Object} candidate - Candidate from getCandidates
+   * @returns {Array} FFmpeg arguments
+   */
+  static getTestEncodeArgs(candidate) {
+    const profile = { video: HardwareEncoderService.getHardwareVideo(candidate.api, candidate.encoder) };
+    const filters = EncoderProfileService.getVideoFilters(profile);
+    const args = [
+      '-hide_banner', '-loglevel', 'error',
+      '-f', 'lavfi', '-i', CONFIG.RECORDING.ENCODER_PROBE.TEST_SOURCE,
+      ...EncoderProfileService.getVideoArgs(profile)
+    ];
+
+    if (filters.length > 0) {
+      args.push('-vf', filters.join(','));
+    }
+
+    return args.concat(['-frames:v', String(CONFIG.RECORDING.ENCODER_PROBE.TEST_FRAMES), '-f', 'null', '-']);
+  }
+
+  /**
+   * Find the hardware encoders that actually work; the result is cached
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @param {boolean} refresh - Probe again even if a result is cached
+   * @returns {Promise<Array>} Working encoders { api, name, codecs }
+   */
+  async probe(ffmpegPath = 'ffmpeg', refresh = false) {
+    if (this.probePromise && !refresh) {
+      return this.probePromise;
+    }
+
+    this.probePromise = this._probe(ffmpegPath);
+    this.available = await this.probePromise;
+    return this.available;
+  }
+
+  /**
+   * Run the encoder list and test encodes
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {Promise<Array>} Working encoders
+   * @private
+   */
+  async _probe(ffmpegPath) {
+    let candidates;
+    try {
+      const result = await ProcessRunner.run(ffmpegPath, ['-hide_banner', '-encoders'], { timeout: PROBE_TIMEOUT });
+      candidates = HardwareEncoderService.getCandidates(HardwareEncoderService.parseEncoderList(result.stdout));
+    } catch (error) {
+      this.logger.error(`Failed to list FFmpeg encoders: ${error.message}`);
+      return [];
+    }
+
+    const working = [];
+    // One at a time: parallel test encodes can exhaust GPU encoder sessions
+    for (const candidate of candidates) {
+      const result = await ProcessRunner.run(ffmpegPath, HardwareEncoderService.getTestEncodeArgs(candidate), { timeout: PROBE_TIMEOUT })
+        .catch(error => ({ code: -1, stderr: error.message }));
+
+      if (result.code !== 0) {
+        this.logger.log(`Hardware encoder ${candidate.encoder} failed test encode: ${(result.stderr || '').trim().split('\n').pop()}`);
+        continue;
+      }
+
+      this.logger.log(`Hardware encoder ${candidate.encoder} is available`);
+      const entry = working.find(encoder => encoder.api === candidate.api);
+      if (entry) {
+        entry.codecs.push(candidate.codec);
+      } else {
+        working.push({ api: candidate.api, name: candidate.name, codecs: [candidate.codec] });
+      }
+    }
+
+    return working;
+  }
+
+  /**
+   * Get the encoders found by the last probe
+   * @returns {Array} Working encoders (empty before probing)
+   */
+  getAvailableEncoders() {
+    return this.available || [];
+  }
+
+  /**
+   * Get the selected hardware API
+   * @returns {string} API name, or 'software'
+   */
+  getSelectedEncoder() {
+    return this.settingsStore.get(SELECTED_ENCODER_KEY, CONFIG.RECORDING.SOFTWARE_ENCODER);
+  }
+
+  /**
+   * Remember the hardware API chosen in the renderer
+   * @param {string} api - API name, or 'software'
+   * @returns {Object} Result
+   */
+  selectEncoder(api) {
+    const known = api === CONFIG.RECORDING.SOFTWARE_ENCODER ||
+      CONFIG.RECORDING.HARDWARE_ENCODERS.some(hardware => hardware.api === api);
+    if (!known) {
+      return { success: false, error: `Unknown encoder: ${api}` };
+    }
+
+    this.settingsStore.set(SELECTED_ENCODER_KEY, api);
+    return { success: true };
+  }
+
+  /**
+   * Check if recording with a profile depends on the probe result, so it has to wait for it
+   * @param {Object} profile - Encoding profile
+   * @returns {boolean} True if a hardware encoder is selected and could replace the profile's encoder
+   */
+  needsProbe(profile) {
+    return this.getSelectedEncoder() !== CONFIG.RECORDING.SOFTWARE_ENCODER && Boolean(SOFTWARE_CODECS[profile.video.codec]);
+  }
+
+  /**
+   * Swap a profile's software H.264/HEVC encoder for the selected hardware encoder
+   * @param {Object} profile - Encoding profile
+   * @returns {Object} Profile to record with (unchanged when hardware can't be used)
+   */
+  applyToProfile(profile) {
+    const api = this.getSelectedEncoder();
+    const codec = SOFTWARE_CODECS[profile.video.codec];
+
+    if (api === CONFIG.RECORDING.SOFTWARE_ENCODER || !codec) {
+      return profile;
+    }
+
+    const working = this.getAvailableEncoders().find(encoder => encoder.api === api);
+    if (!working || !working.codecs.includes(codec)) {
+      this.logger.log(`${api} ${codec} encoder did not pass the test encode, using ${profile.video.codec}`);
+      return profile;
+    }
+
+    const hardware = CONFIG.RECORDING.HARDWARE_ENCODERS.find(entry => entry.api === api);
+    return {
+      ...profile,
+      video: HardwareEncoderService.getHardwareVideo(api, hardware.encoders[codec], profile.video)
+    };
+  }
+}
+
+module.exports = HardwareEncoderService;
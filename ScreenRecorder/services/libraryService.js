@@ -0,0 +1,249 @@
+/**
+ * Library service - past recordings with their details, for the recordings panel
+ *
+ * Duration, resolution and source type are read from FFmpeg's description of
+ * each file and kept until the file changes. Poster frames are made by the
+ * media job queue into a hidden folder next to the recordings. Recordings are
+ * addressed by file name so the renderer can never reach outside the
+ * recordings folder.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config/constants');
+const FileSystemUtils = require('../utils/fileSystem');
+const ProcessRunner = require('../utils/processRunner');
+const MediaPoolService = require('./mediaPoolService');
+
+const LIBRARY = CONFIG.LIBRARY;
+
+class LibraryService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {string} recordingsDir - Recordings folder
+   */
+  constructor(logger, recordingsDir = CONFIG.RECORDINGS_DIR) {
+    this.logger = logger;
+    this.recordingsDir = recordingsDir;
+    this.details = new Map(); // File name -> { modified, details }
+  }
+
+  /**
+   * Read the details of a recording from the output of ffmpeg -i
+   * @param {string} output - FFmpeg stderr
+   * @returns {Object} { duration (seconds), width, height, frameRate, sourceType } (null when not found)
+   */
+  static parseMediaInfo(output) {
+    const duration = /Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/.exec(output);
+    const video = /Stream #\d+:\d+.*: Video: .*?\b(\d{2,5})x(\d{2,5})\b/.exec(output);
+    const frameRate = /Stream #\d+:\d+.*: Video: .*?, (\d+(?:\.\d+)?) fps/.exec(output);
+    const sourceType = /^\s*source_type\s*: (\S+)/im.exec(output);
+
+    return {
+      duration: duration ? (parseInt(duration[1], 10) * 60 + parseInt(duration[2], 10)) * 60 + parseFloat(duration[3]) : null,
+      width: video ? parseInt(video[1], 10) : null,
+      height: video ? parseInt(video[2], 10) : null,
+      frameRate: frameRate ? parseFloat(frameRate[1]) : null,
+      sourceType: sourceType ? sourceType[1].toLowerCase() : null
+    };
+  }
+
+  /**
+   * Get the FFmpeg arguments that write a recording's poster frame
+   * @param {string} filePath - Recording path
+   * @param {string} thumbnailPath - JPEG path
+   * @returns {Array} FFmpeg arguments
+   */
+  static getThumbnailArgs(filePath, thumbnailPath) {
+    // The thumbnail filter picks a representative frame from the start, so black first frames are skipped
+    return [
+      '-hide_banner', '-y', '-i', filePath,
+      '-vf', `thumbnail,scale=${LIBRARY.THUMBNAIL_WIDTH}:-2`, '-frames:v', '1', '-q:v', '4',
+      thumbnailPath
+    ];
+  }
+
+  /**
+   * Check a new name for a recording
+   * @param {string} name - New file name (the extension may be left out)
+   * @param {string} currentName - Current file name
+   * @returns {Object} { name: full file name } or { error }
+   */
+  static validateName(name, currentName) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    const extension = path.extname(currentName);
+    if (!trimmed || trimmed.startsWith('.') || /[\\/:*?"<>|\x00-\x1f]/.test(trimmed)) {
+      return { error: 'Name cannot be empty, start with a dot or contain \\ / : * ? " < > |' };
+    }
+
+    const fullName = path.extname(trimmed).toLowerCase() === extension.toLowerCase() ? trimmed : `${trimmed}${extension}`;
+    if (!FileSystemUtils.isRecordingFile(fullName)) {
+      return { error: `Name cannot end in .partN or .remux before ${extension}` };
+    }
+    return { name: fullName };
+  }
+
+  /**
+   * Get the path of a recording in the recordings folder
+   * @param {string} name - File name
+   * @returns {string|null} Path, null if there is no such recording
+   */
+  getRecordingPath(name) {
+    if (typeof name !== 'string' || name !== path.basename(name) || !FileSystemUtils.isRecordingFile(name)) {
+      return null;
+    }
+
+    const filePath = path.join(this.recordingsDir, name);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Get where a recording's poster frame is cached
+   * @param {string} name - File name
+   * @returns {string} JPEG path
+   */
+  getThumbnailPath(name) {
+    return path.join(this.recordingsDir, LIBRARY.THUMBNAIL_DIR, `${name}.jpg`);
+  }
+
+  /**
+   * List the recordings with their details, newest first
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @param {Array} inUse - Paths of recordings still being written (listed without details)
+   * @returns {Promise<Array>} { name, path, container, size, modified, inUse, duration, width, height, frameRate, sourceType, sourceName, thumbnail }
+   *   (thumbnail is a JPEG data URL, null until the poster frame has been made)
+   */
+  async list(ffmpegPath = 'ffmpeg', inUse = []) {
+    if (!fs.existsSync(this.recordingsDir)) {
+      return [];
+    }
+
+    const recordings = fs.readdirSync(this.recordingsDir)
+      .filter(name => FileSystemUtils.isRecordingFile(name))
+      .map(name => {
+        const filePath = path.join(this.recordingsDir, name);
+        const stats = fs.statSync(filePath);
+        return {
+          name,
+          path: filePath,
+          container: path.extname(name).slice(1).toLowerCase(),
+          size: stats.size,
+          modified: stats.mtime,
+          inUse: inUse.includes(filePath)
+        };
+      })
+      .sort((a, b) => b.modified - a.modified);
+
+    // One FFmpeg at a time, so a long list doesn't flood the machine
+    for (const recording of recordings) {
+      const details = recording.inUse ? null : await this.getDetails(recording, ffmpegPath);
+      Object.assign(recording, details || {
+        duration: null,
+        width: null,
+        height: null,
+        frameRate: null,
+        sourceType: MediaPoolService.getSourceTypeFromPath(recording.name)
+      });
+      recording.sourceName = MediaPoolService.getSourceType(recording.sourceType).name;
+      recording.thumbnail = recording.inUse ? null : this.readThumbnail(recording);
+    }
+
+    return recordings;
+  }
+
+  /**
+   * Get a recording's details, reading them again only when the file has changed
+   * @param {Object} recording - { name, path, modified }
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {Promise<Object>} { duration, width, height, frameRate, sourceType }
+   */
+  async getDetails(recording, ffmpegPath) {
+    const cached = this.details.get(recording.name);
+    if (cached && cached.modified === recording.modified.getTime()) {
+      return cached.details;
+    }
+
+    // A damaged file can keep FFmpeg seeking
+    const { stderr } = await ProcessRunner.run(ffmpegPath, ['-hide_banner', '-i', recording.path], { timeout: LIBRARY.PROBE_TIMEOUT })
+      .catch(error => ({ code: null, stderr: error.message }));
+    const info = LibraryService.parseMediaInfo(stderr);
+    const details = {
+      ...info,
+      sourceType: info.sourceType || MediaPoolService.getSourceTypeFromPath(recording.name)
+    };
+
+    this.details.set(recording.name, { modified: recording.modified.getTime(), details });
+    return details;
+  }
+
+  /**
+   * Read a recording's poster frame
+   * @param {Object} recording - { name, modified }
+   * @returns {string|null} JPEG data URL, null if it is missing or older than the recording
+   */
+  readThumbnail(recording) {
+    const thumbnailPath = this.getThumbnailPath(recording.name);
+    try {
+      if (fs.statSync(thumbnailPath).mtime < recording.modified) {
+        return null;
+      }
+      return `data:image/jpeg;base64,${fs.readFileSync(thumbnailPath).toString('base64')}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Rename a recording and its poster frame
+   * @param {string} name - Current file name
+   * @param {string} newName - New file name (the extension may be left out)
+   * @returns {Object} Result with the new name and path
+   */
+  rename(name, newName) {
+    const filePath = this.getRecordingPath(name);
+    if (!filePath) {
+      return { success: false, error: `Recording ${name} not found` };
+    }
+
+    const validated = LibraryService.validateName(newName, name);
+    if (validated.error) {
+      return { success: false, error: validated.error };
+    }
+    if (validated.name === name) {
+      return { success: true, name, path: filePath };
+    }
+
+    const newPath = path.join(this.recordingsDir, validated.name);
+    if (fs.existsSync(newPath)) {
+      return { success: false, error: `A recording named ${validated.name} already exists` };
+    }
+
+    try {
+      fs.renameSync(filePath, newPath);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    // The poster frame is only a cache, so a failed move just means extracting it again
+    try {
+      fs.renameSync(this.getThumbnailPath(name), this.getThumbnailPath(validated.name));
+    } catch (error) {
+      // No poster frame yet
+    }
+    this.details.delete(name);
+
+    this.logger.log(`Renamed recording ${name} to ${validated.name}`);
+    return { success: true, name: validated.name, path: newPath };
+  }
+
+  /**
+   * Drop the cached details and poster frame of a recording that was deleted
+   * @param {string} name - File name
+   */
+  forget(name) {
+    this.details.delete(name);
+    fs.rmSync(this.getThumbnailPath(name), { force: true });
+  }
+}
+
+module.exports = LibraryService;
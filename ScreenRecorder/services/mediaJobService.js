@@ -0,0 +1,397 @@
+/**
+ * Media job service - poster frames and proxies, made in the background
+ *
+ * Finished recordings queue FFmpeg jobs that run one at a time, and only
+ * while nothing is being recorded: a recording starting stops the job in
+ * progress, which runs again from the start once recording has stopped.
+ * Output is written under a temporary name, so an interrupted job never
+ * leaves a half-written poster frame or proxy behind. Proxies are linked to
+ * their media pool item with LinkProxyMedia as soon as they are done.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const CONFIG = require('../config/constants');
+
+const JOBS = CONFIG.MEDIA_JOBS;
+const PROXY_KEY = 'proxyMedia';
+
+class MediaJobService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {SettingsStore} settingsStore - Store for the proxy settings
+   * @param {Object} handlers - { isBusy() (true while recording), onComplete(job) }
+   */
+  constructor(logger, settingsStore, handlers = {}) {
+    this.logger = logger;
+    this.settingsStore = settingsStore;
+    this.handlers = handlers;
+    this.queue = [];
+    this.running = null; // { job, process }
+    this.failed = new Set(); // Job keys that failed, not retried until restart
+    this.proxyClips = new Map(); // Recording path -> media pool item waiting for its proxy
+    this.suspended = false;
+    this.checkTimer = null;
+  }
+
+  /**
+   * Complete proxy settings with defaults
+   * @param {Object} settings - { enabled, height }
+   * @returns {Object} Normalized settings
+   */
+  static normalizeProxySettings(settings = {}) {
+    const height = parseInt(settings.height, 10);
+    return {
+      enabled: settings.enabled === true,
+      height: JOBS.PROXY.HEIGHTS.includes(height) ? height : JOBS.PROXY.DEFAULT.height
+    };
+  }
+
+  /**
+   * Get where a recording's proxy is written
+   * @param {string} filePath - Recording path
+   * @returns {string} Proxy path (the full file name is kept, so rec.mov and rec.mp4 get different proxies)
+   */
+  static getProxyPath(filePath) {
+    return path.join(path.dirname(filePath), JOBS.PROXY.DIR_NAME, `${path.basename(filePath)}.mp4`);
+  }
+
+  /**
+   * Get the FFmpeg arguments that write a proxy
+   * @param {string} filePath - Recording path
+   * @param {string} proxyPath - Proxy path
+   * @param {number} height - Proxy height in pixels
+   * @returns {Array} FFmpeg arguments
+   */
+  static getProxyArgs(filePath, proxyPath, height) {
+    return [
+      '-hide_banner', '-y', '-i', filePath,
+      // Every audio track is kept so the proxy matches the recording's tracks in Resolve
+      '-map', '0:v:0', '-map', '0:a?',
+      '-vf', `scale=-2:${height}`,
+      ...JOBS.PROXY.VIDEO_ARGS,
+      ...JOBS.PROXY.AUDIO_ARGS,
+      '-movflags', '+faststart',
+      proxyPath
+    ];
+  }
+
+  /**
+   * Get the temporary path a job writes before its output is complete
+   * @param {string} outputPath - Output path
+   * @returns {string} Path such as rec.mp4.partial.mp4 (same extension, so FFmpeg picks the same muxer)
+   */
+  static getPartialPath(outputPath) {
+    return `${outputPath}.partial${path.extname(outputPath)}`;
+  }
+
+  /**
+   * Check if a job's output is there and newer than its recording
+   * @param {string} outputPath - Output path
+   * @param {string} filePath - Recording path
+   * @returns {boolean} True if up to date
+   */
+  static isUpToDate(outputPath, filePath) {
+    try {
+      return fs.statSync(outputPath).mtime >= fs.statSync(filePath).mtime;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Move a proxy along with its renamed recording
+   * @param {string} filePath - Old recording path
+   * @param {string} newPath - New recording path
+   */
+  static moveProxy(filePath, newPath) {
+    try {
+      fs.renameSync(MediaJobService.getProxyPath(filePath), MediaJobService.getProxyPath(newPath));
+    } catch (error) {
+      // No proxy made
+    }
+  }
+
+  /**
+   * Delete the proxy of a deleted recording
+   * @param {string} filePath - Recording path
+   */
+  static removeProxy(filePath) {
+    fs.rmSync(MediaJobService.getProxyPath(filePath), { force: true });
+  }
+
+  /**
+   * Get the saved proxy settings
+   * @returns {Object} Normalized settings
+   */
+  getProxySettings() {
+    return MediaJobService.normalizeProxySettings(this.settingsStore.get(PROXY_KEY, JOBS.PROXY.DEFAULT));
+  }
+
+  /**
+   * Save the proxy settings chosen in the renderer
+   * @param {Object} settings - { enabled, height }
+   * @returns {Object} Result with the normalized settings
+   */
+  saveProxySettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+      return { success: false, error: 'Invalid proxy settings' };
+    }
+
+    const normalized = MediaJobService.normalizeProxySettings(settings);
+    this.settingsStore.set(PROXY_KEY, normalized);
+    return { success: true, settings: normalized };
+  }
+
+  /**
+   * Queue a recording's poster frame
+   * @param {string} filePath - Recording path
+   * @param {string} thumbnailPath - JPEG path
+   * @param {Array} args - FFmpeg arguments writing to thumbnailPath
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {boolean} True if queued (false if up to date, already queued or failed before)
+   */
+  queueThumbnail(filePath, thumbnailPath, args, ffmpegPath = 'ffmpeg') {
+    if (MediaJobService.isUpToDate(thumbnailPath, filePath)) {
+      return false;
+    }
+    return this._enqueue({ key: `thumbnail:${filePath}`, type: 'thumbnail', filePath, outputPath: thumbnailPath, args, ffmpegPath });
+  }
+
+  /**
+   * Queue a recording's proxy with the saved settings, linking it to a media pool item when done
+   * @param {string} filePath - Recording path
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @param {Object|null} clip - Media pool item of the recording
+   * @returns {Promise<boolean>} True if queued (false if proxies are off or the proxy was already made)
+   */
+  async queueProxy(filePath, ffmpegPath = 'ffmpeg', clip = null) {
+    const settings = this.getProxySettings();
+    if (!settings.enabled) {
+      return false;
+    }
+
+    const proxyPath = MediaJobService.getProxyPath(filePath);
+    if (MediaJobService.isUpToDate(proxyPath, filePath)) {
+      if (clip) {
+        await this._linkProxy(clip, proxyPath);
+      }
+      return false;
+    }
+
+    if (clip) {
+      this.proxyClips.set(filePath, clip);
+    }
+    return this._enqueue({
+      key: `proxy:${filePath}`,
+      type: 'proxy',
+      filePath,
+      outputPath: proxyPath,
+      args: MediaJobService.getProxyArgs(filePath, proxyPath, settings.height),
+      ffmpegPath
+    });
+  }
+
+  /**
+   * Drop the queued and running jobs of a recording, e.g. before it is renamed or deleted
+   * @param {string} filePath - Recording path
+   */
+  cancel(filePath) {
+    this.queue = this.queue.filter(job => job.filePath !== filePath);
+    this.proxyClips.delete(filePath);
+    if (this.running && this.running.job.filePath === filePath) {
+      this._stopRunning(false);
+    }
+  }
+
+  /**
+   * Hold the queue while a recording is starting, stopping the job in progress right away
+   */
+  suspend() {
+    this.suspended = true;
+    this._pauseRunning();
+  }
+
+  /**
+   * Let the queue run again once nothing is being recorded
+   */
+  resume() {
+    this.suspended = false;
+  }
+
+  /**
+   * Add a job unless it is already queued or failed before
+   * @param {Object} job - { key, type, filePath, outputPath, args (writing to outputPath), ffmpegPath }
+   * @returns {boolean} True if queued
+   * @private
+   */
+  _enqueue(job) {
+    const queued = this.queue.some(other => other.key === job.key) || (this.running && this.running.job.key === job.key);
+    if (queued || this.failed.has(job.key)) {
+      return false;
+    }
+
+    this.queue.push(job);
+    this._scheduleCheck();
+    return true;
+  }
+
+  /**
+   * Keep checking while there is work: start the next job when idle, stop the running one while busy
+   * @private
+   */
+  _scheduleCheck() {
+    if (!this.checkTimer) {
+      this.checkTimer = setInterval(() => this._check(), JOBS.CHECK_INTERVAL);
+    }
+  }
+
+  /**
+   * Start or stop jobs as the recording state says
+   * @private
+   */
+  _check() {
+    const busy = this.suspended || (this.handlers.isBusy ? this.handlers.isBusy() : false);
+
+    if (this.running && busy) {
+      this._pauseRunning();
+    } else if (!this.running && !busy && this.queue.length > 0) {
+      this._run(this.queue.shift());
+    }
+
+    if (!this.running && this.queue.length === 0 && this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+  }
+
+  /**
+   * Run a job; its output only replaces the real file once FFmpeg succeeds
+   * @param {Object} job - Job
+   * @private
+   */
+  _run(job) {
+    const partialPath = MediaJobService.getPartialPath(job.outputPath);
+    const args = job.args.map(arg => (arg === job.outputPath ? partialPath : arg));
+
+    try {
+      fs.mkdirSync(path.dirname(job.outputPath), { recursive: true });
+    } catch (error) {
+      this._finish(job, error);
+      return;
+    }
+
+    const process = spawn(job.ffmpegPath, args);
+    const running = { job, process };
+    this.running = running;
+    let stderr = '';
+
+    process.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    process.on('error', (error) => {
+      if (this.running === running) {
+        this.running = null;
+        this._finish(job, error);
+      }
+    });
+    process.on('close', (code) => {
+      // Stopped for a recording, or already failed to start
+      if (this.running !== running) {
+        fs.rmSync(partialPath, { force: true });
+        return;
+      }
+      this.running = null;
+
+      if (code === 0) {
+        try {
+          fs.renameSync(partialPath, job.outputPath);
+        } catch (error) {
+          this._finish(job, error);
+          return;
+        }
+        this._finish(job, null);
+      } else {
+        fs.rmSync(partialPath, { force: true });
+        this._finish(job, new Error(`FFmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+      }
+    });
+  }
+
+  /**
+   * Stop the running job and put it back at the front of the queue
+   * @private
+   */
+  _pauseRunning() {
+    if (this.running) {
+      this.logger.log(`Recording, pausing ${this.running.job.type} job for ${path.basename(this.running.job.filePath)}`);
+      this._stopRunning(true);
+    }
+  }
+
+  /**
+   * Stop the running job
+   * @param {boolean} requeue - Put it back at the front of the queue
+   * @private
+   */
+  _stopRunning(requeue) {
+    const running = this.running;
+    this.running = null;
+    running.process.kill('SIGKILL');
+
+    if (requeue) {
+      this.queue.unshift(running.job);
+      this._scheduleCheck();
+    }
+  }
+
+  /**
+   * Record a job's outcome and link a finished proxy
+   * @param {Object} job - Job
+   * @param {Error|null} error - Failure, null on success
+   * @private
+   */
+  async _finish(job, error) {
+    if (error) {
+      this.failed.add(job.key);
+      this.proxyClips.delete(job.filePath);
+      this.logger.error(`Failed to make ${job.type} of ${path.basename(job.filePath)}: ${error.message}`);
+    } else {
+      this.logger.log(`Made ${job.type} of ${path.basename(job.filePath)}`);
+
+      const clip = job.type === 'proxy' ? this.proxyClips.get(job.filePath) : null;
+      if (clip) {
+        this.proxyClips.delete(job.filePath);
+        await this._linkProxy(clip, job.outputPath);
+      }
+    }
+
+    this._scheduleCheck();
+    if (this.handlers.onComplete) {
+      this.handlers.onComplete({ type: job.type, filePath: job.filePath, outputPath: job.outputPath, success: !error });
+    }
+  }
+
+  /**
+   * Link a proxy to its media pool item
+   * @param {Object} clip - Media pool item
+   * @param {string} proxyPath - Proxy path
+   * @returns {Promise<boolean>} True if linked
+   * @private
+   */
+  async _linkProxy(clip, proxyPath) {
+    try {
+      if (await clip.LinkProxyMedia(proxyPath)) {
+        this.logger.log(`Linked proxy ${proxyPath}`);
+        return true;
+      }
+      this.logger.error(`Resolve did not link proxy ${proxyPath}`);
+    } catch (error) {
+      this.logger.error(`Failed to link proxy ${proxyPath}: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+module.exports = MediaJobService;
@@ -0,0 +1,191 @@
+/**
+ * Media pool service - bins, clip colors and keywords for imported recordings
+ *
+ * Recordings are imported into a bin built from a template such as
+ * "Recordings/{date}/{sourceType}", created on first use, and colored and
+ * keyworded by what was recorded so they can be told apart in the Media Pool.
+ */
+
+const path = require('path');
+const CONFIG = require('../config/constants');
+
+const MEDIA_POOL = CONFIG.MEDIA_POOL;
+const BIN_KEY = 'mediaPoolBin';
+
+class MediaPoolService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {SettingsStore} settingsStore - Store for the bin template
+   */
+  constructor(logger, settingsStore) {
+    this.logger = logger;
+    this.settingsStore = settingsStore;
+  }
+
+  /**
+   * Get the bin name and clip color of a source type
+   * @param {string} sourceType - Source type
+   * @returns {Object} { name, color } ('screen' for unknown source types)
+   */
+  static getSourceType(sourceType) {
+    return MEDIA_POOL.SOURCE_TYPES[sourceType] || MEDIA_POOL.SOURCE_TYPES.screen;
+  }
+
+  /**
+   * Work out the source type of a recording from its file name
+   * @param {string} filePath - Recording path
+   * @returns {string} Source type ('screen' if the name does not tell)
+   */
+  static getSourceTypeFromPath(filePath) {
+    const name = path.basename(filePath);
+    if (name.startsWith('replay-')) {
+      return 'replay';
+    }
+
+    // Dual recordings are named after their source, e.g. camera-recording-...
+    const match = /^([a-z]+)-recording-/.exec(name);
+    return match && MEDIA_POOL.SOURCE_TYPES[match[1]] ? match[1] : 'screen';
+  }
+
+  /**
+   * Check a bin template
+   * @param {string} template - Template such as "Recordings/{date}/{sourceType}"
+   * @returns {string|null} Error message, null if valid
+   */
+  static validateBinTemplate(template) {
+    if (typeof template !== 'string') {
+      return 'Bin must be text';
+    }
+
+    const unknown = (template.match(/\{[^}]*\}/g) || [])
+      .map(placeholder => placeholder.slice(1, -1))
+      .filter(name => !MEDIA_POOL.BIN_PLACEHOLDERS.includes(name));
+    if (unknown.length > 0) {
+      return `Unknown bin placeholder {${unknown[0]}}; use ${MEDIA_POOL.BIN_PLACEHOLDERS.map(name => `{${name}}`).join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Fill in a bin template
+   * @param {string} template - Bin template
+   * @param {Object} values - { sourceType, date }
+   * @returns {Array} Bin names from the root folder down (empty for the current bin)
+   */
+  static getBinPath(template, values) {
+    const date = values.date;
+    const pad = value => String(value).padStart(2, '0');
+    const placeholders = {
+      date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+      year: String(date.getFullYear()),
+      month: pad(date.getMonth() + 1),
+      sourceType: MediaPoolService.getSourceType(values.sourceType).name
+    };
+
+    return template
+      .replace(/\{(\w+)\}/g, (placeholder, name) => placeholders[name] || placeholder)
+      .split(/[\\/]/)
+      .map(name => name.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Add keywords that are not there yet
+   * @param {string} existing - Comma-separated keywords
+   * @param {Array} keywords - Keywords to add
+   * @returns {string} Comma-separated keywords
+   */
+  static mergeKeywords(existing, keywords) {
+    const merged = String(existing || '').split(',').map(keyword => keyword.trim()).filter(Boolean);
+    keywords.forEach(keyword => {
+      if (!merged.some(current => current.toLowerCase() === keyword.toLowerCase())) {
+        merged.push(keyword);
+      }
+    });
+    return merged.join(',');
+  }
+
+  /**
+   * Get the saved bin template
+   * @returns {string} Bin template (empty for the current bin)
+   */
+  getBinTemplate() {
+    return this.settingsStore.get(BIN_KEY, MEDIA_POOL.DEFAULT_BIN);
+  }
+
+  /**
+   * Save the bin template edited in the renderer
+   * @param {string} template - Bin template
+   * @returns {Object} Result with the saved template
+   */
+  saveBinTemplate(template) {
+    const error = MediaPoolService.validateBinTemplate(template);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const trimmed = template.trim();
+    this.settingsStore.set(BIN_KEY, trimmed);
+    return { success: true, template: trimmed };
+  }
+
+  /**
+   * Find a bin below the root folder, creating missing bins, and make it current
+   * @param {Object} mediaPool - Resolve media pool
+   * @param {Array} binPath - Bin names from the root folder down
+   * @returns {Promise<Object|null>} Bin, or null if the path is empty or could not be created
+   */
+  async openBin(mediaPool, binPath) {
+    if (binPath.length === 0) {
+      return null;
+    }
+
+    let folder = await mediaPool.GetRootFolder();
+    for (const name of binPath) {
+      if (!folder) {
+        break;
+      }
+
+      const subFolders = (await folder.GetSubFolderList()) || [];
+      let subFolder = null;
+      for (const candidate of subFolders) {
+        if ((await candidate.GetName()) === name) {
+          subFolder = candidate;
+          break;
+        }
+      }
+
+      if (!subFolder) {
+        subFolder = await mediaPool.AddSubFolder(folder, name);
+        this.logger.log(`Created Media Pool bin ${name}`);
+      }
+      folder = subFolder;
+    }
+
+    if (!folder || !(await mediaPool.SetCurrentFolder(folder))) {
+      this.logger.error(`Failed to open Media Pool bin ${binPath.join('/')}`);
+      return null;
+    }
+    return folder;
+  }
+
+  /**
+   * Color and keyword an imported recording by its source type
+   * @param {Object} clip - Media pool item
+   * @param {string} sourceType - Source type
+   * @returns {Promise<boolean>} True if both were set
+   */
+  async labelClip(clip, sourceType) {
+    const { name, color } = MediaPoolService.getSourceType(sourceType);
+    const colored = Boolean(await clip.SetClipColor(color));
+    const keywords = MediaPoolService.mergeKeywords(await clip.GetMetadata('Keywords'), [MEDIA_POOL.KEYWORD, name]);
+    const keyworded = Boolean(await clip.SetMetadata('Keywords', keywords));
+
+    if (!colored || !keyworded) {
+      this.logger.error(`Failed to ${colored ? 'set keywords of' : 'color'} ${name} recording`);
+    }
+    return colored && keyworded;
+  }
+}
+
+module.exports = MediaPoolService;
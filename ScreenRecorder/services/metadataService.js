@@ -0,0 +1,182 @@
+/**
+ * Metadata service - start timecode and descriptive tags for recordings
+ *
+ * Every recording gets a time-of-day start timecode and tags describing what
+ * was recorded. Both are written into the file by FFmpeg and, once the file is
+ * imported, copied onto the media pool item so the Media Pool can search them.
+ */
+
+const CONFIG = require('../config/constants');
+
+const SOURCE_TYPES = CONFIG.MEDIA_POOL.SOURCE_TYPES;
+
+// Containers whose muxer only keeps custom tags with the use_metadata_tags flag
+const MOV_EXTENSIONS = ['.mp4', '.mov'];
+
+class MetadataService {
+  /**
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(logger) {
+    this.logger = logger;
+    this.recordings = new Map(); // File path -> metadata, until the file is imported
+  }
+
+  /**
+   * Get the time-of-day timecode of a moment
+   * @param {Date} date - Moment the recording started
+   * @param {number|string} frameRate - Recording frame rate
+   * @returns {string} Non-drop-frame timecode HH:MM:SS:FF
+   */
+  static getStartTimecode(date, frameRate) {
+    const fps = Math.round(parseFloat(frameRate)) || 30;
+    const pad = value => String(value).padStart(2, '0');
+    const frames = Math.floor(date.getMilliseconds() * fps / 1000);
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}:${pad(frames)}`;
+  }
+
+  /**
+   * Build the tags written into a recording
+   * @param {Object} info - { sourceType, windowTitle, cameraName, frameRate, encodingProfile, pluginVersion }
+   * @returns {Object} Tag name -> value (empty values left out)
+   */
+  static getTags(info) {
+    const tags = {
+      source_type: info.sourceType,
+      window_title: info.windowTitle,
+      camera: info.cameraName,
+      frame_rate: info.frameRate,
+      encoding_profile: info.encodingProfile,
+      plugin_version: info.pluginVersion
+    };
+
+    // Values are kept as they are (CaptureBackend.toCommandString quotes them); line breaks become spaces, as a tag is one line
+    return Object.fromEntries(Object.entries(tags)
+      .filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '')
+      .map(([name, value]) => [name, String(value).replace(/[\r\n]+/g, ' ').trim()]));
+  }
+
+  /**
+   * Get the FFmpeg output options that write a recording's timecode and tags
+   * @param {Object|null} metadata - Recording metadata { timecode, createdAt, tags }
+   * @param {string} extension - Output file extension
+   * @returns {Array} FFmpeg arguments (empty without metadata)
+   */
+  static getOutputArgs(metadata, extension) {
+    if (!metadata) {
+      return [];
+    }
+
+    const args = ['-timecode', metadata.timecode, '-metadata', `creation_time=${metadata.createdAt}`];
+    Object.entries(metadata.tags).forEach(([name, value]) => {
+      args.push('-metadata', `${name}=${value}`);
+    });
+
+    // A +flag adds to movflags already given, such as those of fragmented MP4
+    if (MOV_EXTENSIONS.includes(String(extension).toLowerCase())) {
+      args.push('-movflags', '+use_metadata_tags');
+    }
+    return args;
+  }
+
+  /**
+   * Get the media pool item metadata and clip properties of a recording
+   * @param {Object} metadata - Recording metadata { timecode, tags }
+   * @returns {Object} { metadata: SetMetadata fields, properties: SetClipProperty values }
+   */
+  static getMediaPoolMetadata(metadata) {
+    const { tags } = metadata;
+    const source = (SOURCE_TYPES[tags.source_type] || SOURCE_TYPES.screen).name;
+    const details = [
+      tags.frame_rate && `${tags.frame_rate} fps`,
+      tags.encoding_profile,
+      tags.camera && `camera ${tags.camera}`
+    ].filter(Boolean);
+
+    return {
+      metadata: {
+        'Description': tags.window_title ? `${source} recording: ${tags.window_title}` : `${source} recording`,
+        'Keywords': [CONFIG.MEDIA_POOL.KEYWORD, source, tags.encoding_profile, tags.camera].filter(Boolean).join(','),
+        'Comments': `Recorded with Screen Recorder ${tags.plugin_version || ''}`.trim() +
+          (details.length > 0 ? ` (${details.join(', ')})` : '')
+      },
+      properties: {
+        'Start TC': metadata.timecode
+      }
+    };
+  }
+
+  /**
+   * Create the metadata of a recording that is about to start
+   * @param {string} filePath - Recording file path
+   * @param {Object} info - Recording description (see getTags)
+   * @param {Date} startedAt - Start time (shared by the files of a dual recording)
+   * @returns {Object} Metadata { timecode, createdAt, tags }
+   */
+  begin(filePath, info, startedAt = new Date()) {
+    const metadata = {
+      timecode: MetadataService.getStartTimecode(startedAt, info.frameRate),
+      createdAt: startedAt.toISOString(),
+      tags: MetadataService.getTags(info)
+    };
+
+    this.recordings.set(filePath, metadata);
+    return metadata;
+  }
+
+  /**
+   * Get the metadata of a recording
+   * @param {string} filePath - Recording file path
+   * @returns {Object|null} Metadata
+   */
+  get(filePath) {
+    return this.recordings.get(filePath) || null;
+  }
+
+  /**
+   * Keep a recording's metadata when it is written to another file (e.g. a camera fallback attempt)
+   * @param {string} fromPath - Path the metadata was created for
+   * @param {string} toPath - Path the recording is written to now
+   * @returns {Object|null} Metadata
+   */
+  move(fromPath, toPath) {
+    const metadata = this.get(fromPath);
+    if (metadata && fromPath !== toPath) {
+      this.recordings.delete(fromPath);
+      this.recordings.set(toPath, metadata);
+    }
+    return metadata;
+  }
+
+  /**
+   * Copy a recording's metadata onto its imported media pool item
+   * @param {Object} clip - Media pool item
+   * @param {string} filePath - Recording file path
+   * @returns {Promise<boolean>} True if every field was set (false without metadata)
+   */
+  async applyToClip(clip, filePath) {
+    const metadata = this.get(filePath);
+    if (!metadata) {
+      return false;
+    }
+    this.recordings.delete(filePath);
+
+    const { metadata: fields, properties } = MetadataService.getMediaPoolMetadata(metadata);
+    let applied = Boolean(await clip.SetMetadata(fields));
+    if (!applied) {
+      this.logger.error(`Failed to set media pool metadata of ${filePath}`);
+    }
+
+    // Containers without a timecode track import at 00:00:00:00
+    for (const [name, value] of Object.entries(properties)) {
+      if ((await clip.GetClipProperty(name)) !== value && !(await clip.SetClipProperty(name, value))) {
+        this.logger.error(`Failed to set clip property ${name} of ${filePath}`);
+        applied = false;
+      }
+    }
+
+    return applied;
+  }
+}
+
+module.exports = MetadataService;
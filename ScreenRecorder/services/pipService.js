@@ -0,0 +1,175 @@
+/**
+ * Picture-in-picture service - camera overlay composited at record time
+ *
+ * Builds the filter graph that scales the camera relative to the screen
+ * capture, adds the border and rounded corners, and overlays it in a corner,
+ * so a dual recording can be written as a single file. The same layout gives
+ * the transform of the camera clip when the two files are placed on a Resolve
+ * timeline instead.
+ */
+
+const CONFIG = require('../config/constants');
+const FFmpegService = require('./ffmpegService');
+
+const PIP = CONFIG.RECORDING.PIP;
+const LAYOUT_KEY = 'pipLayout';
+const OUTPUT_LABEL = 'vout';
+
+class PipService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {SettingsStore} settingsStore - Store for the layout
+   */
+  constructor(logger, settingsStore) {
+    this.logger = logger;
+    this.settingsStore = settingsStore;
+  }
+
+  /**
+   * Clamp a layout to supported values
+   * @param {Object} layout - Layout { position, size, margin, cornerRadius, borderWidth, borderColor, timelineJoin }
+   * @returns {Object} Complete layout (defaults for missing or invalid values)
+   */
+  static normalizeLayout(layout = {}) {
+    const defaults = PIP.DEFAULT_LAYOUT;
+    const clamp = (value, min, max, fallback) => {
+      const number = parseInt(value, 10);
+      return isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+    };
+
+    return {
+      position: PIP.POSITIONS.includes(layout.position) ? layout.position : defaults.position,
+      size: clamp(layout.size, PIP.MIN_SIZE, PIP.MAX_SIZE, defaults.size),
+      margin: clamp(layout.margin, 0, PIP.MAX_MARGIN, defaults.margin),
+      cornerRadius: clamp(layout.cornerRadius, 0, PIP.MAX_CORNER_RADIUS, defaults.cornerRadius),
+      borderWidth: clamp(layout.borderWidth, 0, PIP.MAX_BORDER_WIDTH, defaults.borderWidth),
+      borderColor: /^#[0-9a-f]{6}$/i.test(layout.borderColor) ? layout.borderColor.toLowerCase() : defaults.borderColor,
+      timelineJoin: PIP.TIMELINE_JOINS.includes(layout.timelineJoin) ? layout.timelineJoin : defaults.timelineJoin
+    };
+  }
+
+  /**
+   * Get overlay coordinates for a corner
+   * @param {Object} layout - Normalized layout
+   * @returns {Object} { x, y } overlay filter expressions
+   */
+  static getOverlayPosition(layout) {
+    const [vertical, horizontal] = layout.position.split('-');
+    return {
+      x: horizontal === 'left' ? String(layout.margin) : `main_w-overlay_w-${layout.margin}`,
+      y: vertical === 'top' ? String(layout.margin) : `main_h-overlay_h-${layout.margin}`
+    };
+  }
+
+  /**
+   * Get the alpha expression that cuts rounded corners
+   * @param {number} radius - Corner radius in pixels
+   * @returns {string} geq alpha expression
+   */
+  static getRoundedCornerAlpha(radius) {
+    const r = radius;
+    // Pixels inside a corner square are kept only within the corner circle
+    return `if(gt(abs(W/2-X),W/2-${r})*gt(abs(H/2-Y),H/2-${r}),` +
+      `if(lte(hypot(${r}-(W/2-abs(W/2-X)),${r}-(H/2-abs(H/2-Y))),${r}),255,0),255)`;
+  }
+
+  /**
+   * Build the filter graph that composites the camera over the screen
+   * @param {Object} layout - Layout (normalized here)
+   * @param {Object} inputs - { screenInput, cameraInput, screenFilters, encoderFilters }
+   * @returns {string} -filter_complex value, output labelled [vout]
+   */
+  static getFilterComplex(layout, inputs) {
+    const pip = PipService.normalizeLayout(layout);
+    const { screenInput = 0, cameraInput = 1, screenFilters = [], encoderFilters = [] } = inputs;
+    const scale = pip.size / 100;
+
+    // Camera width follows the screen width; height keeps the camera's aspect ratio
+    const cameraFilters = [];
+    if (pip.borderWidth > 0) {
+      const border = pip.borderWidth;
+      cameraFilters.push(`pad=w=iw+${border * 2}:h=ih+${border * 2}:x=${border}:y=${border}:color=0x${pip.borderColor.slice(1)}`);
+    }
+    if (pip.cornerRadius > 0) {
+      cameraFilters.push('format=yuva420p', `geq=lum='p(X,Y)':a='${PipService.getRoundedCornerAlpha(pip.cornerRadius)}'`);
+    }
+
+    const { x, y } = PipService.getOverlayPosition(pip);
+    const overlay = [`overlay=x=${x}:y=${y}:eof_action=pass`, ...encoderFilters].join(',');
+
+    return [
+      `[${screenInput}:v]${screenFilters.length > 0 ? screenFilters.join(',') : 'null'}[screen]`,
+      `[${cameraInput}:v][screen]scale2ref=w=trunc(main_w*${scale}/2)*2:h=trunc(ow/a/2)*2[camera][base]`,
+      `[camera]${cameraFilters.length > 0 ? cameraFilters.join(',') : 'null'}[pip]`,
+      `[base][pip]${overlay}[${OUTPUT_LABEL}]`
+    ].join(';');
+  }
+
+  /**
+   * Get the Resolve transform that places a camera clip like the overlay filter does
+   *
+   * Resolve first scales a clip to fit the timeline, then applies Zoom around the
+   * centre; Pan and Tilt move it in timeline pixels, Tilt upwards.
+   * @param {Object} layout - Layout (normalized here)
+   * @param {Object} timeline - Timeline resolution { width, height }
+   * @param {Object} camera - Camera clip resolution { width, height }
+   * @returns {Object} { ZoomX, ZoomY, Pan, Tilt } timeline item properties
+   */
+  static getTimelineTransform(layout, timeline, camera) {
+    const pip = PipService.normalizeLayout(layout);
+    const fit = Math.min(timeline.width / camera.width, timeline.height / camera.height);
+    const zoom = (timeline.width * pip.size / 100) / (camera.width * fit);
+    const width = camera.width * fit * zoom;
+    const height = camera.height * fit * zoom;
+    const [vertical, horizontal] = pip.position.split('-');
+    const pan = timeline.width / 2 - pip.margin - width / 2;
+    const tilt = timeline.height / 2 - pip.margin - height / 2;
+
+    return {
+      ZoomX: Math.round(zoom * 1000) / 1000,
+      ZoomY: Math.round(zoom * 1000) / 1000,
+      Pan: Math.round(horizontal === 'left' ? -pan : pan),
+      Tilt: Math.round(vertical === 'top' ? tilt : -tilt)
+    };
+  }
+
+  /**
+   * Build -map arguments for the composited video and each audio input
+   * @param {Array} trackNames - Audio track titles, one per audio input, in input order
+   * @param {number} firstAudioInput - Index of the first audio input
+   * @returns {Array} FFmpeg arguments
+   */
+  static getMapArgs(trackNames, firstAudioInput) {
+    const args = ['-map', `[${OUTPUT_LABEL}]`];
+    trackNames.forEach((name, index) => {
+      args.push('-map', `${firstAudioInput + index}:a`);
+    });
+
+    return trackNames.length > 1 ? args.concat(FFmpegService.getAudioTitleArgs(trackNames)) : args;
+  }
+
+  /**
+   * Get the saved layout
+   * @returns {Object} Normalized layout
+   */
+  getLayout() {
+    return PipService.normalizeLayout(this.settingsStore.get(LAYOUT_KEY, PIP.DEFAULT_LAYOUT));
+  }
+
+  /**
+   * Save a layout edited in the renderer
+   * @param {Object} layout - Layout
+   * @returns {Object} Result with the normalized layout
+   */
+  saveLayout(layout) {
+    if (!layout || typeof layout !== 'object') {
+      return { success: false, error: 'Invalid picture-in-picture layout' };
+    }
+
+    const normalized = PipService.normalizeLayout(layout);
+    this.settingsStore.set(LAYOUT_KEY, normalized);
+    return { success: true, layout: normalized };
+  }
+}
+
+module.exports = PipService;
@@ -0,0 +1,278 @@
+/**
+ * Recovery service for recordings interrupted by a crash
+ *
+ * A journal entry is written when a recording starts and removed when it
+ * ends normally. Entries still present on the next start belong to
+ * recordings that were cut off; their files are remuxed (and pause segments
+ * joined) so they can be imported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config/constants');
+const ProcessRunner = require('../utils/processRunner');
+const SegmentService = require('./segmentService');
+const ContainerService = require('./containerService');
+
+class RecoveryService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {string} journalDir - Directory holding journal entries
+   */
+  constructor(logger, journalDir = path.join(CONFIG.RECORDINGS_DIR, CONFIG.RECORDING.RECOVERY.JOURNAL_DIR_NAME)) {
+    this.logger = logger;
+    this.journalDir = journalDir;
+    this.segmentService = new SegmentService(logger);
+  }
+
+  /**
+   * Get journal file path for an entry
+   * @param {string} id - Entry id
+   * @returns {string} Journal file path
+   * @private
+   */
+  _getEntryPath(id) {
+    return path.join(this.journalDir, `${id}.json`);
+  }
+
+  /**
+   * Write a journal entry
+   * @param {Object} entry - Journal entry
+   * @private
+   */
+  _writeEntry(entry) {
+    fs.mkdirSync(this.journalDir, { recursive: true });
+    fs.writeFileSync(this._getEntryPath(entry.id), JSON.stringify(entry, null, 2));
+  }
+
+  /**
+   * Record that a recording has started
+   * @param {Object} recording - { sourceType, options, paths }
+   * @returns {string|null} Entry id, or null if the journal could not be written
+   */
+  startEntry(recording) {
+    const startedAt = new Date();
+    const { encodingProfile, ...options } = recording.options || {};
+
+    const entry = {
+      id: `${startedAt.getTime()}-${process.pid}`,
+      startedAt: startedAt.toISOString(),
+      sourceType: recording.sourceType,
+      // Profile objects can be large; the settings that shaped the file are enough
+      options: encodingProfile ? {
+        ...options,
+        encodingProfile: {
+          id: encodingProfile.id,
+          name: encodingProfile.name,
+          extension: encodingProfile.extension,
+          codec: encodingProfile.video.codec
+        }
+      } : options,
+      paths: recording.paths
+    };
+
+    try {
+      this._writeEntry(entry);
+      return entry.id;
+    } catch (error) {
+      this.logger.error(`Failed to write recording journal: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the expected output paths of an entry (e.g. dual recordings)
+   * @param {string} id - Entry id
+   * @param {Array} paths - Output paths
+   */
+  updatePaths(id, paths) {
+    const entry = id ? this._readEntry(this._getEntryPath(id)) : null;
+    if (!entry) {
+      return;
+    }
+
+    try {
+      this._writeEntry({ ...entry, paths });
+    } catch (error) {
+      this.logger.error(`Failed to update recording journal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the entry of a recording that ended normally
+   * @param {string} id - Entry id
+   */
+  completeEntry(id) {
+    if (id) {
+      fs.rmSync(this._getEntryPath(id), { force: true });
+    }
+  }
+
+  /**
+   * Read one journal entry
+   * @param {string} filePath - Journal file path
+   * @returns {Object|null} Entry, or null if missing or corrupt
+   * @private
+   */
+  _readEntry(filePath) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return Array.isArray(entry.paths) ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * List entries of recordings that never finished
+   * @returns {Array} Journal entries, oldest first
+   */
+  listEntries() {
+    if (!fs.existsSync(this.journalDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.journalDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const entry = this._readEntry(path.join(this.journalDir, file));
+        if (!entry) {
+          this.logger.error(`Ignoring unreadable recording journal: ${file}`);
+        }
+        return entry;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  /**
+   * Find pause segments left next to a recording
+   * @param {string} recordingPath - Expected recording path
+   * @returns {Array} Segment paths in order
+   */
+  findSegments(recordingPath) {
+    const segments = [];
+    for (let index = 1; fs.existsSync(this.segmentService.getSegmentPath(recordingPath, index)); index++) {
+      segments.push(this.segmentService.getSegmentPath(recordingPath, index));
+    }
+    return segments;
+  }
+
+  /**
+   * Get FFmpeg arguments that copy whatever streams can still be read
+   * @param {string} inputPath - Damaged file
+   * @param {string} outputPath - Repaired file
+   * @returns {Array} FFmpeg arguments
+   */
+  getRepairArgs(inputPath, outputPath) {
+    const args = ['-y', '-err_detect', 'ignore_err', '-fflags', '+genpts+discardcorrupt', '-i', inputPath, '-map', '0', '-c', 'copy'];
+    if (['.mp4', '.mov'].includes(path.extname(outputPath).toLowerCase())) {
+      args.push('-movflags', '+faststart+use_metadata_tags');
+    }
+    return args.concat(outputPath);
+  }
+
+  /**
+   * Get the temporary path used while rewriting a recording
+   * @param {string} recordingPath - Recording path
+   * @returns {string} Temporary path
+   * @private
+   */
+  _getTempPath(recordingPath) {
+    const ext = path.extname(recordingPath);
+    return `${recordingPath.slice(0, recordingPath.length - ext.length)}.remux${ext}`;
+  }
+
+  /**
+   * Remux a cut-off recording in place
+   * @param {string} recordingPath - Recording path
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {Promise<void>} Resolves when the file is repaired
+   * @private
+   */
+  async _repairFile(recordingPath, ffmpegPath) {
+    const ext = path.extname(recordingPath).toLowerCase();
+    if (['.mp4', '.mov'].includes(ext)) {
+      const boxes = ContainerService.getTopLevelBoxes(recordingPath);
+      // Plain MP4/MOV only get their index (moov) when FFmpeg exits cleanly
+      if (!boxes.includes('moov') && !boxes.includes('moof')) {
+        throw new Error('the file has no index; record with Fragmented MP4 or MKV to make recordings crash-safe');
+      }
+    }
+
+    const tempPath = this._getTempPath(recordingPath);
+    try {
+      await ProcessRunner.runChecked(ffmpegPath, this.getRepairArgs(recordingPath, tempPath), 'Repair');
+      fs.renameSync(tempPath, recordingPath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Repair one expected output of an interrupted recording
+   * @param {string} recordingPath - Expected recording path
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {Promise<boolean>} True if something was recovered, false if nothing was written
+   * @private
+   */
+  async _recoverRecording(recordingPath, ffmpegPath) {
+    const segments = this.findSegments(recordingPath);
+    const hasRecording = fs.existsSync(recordingPath) && fs.statSync(recordingPath).size > 0;
+
+    if (!hasRecording && segments.length === 0) {
+      return false;
+    }
+
+    if (hasRecording) {
+      await this._repairFile(recordingPath, ffmpegPath);
+      segments.push(recordingPath);
+    }
+
+    if (segments.length > 1 || !hasRecording) {
+      // Recording was paused at least once: join the segments like a normal stop
+      const tempPath = this._getTempPath(recordingPath);
+      await this.segmentService.concatSegments(segments, tempPath, ffmpegPath);
+      fs.renameSync(tempPath, recordingPath);
+      segments.filter(segment => segment !== recordingPath).forEach(segment => fs.rmSync(segment, { force: true }));
+    }
+
+    return true;
+  }
+
+  /**
+   * Repair every interrupted recording and clear the journal
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {Promise<Array>} Results { entry, recovered, failed } for entries that left files behind
+   */
+  async recoverAll(ffmpegPath = 'ffmpeg') {
+    const results = [];
+
+    for (const entry of this.listEntries()) {
+      const result = { entry, recovered: [], failed: [] };
+
+      for (const recordingPath of entry.paths) {
+        try {
+          if (await this._recoverRecording(recordingPath, ffmpegPath)) {
+            result.recovered.push(recordingPath);
+            this.logger.log(`Recovered interrupted recording: ${recordingPath}`);
+          }
+        } catch (error) {
+          result.failed.push({ path: recordingPath, error: error.message });
+          this.logger.error(`Failed to recover ${recordingPath}: ${error.message}`);
+        }
+      }
+
+      // Files that could not be repaired are left in place for manual recovery
+      this.completeEntry(entry.id);
+      if (result.recovered.length > 0 || result.failed.length > 0) {
+        results.push(result);
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = RecoveryService;
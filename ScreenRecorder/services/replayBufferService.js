@@ -0,0 +1,264 @@
+/**
+ * Replay buffer service
+ *
+ * FFmpeg records continuously into a fixed number of short MPEG-TS segments
+ * that are overwritten in a ring. Saving copies the newest segments and joins
+ * them losslessly, so the last N seconds can be kept after the fact.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const CONFIG = require('../config/constants');
+const { CaptureBackend } = require('./captureBackends');
+const SegmentService = require('./segmentService');
+
+const BUFFER = CONFIG.RECORDING.REPLAY_BUFFER;
+const SEGMENT_FILE_PATTERN = /^buffer-\d+\.ts$/;
+
+class ReplayBufferService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {string} bufferDir - Directory holding the rolling segments
+   */
+  constructor(logger, bufferDir = path.join(CONFIG.RECORDINGS_DIR, BUFFER.DIR_NAME)) {
+    this.logger = logger;
+    this.bufferDir = bufferDir;
+    this.bufferProcess = null;
+    this.duration = BUFFER.DEFAULT_DURATION;
+    this.isSaving = false;
+    this.forceKillTimeout = null;
+    this.segmentService = new SegmentService(logger);
+  }
+
+  /**
+   * Check if the buffer is capturing
+   * @returns {boolean} True if running
+   */
+  isRunning() {
+    return this.bufferProcess !== null;
+  }
+
+  /**
+   * Clamp a requested buffer length to the supported range
+   * @param {number|string} duration - Requested length in seconds
+   * @returns {number} Buffer length in seconds
+   */
+  clampDuration(duration) {
+    const seconds = parseInt(duration, 10);
+    if (isNaN(seconds)) {
+      return BUFFER.DEFAULT_DURATION;
+    }
+    return Math.min(BUFFER.MAX_DURATION, Math.max(BUFFER.MIN_DURATION, seconds));
+  }
+
+  /**
+   * Get number of segments needed to cover a buffer length
+   * @param {number} duration - Buffer length in seconds
+   * @returns {number} Segment count (one extra for the segment being written)
+   */
+  getSegmentCount(duration) {
+    return Math.ceil(duration / BUFFER.SEGMENT_DURATION) + 1;
+  }
+
+  /**
+   * Wrap capture arguments with the segment muxer
+   * @param {Array} captureArgs - Input, encoding and filter arguments (no output)
+   * @param {string|number} framerate - Capture framerate
+   * @param {number} duration - Buffer length in seconds
+   * @returns {Array} FFmpeg arguments
+   */
+  getBufferArgs(captureArgs, framerate, duration) {
+    const keyframeInterval = Math.max(1, Math.round(Number(framerate) * BUFFER.KEYFRAME_INTERVAL));
+
+    return [
+      ...captureArgs,
+      // Frequent keyframes so segments can be cut (and later joined) on time
+      '-g', String(keyframeInterval),
+      '-f', 'segment',
+      '-segment_time', String(BUFFER.SEGMENT_DURATION),
+      // One spare slot so the oldest saved segment isn't overwritten while copying
+      '-segment_wrap', String(this.getSegmentCount(duration) + 1),
+      '-segment_format', 'mpegts',
+      '-reset_timestamps', '1',
+      path.join(this.bufferDir, 'buffer-%03d.ts')
+    ];
+  }
+
+  /**
+   * Start capturing into the rolling buffer
+   * @param {Array} captureArgs - Input, encoding and filter arguments (no output)
+   * @param {Object} options - { ffmpegPath, framerate, duration }
+   * @returns {Object} Start result
+   */
+  start(captureArgs, options = {}) {
+    if (this.isRunning()) {
+      return { success: false, error: 'Replay buffer is already running' };
+    }
+
+    const { ffmpegPath = 'ffmpeg', framerate = CONFIG.RECORDING.DEFAULT_FRAMERATE } = options;
+    this.duration = this.clampDuration(options.duration);
+
+    try {
+      this._clearBuffer();
+    } catch (error) {
+      this.logger.error(`Failed to prepare replay buffer: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+
+    // Shell execution keeps dshow device names intact, as in regular audio recordings
+    const command = `${ffmpegPath} -y ${CaptureBackend.toCommandString(this.getBufferArgs(captureArgs, framerate, this.duration))}`;
+    this.logger.log(`Replay buffer command: ${command}`);
+
+    const bufferProcess = spawn(command, [], { shell: true });
+    this.bufferProcess = bufferProcess;
+
+    bufferProcess.on('error', (error) => {
+      this.logger.error(`Replay buffer process error: ${error.message}`);
+      this._resetBufferState(bufferProcess);
+    });
+
+    bufferProcess.on('close', (code, signal) => {
+      this.logger.log(`Replay buffer closed with code: ${code}, signal: ${signal}`);
+      this._resetBufferState(bufferProcess);
+    });
+
+    bufferProcess.stderr.on('data', (data) => {
+      const output = data.toString().trim();
+      if (output && !output.includes('frame=')) {
+        this.logger.log(`Replay buffer stderr: ${output}`);
+      }
+    });
+
+    return { success: true, duration: this.duration };
+  }
+
+  /**
+   * Stop capturing; buffered segments stay on disk until the next start
+   * @returns {Object} Stop result
+   */
+  stop() {
+    if (!this.isRunning()) {
+      return { success: false, error: 'Replay buffer is not running' };
+    }
+
+    const bufferProcess = this.bufferProcess;
+    try {
+      bufferProcess.stdin.write('q');
+    } catch (error) {
+      this.logger.error(`Failed to write to stdin, killing process: ${error.message}`);
+      bufferProcess.kill('SIGTERM');
+    }
+
+    this.forceKillTimeout = setTimeout(() => {
+      if (this.bufferProcess === bufferProcess) {
+        this.logger.log('Force killing replay buffer after timeout');
+        bufferProcess.kill('SIGKILL');
+        this._resetBufferState(bufferProcess);
+      }
+    }, CONFIG.RECORDING.FORCE_KILL_TIMEOUT);
+
+    return { success: true };
+  }
+
+  /**
+   * List buffered segments, oldest first
+   * @returns {Array} Array of { path, size, modified }
+   */
+  listSegments() {
+    if (!fs.existsSync(this.bufferDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.bufferDir)
+      .filter(file => SEGMENT_FILE_PATTERN.test(file))
+      .map(file => {
+        const filePath = path.join(this.bufferDir, file);
+        const stats = fs.statSync(filePath);
+        return { path: filePath, size: stats.size, modified: stats.mtimeMs };
+      })
+      .filter(segment => segment.size > 0)
+      .sort((a, b) => a.modified - b.modified);
+  }
+
+  /**
+   * Pick the segments covering the last `duration` seconds
+   * @param {Array} segments - Segments, oldest first
+   * @param {number} duration - Buffer length in seconds
+   * @returns {Array} Newest segments in playback order
+   */
+  selectSegments(segments, duration) {
+    return segments.slice(-this.getSegmentCount(duration));
+  }
+
+  /**
+   * Save the buffer to a single file
+   * @param {string} outputPath - Output file path
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {Promise<Object>} Save result
+   */
+  async save(outputPath, ffmpegPath = 'ffmpeg') {
+    if (this.isSaving) {
+      return { success: false, error: 'Replay buffer is already being saved' };
+    }
+
+    const segments = this.selectSegments(this.listSegments(), this.duration);
+    if (segments.length === 0) {
+      return { success: false, error: 'Replay buffer is empty' };
+    }
+
+    this.isSaving = true;
+    const snapshot = [];
+
+    try {
+      // Copy first so the ring can keep overwriting while FFmpeg joins
+      segments.forEach((segment, index) => {
+        const copyPath = path.join(this.bufferDir, `snapshot-${index}.ts`);
+        fs.copyFileSync(segment.path, copyPath);
+        snapshot.push(copyPath);
+      });
+
+      // MPEG-TS carries ADTS AAC, which MP4 needs converted
+      await this.segmentService.concatSegments(snapshot, outputPath, ffmpegPath, ['-bsf:a', 'aac_adtstoasc']);
+
+      this.logger.log(`Saved replay buffer (${snapshot.length} segments) to ${outputPath}`);
+      return { success: true, filePath: outputPath };
+    } catch (error) {
+      this.logger.error(`Failed to save replay buffer: ${error.message}`);
+      return { success: false, error: `Failed to save replay buffer: ${error.message}` };
+    } finally {
+      snapshot.forEach(copyPath => fs.rmSync(copyPath, { force: true }));
+      this.isSaving = false;
+    }
+  }
+
+  /**
+   * Create the buffer directory and remove segments from a previous run
+   * @private
+   */
+  _clearBuffer() {
+    fs.mkdirSync(this.bufferDir, { recursive: true });
+    fs.readdirSync(this.bufferDir)
+      .filter(file => file.endsWith('.ts'))
+      .forEach(file => fs.unlinkSync(path.join(this.bufferDir, file)));
+  }
+
+  /**
+   * Reset state once the given process has exited
+   * @param {ChildProcess} bufferProcess - Process that exited
+   * @private
+   */
+  _resetBufferState(bufferProcess) {
+    if (this.bufferProcess !== bufferProcess) {
+      return;
+    }
+
+    this.bufferProcess = null;
+    if (this.forceKillTimeout) {
+      clearTimeout(this.forceKillTimeout);
+      this.forceKillTimeout = null;
+    }
+  }
+}
+
+module.exports = ReplayBufferService;
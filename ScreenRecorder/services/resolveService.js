@@ -5,8 +5,13 @@
 const CONFIG = require('../config/constants');
 
 class ResolveService {
-  constructor(logger) {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {TimelinePlacementService} timelinePlacementService - Places imported recordings on the timeline
+   */
+  constructor(logger, timelinePlacementService) {
     this.logger = logger;
+    this.timelinePlacementService = timelinePlacementService;
     this.resolveObj = null;
     this.projectManagerObj = null;
   }
@@ -143,16 +148,14 @@ class ResolveService {
         return { success: false, error: 'Failed to get current project' };
       }
 
-      const timelineResult = await this._handleTimelineCreation(mediaPool, project, clips);
+      const placement = await this.timelinePlacementService.place(mediaPool, project, clips[0]);
 
-      this.logger.log(`Successfully added recording to timeline: ${timelineResult.timelineName}`);
+      this.logger.log(`Successfully added recording to timeline: ${placement.timelineName}`);
       return {
         success: true,
-        timelineName: timelineResult.timelineName,
-        createdNewTimeline: timelineResult.createdNewTimeline,
-        message: timelineResult.createdNewTimeline ?
-          `Recording added to new timeline "${timelineResult.timelineName}"` :
-          `Recording added to existing timeline "${timelineResult.timelineName}"`
+        timelineName: placement.timelineName,
+        createdNewTimeline: placement.createdNewTimeline,
+        message: placement.message
       };
 
     } catch (error) {
@@ -161,83 +164,6 @@ class ResolveService {
     }
   }
 
-  /**
-   * Handle timeline creation or addition
-   * @param {Object} mediaPool - Media pool object
-   * @param {Object} project - Project object
-   * @param {Array} clips - Clips to add
-   * @returns {Promise<Object>} Timeline result
-   * @private
-   */
-  async _handleTimelineCreation(mediaPool, project, clips) {
-    let timeline = await project.GetCurrentTimeline();
-    let timelineName;
-    let createdNewTimeline = false;
-
-    if (!timeline) {
-      // Create new timeline
-      timelineName = `Screen Recording - ${new Date().toLocaleString()}`;
-      timeline = await mediaPool.CreateTimelineFromClips(timelineName, clips);
-      createdNewTimeline = true;
-
-      if (!timeline) {
-        throw new Error('Failed to create timeline');
-      }
-
-      const success = await project.SetCurrentTimeline(timeline);
-      if (!success) {
-        throw new Error('Failed to set current timeline');
-      }
-
-      this.logger.log(`Created new timeline: ${timelineName}`);
-    } else {
-      // Use existing timeline
-      timelineName = await timeline.GetName();
-      this.logger.log(`Using existing timeline: ${timelineName}`);
-
-      await this._addClipsToExistingTimeline(timeline, clips);
-    }
-
-    return { timelineName, createdNewTimeline };
-  }
-
-  /**
-   * Add clips to existing timeline using multiple methods
-   * @param {Object} timeline - Timeline object
-   * @param {Array} clips - Clips to add
-   * @private
-   */
-  async _addClipsToExistingTimeline(timeline, clips) {
-    const currentTimecode = await timeline.GetCurrentTimecode();
-    this.logger.log(`Current timecode: ${currentTimecode}`);
-
-    const methods = [
-      // Method 1: Insert at current position
-      () => timeline.InsertClips([clips[0]], currentTimecode),
-      // Method 2: Drop at current position
-      () => timeline.DropClips([clips[0]], currentTimecode),
-      // Method 3: Append to end
-      () => this.getMediaPool().then(mediaPool => mediaPool.AppendToTimeline([clips[0]])),
-      // Method 4: Drop at end
-      () => timeline.DropClips([clips[0]], null)
-    ];
-
-    for (let i = 0; i < methods.length; i++) {
-      try {
-        const result = await methods[i]();
-        if (result) {
-          const methodNames = ['InsertClips', 'DropClips (position)', 'AppendToTimeline', 'DropClips (end)'];
-          this.logger.log(`Clip added successfully using ${methodNames[i]}`);
-          return;
-        }
-      } catch (error) {
-        this.logger.error(`Method ${i + 1} failed: ${error.message}`);
-      }
-    }
-
-    throw new Error('Failed to add clip to timeline using any available method');
-  }
-
   /**
    * Check if Resolve is available
    * @returns {Promise<boolean>} True if Resolve is available
@@ -0,0 +1,132 @@
+/**
+ * Saved region service - named screen regions that record without the overlay
+ *
+ * Regions are stored the way the region selector reports them: in Electron's
+ * device-independent coordinates with the display they were drawn on, so they
+ * are mapped to capture pixels the same way as a freshly selected region.
+ */
+
+const CONFIG = require('../config/constants');
+
+const REGION_SELECTOR = CONFIG.REGION_SELECTOR;
+const REGIONS_KEY = 'savedRegions';
+
+class SavedRegionService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {SettingsStore} settingsStore - Persistent settings
+   */
+  constructor(logger, settingsStore) {
+    this.logger = logger;
+    this.settingsStore = settingsStore;
+  }
+
+  /**
+   * Tidy a region name
+   * @param {string} name - Name typed in the overlay
+   * @returns {string} Trimmed name, empty if unusable
+   */
+  static normalizeName(name) {
+    return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ').slice(0, REGION_SELECTOR.MAX_NAME_LENGTH) : '';
+  }
+
+  /**
+   * Check a region reported by the region selector
+   * @param {Object} region - { x, y, width, height, displayId, aspect }
+   * @returns {Object|null} Region, null if invalid
+   */
+  static normalizeRegion(region) {
+    if (!region || typeof region !== 'object') {
+      return null;
+    }
+
+    const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(key => Number(region[key]));
+    if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+      return null;
+    }
+
+    return {
+      x,
+      y,
+      width,
+      height,
+      displayId: region.displayId === undefined ? null : region.displayId,
+      aspect: REGION_SELECTOR.ASPECT_RATIOS.includes(region.aspect) ? region.aspect : null
+    };
+  }
+
+  /**
+   * Get the saved regions
+   * @returns {Array} Regions with their names, in the order they were saved
+   */
+  list() {
+    const regions = this.settingsStore.get(REGIONS_KEY, []);
+    if (!Array.isArray(regions)) {
+      return [];
+    }
+
+    return regions
+      .map(saved => ({ name: SavedRegionService.normalizeName(saved && saved.name), region: SavedRegionService.normalizeRegion(saved) }))
+      .filter(({ name, region }) => name && region)
+      .map(({ name, region }) => ({ name, ...region }));
+  }
+
+  /**
+   * Get a saved region by name
+   * @param {string} name - Region name
+   * @returns {Object|null} Region
+   */
+  get(name) {
+    const key = SavedRegionService.normalizeName(name).toLowerCase();
+    return this.list().find(region => region.name.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Save a region, replacing one with the same name
+   * @param {string} name - Region name
+   * @param {Object} region - Region as reported by the region selector
+   * @returns {Object} Result with the saved region
+   */
+  save(name, region) {
+    const normalizedName = SavedRegionService.normalizeName(name);
+    if (!normalizedName) {
+      return { success: false, error: 'Enter a name for the region' };
+    }
+
+    const normalized = SavedRegionService.normalizeRegion(region);
+    if (!normalized) {
+      return { success: false, error: 'Invalid region' };
+    }
+
+    const regions = this.list().filter(saved => saved.name.toLowerCase() !== normalizedName.toLowerCase());
+    if (regions.length >= REGION_SELECTOR.MAX_SAVED_REGIONS) {
+      return { success: false, error: `Up to ${REGION_SELECTOR.MAX_SAVED_REGIONS} regions can be saved; delete one first` };
+    }
+
+    const saved = { name: normalizedName, ...normalized };
+    regions.push(saved);
+    this.settingsStore.set(REGIONS_KEY, regions);
+    this.logger.log(`Saved region "${normalizedName}": ${normalized.width}x${normalized.height} at (${normalized.x}, ${normalized.y})`);
+    return { success: true, region: saved };
+  }
+
+  /**
+   * Delete a saved region
+   * @param {string} name - Region name
+   * @returns {Object} Result
+   */
+  remove(name) {
+    const key = SavedRegionService.normalizeName(name).toLowerCase();
+    const regions = this.list();
+    const remaining = regions.filter(region => region.name.toLowerCase() !== key);
+    if (remaining.length === regions.length) {
+      return { success: false, error: `No saved region named "${name}"` };
+    }
+
+    this.settingsStore.set(REGIONS_KEY, remaining);
+    this.logger.log(`Deleted saved region "${name}"`);
+    return { success: true };
+  }
+}
+
+module.exports = SavedRegionService;
@@ -0,0 +1,251 @@
+/**
+ * Schedule service - recordings that start at a set time and timed recordings
+ *
+ * Runs in the main process, whose timers keep going while the window is
+ * minimized. A scheduled recording is started with the options chosen when
+ * it was scheduled. A timed recording passes its remaining time to FFmpeg as
+ * -t, so FFmpeg stops on its own; paused time does not count, so a segment
+ * started on resume only gets the time that is left. Every second the
+ * countdown is reported for the status bar.
+ */
+
+const CONFIG = require('../config/constants');
+
+const SCHEDULE = CONFIG.SCHEDULE;
+
+class ScheduleService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {Object} handlers - { onStart(options), onTick(status), onExpire(), isRecording() }
+   */
+  constructor(logger, handlers = {}) {
+    this.logger = logger;
+    this.handlers = handlers;
+    this.pending = null; // { startAt, options }
+    this.limit = null; // { duration, recorded, runningSince, started, expired }
+    this.tickTimer = null;
+  }
+
+  /**
+   * Check a schedule chosen in the renderer
+   * @param {Object} schedule - { startAt (ms since epoch, null to start now), duration (seconds, null for no limit) }
+   * @param {number} now - Current time in ms
+   * @returns {Object} { startAt, duration } or { error }
+   */
+  static normalizeSchedule(schedule = {}, now = Date.now()) {
+    const startAt = schedule.startAt === null || schedule.startAt === undefined || schedule.startAt === ''
+      ? null
+      : Number(schedule.startAt);
+    const duration = ScheduleService.normalizeDuration(schedule.duration);
+
+    if (startAt !== null) {
+      if (!Number.isFinite(startAt)) {
+        return { error: 'Invalid start time' };
+      }
+      if (startAt <= now) {
+        return { error: 'Start time has already passed' };
+      }
+      if (startAt - now > SCHEDULE.MAX_LEAD_TIME * 1000) {
+        return { error: `Start time must be within ${SCHEDULE.MAX_LEAD_TIME / 86400} days` };
+      }
+    }
+    if (duration && duration.error) {
+      return duration;
+    }
+    if (startAt === null && duration === null) {
+      return { error: 'Set a start time, a duration or both' };
+    }
+
+    return { startAt, duration };
+  }
+
+  /**
+   * Check the length of a timed recording
+   * @param {number|string|null} duration - Seconds, empty for no limit
+   * @returns {number|null|Object} Whole seconds, null for no limit, or { error }
+   */
+  static normalizeDuration(duration) {
+    if (duration === null || duration === undefined || duration === '') {
+      return null;
+    }
+
+    const seconds = Math.round(Number(duration));
+    if (!Number.isFinite(seconds) || seconds < 1 || seconds > SCHEDULE.MAX_DURATION) {
+      return { error: `Duration must be between 1 second and ${SCHEDULE.MAX_DURATION / 3600} hours` };
+    }
+    return seconds;
+  }
+
+  /**
+   * Get the FFmpeg output options that stop a recording after some time
+   * @param {number|null} seconds - Time left, null for no limit
+   * @returns {Array} -t arguments, empty without a limit
+   */
+  static getDurationArgs(seconds) {
+    if (seconds === null || seconds === undefined) {
+      return [];
+    }
+    // Never 0, which FFmpeg would take as "write nothing"
+    return ['-t', Math.max(seconds, 0.1).toFixed(3)];
+  }
+
+  /**
+   * Schedule a recording
+   * @param {Object} schedule - { startAt, duration } as checked by normalizeSchedule
+   * @param {Object} options - Recording options
+   * @returns {Object} Result with the schedule
+   */
+  schedule(schedule, options) {
+    if (this.pending) {
+      return { success: false, error: 'A recording is already scheduled' };
+    }
+
+    const normalized = ScheduleService.normalizeSchedule(schedule);
+    if (normalized.error) {
+      return { success: false, error: normalized.error };
+    }
+    if (normalized.startAt === null) {
+      return { success: false, error: 'Set a start time to schedule a recording' };
+    }
+
+    this.pending = { startAt: normalized.startAt, options: { ...options, duration: normalized.duration } };
+    this.logger.log(`Recording scheduled for ${new Date(normalized.startAt).toISOString()}` +
+      (normalized.duration ? `, stopping after ${normalized.duration}s` : ''));
+    this._scheduleTick();
+    return { success: true, schedule: normalized };
+  }
+
+  /**
+   * Cancel the scheduled recording
+   * @returns {Object} Result
+   */
+  cancel() {
+    if (!this.pending) {
+      return { success: false, error: 'No recording is scheduled' };
+    }
+
+    this.pending = null;
+    this.logger.log('Scheduled recording cancelled');
+    this._tick();
+    return { success: true };
+  }
+
+  /**
+   * Set the length of the recording about to start
+   * @param {number|null} duration - Seconds as checked by normalizeDuration, null for no limit
+   */
+  setLimit(duration) {
+    this.limit = duration ? { duration, recorded: 0, runningSince: null, started: false, expired: false } : null;
+  }
+
+  /**
+   * Count recorded time from now (the recording has started or resumed)
+   */
+  startClock() {
+    if (this.limit && this.limit.runningSince === null) {
+      this.limit.runningSince = Date.now();
+      this.limit.started = true;
+      this._scheduleTick();
+    }
+  }
+
+  /**
+   * Stop counting recorded time (the recording is paused)
+   */
+  stopClock() {
+    if (this.limit && this.limit.runningSince !== null) {
+      this.limit.recorded += (Date.now() - this.limit.runningSince) / 1000;
+      this.limit.runningSince = null;
+    }
+  }
+
+  /**
+   * Get the recording time left
+   * @returns {number|null} Seconds, null without a limit
+   */
+  getRemaining() {
+    if (!this.limit) {
+      return null;
+    }
+
+    const running = this.limit.runningSince === null ? 0 : (Date.now() - this.limit.runningSince) / 1000;
+    return this.limit.duration - this.limit.recorded - running;
+  }
+
+  /**
+   * Get what the status bar shows
+   * @returns {Object} { state: 'waiting' | 'recording' | 'paused' | 'idle', remaining (seconds), startAt, duration }
+   */
+  getStatus() {
+    if (this.pending) {
+      return {
+        state: 'waiting',
+        remaining: Math.max(0, (this.pending.startAt - Date.now()) / 1000),
+        startAt: this.pending.startAt,
+        duration: this.pending.options.duration
+      };
+    }
+    if (this.limit && this.limit.started) {
+      return {
+        state: this.limit.runningSince === null ? 'paused' : 'recording',
+        remaining: Math.max(0, this.getRemaining()),
+        startAt: null,
+        duration: this.limit.duration
+      };
+    }
+    return { state: 'idle', remaining: null, startAt: null, duration: null };
+  }
+
+  /**
+   * Tick every second while something is scheduled or a timed recording runs
+   * @private
+   */
+  _scheduleTick() {
+    if (!this.tickTimer) {
+      this.tickTimer = setInterval(() => this._tick(), SCHEDULE.TICK_INTERVAL);
+    }
+  }
+
+  /**
+   * Start a recording that is due, end a timed recording that has stopped, and report the countdown
+   * @private
+   */
+  _tick() {
+    const isRecording = this.handlers.isRecording ? this.handlers.isRecording() : false;
+
+    if (this.pending && Date.now() >= this.pending.startAt) {
+      const { options } = this.pending;
+      this.pending = null;
+      this.logger.log('Starting scheduled recording');
+      if (this.handlers.onStart) {
+        this.handlers.onStart(options);
+      }
+    }
+
+    if (this.limit && this.limit.started) {
+      if (!isRecording) {
+        // Stopped by FFmpeg's -t or by hand
+        this.limit = null;
+      } else if (!this.limit.expired && this.getRemaining() < -SCHEDULE.STOP_GRACE) {
+        // FFmpeg should have stopped by itself (e.g. a camera fallback started over with the full length)
+        this.limit.expired = true;
+        this.logger.log('Timed recording ran over, stopping it');
+        if (this.handlers.onExpire) {
+          this.handlers.onExpire();
+        }
+      }
+    }
+
+    const status = this.getStatus();
+    if (this.handlers.onTick) {
+      this.handlers.onTick(status);
+    }
+
+    if (status.state === 'idle' && this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+}
+
+module.exports = ScheduleService;
@@ -0,0 +1,279 @@
+/**
+ * Segment service for pause/resume recording
+ *
+ * Pausing stops the running FFmpeg process; resuming starts a new one. The
+ * segments are joined with the concat demuxer (stream copy) when recording
+ * stops, so the timeline still receives a single clip. A followed window that
+ * is frozen gets a segment of its last frame, so every segment is encoded the
+ * same way and still joins losslessly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ProcessRunner = require('../utils/processRunner');
+
+class SegmentService {
+  /**
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(logger) {
+    this.logger = logger;
+    this.session = null;
+  }
+
+  /**
+   * Start tracking a new recording
+   * @param {string} outputPath - Final recording path (also used by the segment being recorded)
+   */
+  startSession(outputPath) {
+    const now = Date.now();
+    this.session = {
+      outputPath,
+      segments: [],
+      pausedSpans: [],
+      recordedMs: 0,
+      segmentStartedAt: now,
+      pausedAt: null
+    };
+  }
+
+  /**
+   * Stop tracking the current recording without touching any files
+   */
+  reset() {
+    this.session = null;
+  }
+
+  /**
+   * Check if a recording is being tracked
+   * @returns {boolean} True if a session is active
+   */
+  hasSession() {
+    return this.session !== null;
+  }
+
+  /**
+   * Check if the tracked recording is paused
+   * @returns {boolean} True if paused
+   */
+  isPaused() {
+    return Boolean(this.session && this.session.pausedAt !== null);
+  }
+
+  /**
+   * Record the start of a pause
+   */
+  markPaused() {
+    if (!this.session || this.isPaused()) {
+      return;
+    }
+
+    const now = Date.now();
+    this.session.recordedMs += now - this.session.segmentStartedAt;
+    this.session.pausedAt = now;
+  }
+
+  /**
+   * Record the end of a pause
+   */
+  markResumed() {
+    if (!this.isPaused()) {
+      return;
+    }
+
+    const now = Date.now();
+    this.session.pausedSpans.push({
+      offset: this.session.recordedMs / 1000,
+      start: new Date(this.session.pausedAt).toISOString(),
+      end: new Date(now).toISOString(),
+      duration: (now - this.session.pausedAt) / 1000
+    });
+    this.session.pausedAt = null;
+    this.session.segmentStartedAt = now;
+  }
+
+  /**
+   * Get path for a numbered segment of the recording
+   * @param {string} outputPath - Final recording path
+   * @param {number} index - Segment number (1-based)
+   * @returns {string} Segment path
+   */
+  getSegmentPath(outputPath, index) {
+    const ext = path.extname(outputPath);
+    const base = outputPath.slice(0, outputPath.length - ext.length);
+    return `${base}.part${String(index).padStart(3, '0')}${ext}`;
+  }
+
+  /**
+   * Get path for the paused spans sidecar file
+   * @param {string} outputPath - Final recording path
+   * @returns {string} Sidecar path
+   */
+  getSidecarPath(outputPath) {
+    const ext = path.extname(outputPath);
+    return `${outputPath.slice(0, outputPath.length - ext.length)}.pauses.json`;
+  }
+
+  /**
+   * Get path for the still frame held while a followed window is frozen
+   * @param {string} outputPath - Final recording path
+   * @returns {string} Frame path
+   */
+  getFramePath(outputPath) {
+    const ext = path.extname(outputPath);
+    return `${outputPath.slice(0, outputPath.length - ext.length)}.frame.png`;
+  }
+
+  /**
+   * Get FFmpeg arguments that save the last frame of a segment
+   * @param {string} segmentPath - Segment path
+   * @param {string} framePath - Image path
+   * @returns {Array} FFmpeg arguments
+   */
+  getLastFrameArgs(segmentPath, framePath) {
+    // Decode the last second; -update rewrites the image for every frame, leaving the last one
+    return ['-y', '-sseof', '-1', '-i', segmentPath, '-update', '1', framePath];
+  }
+
+  /**
+   * Save the last frame of a kept segment, removed again when the recording is finalized
+   * @param {string} segmentPath - Segment path
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @returns {Promise<string|null>} Frame path, or null if there is no frame to hold
+   */
+  async extractLastFrame(segmentPath, ffmpegPath = 'ffmpeg') {
+    if (!this.session) {
+      return null;
+    }
+
+    const framePath = this.getFramePath(this.session.outputPath);
+    try {
+      await ProcessRunner.runChecked(ffmpegPath, this.getLastFrameArgs(segmentPath, framePath), 'Frame extraction');
+      return framePath;
+    } catch (error) {
+      this.logger.error(`Failed to save the last frame of ${segmentPath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Move a finished segment out of the output path
+   * @param {string} filePath - Path the segment was recorded to
+   * @returns {string|null} Segment path, or null if the segment is empty
+   */
+  keepSegment(filePath) {
+    return this.session ? this._keepSegment(this.session, filePath) : null;
+  }
+
+  /**
+   * Move a finished segment into a session's segment list
+   * @param {Object} session - Recording session
+   * @param {string} filePath - Path the segment was recorded to
+   * @returns {string|null} Segment path, or null if the segment is empty
+   * @private
+   */
+  _keepSegment(session, filePath) {
+    try {
+      if (fs.statSync(filePath).size === 0) {
+        fs.unlinkSync(filePath);
+        return null;
+      }
+    } catch (error) {
+      this.logger.error(`Segment not found: ${filePath}`);
+      return null;
+    }
+
+    const segmentPath = this.getSegmentPath(session.outputPath, session.segments.length + 1);
+    fs.renameSync(filePath, segmentPath);
+    session.segments.push(segmentPath);
+    this.logger.log(`Kept recording segment: ${segmentPath}`);
+    return segmentPath;
+  }
+
+  /**
+   * Build concat demuxer list file contents
+   * @param {Array} segments - Segment paths
+   * @returns {string} List file contents
+   */
+  buildConcatList(segments) {
+    return segments
+      .map(segment => `file '${segment.replace(/\\/g, '/').replace(/'/g, "'\\''")}'`)
+      .join('\n') + '\n';
+  }
+
+  /**
+   * Get FFmpeg arguments for a lossless concat
+   * @param {string} listPath - Concat list file path
+   * @param {string} outputPath - Output file path
+   * @param {Array} extraArgs - Output options (e.g. bitstream filters)
+   * @returns {Array} FFmpeg arguments
+   */
+  getConcatArgs(listPath, outputPath, extraArgs = []) {
+    // Map every stream so recordings with several audio tracks keep them all
+    return ['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-map', '0', '-c', 'copy', ...extraArgs, outputPath];
+  }
+
+  /**
+   * Losslessly join segment files into one output file
+   * @param {Array} segments - Segment paths in playback order
+   * @param {string} outputPath - Output file path
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @param {Array} extraArgs - Output options (e.g. bitstream filters)
+   * @returns {Promise<void>} Resolves when the output is written
+   */
+  async concatSegments(segments, outputPath, ffmpegPath = 'ffmpeg', extraArgs = []) {
+    const listPath = `${outputPath}.segments.txt`;
+    fs.writeFileSync(listPath, this.buildConcatList(segments));
+
+    try {
+      await ProcessRunner.runChecked(ffmpegPath, this.getConcatArgs(listPath, outputPath, extraArgs), 'Segment concat');
+    } finally {
+      fs.unlinkSync(listPath);
+    }
+  }
+
+  /**
+   * Join the recorded segments into the final file and write the sidecar
+   * @param {string} ffmpegPath - FFmpeg executable path
+   * @param {Array} extraArgs - Output options (e.g. the recording's timecode and tags)
+   * @returns {Promise<Object>} { filePath, pausedSpans, sidecarPath }
+   */
+  async finalize(ffmpegPath = 'ffmpeg', extraArgs = []) {
+    const session = this.session;
+    this.session = null;
+
+    if (!session || session.segments.length === 0) {
+      // Never paused: the recording is already in place
+      return { filePath: session ? session.outputPath : null, pausedSpans: [], sidecarPath: null };
+    }
+
+    // Stopping while paused leaves nothing at the output path
+    const { outputPath } = session;
+    if (fs.existsSync(outputPath)) {
+      this._keepSegment(session, outputPath);
+    }
+
+    await this.concatSegments(session.segments, outputPath, ffmpegPath, extraArgs);
+
+    session.segments.forEach(segment => {
+      try {
+        fs.unlinkSync(segment);
+      } catch (error) {
+        this.logger.error(`Failed to remove segment ${segment}: ${error.message}`);
+      }
+    });
+    fs.rmSync(this.getFramePath(outputPath), { force: true });
+
+    const sidecarPath = this.getSidecarPath(outputPath);
+    fs.writeFileSync(sidecarPath, JSON.stringify({
+      recording: path.basename(outputPath),
+      segments: session.segments.length,
+      pausedSpans: session.pausedSpans
+    }, null, 2));
+
+    this.logger.log(`Joined ${session.segments.length} segments into ${outputPath}`);
+    return { filePath: outputPath, pausedSpans: session.pausedSpans, sidecarPath };
+  }
+}
+
+module.exports = SegmentService;
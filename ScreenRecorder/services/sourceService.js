@@ -3,53 +3,33 @@
  */
 
 const { exec } = require('child_process');
-const CONFIG = require('../config/constants');
+const { getCaptureBackend } = require('./captureBackends');
+const { getWindowProvider } = require('./windowProviders');
 
 class SourceService {
-  constructor(logger) {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {CaptureBackend} captureBackend - Platform capture backend (default: current platform)
+   * @param {WindowProvider} windowProvider - Window enumeration provider (default: current platform)
+   */
+  constructor(logger, captureBackend = getCaptureBackend(), windowProvider = getWindowProvider(logger)) {
     this.logger = logger;
+    this.captureBackend = captureBackend;
+    this.windowProvider = windowProvider;
     this.availableWindows = [];
     this.availableCameras = [];
   }
 
   /**
    * Get available windows for recording
-   * @returns {Promise<Array>} Array of window objects
+   * @returns {Promise<Array>} Array of window objects (title, process name, PID, handle, geometry)
    */
   async getAvailableWindows() {
-    return new Promise((resolve) => {
-      exec(CONFIG.POWER_SHELL.GET_WINDOWS, { encoding: 'utf8' }, (error, stdout, stderr) => {
-        if (error) {
-          this.logger.error(`Error getting windows: ${error.message}`);
-          resolve([]);
-          return;
-        }
+    const windows = await this.windowProvider.listWindows();
 
-        try {
-          let processes = [];
-          if (stdout.trim()) {
-            const parsed = JSON.parse(stdout);
-            processes = Array.isArray(parsed) ? parsed : [parsed];
-          }
-
-          const windows = processes
-            .filter(p => p.MainWindowTitle && p.MainWindowTitle.trim() !== '')
-            .map(p => ({
-              name: p.MainWindowTitle,
-              processName: p.ProcessName || 'Unknown',
-              id: p.Id || 0,
-              title: p.MainWindowTitle
-            }));
-
-          this.logger.log(`Found ${windows.length} windows with titles`);
-          this.availableWindows = windows;
-          resolve(windows);
-        } catch (parseError) {
-          this.logger.error(`Error parsing windows: ${parseError.message}`);
-          resolve([]);
-        }
-      });
-    });
+    this.logger.log(`Found ${windows.length} windows with titles`);
+    this.availableWindows = windows;
+    return windows;
   }
 
   /**
@@ -58,13 +38,14 @@ class SourceService {
    */
   async getAvailableCameras() {
     return new Promise((resolve) => {
-      exec('ffmpeg -list_devices true -f dshow -i dummy', (error, stdout, stderr) => {
+      exec(this.captureBackend.getVideoDeviceListCommand(), (error, stdout, stderr) => {
         if (error) {
           this.logger.error(`Error getting cameras: ${error.message}`);
         }
 
         try {
-          const output = stderr || stdout || '';
+          // dshow lists devices on stderr, `ffmpeg -sources` on stdout
+          const output = `${stderr || ''}\n${stdout || ''}`;
           const videoDevices = this._parseFFmpegDevices(output);
 
           this.logger.log(`Found cameras: ${JSON.stringify(videoDevices)}`);
@@ -85,37 +66,7 @@ class SourceService {
    * @private
    */
   _parseFFmpegDevices(output) {
-    const videoDevices = [];
-    const lines = output.split('\n');
-    let inVideoDevices = false;
-
-    for (const line of lines) {
-      if (line.includes('[dshow @')) {
-        if (line.includes('DirectShow video devices')) {
-          inVideoDevices = true;
-        } else if (line.includes('DirectShow audio devices')) {
-          inVideoDevices = false;
-        } else if (line.includes('(video)')) {
-          const match = line.match(/"([^"]+)"/);
-          if (match) {
-            videoDevices.push({
-              name: match[1],
-              isOBS: match[1].toLowerCase().includes('obs virtual camera')
-            });
-          }
-        }
-      } else if (inVideoDevices && line.includes('"')) {
-        const match = line.match(/"([^"]+)"/);
-        if (match) {
-          videoDevices.push({
-            name: match[1],
-            isOBS: match[1].toLowerCase().includes('obs virtual camera')
-          });
-        }
-      }
-    }
-
-    return videoDevices;
+    return this.captureBackend.parseVideoDevices(output);
   }
 
   /**
@@ -164,6 +115,16 @@ class SourceService {
     return this.availableWindows.some(window => window.title === windowTitle);
   }
 
+  /**
+   * Get geometry of a known window, e.g. to snap a region to it
+   * @param {string} windowTitle - Window title
+   * @returns {Object|null} Geometry ({ x, y, width, height }) or null
+   */
+  getWindowGeometry(windowTitle) {
+    const window = this.availableWindows.find(w => w.title === windowTitle);
+    return window ? window.geometry : null;
+  }
+
   /**
    * Validate camera selection
    * @param {string} cameraName - Camera name to validate
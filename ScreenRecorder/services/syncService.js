@@ -0,0 +1,103 @@
+/**
+ * Sync service - lines up streams recorded by separate FFmpeg processes
+ *
+ * The screen and camera of a dual recording are captured by two processes that
+ * start a few hundred milliseconds apart. Each video input is read with
+ * wall-clock timestamps, so the start time FFmpeg reports for it is the moment
+ * its first frame was captured; the difference between the two is the offset
+ * applied when the clips are placed on the timeline.
+ */
+
+// Input option: stamp packets with the wall clock instead of the device clock
+const WALLCLOCK_ARGS = ['-use_wallclock_as_timestamps', '1'];
+
+class SyncService {
+  /**
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(logger) {
+    this.logger = logger;
+    this.startTimes = new Map();
+  }
+
+  /**
+   * Get the input options that make FFmpeg report wall-clock start times
+   * @returns {Array} FFmpeg arguments, placed before an input's -i
+   */
+  static getInputArgs() {
+    return [...WALLCLOCK_ARGS];
+  }
+
+  /**
+   * Read the start time of an input from FFmpeg's input summary
+   * @param {string} output - FFmpeg stderr
+   * @param {number} inputIndex - Input number
+   * @returns {number|null} Start time in seconds (wall clock), null if not printed yet
+   */
+  static parseStartTime(output, inputIndex = 0) {
+    const inputStart = output.indexOf(`Input #${inputIndex},`);
+    if (inputStart === -1) {
+      return null;
+    }
+
+    // The start is on the Duration line that follows the input header (complete once the comma is printed)
+    const match = /Duration: [^,\n]+, start: (-?\d+(?:\.\d+)?),/.exec(output.slice(inputStart));
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  /**
+   * Get how far to move each clip so both start at the same moment
+   * @param {number} offset - Seconds the second stream started after the first (negative if before)
+   * @param {number} frameRate - Timeline frame rate
+   * @returns {Object} { first, second } record frame offsets (the stream that started first is delayed)
+   */
+  static getFrameOffsets(offset, frameRate) {
+    const frames = Math.round(offset * frameRate);
+    return {
+      first: frames < 0 ? -frames : 0,
+      second: frames > 0 ? frames : 0
+    };
+  }
+
+  /**
+   * Forget the start times of the previous recording
+   */
+  reset() {
+    this.startTimes.clear();
+  }
+
+  /**
+   * Record the start time of a process's first input once FFmpeg prints it
+   * @param {string} name - Stream name
+   * @param {ChildProcess} process - FFmpeg process
+   */
+  watch(name, process) {
+    let output = '';
+    const onData = (data) => {
+      output += data.toString();
+      const startTime = SyncService.parseStartTime(output);
+      if (startTime !== null) {
+        this.startTimes.set(name, startTime);
+        this.logger.log(`${name} stream started at ${startTime.toFixed(3)}`);
+        process.stderr.removeListener('data', onData);
+      }
+    };
+
+    process.stderr.on('data', onData);
+  }
+
+  /**
+   * Get how long after the first stream the second one started
+   * @param {string} first - Stream name
+   * @param {string} second - Stream name
+   * @returns {number|null} Offset in seconds, null if either start time is unknown
+   */
+  getOffset(first, second) {
+    if (!this.startTimes.has(first) || !this.startTimes.has(second)) {
+      return null;
+    }
+    return this.startTimes.get(second) - this.startTimes.get(first);
+  }
+}
+
+module.exports = SyncService;
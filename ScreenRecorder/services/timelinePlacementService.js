@@ -0,0 +1,283 @@
+/**
+ * Timeline placement service - where imported recordings go on the timeline
+ *
+ * The placement policy picked in the renderer decides the record frame and
+ * tracks, and clips are placed with MediaPool.AppendToTimeline clip info, so
+ * the result is the same every time and can be reported exactly. Resolve's
+ * scripting API cannot ripple the timeline, so "insert" puts the clip at the
+ * playhead on the first track with room for it rather than pushing clips
+ * aside.
+ */
+
+const CONFIG = require('../config/constants');
+
+const PLACEMENT = CONFIG.TIMELINE.PLACEMENT;
+const PLACEMENT_KEY = 'timelinePlacement';
+
+// Clip info mediaType values
+const VIDEO_ONLY = 1;
+const AUDIO_ONLY = 2;
+
+class TimelinePlacementService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {SettingsStore} settingsStore - Store for the placement policy
+   */
+  constructor(logger, settingsStore) {
+    this.logger = logger;
+    this.settingsStore = settingsStore;
+  }
+
+  /**
+   * Complete a placement policy with defaults
+   * @param {Object} placement - { mode, videoTrack, audioTrack } (track 0 picks automatically)
+   * @returns {Object} Normalized placement
+   */
+  static normalizePlacement(placement = {}) {
+    const track = (value) => {
+      const number = parseInt(value, 10);
+      return isNaN(number) ? 0 : Math.min(PLACEMENT.MAX_TRACK, Math.max(0, number));
+    };
+
+    return {
+      mode: PLACEMENT.MODES.includes(placement.mode) ? placement.mode : PLACEMENT.DEFAULT.mode,
+      videoTrack: track(placement.videoTrack),
+      audioTrack: track(placement.audioTrack)
+    };
+  }
+
+  /**
+   * Count the frames of a non-drop-frame timecode
+   * @param {string} timecode - HH:MM:SS:FF (any separator before the frames)
+   * @param {number} frameRate - Frame rate
+   * @returns {number|null} Frames since 00:00:00:00, null if not a timecode
+   */
+  static timecodeToFrames(timecode, frameRate) {
+    const match = /^(\d+):(\d+):(\d+)[:;.](\d+)$/.exec(String(timecode || '').trim());
+    if (!match) {
+      return null;
+    }
+
+    const fps = Math.round(frameRate);
+    const [hours, minutes, seconds, frames] = match.slice(1).map(value => parseInt(value, 10));
+    return ((hours * 60 + minutes) * 60 + seconds) * fps + frames;
+  }
+
+  /**
+   * Find the first run of tracks with nothing between two frames
+   * @param {Array} tracks - Per track (track 1 first), the { start, end } of its items
+   * @param {number} start - First frame
+   * @param {number} end - Frame after the last
+   * @param {number} trackCount - Adjacent tracks needed
+   * @param {number} fromTrack - Lowest track to use
+   * @returns {number} Track index (past the existing tracks if none have room)
+   */
+  static findFreeTrack(tracks, start, end, trackCount = 1, fromTrack = 1) {
+    const isFree = index => (tracks[index - 1] || []).every(item => item.end <= start || item.start >= end);
+
+    for (let index = fromTrack; index <= tracks.length; index++) {
+      let free = true;
+      for (let offset = 0; offset < trackCount && free; offset++) {
+        free = isFree(index + offset);
+      }
+      if (free) {
+        return index;
+      }
+    }
+    return Math.max(fromTrack, tracks.length + 1);
+  }
+
+  /**
+   * Build AppendToTimeline clip info for a whole clip
+   * @param {Object} clip - Media pool item
+   * @param {Object} target - { recordFrame, videoTrack, audioTrack (0 follows the video track) }
+   * @param {number} frames - Clip length in frames (0 if unknown)
+   * @returns {Array} Clip info, split into video and audio when they go on different tracks
+   */
+  static getClipInfos(clip, target, frames) {
+    const base = { mediaPoolItem: clip, recordFrame: target.recordFrame };
+    if (frames > 0) {
+      base.startFrame = 0;
+      base.endFrame = frames - 1;
+    }
+
+    if (target.audioTrack && target.audioTrack !== target.videoTrack) {
+      return [
+        { ...base, trackIndex: target.videoTrack, mediaType: VIDEO_ONLY },
+        { ...base, trackIndex: target.audioTrack, mediaType: AUDIO_ONLY }
+      ];
+    }
+    return [{ ...base, trackIndex: target.videoTrack }];
+  }
+
+  /**
+   * Describe where a recording went
+   * @param {Object} result - Placement result
+   * @returns {string} Status message
+   */
+  static describe(result) {
+    const audio = result.audioTrack && result.audioTrack !== result.videoTrack ? `, audio track ${result.audioTrack}` : '';
+    const tracks = `video track ${result.videoTrack}${audio}`;
+    if (result.createdNewTimeline) {
+      return `Recording added to new timeline "${result.timelineName}" on ${tracks}`;
+    }
+
+    const where = {
+      insert: 'inserted at the playhead',
+      overwrite: 'placed over the playhead',
+      append: 'appended to the end'
+    }[result.mode];
+    return `Recording ${where} on ${tracks} of "${result.timelineName}"`;
+  }
+
+  /**
+   * Get the saved placement policy
+   * @returns {Object} Normalized placement
+   */
+  getPlacement() {
+    return TimelinePlacementService.normalizePlacement(this.settingsStore.get(PLACEMENT_KEY, PLACEMENT.DEFAULT));
+  }
+
+  /**
+   * Save the placement policy chosen in the renderer
+   * @param {Object} placement - Placement
+   * @returns {Object} Result with the normalized placement
+   */
+  savePlacement(placement) {
+    if (!placement || typeof placement !== 'object') {
+      return { success: false, error: 'Invalid timeline placement' };
+    }
+
+    const normalized = TimelinePlacementService.normalizePlacement(placement);
+    this.settingsStore.set(PLACEMENT_KEY, normalized);
+    return { success: true, placement: normalized };
+  }
+
+  /**
+   * Get the length of a clip on a timeline
+   * @param {Object} clip - Media pool item
+   * @param {number} frameRate - Timeline frame rate
+   * @returns {Promise<Object>} { frames: clip frames (0 if unknown), duration: timeline frames }
+   */
+  async getClipLength(clip, frameRate) {
+    const frames = parseInt(await clip.GetClipProperty('Frames'), 10) || 0;
+    const clipRate = parseFloat(await clip.GetClipProperty('FPS')) || frameRate;
+    return { frames, duration: Math.max(1, Math.ceil(frames * frameRate / clipRate)) };
+  }
+
+  /**
+   * Work out the record frame and tracks for clips of a given length
+   * @param {Object} timeline - Resolve timeline
+   * @param {Object} placement - Normalized placement
+   * @param {number} duration - Length in timeline frames
+   * @param {number} trackCount - Adjacent video tracks needed (2 for screen and camera)
+   * @returns {Promise<Object>} { recordFrame, videoTrack, audioTrack }
+   */
+  async getTarget(timeline, placement, duration, trackCount = 1) {
+    const startFrame = await timeline.GetStartFrame();
+    let recordFrame = Math.max(startFrame, await timeline.GetEndFrame());
+
+    if (placement.mode === 'insert' || placement.mode === 'overwrite') {
+      const frameRate = parseFloat(await timeline.GetSetting('timelineFrameRate')) || 30;
+      const playhead = TimelinePlacementService.timecodeToFrames(await timeline.GetCurrentTimecode(), frameRate);
+      const start = TimelinePlacementService.timecodeToFrames(await timeline.GetStartTimecode(), frameRate);
+      if (playhead !== null && start !== null) {
+        recordFrame = startFrame + Math.max(0, playhead - start);
+      } else {
+        this.logger.log('Playhead position unknown, placing at the end of the timeline');
+      }
+    }
+
+    let videoTrack = placement.videoTrack || 1;
+    if (placement.mode === 'insert') {
+      const tracks = [];
+      const trackTotal = await timeline.GetTrackCount('video');
+      for (let index = 1; index <= trackTotal; index++) {
+        const items = (await timeline.GetItemListInTrack('video', index)) || [];
+        tracks.push(await Promise.all(items.map(async item => ({ start: await item.GetStart(), end: await item.GetEnd() }))));
+      }
+      videoTrack = TimelinePlacementService.findFreeTrack(tracks, recordFrame, recordFrame + duration, trackCount, videoTrack);
+    }
+
+    return { recordFrame, videoTrack, audioTrack: placement.audioTrack };
+  }
+
+  /**
+   * Add tracks until a timeline has enough of a type
+   * @param {Object} timeline - Resolve timeline
+   * @param {string} type - 'video' or 'audio'
+   * @param {number} count - Tracks needed
+   */
+  async ensureTracks(timeline, type, count) {
+    while ((await timeline.GetTrackCount(type)) < count) {
+      const added = type === 'audio' ? await timeline.AddTrack('audio', 'stereo') : await timeline.AddTrack(type);
+      if (!added) {
+        throw new Error(`Failed to add ${type} track ${count}`);
+      }
+    }
+  }
+
+  /**
+   * Get the timeline to place on, creating one for the "new timeline" policy or when none is open
+   * @param {Object} mediaPool - Resolve media pool
+   * @param {Object} project - Resolve project
+   * @param {Object} placement - Normalized placement
+   * @returns {Promise<Object>} { timeline, createdNewTimeline }
+   */
+  async getTimeline(mediaPool, project, placement) {
+    const current = await project.GetCurrentTimeline();
+    if (current && placement.mode !== 'newTimeline') {
+      return { timeline: current, createdNewTimeline: false };
+    }
+
+    const timelineName = `Screen Recording - ${new Date().toLocaleString()}`;
+    const timeline = await mediaPool.CreateEmptyTimeline(timelineName);
+    if (!timeline) {
+      throw new Error('Failed to create timeline');
+    }
+    if (!(await project.SetCurrentTimeline(timeline))) {
+      throw new Error('Failed to set current timeline');
+    }
+
+    this.logger.log(`Created new timeline: ${timelineName}`);
+    return { timeline, createdNewTimeline: true };
+  }
+
+  /**
+   * Place an imported recording as the placement policy says
+   * @param {Object} mediaPool - Resolve media pool
+   * @param {Object} project - Resolve project
+   * @param {Object} clip - Media pool item
+   * @param {Object} placement - Placement (default: the saved policy)
+   * @returns {Promise<Object>} { timelineName, createdNewTimeline, mode, recordFrame, videoTrack, audioTrack, items, message }
+   */
+  async place(mediaPool, project, clip, placement = this.getPlacement()) {
+    const { timeline, createdNewTimeline } = await this.getTimeline(mediaPool, project, placement);
+    const timelineName = await timeline.GetName();
+    const frameRate = parseFloat(await timeline.GetSetting('timelineFrameRate')) || 30;
+    const { frames, duration } = await this.getClipLength(clip, frameRate);
+
+    // A new timeline starts with the recording, whatever the policy
+    const policy = createdNewTimeline ? { ...placement, mode: 'append' } : placement;
+    const target = await this.getTarget(timeline, policy, duration);
+    await this.ensureTracks(timeline, 'video', target.videoTrack);
+    if (target.audioTrack) {
+      await this.ensureTracks(timeline, 'audio', target.audioTrack);
+    }
+
+    const items = await mediaPool.AppendToTimeline(TimelinePlacementService.getClipInfos(clip, target, frames));
+    if (!items || items.length === 0) {
+      throw new Error(`Resolve did not place the clip at frame ${target.recordFrame} on video track ${target.videoTrack}`);
+    }
+    if (items.length > 1) {
+      await timeline.SetClipsLinked(items, true);
+    }
+
+    const result = { timelineName, createdNewTimeline, mode: placement.mode, ...target, items };
+    result.message = TimelinePlacementService.describe(result);
+    this.logger.log(`${result.message} (frame ${target.recordFrame})`);
+    return result;
+  }
+}
+
+module.exports = TimelinePlacementService;
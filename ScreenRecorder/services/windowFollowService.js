@@ -0,0 +1,353 @@
+/**
+ * Window follow service - keeps window capture on the same window while recording
+ *
+ * A window is followed by its handle, then by its process, then by a title
+ * pattern, so it can be found again after its title changes (browser tabs,
+ * editors showing the file name) or after it is closed and reopened. While
+ * recording, the window is looked up every few seconds and a change is
+ * reported: minimized, closed, back, or captured again because it has a new
+ * handle or size. What the recording does on a minimized or closed window
+ * (pause, freeze the last frame or stop) is a saved policy.
+ */
+
+const CONFIG = require('../config/constants');
+
+const WINDOW_FOLLOW = CONFIG.WINDOW_FOLLOW;
+const SETTINGS_KEY = 'windowFollow';
+
+class WindowFollowService {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {WindowProvider} windowProvider - Platform window enumeration
+   * @param {SettingsStore} settingsStore - Store for the minimized and closed policies
+   * @param {Object} handlers - { isRecording(), onChange(change) } (change is { state, window, restart })
+   */
+  constructor(logger, windowProvider, settingsStore, handlers = {}) {
+    this.logger = logger;
+    this.windowProvider = windowProvider;
+    this.settingsStore = settingsStore;
+    this.handlers = handlers;
+    this.session = null; // { target, window, state }
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Complete follow settings with defaults
+   * @param {Object} settings - { minimized, closed } (each 'pause', 'freeze' or 'stop')
+   * @returns {Object} Normalized settings
+   */
+  static normalizeSettings(settings = {}) {
+    const policy = (value, fallback) => (WINDOW_FOLLOW.POLICIES.includes(value) ? value : fallback);
+    return {
+      minimized: policy(settings.minimized, WINDOW_FOLLOW.DEFAULT.minimized),
+      closed: policy(settings.closed, WINDOW_FOLLOW.DEFAULT.closed)
+    };
+  }
+
+  /**
+   * Check a window title against a pattern
+   * @param {string} title - Window title
+   * @param {string} pattern - Text the title contains, * matching anything (case-insensitive)
+   * @returns {boolean} True if the title matches
+   */
+  static matchTitle(title, pattern) {
+    if (!title || !pattern || !pattern.trim()) {
+      return false;
+    }
+
+    const expression = pattern.trim()
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(expression, 'i').test(title);
+  }
+
+  /**
+   * Find the followed window: by handle, then by process, then by title pattern
+   * @param {Array} windows - Windows from the window provider
+   * @param {Object} target - { handle, pid, titlePattern }
+   * @returns {Object|null} { window, matchedBy } ('handle', 'pid' or 'title')
+   */
+  static findWindow(windows, target) {
+    const pid = Number(target.pid) || 0;
+    const matchesPattern = window => WindowFollowService.matchTitle(window.title, target.titlePattern);
+
+    // Handles are numbers on Windows and hex strings on X11; the process must match too, as handles are reused
+    const byHandle = target.handle && windows.find(window =>
+      window.handle !== null && String(window.handle).toLowerCase() === String(target.handle).toLowerCase() &&
+      (!pid || window.pid === pid));
+    if (byHandle) {
+      return { window: byHandle, matchedBy: 'handle' };
+    }
+
+    const sameProcess = pid ? windows.filter(window => window.pid === pid) : [];
+    if (sameProcess.length > 0) {
+      return { window: sameProcess.find(matchesPattern) || sameProcess[0], matchedBy: 'pid' };
+    }
+
+    const byTitle = windows.find(matchesPattern);
+    return byTitle ? { window: byTitle, matchedBy: 'title' } : null;
+  }
+
+  /**
+   * Get the frame size of a window recording, which stays the same when the window is resized
+   * @param {Object|null} geometry - Window geometry when recording starts
+   * @param {string} resolution - Chosen output resolution, e.g. '1920x1080' or 'desktop'
+   * @returns {Object|null} { width, height } (even), null if unknown
+   */
+  static getFrameSize(geometry, resolution) {
+    const match = /^(\d+)x(\d+)$/.exec(resolution || '');
+    const size = match
+      ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) }
+      : geometry && { width: geometry.width, height: geometry.height };
+    if (!size) {
+      return null;
+    }
+
+    const width = Math.floor(size.width / 2) * 2;
+    const height = Math.floor(size.height / 2) * 2;
+    return width >= 16 && height >= 16 ? { width, height } : null;
+  }
+
+  /**
+   * Get video filters that fit a resized window into the recording's frame size
+   * @param {Object|null} size - { width, height }
+   * @returns {Array} Filter expressions (letterboxed, never stretched)
+   */
+  static getFitFilters(size) {
+    if (!size) {
+      return [];
+    }
+
+    const { width, height } = size;
+    return [
+      `scale=${width}:${height}:force_original_aspect_ratio=decrease:force_divisible_by=2`,
+      // Negative offsets centre the picture (and need no shell quoting)
+      `pad=${width}:${height}:-1:-1`
+    ];
+  }
+
+  /**
+   * Get the saved minimized and closed policies
+   * @returns {Object} Normalized settings
+   */
+  getSettings() {
+    return WindowFollowService.normalizeSettings(this.settingsStore.get(SETTINGS_KEY, WINDOW_FOLLOW.DEFAULT));
+  }
+
+  /**
+   * Save the policies chosen in the renderer
+   * @param {Object} settings - { minimized, closed }
+   * @returns {Object} Result with the normalized settings
+   */
+  saveSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+      return { success: false, error: 'Invalid window follow settings' };
+    }
+
+    const normalized = WindowFollowService.normalizeSettings(settings);
+    this.settingsStore.set(SETTINGS_KEY, normalized);
+    return { success: true, settings: normalized };
+  }
+
+  /**
+   * Find the window to record and follow it until the recording stops
+   * @param {Object} target - { handle, pid, title, titlePattern } as chosen in the renderer
+   * @returns {Promise<Object>} Result with the window found
+   */
+  async start(target) {
+    this.stop();
+
+    const followTarget = {
+      handle: target.handle || null,
+      pid: Number(target.pid) || 0,
+      // Without a pattern, the title the window had when it was picked
+      titlePattern: (target.titlePattern && target.titlePattern.trim()) || target.title || ''
+    };
+
+    const listing = await this.windowProvider.queryWindows();
+    if (!listing.success) {
+      return { success: false, error: `Could not list windows: ${listing.error}` };
+    }
+
+    const found = WindowFollowService.findWindow(listing.windows, followTarget);
+    if (!found) {
+      return { success: false, error: `Window not found: ${target.title || followTarget.titlePattern}` };
+    }
+    if (await this.windowProvider.isMinimized(found.window)) {
+      return { success: false, error: 'The window is minimized; restore it before recording' };
+    }
+
+    this.session = {
+      target: { ...followTarget, handle: found.window.handle, pid: found.window.pid || followTarget.pid },
+      window: found.window,
+      state: 'visible'
+    };
+    this.pollTimer = setInterval(() => this._poll(), WINDOW_FOLLOW.POLL_INTERVAL);
+    this.logger.log(`Following window "${found.window.title}" (matched by ${found.matchedBy})`);
+    return { success: true, window: found.window };
+  }
+
+  /**
+   * Stop following the window
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.session) {
+      this.windowProvider.release();
+    }
+    this.session = null;
+  }
+
+  /**
+   * Check if a window is being followed
+   * @returns {boolean} True while following
+   */
+  isFollowing() {
+    return this.session !== null;
+  }
+
+  /**
+   * Get the followed window as last seen
+   * @returns {Object|null} Window object (title, handle, geometry)
+   */
+  getWindow() {
+    return this.session ? this.session.window : null;
+  }
+
+  /**
+   * Look the window up now, e.g. when its capture has ended on its own, without
+   * waiting for the next poll; a change is recorded but not reported
+   * @returns {Promise<Object>} { success, state ('visible', 'minimized' or 'closed'), window, restart, changed }
+   */
+  async check() {
+    const update = this.session ? await this._update(this.session) : null;
+    return update || { success: false, error: 'No window is being followed' };
+  }
+
+  /**
+   * Look the window up again and report what changed
+   * @private
+   */
+  async _poll() {
+    if (this.handlers.isRecording && !this.handlers.isRecording()) {
+      this.stop();
+      return;
+    }
+    if (this.polling || !this.session) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      const update = await this._update(this.session);
+      if (!update) {
+        return;
+      }
+      if (!update.success) {
+        // A failed lookup says nothing about the window; it is looked up again next time
+        this.logger.error(`Skipped looking up the followed window: ${update.error}`);
+        return;
+      }
+
+      if (update.changed && this.handlers.onChange) {
+        this.handlers.onChange({ state: update.state, window: update.window, restart: update.restart });
+      }
+    } catch (error) {
+      this.logger.error(`Failed to look up the followed window: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Look the window up and record its state
+   * @param {Object} session - Follow session
+   * @returns {Promise<Object|null>} { success, state, window, restart, changed }, null if following stopped meanwhile
+   * @private
+   */
+  async _update(session) {
+    const lookup = await this._lookUp(session.target);
+    if (!lookup.success) {
+      return this.session === session ? lookup : null;
+    }
+
+    const found = lookup.found;
+    const minimized = found ? await this.windowProvider.isMinimized(found.window) : false;
+    if (this.session !== session) {
+      return null;
+    }
+
+    const state = !found ? 'closed' : (minimized ? 'minimized' : 'visible');
+    const restart = state === 'visible' && WindowFollowService._needsRestart(session.window, found.window);
+    const changed = state !== session.state || restart;
+
+    if (changed) {
+      if (found) {
+        // Keep following the window found, e.g. one reopened with the same title
+        if (found.matchedBy !== 'handle') {
+          this.logger.log(`Followed window found again by ${found.matchedBy}: "${found.window.title}"`);
+        }
+        session.target.handle = found.window.handle;
+        session.target.pid = found.window.pid || session.target.pid;
+        if (state === 'visible') {
+          session.window = found.window;
+        }
+      }
+      session.state = state;
+      this.logger.log(`Followed window is ${state}${restart ? ', capturing it again' : ''}`);
+    }
+
+    return { success: true, state, window: session.window, restart, changed };
+  }
+
+  /**
+   * Find the followed window: its handle is looked up first, and all windows
+   * are only listed when that window has gone (listing can be slow)
+   * @param {Object} target - { handle, pid, titlePattern }
+   * @returns {Promise<Object>} { success, found (see findWindow), error }
+   * @private
+   */
+  async _lookUp(target) {
+    if (target.handle) {
+      const lookup = await this.windowProvider.getWindow({ handle: target.handle });
+      if (!lookup.success) {
+        return { success: false, error: lookup.error };
+      }
+      if (lookup.window && (!target.pid || lookup.window.pid === target.pid)) {
+        return { success: true, found: { window: lookup.window, matchedBy: 'handle' } };
+      }
+    }
+
+    const listing = await this.windowProvider.queryWindows();
+    if (!listing.success) {
+      return { success: false, error: listing.error };
+    }
+    return { success: true, found: WindowFollowService.findWindow(listing.windows, target) };
+  }
+
+  /**
+   * Check if a visible window has to be captured again: a new window, a
+   * title-only capture whose title changed, or a new size
+   * @param {Object} captured - Window as captured
+   * @param {Object} current - Window as found now
+   * @returns {boolean} True if the capture must restart
+   * @private
+   */
+  static _needsRestart(captured, current) {
+    if (String(captured.handle) !== String(current.handle)) {
+      return true;
+    }
+    if (!current.handle && captured.title !== current.title) {
+      return true;
+    }
+    return Boolean(captured.geometry && current.geometry) &&
+      (captured.geometry.width !== current.geometry.width || captured.geometry.height !== current.geometry.height);
+  }
+}
+
+module.exports = WindowFollowService;
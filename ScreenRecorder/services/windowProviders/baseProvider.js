@@ -0,0 +1,81 @@
+/**
+ * Base class for window enumeration providers
+ *
+ * Providers return windows in a common shape:
+ * { name, title, processName, id, pid, handle, geometry: { x, y, width, height } | null, minimized }
+ */
+
+class WindowProvider {
+  constructor(logger) {
+    this.logger = logger;
+    this.name = 'none';
+  }
+
+  /**
+   * List visible top-level windows, telling a failed listing from an empty one
+   * @returns {Promise<Object>} { success, windows, error }
+   */
+  async queryWindows() {
+    return { success: true, windows: [] };
+  }
+
+  /**
+   * List visible top-level windows
+   * @returns {Promise<Array>} Array of window objects (empty if listing failed)
+   */
+  async listWindows() {
+    return (await this.queryWindows()).windows;
+  }
+
+  /**
+   * Look a window up again by its handle
+   * @param {Object} window - Window object, or { handle }
+   * @returns {Promise<Object>} { success, window (null if it is gone), error }
+   */
+  async getWindow(window) {
+    const listing = await this.queryWindows();
+    if (!listing.success) {
+      return { success: false, window: null, error: listing.error };
+    }
+
+    const handle = window && window.handle ? String(window.handle).toLowerCase() : null;
+    const found = handle && listing.windows.find(candidate =>
+      candidate.handle !== null && String(candidate.handle).toLowerCase() === handle);
+    return { success: true, window: found || null };
+  }
+
+  /**
+   * Release anything kept for getWindow (called when a window is no longer followed)
+   */
+  release() {}
+
+  /**
+   * Check if a listed window is minimized
+   * @param {Object} window - Window object from listWindows
+   * @returns {Promise<boolean>} True if minimized
+   */
+  async isMinimized(window) {
+    return Boolean(window.minimized);
+  }
+
+  /**
+   * Build a window object in the common shape
+   * @param {Object} fields - Raw window fields
+   * @returns {Object} Window object
+   * @protected
+   */
+  _createWindow({ title, processName, pid, handle, geometry, minimized }) {
+    return {
+      name: title,
+      title,
+      processName: processName || 'Unknown',
+      id: pid || 0,
+      pid: pid || 0,
+      handle: handle || null,
+      geometry: geometry || null,
+      minimized: Boolean(minimized)
+    };
+  }
+}
+
+module.exports = WindowProvider;
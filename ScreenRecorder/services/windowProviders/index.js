@@ -0,0 +1,34 @@
+/**
+ * Window enumeration provider selection
+ */
+
+const WindowProvider = require('./baseProvider');
+const WindowsWindowProvider = require('./windowsProvider');
+const X11WindowProvider = require('./x11Provider');
+
+/**
+ * Create the window provider for a platform
+ * @param {Logger} logger - Logger instance
+ * @param {string} platform - Node platform name (default: current platform)
+ * @param {Object} env - Process environment
+ * @returns {WindowProvider} Window provider instance
+ */
+function getWindowProvider(logger, platform = process.platform, env = process.env) {
+  if (platform === 'win32') {
+    return new WindowsWindowProvider(logger);
+  }
+
+  if (platform === 'linux' && env.DISPLAY) {
+    return new X11WindowProvider(logger);
+  }
+
+  // No enumeration available (macOS, Wayland-only sessions)
+  return new WindowProvider(logger);
+}
+
+module.exports = {
+  getWindowProvider,
+  WindowProvider,
+  WindowsWindowProvider,
+  X11WindowProvider
+};
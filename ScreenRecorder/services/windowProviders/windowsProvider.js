@@ -0,0 +1,201 @@
+/**
+ * Windows window enumeration (PowerShell + user32 GetWindowRect)
+ *
+ * Listing walks every process and compiles the user32 declarations, which
+ * takes a second or more. A followed window is looked up by its handle in a
+ * PowerShell process that is started once and kept until release().
+ */
+
+const { exec, spawn } = require('child_process');
+const WindowProvider = require('./baseProvider');
+const CONFIG = require('../../config/constants');
+
+class WindowsWindowProvider extends WindowProvider {
+  constructor(logger) {
+    super(logger);
+    this.name = 'powershell';
+    this.watcher = null; // { process, pending, output, errorOutput }
+  }
+
+  /**
+   * Encode a script for -EncodedCommand, which avoids quoting the multi-line script through cmd.exe
+   * @param {string} script - PowerShell script
+   * @returns {string} Base64 of the UTF-16LE script
+   */
+  static encodeScript(script) {
+    return Buffer.from(script, 'utf16le').toString('base64');
+  }
+
+  /**
+   * Get PowerShell command line for window enumeration
+   * @returns {string} Command line
+   */
+  getCommand() {
+    return `powershell -NoProfile -NonInteractive -EncodedCommand ${WindowsWindowProvider.encodeScript(CONFIG.POWER_SHELL.GET_WINDOWS)}`;
+  }
+
+  async queryWindows() {
+    return new Promise((resolve) => {
+      exec(this.getCommand(), { encoding: 'utf8' }, (error, stdout, stderr) => {
+        if (error) {
+          this.logger.error(`Error getting windows: ${error.message}`);
+          resolve({ success: false, windows: [], error: error.message });
+          return;
+        }
+
+        try {
+          resolve({ success: true, windows: this.parse(stdout) });
+        } catch (parseError) {
+          this.logger.error(`Error parsing windows: ${parseError.message}`);
+          resolve({ success: false, windows: [], error: parseError.message });
+        }
+      });
+    });
+  }
+
+  async getWindow(window) {
+    if (!window || !window.handle) {
+      return super.getWindow(window);
+    }
+
+    try {
+      return { success: true, window: this.parseLookup(await this._lookUp(String(window.handle))) };
+    } catch (error) {
+      this.logger.error(`Error looking up window ${window.handle}: ${error.message}`);
+      return { success: false, window: null, error: error.message };
+    }
+  }
+
+  release() {
+    if (this.watcher) {
+      this._stopWatcher(this.watcher, new Error('Window lookup stopped'));
+    }
+  }
+
+  /**
+   * Parse PowerShell JSON output
+   * @param {string} stdout - ConvertTo-Json output
+   * @returns {Array} Array of window objects
+   */
+  parse(stdout) {
+    let processes = [];
+    if (stdout.trim()) {
+      const parsed = JSON.parse(stdout);
+      processes = Array.isArray(parsed) ? parsed : [parsed];
+    }
+
+    return processes
+      .filter(p => p.MainWindowTitle && p.MainWindowTitle.trim() !== '')
+      .map(p => this._toWindow(p));
+  }
+
+  /**
+   * Parse one answer of the window watcher
+   * @param {string} line - JSON line
+   * @returns {Object|null} Window object, null if the window is gone or has no title
+   */
+  parseLookup(line) {
+    const parsed = JSON.parse(line);
+    return parsed && parsed.MainWindowTitle && parsed.MainWindowTitle.trim() !== '' ? this._toWindow(parsed) : null;
+  }
+
+  /**
+   * Build a window object from a PowerShell window record
+   * @param {Object} p - { ProcessName, MainWindowTitle, Id, Handle, Left, Top, Width, Height, Minimized }
+   * @returns {Object} Window object
+   * @private
+   */
+  _toWindow(p) {
+    return this._createWindow({
+      title: p.MainWindowTitle,
+      processName: p.ProcessName,
+      pid: p.Id,
+      handle: p.Handle,
+      geometry: Number.isFinite(p.Width) && p.Width > 0 && p.Height > 0 ? {
+        x: p.Left,
+        y: p.Top,
+        width: p.Width,
+        height: p.Height
+      } : null,
+      minimized: p.Minimized === true
+    });
+  }
+
+  /**
+   * Ask the window watcher about one handle
+   * @param {string} handle - Window handle
+   * @returns {Promise<string>} JSON line answered
+   * @private
+   */
+  _lookUp(handle) {
+    const watcher = this.watcher || this._startWatcher();
+
+    return new Promise((resolve, reject) => {
+      const request = { resolve, reject, timer: null };
+      request.timer = setTimeout(() => {
+        this._stopWatcher(watcher, new Error('Window lookup timed out'));
+      }, CONFIG.WINDOW_FOLLOW.LOOKUP_TIMEOUT);
+      watcher.pending.push(request);
+      watcher.process.stdin.write(`${handle}\n`);
+    });
+  }
+
+  /**
+   * Start the PowerShell process that answers window lookups
+   * @returns {Object} Watcher
+   * @private
+   */
+  _startWatcher() {
+    const process = spawn('powershell', [
+      '-NoProfile', '-NonInteractive', '-EncodedCommand', WindowsWindowProvider.encodeScript(CONFIG.POWER_SHELL.WATCH_WINDOW)
+    ]);
+    const watcher = { process, pending: [], output: '', errorOutput: '' };
+    this.watcher = watcher;
+
+    // Answers come one line per lookup, in order
+    process.stdout.on('data', (data) => {
+      const lines = (watcher.output + data.toString()).split(/\r?\n/);
+      watcher.output = lines.pop();
+      lines.filter(line => line.trim()).forEach(line => {
+        const request = watcher.pending.shift();
+        if (request) {
+          clearTimeout(request.timer);
+          request.resolve(line);
+        }
+      });
+    });
+    process.stderr.on('data', (data) => {
+      watcher.errorOutput += data.toString();
+    });
+    // Writing to a process that has just exited fails here; 'close' reports why
+    process.stdin.on('error', () => {});
+    process.on('error', (error) => this._stopWatcher(watcher, error));
+    process.on('close', (code) => {
+      const message = watcher.errorOutput.trim().split('\n').pop();
+      this._stopWatcher(watcher, new Error(`PowerShell exited with code ${code}${message ? `: ${message}` : ''}`));
+    });
+
+    return watcher;
+  }
+
+  /**
+   * Stop the window watcher and fail the lookups still waiting
+   * @param {Object} watcher - Watcher
+   * @param {Error} error - Reason given to waiting lookups
+   * @private
+   */
+  _stopWatcher(watcher, error) {
+    if (this.watcher === watcher) {
+      this.watcher = null;
+    }
+    watcher.pending.splice(0).forEach(request => {
+      clearTimeout(request.timer);
+      request.reject(error);
+    });
+    if (watcher.process.exitCode === null && !watcher.process.killed) {
+      watcher.process.kill();
+    }
+  }
+}
+
+module.exports = WindowsWindowProvider;
@@ -0,0 +1,155 @@
+/**
+ * X11 window enumeration (wmctrl, falling back to xdotool)
+ */
+
+const fs = require('fs');
+const { exec } = require('child_process');
+const WindowProvider = require('./baseProvider');
+const CONFIG = require('../../config/constants');
+
+class X11WindowProvider extends WindowProvider {
+  constructor(logger) {
+    super(logger);
+    this.name = 'x11';
+  }
+
+  /**
+   * Run a command and resolve with stdout (null on failure)
+   * @param {string} command - Command line
+   * @returns {Promise<string|null>} Command output
+   * @private
+   */
+  _run(command) {
+    return new Promise((resolve) => {
+      exec(command, { encoding: 'utf8' }, (error, stdout) => {
+        resolve(error ? null : stdout);
+      });
+    });
+  }
+
+  /**
+   * Resolve process name from /proc
+   * @param {number} pid - Process ID
+   * @returns {string} Process name
+   * @private
+   */
+  _getProcessName(pid) {
+    try {
+      return fs.readFileSync(`/proc/${pid}/comm`, 'utf8').trim();
+    } catch (error) {
+      return 'Unknown';
+    }
+  }
+
+  async queryWindows() {
+    const wmctrlOutput = await this._run(CONFIG.X11.LIST_WINDOWS);
+    if (wmctrlOutput !== null) {
+      return { success: true, windows: this.parseWmctrl(wmctrlOutput) };
+    }
+
+    this.logger.log('wmctrl not available, falling back to xdotool');
+    const searchOutput = await this._run(CONFIG.X11.SEARCH_WINDOWS);
+    if (searchOutput === null) {
+      const error = 'neither wmctrl nor xdotool is available';
+      this.logger.error(`Error getting windows: ${error}`);
+      return { success: false, windows: [], error };
+    }
+
+    const windowIds = searchOutput.split('\n').map(line => line.trim()).filter(Boolean);
+    const windows = await Promise.all(windowIds.map(windowId => this._describeWithXdotool(windowId)));
+    return { success: true, windows: windows.filter(Boolean) };
+  }
+
+  async isMinimized(window) {
+    // wmctrl and xdotool do not report the state, so it is read for the followed window only
+    if (!window.handle) {
+      return false;
+    }
+
+    const output = await this._run(`${CONFIG.X11.WINDOW_STATE} ${window.handle}`);
+    return output !== null && output.includes('_NET_WM_STATE_HIDDEN');
+  }
+
+  /**
+   * Parse `wmctrl -lpG` output
+   * @param {string} output - wmctrl output
+   * @returns {Array} Array of window objects
+   */
+  parseWmctrl(output) {
+    const windows = [];
+
+    for (const line of output.split('\n')) {
+      // <id> <desktop> <pid> <x> <y> <width> <height> <host> <title>
+      const match = line.match(/^(0x[0-9a-fA-F]+)\s+(-?\d+)\s+(\d+)\s+(-?\d+)\s+(-?\d+)\s+(\d+)\s+(\d+)\s+\S+\s+(.*)$/);
+      if (!match || !match[8].trim()) {
+        continue;
+      }
+
+      const pid = parseInt(match[3], 10);
+      windows.push(this._createWindow({
+        title: match[8].trim(),
+        processName: pid ? this._getProcessName(pid) : 'Unknown',
+        pid,
+        handle: match[1],
+        geometry: {
+          x: parseInt(match[4], 10),
+          y: parseInt(match[5], 10),
+          width: parseInt(match[6], 10),
+          height: parseInt(match[7], 10)
+        }
+      }));
+    }
+
+    return windows;
+  }
+
+  /**
+   * Describe a single window with xdotool
+   * @param {string} windowId - Decimal X11 window id
+   * @returns {Promise<Object|null>} Window object
+   * @private
+   */
+  async _describeWithXdotool(windowId) {
+    const [title, pidOutput, geometryOutput] = await Promise.all([
+      this._run(`xdotool getwindowname ${windowId}`),
+      this._run(`xdotool getwindowpid ${windowId}`),
+      this._run(`xdotool getwindowgeometry --shell ${windowId}`)
+    ]);
+
+    if (!title || !title.trim()) {
+      return null;
+    }
+
+    const pid = parseInt(pidOutput, 10) || 0;
+    return this._createWindow({
+      title: title.trim(),
+      processName: pid ? this._getProcessName(pid) : 'Unknown',
+      pid,
+      handle: `0x${parseInt(windowId, 10).toString(16)}`,
+      geometry: geometryOutput ? this.parseXdotoolGeometry(geometryOutput) : null
+    });
+  }
+
+  /**
+   * Parse `xdotool getwindowgeometry --shell` output
+   * @param {string} output - xdotool output
+   * @returns {Object|null} Geometry
+   */
+  parseXdotoolGeometry(output) {
+    const values = {};
+    for (const line of output.split('\n')) {
+      const match = line.match(/^(X|Y|WIDTH|HEIGHT)=(-?\d+)/);
+      if (match) {
+        values[match[1]] = parseInt(match[2], 10);
+      }
+    }
+
+    if (values.WIDTH === undefined || values.HEIGHT === undefined) {
+      return null;
+    }
+
+    return { x: values.X || 0, y: values.Y || 0, width: values.WIDTH, height: values.HEIGHT };
+  }
+}
+
+module.exports = X11WindowProvider;
@@ -0,0 +1,194 @@
+/**
+ * Audio device service tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AudioDeviceService = require('../services/audioDeviceService');
+const { WindowsCaptureBackend, LinuxCaptureBackend } = require('../services/captureBackends');
+
+// Mock child_process
+jest.mock('child_process', () => ({
+  exec: jest.fn()
+}));
+
+const mockExec = require('child_process').exec;
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+const DSHOW_OUTPUT = fs.readFileSync(path.join(__dirname, 'fixtures', 'dshow-list-devices.txt'), 'utf8');
+const MICROPHONE_ID = '@device_cm_{33D9A762-90C8-11D0-BD43-00A0C911CE86}\\wave_{8A7B6C5D-1E2F-4A3B-9C8D-7E6F5A4B3C2D}';
+const STEREO_MIX_ID = '@device_cm_{33D9A762-90C8-11D0-BD43-00A0C911CE86}\\wave_{1F2E3D4C-5B6A-4978-8695-A4B3C2D1E0F9}';
+
+/**
+ * Make the device listing return the given dshow output (dshow exits with an error)
+ */
+function mockListing(output) {
+  mockExec.mockImplementation((command, callback) => {
+    callback(new Error('Command failed'), '', output);
+  });
+}
+
+/**
+ * Remove one device (name line and alternative name line) from dshow output
+ */
+function withoutDevice(output, name) {
+  const lines = output.split('\n');
+  const index = lines.findIndex(line => line.includes(`"${name}"`));
+  lines.splice(index, 2);
+  return lines.join('\n');
+}
+
+describe('AudioDeviceService', () => {
+  let audioDeviceService;
+  let mockLogger;
+  let mockStore;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    const values = {};
+    mockStore = {
+      get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+      set: jest.fn((key, value) => { values[key] = value; })
+    };
+
+    audioDeviceService = new AudioDeviceService(mockLogger, mockStore, new WindowsCaptureBackend());
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('classifyDevice', () => {
+    it('should recognise loopback devices', () => {
+      expect(AudioDeviceService.classifyDevice({ name: 'Stereo Mix (Realtek(R) Audio)' })).toBe('loopback');
+      expect(AudioDeviceService.classifyDevice({ name: 'Monitor of Built-in Audio Analog Stereo' })).toBe('loopback');
+      expect(AudioDeviceService.classifyDevice({ name: 'Speakers', id: 'alsa_output.pci-0000_00_1f.3.analog-stereo.monitor' })).toBe('loopback');
+      expect(AudioDeviceService.classifyDevice({ name: 'BlackHole 2ch' })).toBe('loopback');
+    });
+
+    it('should recognise virtual devices', () => {
+      expect(AudioDeviceService.classifyDevice({ name: 'CABLE Output (VB-Audio Virtual Cable)' })).toBe('virtual');
+      expect(AudioDeviceService.classifyDevice({ name: 'VoiceMeeter Output' })).toBe('virtual');
+    });
+
+    it('should treat everything else as a microphone', () => {
+      expect(AudioDeviceService.classifyDevice({ name: 'Microphone (Realtek(R) Audio)' })).toBe('microphone');
+      expect(AudioDeviceService.classifyDevice({ name: 'Réseau de microphones (Intel)' })).toBe('microphone');
+    });
+  });
+
+  describe('refresh', () => {
+    it('should parse devices once and use dshow alternative names as ids', async () => {
+      mockListing(DSHOW_OUTPUT);
+
+      const { devices } = await audioDeviceService.refresh('ffmpeg');
+
+      expect(mockExec).toHaveBeenCalledTimes(1);
+      expect(devices).toHaveLength(3);
+      expect(devices[0]).toEqual({
+        id: MICROPHONE_ID,
+        name: 'Microphone (Realtek(R) Audio)',
+        altName: MICROPHONE_ID,
+        type: 'microphone',
+        isDefault: false
+      });
+      expect(devices.map(device => device.type)).toEqual(['microphone', 'loopback', 'virtual']);
+    });
+
+    it('should use pulse source names as ids', async () => {
+      audioDeviceService = new AudioDeviceService(mockLogger, mockStore, new LinuxCaptureBackend({}));
+      mockExec.mockImplementation((command, callback) => {
+        callback(null, '* alsa_input.usb-Blue_Yeti [Yeti Stereo Microphone]\n', '');
+      });
+
+      const { devices } = await audioDeviceService.refresh('ffmpeg');
+
+      expect(devices[0]).toEqual(expect.objectContaining({ id: 'alsa_input.usb-Blue_Yeti', isDefault: true }));
+    });
+
+    it('should report devices added and removed since the last refresh', async () => {
+      mockListing(withoutDevice(DSHOW_OUTPUT, 'CABLE Output (VB-Audio Virtual Cable)'));
+      const first = await audioDeviceService.refresh('ffmpeg');
+      expect(first.added).toEqual([]);
+
+      mockListing(withoutDevice(DSHOW_OUTPUT, 'Microphone (Realtek(R) Audio)'));
+      const second = await audioDeviceService.refresh('ffmpeg');
+
+      expect(second.added.map(device => device.name)).toEqual(['CABLE Output (VB-Audio Virtual Cable)']);
+      expect(second.removed.map(device => device.name)).toEqual(['Microphone (Realtek(R) Audio)']);
+      expect(audioDeviceService.getDeviceName(MICROPHONE_ID)).toBe('Microphone (Realtek(R) Audio)');
+    });
+
+    it('should share a listing that is already running', async () => {
+      mockListing(DSHOW_OUTPUT);
+
+      await Promise.all([audioDeviceService.refresh('ffmpeg'), audioDeviceService.refresh('ffmpeg')]);
+
+      expect(mockExec).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getSelectedDeviceIds', () => {
+    beforeEach(async () => {
+      mockListing(DSHOW_OUTPUT);
+      await audioDeviceService.refresh('ffmpeg');
+    });
+
+    it('should default to the first microphone', () => {
+      expect(audioDeviceService.getSelectedDeviceIds()).toEqual([MICROPHONE_ID]);
+    });
+
+    it('should remember the last choice', () => {
+      expect(audioDeviceService.selectDevices([STEREO_MIX_ID, MICROPHONE_ID])).toEqual({ success: true });
+
+      const restarted = new AudioDeviceService(mockLogger, mockStore, new WindowsCaptureBackend());
+      restarted.devices = audioDeviceService.getDevices();
+      expect(restarted.getSelectedDeviceIds()).toEqual([STEREO_MIX_ID, MICROPHONE_ID]);
+    });
+
+    it('should keep an empty choice for video-only recordings', () => {
+      audioDeviceService.selectDevices([]);
+      expect(audioDeviceService.getSelectedDeviceIds()).toEqual([]);
+    });
+
+    it('should map display names saved by older versions to ids', () => {
+      mockStore.set('audioDevices', ['Stereo Mix (Realtek(R) Audio)']);
+      expect(audioDeviceService.getSelectedDeviceIds()).toEqual([STEREO_MIX_ID]);
+    });
+
+    it('should skip unplugged devices but fall back to the default when none are left', () => {
+      audioDeviceService.selectDevices(['@device_cm_{unplugged}', STEREO_MIX_ID]);
+      expect(audioDeviceService.getSelectedDeviceIds()).toEqual([STEREO_MIX_ID]);
+
+      audioDeviceService.selectDevices(['@device_cm_{unplugged}']);
+      expect(audioDeviceService.getSelectedDeviceIds()).toEqual([MICROPHONE_ID]);
+    });
+
+    it('should reject invalid choices', () => {
+      expect(audioDeviceService.selectDevices('Microphone').success).toBe(false);
+      expect(audioDeviceService.selectDevices([''])).toEqual(expect.objectContaining({ success: false }));
+    });
+  });
+
+  describe('resolveDevices', () => {
+    it('should rescan and report devices removed since the last refresh', async () => {
+      mockListing(DSHOW_OUTPUT);
+      await audioDeviceService.refresh('ffmpeg');
+
+      mockListing(withoutDevice(DSHOW_OUTPUT, 'Stereo Mix (Realtek(R) Audio)'));
+      const result = await audioDeviceService.resolveDevices(['Microphone (Realtek(R) Audio)', STEREO_MIX_ID], 'ffmpeg');
+
+      expect(result).toEqual({ devices: [MICROPHONE_ID], missing: [STEREO_MIX_ID] });
+    });
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Audio level service tests
+ */
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const AudioLevelService = require('../services/audioLevelService');
+const { getCaptureBackend } = require('../services/captureBackends');
+
+// Mock child_process
+jest.mock('child_process', () => ({
+  spawn: jest.fn()
+}));
+
+const mockSpawn = require('child_process').spawn;
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+const METER_OUTPUT = `[Parsed_ametadata_3 @ 0x55d5c] frame:0    pts:0       pts_time:0
+[Parsed_ametadata_3 @ 0x55d5c] lavfi.astats.Overall.RMS_level=-32.104
+[Parsed_ametadata_4 @ 0x55d5d] frame:0    pts:0       pts_time:0
+[Parsed_ametadata_4 @ 0x55d5d] lavfi.astats.Overall.Peak_level=-18.5
+[Parsed_ametadata_3 @ 0x55d5c] frame:1    pts:4800    pts_time:0.1
+[Parsed_ametadata_3 @ 0x55d5c] lavfi.astats.Overall.RMS_level=-inf
+[Parsed_ametadata_4 @ 0x55d5d] frame:1    pts:4800    pts_time:0.1
+[Parsed_ametadata_4 @ 0x55d5d] lavfi.astats.Overall.Peak_level=-inf
+`;
+
+/**
+ * Create a fake FFmpeg process
+ */
+function createProcess() {
+  const process = new EventEmitter();
+  process.stdout = new EventEmitter();
+  process.stderr = new EventEmitter();
+  process.stdin = { write: jest.fn() };
+  process.kill = jest.fn();
+  return process;
+}
+
+describe('AudioLevelService', () => {
+  let audioLevelService;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    audioLevelService = new AudioLevelService(mockLogger, getCaptureBackend('win32'));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('getMeterCommand', () => {
+    it('should measure the device with astats and discard the audio', () => {
+      const command = audioLevelService.getMeterCommand('Microphone (USB Audio)', 'ffmpeg');
+
+      expect(command).toContain('-f dshow -i');
+      expect(command).toContain('audio=Microphone (USB Audio)');
+      expect(command).toContain('astats=metadata=1:reset=1');
+      expect(command).toMatch(/-f null -$/);
+    });
+  });
+
+  describe('parseLevelLine', () => {
+    it('should read RMS and peak levels', () => {
+      expect(AudioLevelService.parseLevelLine('[Parsed_ametadata_3 @ 0x1] lavfi.astats.Overall.RMS_level=-32.104'))
+        .toEqual({ key: 'rms', value: -32.104 });
+      expect(AudioLevelService.parseLevelLine('[Parsed_ametadata_4 @ 0x1] lavfi.astats.Overall.Peak_level=-18.5'))
+        .toEqual({ key: 'peak', value: -18.5 });
+    });
+
+    it('should report digital silence at the floor', () => {
+      expect(AudioLevelService.parseLevelLine('lavfi.astats.Overall.Peak_level=-inf')).toEqual({ key: 'peak', value: -90 });
+    });
+
+    it('should ignore other lines', () => {
+      expect(AudioLevelService.parseLevelLine('[Parsed_ametadata_3 @ 0x1] frame:0    pts:0       pts_time:0')).toBeNull();
+    });
+  });
+
+  describe('updateSilence', () => {
+    it('should warn once after the input has been silent long enough, and again when sound returns', () => {
+      const state = { silentSince: null, warned: false };
+      const silent = { rms: -90, peak: -90 };
+
+      expect(AudioLevelService.updateSilence(state, silent, 0)).toBeNull();
+      expect(AudioLevelService.updateSilence(state, silent, 9999)).toBeNull();
+      expect(AudioLevelService.updateSilence(state, silent, 10000)).toBe(true);
+      expect(AudioLevelService.updateSilence(state, silent, 15000)).toBeNull();
+      expect(AudioLevelService.updateSilence(state, { rms: -30, peak: -20 }, 16000)).toBe(false);
+      expect(AudioLevelService.updateSilence(state, { rms: -30, peak: -20 }, 16100)).toBeNull();
+    });
+  });
+
+  describe('startMeter', () => {
+    it('should report one level per block, even when output arrives in pieces', () => {
+      const process = createProcess();
+      mockSpawn.mockReturnValue(process);
+      const onLevel = jest.fn();
+
+      audioLevelService.startMeter('preview', 'Microphone', 'ffmpeg', { onLevel });
+      process.stderr.emit('data', Buffer.from(METER_OUTPUT.slice(0, 150)));
+      process.stderr.emit('data', Buffer.from(METER_OUTPUT.slice(150)));
+
+      expect(onLevel.mock.calls).toEqual([[{ rms: -32.104, peak: -18.5 }], [{ rms: -90, peak: -90 }]]);
+      expect(audioLevelService.isMetering('preview')).toBe(true);
+    });
+
+    it('should report an input that stays silent', () => {
+      jest.useFakeTimers();
+      const process = createProcess();
+      mockSpawn.mockReturnValue(process);
+      const onSilence = jest.fn();
+
+      audioLevelService.startMeter('recording:0', 'Microphone', 'ffmpeg', { onSilence });
+      for (let block = 0; block <= 100; block++) {
+        process.stderr.emit('data', Buffer.from('lavfi.astats.Overall.RMS_level=-inf\nlavfi.astats.Overall.Peak_level=-inf\n'));
+        jest.advanceTimersByTime(100);
+      }
+
+      expect(onSilence).toHaveBeenCalledTimes(1);
+      expect(onSilence).toHaveBeenCalledWith(true);
+    });
+
+    it('should replace a running meter with the same id', () => {
+      const first = createProcess();
+      const second = createProcess();
+      mockSpawn.mockReturnValueOnce(first).mockReturnValueOnce(second);
+
+      audioLevelService.startMeter('preview', 'Microphone', 'ffmpeg');
+      audioLevelService.startMeter('preview', 'Line In', 'ffmpeg');
+
+      expect(first.stdin.write).toHaveBeenCalledWith('q');
+      expect(audioLevelService.meters.get('preview').device).toBe('Line In');
+      first.emit('close', 0);
+      expect(audioLevelService.isMetering('preview')).toBe(true);
+    });
+
+    it('should tell a meter that could not open its device from one that was stopped', () => {
+      const failed = createProcess();
+      const stopped = createProcess();
+      mockSpawn.mockReturnValueOnce(failed).mockReturnValueOnce(stopped);
+      const onExit = jest.fn();
+
+      audioLevelService.startMeter('recording:0', 'Microphone', 'ffmpeg', { onExit });
+      failed.stderr.emit('data', Buffer.from('[dshow @ 0x1] Could not run graph (sometimes caused by a device already in use by other application)\n'));
+      failed.emit('close', 1);
+
+      audioLevelService.startMeter('recording:1', 'Stereo Mix', 'ffmpeg', { onExit });
+      audioLevelService.stopMeter('recording:1');
+      stopped.emit('close', 0);
+
+      expect(onExit.mock.calls).toEqual([[1, false], [0, true]]);
+      expect(audioLevelService.isMetering('recording:0')).toBe(false);
+      expect(mockLogger.error).toHaveBeenCalledWith(expect.stringContaining('device already in use'));
+    });
+  });
+
+  describe('recording monitor', () => {
+    const RECORDING_OUTPUT = [
+      '[ametadata@level0_rms @ 0x55d5c] frame:0    pts:0       pts_time:0',
+      '[ametadata@level0_rms @ 0x55d5c] lavfi.astats.Overall.RMS_level=-32.104',
+      '[ametadata@level1_rms @ 0x55d6a] lavfi.astats.Overall.RMS_level=-inf',
+      'frame=   30 fps= 30 q=23.0 size=     256kB time=00:00:01.00 bitrate=2097.2kbits/s speed=   1x\r',
+      '[ametadata@level1_peak @ 0x55d6b] lavfi.astats.Overall.Peak_level=-inf',
+      '[ametadata@level0_peak @ 0x55d5d] lavfi.astats.Overall.Peak_level=-18.5',
+      ''
+    ].join('\n');
+
+    it('should measure each audio track with named filters that pass the audio through', () => {
+      const args = AudioLevelService.getTrackLevelArgs(2);
+
+      expect(args.filter((arg, index) => index % 2 === 0)).toEqual(['-filter:a:0', '-filter:a:1']);
+      expect(args[3]).toContain('ametadata@level1_peak=mode=print:key=lavfi.astats.Overall.Peak_level');
+      expect(args[1]).not.toContain('aresample');
+      expect(AudioLevelService.getTrackLevelArgs(0)).toEqual([]);
+    });
+
+    it('should report levels per track and keep them out of the logged output', () => {
+      const onLevel = jest.fn();
+      audioLevelService.startRecordingMonitor(2, { onLevel });
+      const read = audioLevelService.createRecordingReader();
+
+      const logged = read(Buffer.from(RECORDING_OUTPUT.slice(0, 100))) + read(Buffer.from(RECORDING_OUTPUT.slice(100)));
+
+      expect(onLevel.mock.calls).toEqual([[1, { rms: -90, peak: -90 }], [0, { rms: -32.104, peak: -18.5 }]]);
+      expect(logged).toBe('frame=   30 fps= 30 q=23.0 size=     256kB time=00:00:01.00 bitrate=2097.2kbits/s speed=   1x');
+    });
+
+    it('should warn about a track that stays silent', () => {
+      jest.useFakeTimers();
+      const onSilence = jest.fn();
+      audioLevelService.startRecordingMonitor(2, { onSilence });
+      const read = audioLevelService.createRecordingReader();
+
+      read(RECORDING_OUTPUT);
+      jest.advanceTimersByTime(10000);
+      read(RECORDING_OUTPUT);
+
+      expect(onSilence.mock.calls).toEqual([[1, true]]);
+    });
+
+    it('should drop levels while nothing is monitored', () => {
+      const onLevel = jest.fn();
+      audioLevelService.startRecordingMonitor(2, { onLevel });
+      audioLevelService.stopRecordingMonitor();
+
+      expect(audioLevelService.createRecordingReader()(RECORDING_OUTPUT)).not.toContain('astats');
+      expect(onLevel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('stopMeters', () => {
+    beforeEach(() => {
+      // The fake processes never close, so the force-kill timers must not outlive the test
+      jest.useFakeTimers();
+    });
+
+    it('should only stop meters with the prefix', () => {
+      mockSpawn.mockImplementation(() => createProcess());
+      audioLevelService.startMeter('preview', 'Microphone', 'ffmpeg');
+      audioLevelService.startMeter('recording:0', 'Microphone', 'ffmpeg');
+      audioLevelService.startMeter('recording:1', 'Stereo Mix', 'ffmpeg');
+
+      audioLevelService.stopMeters('recording:');
+
+      expect(Array.from(audioLevelService.meters.keys())).toEqual(['preview']);
+      expect(audioLevelService.stopMeter('recording:0').success).toBe(false);
+    });
+  });
+
+  describe('testDevice', () => {
+    it('should return the recorded WAV and remove the temporary file', async () => {
+      let outputPath = null;
+      mockSpawn.mockImplementation((command) => {
+        const process = createProcess();
+        outputPath = command.split(' ').pop();
+        setImmediate(() => {
+          fs.writeFileSync(outputPath, 'RIFF');
+          process.emit('close', 0);
+        });
+        return process;
+      });
+
+      const result = await audioLevelService.testDevice('Microphone', 'ffmpeg');
+
+      expect(result.success).toBe(true);
+      expect(result.data.toString()).toBe('RIFF');
+      expect(mockSpawn.mock.calls[0][0]).toContain('-t 3 -c:a pcm_s16le');
+      expect(fs.existsSync(outputPath)).toBe(false);
+    });
+
+    it('should report FFmpeg errors', async () => {
+      mockSpawn.mockImplementation(() => {
+        const process = createProcess();
+        setImmediate(() => {
+          process.stderr.emit('data', Buffer.from('audio="Missing": I/O error\n'));
+          process.emit('close', 1);
+        });
+        return process;
+      });
+
+      const result = await audioLevelService.testDevice('Missing', 'ffmpeg');
+
+      expect(result).toEqual({ success: false, error: 'Audio test failed with exit code 1: audio="Missing": I/O error' });
+    });
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Capture backend tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  getCaptureBackend,
+  CaptureBackend,
+  WindowsCaptureBackend,
+  LinuxCaptureBackend,
+  MacCaptureBackend
+} = require('../services/captureBackends');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+describe('Capture backends', () => {
+  describe('getCaptureBackend', () => {
+    it('should return gdigrab backend on Windows', () => {
+      const backend = getCaptureBackend('win32', {});
+      expect(backend).toBeInstanceOf(WindowsCaptureBackend);
+      expect(backend.name).toBe('gdigrab');
+    });
+
+    it('should return x11grab backend on Linux with a display', () => {
+      const backend = getCaptureBackend('linux', { DISPLAY: ':1' });
+      expect(backend).toBeInstanceOf(LinuxCaptureBackend);
+      expect(backend.name).toBe('x11grab');
+    });
+
+    it('should return kmsgrab backend on Linux without a display', () => {
+      const backend = getCaptureBackend('linux', {});
+      expect(backend.name).toBe('kmsgrab');
+    });
+
+    it('should return avfoundation backend on macOS', () => {
+      const backend = getCaptureBackend('darwin', {});
+      expect(backend).toBeInstanceOf(MacCaptureBackend);
+      expect(backend.name).toBe('avfoundation');
+    });
+  });
+
+  describe('CaptureBackend.toCommandString', () => {
+    it('should leave plain arguments unquoted', () => {
+      expect(CaptureBackend.toCommandString(['-c:v', 'libx264', '-vf', 'scale=1280:720', 'C:\\Videos\\rec.mp4'], 'win32'))
+        .toBe('-c:v libx264 -vf scale=1280:720 C:\\Videos\\rec.mp4');
+      expect(CaptureBackend.toCommandString(['-c:v', 'libx264', '/home/me/Videos/rec.mp4'], 'linux')).toBe('-c:v libx264 /home/me/Videos/rec.mp4');
+    });
+
+    it('should single-quote arguments for sh', () => {
+      expect(CaptureBackend.toCommandString(['-i', 'My Device'], 'linux')).toBe("-i 'My Device'");
+      expect(CaptureBackend.toCommandString(['-filter_complex', '[0:v]null[a];[a][1:v]overlay[vout]', '-map', '[vout]'], 'linux'))
+        .toBe("-filter_complex '[0:v]null[a];[a][1:v]overlay[vout]' -map '[vout]'");
+    });
+
+    it('should keep shell metacharacters in window titles literal for sh', () => {
+      expect(CaptureBackend.toCommandString(['-i', 'title=Q&A | $(id) `id` > out'], 'linux')).toBe("-i 'title=Q&A | $(id) `id` > out'");
+      expect(CaptureBackend.toCommandString(['window_title=it\'s "done"'], 'linux')).toBe("'window_title=it'\\''s \"done\"'");
+    });
+
+    it('should quote arguments for cmd.exe and escape its metacharacters', () => {
+      expect(CaptureBackend.toCommandString(['-i', 'title=R&D|x'], 'win32')).toBe('-i ^"title=R^&D^|x^"');
+      expect(CaptureBackend.toCommandString(['-i', 'audio=Microphone (USB) 100%'], 'win32')).toBe('-i ^"audio=Microphone ^(USB^) 100^%^"');
+      expect(CaptureBackend.toCommandString(['-i', 'title=say "hi" now'], 'win32')).toBe('-i ^"title=say \\^"hi\\^" now^"');
+      expect(CaptureBackend.toCommandString(['<a> ^b^ !c'], 'win32')).toBe('^"^<a^> ^^b^^ ^!c^"');
+    });
+
+    it('should double backslashes that come before a quote for cmd.exe', () => {
+      expect(CaptureBackend.toCommandString(['C:\\My Videos\\'], 'win32')).toBe('^"C:\\My Videos\\\\^"');
+    });
+  });
+
+  describe('CaptureBackend.getStillInputArgs', () => {
+    it('should loop an image in real time', () => {
+      expect(CaptureBackend.getStillInputArgs('/tmp/frame.png', '30'))
+        .toEqual(['-re', '-loop', '1', '-framerate', '30', '-i', '/tmp/frame.png']);
+    });
+  });
+
+  describe('LinuxCaptureBackend', () => {
+    let backend;
+
+    beforeEach(() => {
+      backend = new LinuxCaptureBackend({ DISPLAY: ':0.0' }, { audioSystem: 'pulse' });
+    });
+
+    it('should generate x11grab desktop args', () => {
+      expect(backend.getDesktopInputArgs('30')).toEqual([
+        '-f', 'x11grab', '-framerate', '30', '-i', ':0.0'
+      ]);
+    });
+
+    it('should encode region offsets in the x11grab input', () => {
+      const args = backend.getDesktopInputArgs('30', { x: 100, y: 200, width: 800, height: 600 });
+      expect(args).toContain('800x600');
+      expect(args[args.length - 1]).toBe(':0.0+100,200');
+    });
+
+    it('should capture windows by handle', () => {
+      const args = backend.getWindowInputArgs('30', { title: 'Editor', handle: '0x04a00003' });
+      expect(args).toEqual(expect.arrayContaining(['-window_id', '0x04a00003']));
+    });
+
+    it('should reject window capture without a handle', () => {
+      expect(() => backend.getWindowInputArgs('30', { title: 'Editor' })).toThrow('window handle');
+    });
+
+    it('should generate v4l2 camera args', () => {
+      const args = backend.getCameraInputArgs('/dev/video0', { framerate: 30, videoSize: '1280x720' });
+      expect(args).toEqual(['-f', 'v4l2', '-framerate', '30', '-video_size', '1280x720', '-i', '/dev/video0']);
+    });
+
+    it('should generate pulse and alsa audio args', () => {
+      expect(backend.getAudioInputArgs('mic.source')).toEqual(['-f', 'pulse', '-i', 'mic.source']);
+
+      const alsaBackend = new LinuxCaptureBackend({ DISPLAY: ':0' }, { audioSystem: 'alsa' });
+      expect(alsaBackend.getAudioInputArgs(null)).toEqual(['-f', 'alsa', '-i', 'default']);
+    });
+
+    it('should add hwdownload and crop filters for kmsgrab', () => {
+      const kmsBackend = new LinuxCaptureBackend({}, { audioSystem: 'alsa' });
+      expect(kmsBackend.getDesktopInputArgs('30')).toContain('kmsgrab');
+      expect(kmsBackend.getInputFilters({ x: 10, y: 20, width: 640, height: 480 })).toEqual([
+        'hwdownload', 'format=bgr0', 'crop=640:480:10:20'
+      ]);
+      expect(backend.getInputFilters()).toEqual([]);
+    });
+
+    it('should parse v4l2 sources', () => {
+      const output = [
+        'Auto-detected sources for v4l2:',
+        '  /dev/video0 [Integrated Camera: Integrated C]',
+        '  /dev/video2 [HD Pro Webcam C920]'
+      ].join('\n');
+
+      expect(backend.parseVideoDevices(output)).toEqual([
+        { name: 'Integrated Camera: Integrated C', id: '/dev/video0', isOBS: false },
+        { name: 'HD Pro Webcam C920', id: '/dev/video2', isOBS: false }
+      ]);
+    });
+
+    it('should parse pulse sources and mark the default', () => {
+      const output = [
+        'Auto-detected sources for pulse:',
+        '  alsa_output.pci-0000_00_1f.3.analog-stereo.monitor [Monitor of Built-in Audio Analog Stereo]',
+        '* alsa_input.pci-0000_00_1f.3.analog-stereo [Built-in Audio Analog Stereo]'
+      ].join('\n');
+
+      const devices = backend.parseAudioDevices(output);
+      expect(devices).toHaveLength(2);
+      expect(devices[1]).toEqual({
+        name: 'Built-in Audio Analog Stereo',
+        id: 'alsa_input.pci-0000_00_1f.3.analog-stereo',
+        altName: null,
+        isDefault: true
+      });
+    });
+  });
+
+  describe('WindowsCaptureBackend', () => {
+    let backend;
+
+    beforeEach(() => {
+      backend = new WindowsCaptureBackend();
+    });
+
+    it('should capture windows by handle so title changes do not matter', () => {
+      expect(backend.getWindowInputArgs('30', { title: 'main.js - Editor', handle: 132456 }))
+        .toEqual(['-f', 'gdigrab', '-framerate', '30', '-i', 'hwnd=132456']);
+      expect(backend.getWindowInputArgs('30', { title: 'main.js - Editor' })).toContain('title=main.js - Editor');
+    });
+
+    it('should leave dshow device names to be quoted with the command line', () => {
+      expect(backend.getAudioInputArgs('Line In (Q&A "Mixer")')).toEqual(['-f', 'dshow', '-i', 'audio=Line In (Q&A "Mixer")']);
+      expect(CaptureBackend.toCommandString(backend.getCameraInputArgs('Cam|1', { framerate: '30' }), 'win32'))
+        .toBe('-f dshow -framerate 30 -i ^"video=Cam^|1^"');
+    });
+
+    it('should capture windows by title when FFmpeg predates hwnd=', () => {
+      backend.windowHandleSupported = false;
+
+      expect(backend.getWindowInputArgs('30', { title: 'main.js - Editor', handle: 132456 })).toContain('title=main.js - Editor');
+    });
+
+    it('should probe hwnd= support with a one-frame grab', () => {
+      expect(backend.getWindowProbeArgs({ handle: 132456 })).toEqual(expect.arrayContaining(['hwnd=132456', '-frames:v', '1']));
+
+      expect(backend.parseWindowProbe(0, '')).toBe(true);
+      expect(backend.parseWindowProbe(1, '[gdigrab @ 000000] Please use "desktop" or "title=<windowname>" to specify your target.'))
+        .toBe(false);
+      expect(backend.parseWindowProbe(1, '[gdigrab @ 000000] Can\'t find window \'hwnd=132456\', aborting.')).toBeNull();
+    });
+
+    it('should parse dshow audio devices with alternative names', () => {
+      const output = [
+        '[dshow @ 000000] "Microphone (Realtek Audio)" (audio)',
+        '[dshow @ 000000]   Alternative name "@device_cm_{33D9A762}\\wave_{ABC}"'
+      ].join('\n');
+
+      expect(backend.parseAudioDevices(output)).toEqual([{
+        name: 'Microphone (Realtek Audio)',
+        altName: '@device_cm_{33D9A762}\\wave_{ABC}',
+        isDefault: false
+      }]);
+    });
+  });
+
+  describe('MacCaptureBackend', () => {
+    let backend;
+
+    beforeEach(() => {
+      backend = new MacCaptureBackend();
+    });
+
+    it('should parse cameras and skip screen devices', () => {
+      const cameras = backend.parseVideoDevices(readFixture('avfoundation-list-devices.txt'));
+
+      expect(cameras).toEqual([
+        { name: 'FaceTime HD Camera', index: 0, isOBS: false },
+        { name: 'OBS Virtual Camera', index: 1, isOBS: true }
+      ]);
+    });
+
+    it('should parse screen devices with their screen index', () => {
+      const screens = backend.parseScreenDevices(readFixture('avfoundation-list-devices.txt'));
+
+      expect(screens).toEqual([
+        { name: 'Capture screen 0', index: 2, screenIndex: 0 },
+        { name: 'Capture screen 1', index: 3, screenIndex: 1 }
+      ]);
+    });
+
+    it('should parse audio devices', () => {
+      const devices = backend.parseAudioDevices(readFixture('avfoundation-list-devices.txt'));
+
+      expect(devices.map(device => device.name)).toEqual([
+        'MacBook Pro Microphone',
+        'BlackHole 2ch',
+        'ZoomAudioDevice'
+      ]);
+      expect(devices[0].isDefault).toBe(true);
+      expect(devices[1].isDefault).toBe(false);
+    });
+
+    it('should parse legacy "AVFoundation input device" output', () => {
+      const output = readFixture('avfoundation-list-devices-legacy.txt');
+
+      expect(backend.parseVideoDevices(output)).toEqual([]);
+      expect(backend.parseScreenDevices(output)).toHaveLength(1);
+      expect(backend.parseAudioDevices(output)[0].name).toBe('Built-in Microphone');
+    });
+
+    it('should select the screen by index', () => {
+      expect(backend.getDesktopInputArgs('30')).toContain('Capture screen 0:none');
+      expect(backend.getDesktopInputArgs('30', null, { screenIndex: 1 })).toContain('Capture screen 1:none');
+    });
+
+    it('should crop regions with a filter', () => {
+      expect(backend.getInputFilters({ x: 10, y: 20, width: 640, height: 480 })).toEqual(['crop=640:480:10:20']);
+      expect(backend.getInputFilters()).toEqual([]);
+    });
+
+    it('should generate camera and audio args', () => {
+      expect(backend.getCameraInputArgs('FaceTime HD Camera', { framerate: 30 })).toEqual([
+        '-f', 'avfoundation', '-framerate', '30', '-i', 'FaceTime HD Camera:none'
+      ]);
+      expect(backend.getAudioInputArgs('BlackHole 2ch')).toEqual(['-f', 'avfoundation', '-i', ':BlackHole 2ch']);
+    });
+
+    it('should not support window capture', () => {
+      expect(() => backend.getWindowInputArgs('30', { title: 'Finder' })).toThrow('not supported');
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Container service tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContainerService = require('../services/containerService');
+const EncoderProfileService = require('../services/encoderProfileService');
+const ProcessRunner = require('../utils/processRunner');
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+/**
+ * Build an MP4 box with a 32-bit (or 64-bit) size header
+ */
+function box(type, payloadSize = 8, largeSize = false) {
+  const header = Buffer.alloc(largeSize ? 16 : 8);
+  if (largeSize) {
+    header.writeUInt32BE(1, 0);
+    header.writeBigUInt64BE(BigInt(16 + payloadSize), 8);
+  } else {
+    header.writeUInt32BE(8 + payloadSize, 0);
+  }
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, Buffer.alloc(payloadSize)]);
+}
+
+describe('ContainerService', () => {
+  let containerService;
+  let mockLogger;
+  let mockStore;
+  let tempDir;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    const values = {};
+    mockStore = {
+      get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+      set: jest.fn((key, value) => { values[key] = value; })
+    };
+
+    containerService = new ContainerService(mockLogger, mockStore);
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'containers-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, buffers) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, Buffer.concat(buffers));
+    return filePath;
+  };
+
+  describe('applyToProfile', () => {
+    const h264 = EncoderProfileService.getDefaultProfile();
+    const prores = EncoderProfileService.getBuiltInProfile('prores-422-lt');
+
+    it('should keep the profile container by default', () => {
+      expect(containerService.applyToProfile(h264)).toBe(h264);
+    });
+
+    it('should add fragmented MP4 movflags', () => {
+      const profile = containerService.applyToProfile(h264, 'fmp4');
+
+      expect(profile.extension).toBe('.mp4');
+      expect(ContainerService.getMuxerArgs(profile)).toEqual(['-movflags', '+frag_keyframe+empty_moov']);
+    });
+
+    it('should switch H.264 to MKV', () => {
+      containerService.selectContainer('mkv');
+      expect(containerService.applyToProfile(h264).extension).toBe('.mkv');
+    });
+
+    it('should not put ProRes in an MP4', () => {
+      expect(containerService.applyToProfile(prores, 'fmp4')).toBe(prores);
+      expect(containerService.applyToProfile(prores, 'mkv').extension).toBe('.mkv');
+    });
+  });
+
+  describe('selectContainer', () => {
+    it('should reject unknown containers', () => {
+      expect(containerService.selectContainer('avi').success).toBe(false);
+      expect(containerService.selectContainer('profile')).toEqual({ success: true });
+    });
+  });
+
+  describe('isFragmentedMp4', () => {
+    it('should detect a moof before the media data', () => {
+      const filePath = writeFile('frag.mp4', [box('ftyp'), box('moov', 32), box('moof'), box('mdat', 64)]);
+      expect(ContainerService.isFragmentedMp4(filePath)).toBe(true);
+    });
+
+    it('should treat a regular MP4 as not fragmented', () => {
+      const filePath = writeFile('plain.mp4', [box('ftyp'), box('mdat', 64), box('moov', 32)]);
+      expect(ContainerService.isFragmentedMp4(filePath)).toBe(false);
+    });
+
+    it('should follow 64-bit box sizes', () => {
+      const filePath = writeFile('large.mp4', [box('ftyp'), box('free', 24, true), box('moof')]);
+      expect(ContainerService.isFragmentedMp4(filePath)).toBe(true);
+    });
+
+    it('should return false for missing files', () => {
+      expect(ContainerService.isFragmentedMp4(path.join(tempDir, 'missing.mp4'))).toBe(false);
+    });
+  });
+
+  describe('prepareForImport', () => {
+    it('should remux fragmented MP4 in place', async () => {
+      const filePath = writeFile('frag.mp4', [box('ftyp'), box('moov'), box('moof'), box('mdat')]);
+      jest.spyOn(ProcessRunner, 'runChecked').mockImplementation(async (ffmpegPath, args) => {
+        fs.writeFileSync(args[args.length - 1], Buffer.concat([box('ftyp'), box('moov'), box('mdat')]));
+      });
+
+      const result = await containerService.prepareForImport(filePath);
+
+      expect(result).toEqual({ success: true, remuxed: true });
+      expect(ProcessRunner.runChecked.mock.calls[0][1]).toEqual(expect.arrayContaining(['-c', 'copy', '-movflags', '+faststart+use_metadata_tags']));
+      expect(ContainerService.isFragmentedMp4(filePath)).toBe(false);
+    });
+
+    it('should leave MKV and MOV recordings alone', async () => {
+      const spy = jest.spyOn(ProcessRunner, 'runChecked');
+
+      expect(await containerService.prepareForImport(writeFile('rec.mkv', [box('ftyp')]))).toEqual({ success: true, remuxed: false });
+      expect(await containerService.prepareForImport(writeFile('rec.mov', [box('moof')]))).toEqual({ success: true, remuxed: false });
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    it('should keep the fragmented file when remuxing fails', async () => {
+      const filePath = writeFile('frag.mp4', [box('ftyp'), box('moov'), box('moof'), box('mdat')]);
+      jest.spyOn(ProcessRunner, 'runChecked').mockRejectedValue(new Error('Remux failed'));
+
+      const result = await containerService.prepareForImport(filePath);
+
+      expect(result.success).toBe(false);
+      expect(ContainerService.isFragmentedMp4(filePath)).toBe(true);
+      expect(fs.readdirSync(tempDir)).toEqual(['frag.mp4']);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Display geometry tests
+ */
+
+const DisplayGeometry = require('../utils/displayGeometry');
+
+// A 4K laptop panel at 200% with a 1080p monitor at 100% to its left and a
+// 1440p monitor at 150% to its right, as Windows reports them: DIP bounds
+// from Electron, desktop pixels from screen.dipToScreenRect
+const windowsLayout = [
+  {
+    id: 1,
+    bounds: { x: 0, y: 0, width: 1920, height: 1080 },
+    physicalBounds: { x: 0, y: 0, width: 3840, height: 2160 },
+    scaleFactor: 2,
+    primary: true
+  },
+  {
+    id: 2,
+    bounds: { x: -1920, y: 0, width: 1920, height: 1080 },
+    physicalBounds: { x: -1920, y: 0, width: 1920, height: 1080 },
+    scaleFactor: 1,
+    primary: false
+  },
+  {
+    id: 3,
+    bounds: { x: 1920, y: -200, width: 1707, height: 960 },
+    physicalBounds: { x: 3840, y: -300, width: 2560, height: 1440 },
+    scaleFactor: 1.5,
+    primary: false
+  }
+];
+
+describe('DisplayGeometry', () => {
+  describe('getVirtualBounds', () => {
+    it('should span displays left of and above the primary display', () => {
+      const physical = windowsLayout.map(DisplayGeometry.getPhysicalBounds);
+
+      expect(DisplayGeometry.getVirtualBounds(physical)).toEqual({ x: -1920, y: -300, width: 8320, height: 2460 });
+      expect(DisplayGeometry.getVirtualBounds([])).toBeNull();
+    });
+  });
+
+  describe('findDisplay', () => {
+    it('should find the display a point is on, or the nearest one', () => {
+      expect(DisplayGeometry.findDisplay(windowsLayout, { x: -10, y: 500 }).id).toBe(2);
+      expect(DisplayGeometry.findDisplay(windowsLayout, { x: 2500, y: 900 }).id).toBe(3);
+      expect(DisplayGeometry.findDisplay([], { x: 0, y: 0 })).toBeNull();
+    });
+  });
+
+  describe('getCaptureArea on Windows', () => {
+    const capture = (displayIndex, rect) =>
+      DisplayGeometry.getCaptureArea(windowsLayout, windowsLayout[displayIndex], rect, 'win32');
+
+    it('should scale a region on a 200% display', () => {
+      expect(capture(0, { x: 100, y: 50, width: 640, height: 360 }).region)
+        .toEqual({ x: 200, y: 100, width: 1280, height: 720 });
+    });
+
+    it('should give negative offsets left of the primary display', () => {
+      expect(capture(1, { x: -1000, y: 100, width: 400, height: 300 }).region)
+        .toEqual({ x: -1000, y: 100, width: 400, height: 300 });
+    });
+
+    it('should map a region through the display it is on, not the primary scale factor', () => {
+      expect(capture(2, { x: 2020, y: -190, width: 200, height: 100 }).region)
+        .toEqual({ x: 3990, y: -285, width: 300, height: 150 });
+    });
+
+    it('should keep a 9:16 crop exact at 150%', () => {
+      // The region selector reports display pixels divided by the scale factor
+      expect(capture(2, { x: 1920 + 1001 / 1.5, y: -200, width: 810 / 1.5, height: 1440 / 1.5 }).region)
+        .toEqual({ x: 4841, y: -300, width: 810, height: 1440 });
+    });
+
+    it('should cover a whole display in its own pixels', () => {
+      expect(capture(2, null)).toEqual({ region: { x: 3840, y: -300, width: 2560, height: 1440 }, screenIndex: null });
+    });
+
+    it('should keep a region on its display and make its size even', () => {
+      // Dragged past the right edge of the 1080p monitor
+      expect(capture(1, { x: -101, y: 1001, width: 500, height: 200 }).region)
+        .toEqual({ x: -101, y: 1001, width: 100, height: 78 });
+    });
+  });
+
+  describe('getCaptureArea on Linux', () => {
+    it('should count from the top-left corner of the X screen', () => {
+      const displays = [
+        { id: 1, bounds: { x: 0, y: 180, width: 1920, height: 1080 }, scaleFactor: 1, primary: true },
+        { id: 2, bounds: { x: 1920, y: 0, width: 1280, height: 1024 }, scaleFactor: 1, primary: false }
+      ];
+
+      expect(DisplayGeometry.getCaptureArea(displays, displays[1], { x: 2000, y: 100, width: 640, height: 480 }, 'linux').region)
+        .toEqual({ x: 2000, y: 100, width: 640, height: 480 });
+      expect(DisplayGeometry.getCaptureArea(displays, displays[0], null, 'linux').region)
+        .toEqual({ x: 0, y: 180, width: 1920, height: 1080 });
+    });
+
+    it('should scale with a desktop-wide scale factor', () => {
+      const displays = [
+        { id: 1, bounds: { x: 0, y: 0, width: 1280, height: 720 }, scaleFactor: 2, primary: true },
+        { id: 2, bounds: { x: 1280, y: 0, width: 960, height: 540 }, scaleFactor: 2, primary: false }
+      ];
+
+      expect(DisplayGeometry.getCaptureArea(displays, displays[1], null, 'linux').region)
+        .toEqual({ x: 2560, y: 0, width: 1920, height: 1080 });
+    });
+  });
+
+  describe('getCaptureArea on macOS', () => {
+    const displays = [
+      { id: 1, bounds: { x: 0, y: 0, width: 1440, height: 900 }, scaleFactor: 2, primary: true },
+      { id: 2, bounds: { x: -1920, y: -180, width: 1920, height: 1080 }, scaleFactor: 1, primary: false }
+    ];
+
+    it('should pick the screen and crop in its own pixels', () => {
+      expect(DisplayGeometry.getCaptureArea(displays, displays[0], { x: 100, y: 100, width: 300, height: 200 }, 'darwin'))
+        .toEqual({ region: { x: 200, y: 200, width: 600, height: 400 }, screenIndex: 0 });
+      expect(DisplayGeometry.getCaptureArea(displays, displays[1], { x: -1800, y: -80, width: 800, height: 600 }, 'darwin'))
+        .toEqual({ region: { x: 120, y: 100, width: 800, height: 600 }, screenIndex: 1 });
+    });
+
+    it('should capture a whole screen without cropping', () => {
+      expect(DisplayGeometry.getCaptureArea(displays, displays[1], null, 'darwin')).toEqual({ region: null, screenIndex: 1 });
+    });
+  });
+
+  describe('fromDesktopPixels', () => {
+    it('should map a window back to DIPs through the display holding it', () => {
+      expect(DisplayGeometry.fromDesktopPixels({ x: 3990, y: -285, width: 300, height: 150 }, windowsLayout))
+        .toEqual({ x: 2020, y: -190, width: 200, height: 100 });
+      expect(DisplayGeometry.fromDesktopPixels({ x: 200, y: 100, width: 1280, height: 720 }, windowsLayout))
+        .toEqual({ x: 100, y: 50, width: 640, height: 360 });
+    });
+
+    it('should skip windows that are off screen', () => {
+      // Where Windows parks minimized windows
+      expect(DisplayGeometry.fromDesktopPixels({ x: -32000, y: -32000, width: 160, height: 28 }, windowsLayout)).toBeNull();
+    });
+  });
+
+  describe('getOrigin', () => {
+    it('should count x11grab from the X screen and gdigrab from the primary display', () => {
+      expect(DisplayGeometry.getOrigin(windowsLayout, 'win32')).toEqual({ x: 0, y: 0 });
+      expect(DisplayGeometry.getOrigin(windowsLayout, 'linux')).toEqual(expect.objectContaining({ x: -1920, y: -300 }));
+    });
+  });
+
+  describe('describeDisplay', () => {
+    it('should show the resolution, scaling and the primary display', () => {
+      expect(DisplayGeometry.describeDisplay(windowsLayout[0], 0)).toBe('Display 1 - 3840x2160 at 200% (primary)');
+      expect(DisplayGeometry.describeDisplay(windowsLayout[1], 1)).toBe('Display 2 - 1920x1080');
+    });
+  });
+});
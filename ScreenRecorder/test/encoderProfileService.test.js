@@ -0,0 +1,162 @@
+/**
+ * Encoder profile service tests
+ */
+
+const EncoderProfileService = require('../services/encoderProfileService');
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+describe('EncoderProfileService', () => {
+  let encoderProfileService;
+  let mockLogger;
+  let mockStore;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    const values = {};
+    mockStore = {
+      values,
+      get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+      set: jest.fn((key, value) => { values[key] = value; })
+    };
+
+    encoderProfileService = new EncoderProfileService(mockLogger, mockStore);
+  });
+
+  const customProfile = {
+    name: 'Screen Share 10-bit',
+    extension: '.mkv',
+    video: { codec: 'libx265', preset: 'veryfast', crf: 24, pixelFormat: 'yuv420p10le' },
+    audio: { codec: 'aac', bitrate: '160k' }
+  };
+
+  describe('getVideoArgs', () => {
+    it('should keep the historical defaults for H.264 Proxy', () => {
+      expect(EncoderProfileService.getVideoArgs(EncoderProfileService.getDefaultProfile())).toEqual([
+        '-c:v', 'libx264', '-preset', 'ultrafast', '-crf', '22', '-pix_fmt', 'yuv420p'
+      ]);
+    });
+
+    it('should build ProRes and DNxHR arguments', () => {
+      expect(EncoderProfileService.getVideoArgs(EncoderProfileService.getBuiltInProfile('prores-422-lt'))).toEqual([
+        '-c:v', 'prores_ks', '-profile:v', '1', '-pix_fmt', 'yuv422p10le'
+      ]);
+      expect(EncoderProfileService.getVideoArgs(EncoderProfileService.getBuiltInProfile('dnxhr-hq'))).toEqual([
+        '-c:v', 'dnxhd', '-profile:v', 'dnxhr_hq', '-pix_fmt', 'yuv422p'
+      ]);
+    });
+
+    it('should append extra arguments', () => {
+      expect(EncoderProfileService.getVideoArgs(EncoderProfileService.getBuiltInProfile('h265-hq')))
+        .toEqual(expect.arrayContaining(['-tag:v', 'hvc1']));
+    });
+  });
+
+  describe('getAudioArgs', () => {
+    it('should include bitrate only when set', () => {
+      expect(EncoderProfileService.getAudioArgs(EncoderProfileService.getDefaultProfile())).toEqual(['-c:a', 'aac', '-b:a', '128k']);
+      expect(EncoderProfileService.getAudioArgs(EncoderProfileService.getBuiltInProfile('prores-422-lt'))).toEqual(['-c:a', 'pcm_s16le']);
+    });
+  });
+
+  describe('getProfiles', () => {
+    it('should list the built-in profiles', () => {
+      const names = encoderProfileService.getProfiles().map(profile => profile.name);
+      expect(names).toEqual(['H.264 Proxy', 'H.265 HQ', 'ProRes 422 LT', 'DNxHR HQ', 'FFV1 lossless']);
+    });
+
+    it('should fall back to the default profile for unknown ids', () => {
+      expect(encoderProfileService.getProfile('missing').id).toBe('h264-proxy');
+    });
+  });
+
+  describe('saveProfile', () => {
+    it('should save custom profiles with an id derived from the name', () => {
+      const result = encoderProfileService.saveProfile(customProfile);
+
+      expect(result.success).toBe(true);
+      expect(result.profile.id).toBe('screen-share-10-bit');
+      expect(encoderProfileService.getProfile('screen-share-10-bit')).toMatchObject({
+        name: 'Screen Share 10-bit',
+        builtIn: false
+      });
+    });
+
+    it('should let built-in profiles be edited', () => {
+      encoderProfileService.saveProfile({ ...EncoderProfileService.getDefaultProfile(), video: { codec: 'libx264', crf: 18 } });
+
+      const profile = encoderProfileService.getProfile('h264-proxy');
+      expect(profile.video.crf).toBe(18);
+      expect(profile.modified).toBe(true);
+    });
+
+    it('should reject arguments that could break the shell command', () => {
+      const result = encoderProfileService.saveProfile({
+        ...customProfile,
+        video: { ...customProfile.video, extraArgs: ['-metadata', 'title=x"; rm -rf /'] }
+      });
+
+      expect(result.success).toBe(false);
+      expect(mockStore.set).not.toHaveBeenCalled();
+    });
+
+    it('should not save video filters sent with a profile', () => {
+      const result = encoderProfileService.saveProfile({
+        ...customProfile,
+        video: { ...customProfile.video, filters: ['drawtext=text=x\'; rm -rf /'] }
+      });
+
+      expect(result.success).toBe(true);
+      expect(EncoderProfileService.getVideoFilters(encoderProfileService.getProfile(result.profile.id))).toEqual([]);
+    });
+
+    it('should require a name and a supported container', () => {
+      const result = encoderProfileService.saveProfile({ ...customProfile, name: '', extension: '.avi' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Profile name is required');
+      expect(result.error).toContain('Container must be one of');
+    });
+  });
+
+  describe('deleteProfile', () => {
+    it('should delete custom profiles and reset the selection', () => {
+      const { profile } = encoderProfileService.saveProfile(customProfile);
+      encoderProfileService.selectProfile(profile.id);
+
+      expect(encoderProfileService.deleteProfile(profile.id)).toEqual({ success: true });
+      expect(encoderProfileService.getSelectedProfileId()).toBe('h264-proxy');
+    });
+
+    it('should restore edited built-in profiles', () => {
+      encoderProfileService.saveProfile({ ...EncoderProfileService.getDefaultProfile(), video: { codec: 'libx264', crf: 18 } });
+
+      encoderProfileService.deleteProfile('h264-proxy');
+      expect(encoderProfileService.getProfile('h264-proxy').video.crf).toBe(22);
+    });
+
+    it('should refuse to delete unmodified built-in profiles', () => {
+      expect(encoderProfileService.deleteProfile('dnxhr-hq')).toEqual({
+        success: false,
+        error: 'Built-in profiles cannot be deleted'
+      });
+    });
+  });
+
+  describe('selectProfile', () => {
+    it('should remember known profiles only', () => {
+      expect(encoderProfileService.selectProfile('prores-422-lt')).toEqual({ success: true });
+      expect(encoderProfileService.getProfile().id).toBe('prores-422-lt');
+      expect(encoderProfileService.selectProfile('nope').success).toBe(false);
+    });
+  });
+});
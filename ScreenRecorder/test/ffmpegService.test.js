@@ -3,6 +3,8 @@
  */
 
 const FFmpegService = require('../services/ffmpegService');
+const EncoderProfileService = require('../services/encoderProfileService');
+const { WindowsCaptureBackend, LinuxCaptureBackend, MacCaptureBackend } = require('../services/captureBackends');
 
 // Mock child_process
 jest.mock('child_process', () => ({
@@ -11,6 +13,13 @@ jest.mock('child_process', () => ({
 
 const mockSpawn = require('child_process').spawn;
 
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
 describe('FFmpegService', () => {
   let ffmpegService;
   let mockLogger;
@@ -20,7 +29,7 @@ describe('FFmpegService', () => {
       log: jest.fn(),
       error: jest.fn()
     };
-    ffmpegService = new FFmpegService(mockLogger);
+    ffmpegService = new FFmpegService(mockLogger, new WindowsCaptureBackend());
   });
 
   afterEach(() => {
@@ -103,6 +112,102 @@ describe('FFmpegService', () => {
 
       expect(args).toContain('-vf', 'scale=1280x720');
     });
+
+    it('should encode with the selected profile', () => {
+      const encodingProfile = EncoderProfileService.getBuiltInProfile('prores-422-lt');
+      const args = ffmpegService.generateFFmpegArgs({ sourceType: 'desktop', framerate: '30', encodingProfile });
+
+      expect(args).toEqual(expect.arrayContaining(['-c:v', 'prores_ks', '-profile:v', '1', '-pix_fmt', 'yuv422p10le']));
+      expect(args).not.toContain('libx264');
+    });
+
+    it('should use the hardware encoder and upload after scaling', () => {
+      const hardwareEncoderService = {
+        applyToProfile: jest.fn(profile => ({
+          ...profile,
+          video: { codec: 'h264_vaapi', filters: ['format=nv12', 'hwupload'] }
+        }))
+      };
+      ffmpegService = new FFmpegService(mockLogger, new WindowsCaptureBackend(), hardwareEncoderService);
+
+      const args = ffmpegService.generateFFmpegArgs({ sourceType: 'desktop', resolution: '1280x720' });
+
+      expect(args).toEqual(expect.arrayContaining(['-c:v', 'h264_vaapi', '-vf', 'scale=1280x720,format=nv12,hwupload']));
+    });
+  });
+
+  describe('getAudioTrackArgs', () => {
+    it('should leave a single audio input to the default mapping', () => {
+      expect(FFmpegService.getAudioTrackArgs(['Microphone'], 1, 0)).toEqual([]);
+    });
+
+    it('should map each audio input to its own titled track', () => {
+      expect(FFmpegService.getAudioTrackArgs(['Microphone (USB)', 'Stereo Mix'], 2, 0)).toEqual([
+        '-map', '2:v', '-map', '0:a', '-map', '1:a',
+        '-metadata:s:a:0', 'title=Microphone (USB)',
+        '-metadata:s:a:1', 'title=Stereo Mix'
+      ]);
+    });
+
+    it('should follow audio inputs that come after the video input', () => {
+      const args = FFmpegService.getAudioTrackArgs(['Mic', 'Monitor of "Speakers"'], 0, 1);
+
+      expect(args.slice(0, 6)).toEqual(['-map', '0:v', '-map', '1:a', '-map', '2:a']);
+      expect(args[args.length - 1]).toBe('title=Monitor of "Speakers"');
+    });
+  });
+
+  describe('generateFFmpegArgs with Linux backend', () => {
+    beforeEach(() => {
+      ffmpegService = new FFmpegService(mockLogger, new LinuxCaptureBackend({ DISPLAY: ':0.0' }, { audioSystem: 'pulse' }));
+    });
+
+    it('should generate x11grab desktop args', () => {
+      const args = ffmpegService.generateFFmpegArgs({ sourceType: 'desktop', framerate: '30' });
+
+      expect(args).toEqual(expect.arrayContaining(['-f', 'x11grab', '-i', ':0.0']));
+      expect(args).not.toContain('gdigrab');
+    });
+
+    it('should generate v4l2 camera args', () => {
+      const args = ffmpegService.generateFFmpegArgs({ sourceType: 'camera', cameraName: '/dev/video0', framerate: '30' });
+
+      expect(args).toEqual(expect.arrayContaining(['-f', 'v4l2', '-i', '/dev/video0']));
+    });
+
+    it('should prepend kmsgrab filters before scaling', () => {
+      ffmpegService = new FFmpegService(mockLogger, new LinuxCaptureBackend({}, { audioSystem: 'alsa' }));
+      const args = ffmpegService.generateFFmpegArgs({ sourceType: 'desktop', resolution: '1280x720' });
+
+      expect(args).toContain('hwdownload,format=bgr0,scale=1280x720');
+    });
+
+    it('should build v4l2 camera fallback commands', () => {
+      const commands = ffmpegService._generateCameraFallbackCommands({ cameraName: '/dev/video0' }, '/test/output.mp4');
+
+      expect(commands).toHaveLength(3);
+      expect(commands[0]).toContain('-f v4l2');
+      expect(commands[0]).toContain('-i /dev/video0');
+    });
+  });
+
+  describe('generateFFmpegArgs with macOS backend', () => {
+    beforeEach(() => {
+      ffmpegService = new FFmpegService(mockLogger, new MacCaptureBackend());
+    });
+
+    it('should capture the selected screen with avfoundation', () => {
+      const args = ffmpegService.generateFFmpegArgs({ sourceType: 'desktop', framerate: '30', screenIndex: 1 });
+
+      expect(args).toEqual(expect.arrayContaining(['-f', 'avfoundation', '-i', 'Capture screen 1:none']));
+    });
+
+    it('should crop region recordings', () => {
+      const region = { x: 100, y: 200, width: 800, height: 600 };
+      const args = ffmpegService.generateFFmpegArgs({ sourceType: 'desktop', framerate: '30' }, region);
+
+      expect(args).toContain('crop=800:600:100:200');
+    });
   });
 
   describe('generateCameraFallbackCommands', () => {
@@ -131,6 +236,7 @@ describe('FFmpegService', () => {
       const state = ffmpegService.getState();
       expect(state).toEqual({
         isRecording: false,
+        isPaused: false,
         currentRecordingPath: null,
         hasProcess: false
       });
@@ -144,12 +250,83 @@ describe('FFmpegService', () => {
       const state = ffmpegService.getState();
       expect(state).toEqual({
         isRecording: true,
+        isPaused: false,
         currentRecordingPath: '/test/recording.mp4',
         hasProcess: true
       });
     });
   });
 
+  describe('pauseRecording / resumeRecording', () => {
+    const createProcess = () => {
+      const handlers = {};
+      return {
+        handlers,
+        on: jest.fn((event, callback) => { handlers[event] = callback; }),
+        stderr: { on: jest.fn() },
+        stdin: { write: jest.fn() }
+      };
+    };
+
+    let processes;
+
+    beforeEach(() => {
+      processes = [];
+      mockSpawn.mockImplementation(() => {
+        const process = createProcess();
+        processes.push(process);
+        return process;
+      });
+      jest.spyOn(ffmpegService.segmentService, 'keepSegment').mockReturnValue('/mock/part001.mp4');
+      jest.spyOn(ffmpegService.segmentService, 'finalize').mockResolvedValue({ pausedSpans: [{ offset: 2 }] });
+    });
+
+    it('should end the segment on pause and start a new one on resume', async () => {
+      await ffmpegService._startScreenRecording({ sourceType: 'desktop', framerate: '30' }, null, '/mock/out.mp4', null);
+
+      expect(await ffmpegService.pauseRecording()).toEqual({ success: true });
+      expect(processes[0].stdin.write).toHaveBeenCalledWith('q');
+
+      processes[0].handlers.close(0, null);
+      expect(ffmpegService.segmentService.keepSegment).toHaveBeenCalledWith('/mock/out.mp4');
+      expect(ffmpegService.getState()).toMatchObject({ isRecording: true, isPaused: true, hasProcess: false });
+
+      expect(await ffmpegService.resumeRecording()).toEqual({ success: true });
+      expect(mockSpawn).toHaveBeenCalledTimes(2);
+      expect(mockSpawn.mock.calls[1][1]).toEqual(mockSpawn.mock.calls[0][1]);
+    });
+
+    it('should join segments before reporting completion', async () => {
+      const onComplete = jest.fn();
+      await ffmpegService._startScreenRecording({ sourceType: 'desktop', framerate: '30' }, null, '/mock/out.mp4', onComplete);
+
+      await ffmpegService.pauseRecording();
+      processes[0].handlers.close(0, null);
+      await ffmpegService.stopRecording();
+
+      expect(ffmpegService.segmentService.finalize).toHaveBeenCalled();
+      expect(onComplete).toHaveBeenCalledWith({
+        success: true,
+        filePath: '/mock/out.mp4',
+        pausedSpans: [{ offset: 2 }]
+      });
+      expect(ffmpegService.getState().isRecording).toBe(false);
+    });
+
+    it('should refuse to resume while the paused segment is still closing', async () => {
+      await ffmpegService._startScreenRecording({ sourceType: 'desktop', framerate: '30' }, null, '/mock/out.mp4', null);
+      await ffmpegService.pauseRecording();
+
+      const result = await ffmpegService.resumeRecording();
+      expect(result.success).toBe(false);
+    });
+
+    it('should reject pause when nothing is recording', async () => {
+      const result = await ffmpegService.pauseRecording();
+      expect(result).toEqual({ success: false, error: 'No active recording to pause' });
+    });
+  });
+
   describe('_isShellProcess', () => {
     it('should identify shell processes', () => {
       const shellProcess = {
@@ -57,6 +57,11 @@ describe('FileSystemUtils', () => {
       const filename = FileSystemUtils.generateRecordingFilename('.avi');
       expect(filename).toMatch(/\.avi$/);
     });
+
+    it('should use the extension of an encoding profile', () => {
+      const filename = FileSystemUtils.generateRecordingFilename({ id: 'prores-422-lt', extension: '.mov' });
+      expect(filename).toMatch(/^screen-recording-.*\.mov$/);
+    });
   });
 
   describe('getRecordingPath', () => {
@@ -91,13 +96,23 @@ describe('FileSystemUtils', () => {
   });
 
   describe('listRecordings', () => {
-    it('should return list of MP4 files sorted by modification time', () => {
+    it('should return list of recordings sorted by modification time', () => {
+      fs.existsSync.mockReturnValue(true);
       const recordings = FileSystemUtils.listRecordings();
       expect(recordings).toHaveLength(2); // Only .mp4 files
       expect(recordings[0].name).toBe('test1.mp4');
       expect(recordings[1].name).toBe('test3.mp4');
     });
 
+    it('should list every supported container but not pause segments', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readdirSync.mockReturnValue(['a.mov', 'b.MKV', 'c.mp4', 'c.part001.mp4', 'c.remux.mp4', 'd.avi']);
+
+      const recordings = FileSystemUtils.listRecordings();
+      expect(recordings.map(recording => recording.name)).toEqual(['a.mov', 'b.MKV', 'c.mp4']);
+      expect(recordings.map(recording => recording.container)).toEqual(['mov', 'mkv', 'mp4']);
+    });
+
     it('should handle empty directory', () => {
       fs.readdirSync.mockReturnValue([]);
       const recordings = FileSystemUtils.listRecordings();
@@ -0,0 +1,211 @@
+/**
+ * Hardware encoder service tests
+ */
+
+const { EventEmitter } = require('events');
+const HardwareEncoderService = require('../services/hardwareEncoderService');
+const EncoderProfileService = require('../services/encoderProfileService');
+
+// Mock child_process
+jest.mock('child_process', () => ({
+  spawn: jest.fn()
+}));
+
+const mockSpawn = require('child_process').spawn;
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+const ENCODERS_OUTPUT = `Encoders:
+ V..... = Video
+ A..... = Audio
+ S..... = Subtitle
+ .F.... = Frame-level multithreading
+ ..S... = Slice-level multithreading
+ ...X.. = Codec is experimental
+ ....B. = Supports draw_horiz_band
+ .....D = Supports direct rendering method 1
+ ------
+ V....D libx264              libx264 H.264 / AVC / MPEG-4 AVC / MPEG-4 part 10 (codec h264)
+ V....D h264_nvenc           NVIDIA NVENC H.264 encoder (codec h264)
+ V....D h264_vaapi           H.264/AVC (VAAPI) (codec h264)
+ V....D hevc_nvenc           NVIDIA NVENC hevc encoder (codec hevc)
+ V....D prores_ks            Apple ProRes (iCodec Pro) (codec prores)
+ A....D aac                  AAC (Advanced Audio Coding)
+`;
+
+/**
+ * Create a fake FFmpeg process that exits with the given code
+ */
+function createProcess(code, stdout = '', stderr = '') {
+  const process = new EventEmitter();
+  process.stdout = new EventEmitter();
+  process.stderr = new EventEmitter();
+  process.kill = jest.fn();
+
+  setImmediate(() => {
+    if (stdout) process.stdout.emit('data', Buffer.from(stdout));
+    if (stderr) process.stderr.emit('data', Buffer.from(stderr));
+    process.emit('close', code);
+  });
+
+  return process;
+}
+
+describe('HardwareEncoderService', () => {
+  let hardwareEncoderService;
+  let mockLogger;
+  let mockStore;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    const values = {};
+    mockStore = {
+      get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+      set: jest.fn((key, value) => { values[key] = value; })
+    };
+
+    hardwareEncoderService = new HardwareEncoderService(mockLogger, mockStore);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseEncoderList', () => {
+    it('should list video encoders below the legend', () => {
+      expect(HardwareEncoderService.parseEncoderList(ENCODERS_OUTPUT)).toEqual([
+        'libx264', 'h264_nvenc', 'h264_vaapi', 'hevc_nvenc', 'prores_ks'
+      ]);
+    });
+  });
+
+  describe('getCandidates', () => {
+    it('should keep known hardware encoders only', () => {
+      const candidates = HardwareEncoderService.getCandidates(HardwareEncoderService.parseEncoderList(ENCODERS_OUTPUT));
+
+      expect(candidates.map(candidate => candidate.encoder)).toEqual(['h264_nvenc', 'hevc_nvenc', 'h264_vaapi']);
+      expect(candidates[0]).toEqual({ api: 'nvenc', name: 'NVIDIA NVENC', codec: 'h264', encoder: 'h264_nvenc' });
+    });
+  });
+
+  describe('getTestEncodeArgs', () => {
+    it('should encode a lavfi test source to the null muxer', () => {
+      const args = HardwareEncoderService.getTestEncodeArgs({ api: 'nvenc', codec: 'h264', encoder: 'h264_nvenc' });
+
+      expect(args).toEqual(expect.arrayContaining(['-f', 'lavfi', '-c:v', 'h264_nvenc']));
+      expect(args[args.indexOf('-i') + 1]).toMatch(/^testsrc=/);
+      expect(args.slice(-3)).toEqual(['-f', 'null', '-']);
+    });
+
+    it('should upload frames for VA-API', () => {
+      const args = HardwareEncoderService.getTestEncodeArgs({ api: 'vaapi', codec: 'h264', encoder: 'h264_vaapi' });
+
+      expect(args).toEqual(expect.arrayContaining(['-vaapi_device', '/dev/dri/renderD128', '-vf', 'format=nv12,hwupload']));
+    });
+  });
+
+  describe('probe', () => {
+    it('should only report encoders that pass the test encode', async () => {
+      mockSpawn.mockImplementation((ffmpegPath, args) => {
+        if (args.includes('-encoders')) return createProcess(0, ENCODERS_OUTPUT);
+        if (args.includes('h264_vaapi')) return createProcess(1, '', 'Failed to initialise VAAPI connection');
+        return createProcess(0);
+      });
+
+      const encoders = await hardwareEncoderService.probe('ffmpeg');
+
+      expect(encoders).toEqual([{ api: 'nvenc', name: 'NVIDIA NVENC', codecs: ['h264', 'hevc'] }]);
+      expect(mockSpawn).toHaveBeenCalledTimes(4);
+    });
+
+    it('should cache the result until a refresh is requested', async () => {
+      mockSpawn.mockImplementation(() => createProcess(0, ENCODERS_OUTPUT));
+
+      await hardwareEncoderService.probe('ffmpeg');
+      await hardwareEncoderService.probe('ffmpeg');
+      expect(mockSpawn).toHaveBeenCalledTimes(4);
+
+      await hardwareEncoderService.probe('ffmpeg', true);
+      expect(mockSpawn).toHaveBeenCalledTimes(8);
+    });
+
+    it('should report no encoders when FFmpeg cannot be run', async () => {
+      mockSpawn.mockImplementation(() => {
+        const process = createProcess(0);
+        process.removeAllListeners();
+        setImmediate(() => process.emit('error', new Error('spawn ffmpeg ENOENT')));
+        return process;
+      });
+
+      expect(await hardwareEncoderService.probe('ffmpeg')).toEqual([]);
+    });
+  });
+
+  describe('applyToProfile', () => {
+    const defaultProfile = EncoderProfileService.getDefaultProfile();
+
+    it('should keep the software encoder when nothing is selected', () => {
+      expect(hardwareEncoderService.applyToProfile(defaultProfile)).toBe(defaultProfile);
+    });
+
+    it('should fall back to libx264 when the selected encoder failed its test encode', async () => {
+      mockSpawn.mockImplementation((ffmpegPath, args) => (
+        args.includes('-encoders') ? createProcess(0, ENCODERS_OUTPUT) : createProcess(1, '', 'No NVENC capable devices found')
+      ));
+      await hardwareEncoderService.probe('ffmpeg');
+      hardwareEncoderService.selectEncoder('nvenc');
+
+      const profile = hardwareEncoderService.applyToProfile(defaultProfile);
+      expect(EncoderProfileService.getVideoArgs(profile)).toEqual(expect.arrayContaining(['-c:v', 'libx264']));
+    });
+
+    it('should swap in the hardware encoder with matching quality', async () => {
+      mockSpawn.mockImplementation(() => createProcess(0, ENCODERS_OUTPUT));
+      await hardwareEncoderService.probe('ffmpeg');
+      hardwareEncoderService.selectEncoder('nvenc');
+
+      const profile = hardwareEncoderService.applyToProfile(EncoderProfileService.getBuiltInProfile('h265-hq'));
+
+      expect(profile.extension).toBe('.mp4');
+      expect(EncoderProfileService.getVideoArgs(profile)).toEqual([
+        '-c:v', 'hevc_nvenc', '-preset', 'p4', '-pix_fmt', 'p010le', '-rc', 'vbr', '-cq', '18', '-tag:v', 'hvc1'
+      ]);
+    });
+
+    it('should leave intermediate codecs alone', async () => {
+      mockSpawn.mockImplementation(() => createProcess(0, ENCODERS_OUTPUT));
+      await hardwareEncoderService.probe('ffmpeg');
+      hardwareEncoderService.selectEncoder('nvenc');
+
+      const prores = EncoderProfileService.getBuiltInProfile('prores-422-lt');
+      expect(hardwareEncoderService.applyToProfile(prores)).toBe(prores);
+    });
+  });
+
+  describe('needsProbe', () => {
+    it('should only wait for the probe when a hardware encoder could replace the profile encoder', () => {
+      const defaultProfile = EncoderProfileService.getDefaultProfile();
+      expect(hardwareEncoderService.needsProbe(defaultProfile)).toBe(false);
+
+      hardwareEncoderService.selectEncoder('nvenc');
+      expect(hardwareEncoderService.needsProbe(defaultProfile)).toBe(true);
+      expect(hardwareEncoderService.needsProbe(EncoderProfileService.getBuiltInProfile('prores-422-lt'))).toBe(false);
+    });
+  });
+
+  describe('selectEncoder', () => {
+    it('should reject unknown encoders', () => {
+      expect(hardwareEncoderService.selectEncoder('cuda').success).toBe(false);
+      expect(hardwareEncoderService.selectEncoder('software')).toEqual({ success: true });
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Library service tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LibraryService = require('../services/libraryService');
+const ProcessRunner = require('../utils/processRunner');
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+const FFMPEG_OUTPUT = `Input #0, mov,mp4,m4a,3gp,3g2,mj2, from 'window-recording.mp4':
+  Metadata:
+    major_brand     : isom
+    source_type     : window
+    window_title    : Notes
+  Duration: 00:01:02.50, start: 0.000000, bitrate: 4123 kb/s
+  Stream #0:0[0x1](und): Video: h264 (High) (avc1 / 0x31637661), yuv420p(progressive), 2560x1440 [SAR 1:1 DAR 16:9], 4000 kb/s, 29.97 fps, 29.97 tbr, 30k tbn (default)
+  Stream #0:1[0x2](und): Audio: aac (LC) (mp4a / 0x6134706D), 48000 Hz, stereo, fltp, 128 kb/s (default)
+At least one output file must be specified`;
+
+describe('LibraryService', () => {
+  let libraryService;
+  let mockLogger;
+  let tempDir;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-'));
+    libraryService = new LibraryService(mockLogger, tempDir);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeRecording = (name, modified = new Date()) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, 'video');
+    fs.utimesSync(filePath, modified, modified);
+    return filePath;
+  };
+
+  describe('parseMediaInfo', () => {
+    it('should read duration, resolution, frame rate and source type', () => {
+      expect(LibraryService.parseMediaInfo(FFMPEG_OUTPUT)).toEqual({
+        duration: 62.5,
+        width: 2560,
+        height: 1440,
+        frameRate: 29.97,
+        sourceType: 'window'
+      });
+    });
+
+    it('should leave out what FFmpeg did not report', () => {
+      expect(LibraryService.parseMediaInfo('rec.mkv: Invalid data found when processing input')).toEqual({
+        duration: null,
+        width: null,
+        height: null,
+        frameRate: null,
+        sourceType: null
+      });
+    });
+  });
+
+  describe('getThumbnailArgs', () => {
+    it('should write one representative frame, scaled down', () => {
+      const args = LibraryService.getThumbnailArgs('/v/rec.mp4', '/v/.thumbnails/rec.mp4.jpg');
+
+      expect(args).toEqual(expect.arrayContaining(['-vf', 'thumbnail,scale=160:-2', '-frames:v', '1']));
+      expect(args[args.length - 1]).toBe('/v/.thumbnails/rec.mp4.jpg');
+    });
+  });
+
+  describe('validateName', () => {
+    it('should keep the extension of the recording', () => {
+      expect(LibraryService.validateName(' Demo take 2 ', 'rec.mov')).toEqual({ name: 'Demo take 2.mov' });
+      expect(LibraryService.validateName('Demo.MOV', 'rec.mov')).toEqual({ name: 'Demo.MOV' });
+      expect(LibraryService.validateName('Demo.mp4', 'rec.mov')).toEqual({ name: 'Demo.mp4.mov' });
+    });
+
+    it('should reject names that leave the folder or are not recordings', () => {
+      expect(LibraryService.validateName('../rec', 'rec.mp4').error).toBeDefined();
+      expect(LibraryService.validateName('.hidden', 'rec.mp4').error).toBeDefined();
+      expect(LibraryService.validateName('', 'rec.mp4').error).toBeDefined();
+      expect(LibraryService.validateName('rec.part2', 'rec.mp4').error).toContain('.partN');
+    });
+  });
+
+  describe('getRecordingPath', () => {
+    it('should only resolve recordings directly in the folder', () => {
+      const filePath = writeRecording('rec.mp4');
+
+      expect(libraryService.getRecordingPath('rec.mp4')).toBe(filePath);
+      expect(libraryService.getRecordingPath('missing.mp4')).toBeNull();
+      expect(libraryService.getRecordingPath('../rec.mp4')).toBeNull();
+      expect(libraryService.getRecordingPath('notes.txt')).toBeNull();
+    });
+  });
+
+  describe('list', () => {
+    beforeEach(() => {
+      jest.spyOn(ProcessRunner, 'run').mockResolvedValue({ code: 1, stdout: '', stderr: FFMPEG_OUTPUT });
+    });
+
+    const writeThumbnail = (name) => {
+      fs.mkdirSync(path.dirname(libraryService.getThumbnailPath(name)), { recursive: true });
+      fs.writeFileSync(libraryService.getThumbnailPath(name), 'jpeg');
+    };
+
+    it('should list recordings newest first with their details', async () => {
+      writeRecording('screen-recording-old.mp4', new Date(2026, 0, 1));
+      writeRecording('camera-recording-new.mkv', new Date(2026, 0, 2));
+      writeRecording('screen-recording-old.part1.mp4');
+      writeThumbnail('camera-recording-new.mkv');
+
+      const recordings = await libraryService.list();
+
+      expect(recordings.map(recording => recording.name)).toEqual(['camera-recording-new.mkv', 'screen-recording-old.mp4']);
+      expect(recordings[0]).toEqual(expect.objectContaining({
+        container: 'mkv',
+        size: 5,
+        duration: 62.5,
+        width: 2560,
+        sourceType: 'window',
+        sourceName: 'Window',
+        thumbnail: `data:image/jpeg;base64,${Buffer.from('jpeg').toString('base64')}`
+      }));
+      expect(recordings[1].thumbnail).toBeNull();
+    });
+
+    it('should read each file once until it changes', async () => {
+      const filePath = writeRecording('rec.mp4', new Date(2026, 0, 1));
+      writeThumbnail('rec.mp4');
+
+      await libraryService.list();
+      await libraryService.list();
+      expect(ProcessRunner.run).toHaveBeenCalledTimes(1);
+
+      // The poster frame is now older than the recording, so it is left out until made again
+      const later = new Date(Date.now() + 60000);
+      fs.utimesSync(filePath, later, later);
+      const [recording] = await libraryService.list();
+      expect(ProcessRunner.run).toHaveBeenCalledTimes(2);
+      expect(recording.thumbnail).toBeNull();
+    });
+
+    it('should not read recordings still being written', async () => {
+      const filePath = writeRecording('selection-recording-now.mp4');
+
+      const [recording] = await libraryService.list('ffmpeg', [filePath]);
+
+      expect(ProcessRunner.run).not.toHaveBeenCalled();
+      expect(recording).toEqual(expect.objectContaining({ inUse: true, sourceName: 'Region', thumbnail: null }));
+    });
+  });
+
+  describe('rename', () => {
+    it('should rename the recording and its poster frame', () => {
+      writeRecording('rec.mp4');
+      fs.mkdirSync(path.dirname(libraryService.getThumbnailPath('rec.mp4')));
+      fs.writeFileSync(libraryService.getThumbnailPath('rec.mp4'), 'jpeg');
+
+      expect(libraryService.rename('rec.mp4', 'Demo')).toEqual({
+        success: true,
+        name: 'Demo.mp4',
+        path: path.join(tempDir, 'Demo.mp4')
+      });
+      expect(fs.existsSync(path.join(tempDir, 'rec.mp4'))).toBe(false);
+      expect(fs.existsSync(libraryService.getThumbnailPath('Demo.mp4'))).toBe(true);
+    });
+
+    it('should not overwrite another recording', () => {
+      writeRecording('rec.mp4');
+      writeRecording('Demo.mp4');
+
+      const result = libraryService.rename('rec.mp4', 'Demo');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('already exists');
+      expect(fs.existsSync(path.join(tempDir, 'rec.mp4'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Media job service tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const MediaJobService = require('../services/mediaJobService');
+
+// Mock child_process
+jest.mock('child_process', () => ({
+  spawn: jest.fn()
+}));
+
+const mockSpawn = require('child_process').spawn;
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+/**
+ * Create a fake FFmpeg process that finishes when told to
+ */
+function createProcess() {
+  const process = new EventEmitter();
+  process.stderr = new EventEmitter();
+  process.kill = jest.fn(() => process.emit('close', null));
+  return process;
+}
+
+describe('MediaJobService', () => {
+  let mediaJobService;
+  let mockLogger;
+  let mockStore;
+  let handlers;
+  let busy;
+  let processes;
+  let tempDir;
+  let recordingPath;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    const values = {};
+    mockStore = {
+      get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+      set: jest.fn((key, value) => { values[key] = value; })
+    };
+
+    busy = false;
+    handlers = {
+      isBusy: () => busy,
+      onComplete: jest.fn()
+    };
+
+    processes = [];
+    mockSpawn.mockReset();
+    mockSpawn.mockImplementation((command, args) => {
+      const process = createProcess();
+      process.outputPath = args[args.length - 1];
+      processes.push(process);
+      return process;
+    });
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-jobs-'));
+    recordingPath = path.join(tempDir, 'screen-recording.mp4');
+    fs.writeFileSync(recordingPath, 'video');
+
+    mediaJobService = new MediaJobService(mockLogger, mockStore, handlers);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  // Write the output FFmpeg was asked for and exit
+  const finish = (process, code = 0) => {
+    if (code === 0) {
+      fs.writeFileSync(process.outputPath, 'output');
+    }
+    process.emit('close', code);
+  };
+
+  const thumbnailPath = () => path.join(tempDir, '.thumbnails', 'screen-recording.mp4.jpg');
+  const queueThumbnail = () => mediaJobService.queueThumbnail(recordingPath, thumbnailPath(), ['-i', recordingPath, thumbnailPath()]);
+
+  describe('getProxyArgs', () => {
+    it('should scale to the proxy height and keep every audio track', () => {
+      const args = MediaJobService.getProxyArgs('/v/rec.mov', '/v/Proxy/rec.mov.mp4', 540);
+
+      expect(MediaJobService.getProxyPath('/v/rec.mov')).toBe(path.join('/v', 'Proxy', 'rec.mov.mp4'));
+      expect(args).toEqual(expect.arrayContaining(['-map', '0:a?', '-vf', 'scale=-2:540', '-bf', '0']));
+      expect(args[args.length - 1]).toBe('/v/Proxy/rec.mov.mp4');
+    });
+  });
+
+  describe('saveProxySettings', () => {
+    it('should keep proxies off by default and fall back to a supported height', () => {
+      expect(mediaJobService.getProxySettings()).toEqual({ enabled: false, height: 540 });
+
+      expect(mediaJobService.saveProxySettings({ enabled: true, height: '720' })).toEqual({ success: true, settings: { enabled: true, height: 720 } });
+      expect(mediaJobService.saveProxySettings({ enabled: true, height: 1080 }).settings.height).toBe(540);
+    });
+  });
+
+  describe('queue', () => {
+    it('should write a partial file and rename it once FFmpeg succeeds', () => {
+      expect(queueThumbnail()).toBe(true);
+      expect(mockSpawn).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1000);
+      expect(processes[0].outputPath).toBe(`${thumbnailPath()}.partial.jpg`);
+
+      finish(processes[0]);
+      expect(fs.existsSync(thumbnailPath())).toBe(true);
+      expect(handlers.onComplete).toHaveBeenCalledWith(expect.objectContaining({ type: 'thumbnail', success: true }));
+
+      // Up to date now, so not queued again
+      expect(queueThumbnail()).toBe(false);
+    });
+
+    it('should run one job at a time and skip duplicates', () => {
+      queueThumbnail();
+      expect(queueThumbnail()).toBe(false);
+      mediaJobService.saveProxySettings({ enabled: true, height: 360 });
+      mediaJobService.queueProxy(recordingPath);
+
+      jest.advanceTimersByTime(3000);
+      expect(processes).toHaveLength(1);
+
+      finish(processes[0]);
+      jest.advanceTimersByTime(1000);
+      expect(processes).toHaveLength(2);
+      expect(processes[1].outputPath).toBe(path.join(tempDir, 'Proxy', 'screen-recording.mp4.mp4.partial.mp4'));
+    });
+
+    it('should wait while recording and stop a job when recording starts', () => {
+      busy = true;
+      queueThumbnail();
+      jest.advanceTimersByTime(5000);
+      expect(mockSpawn).not.toHaveBeenCalled();
+
+      busy = false;
+      jest.advanceTimersByTime(1000);
+      expect(processes).toHaveLength(1);
+
+      mediaJobService.suspend();
+      expect(processes[0].kill).toHaveBeenCalled();
+      expect(handlers.onComplete).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(3000);
+      expect(processes).toHaveLength(1);
+
+      mediaJobService.resume();
+      jest.advanceTimersByTime(1000);
+      expect(processes).toHaveLength(2);
+    });
+
+    it('should not retry a failed job', () => {
+      queueThumbnail();
+      jest.advanceTimersByTime(1000);
+      finish(processes[0], 1);
+
+      expect(handlers.onComplete).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
+      expect(fs.existsSync(thumbnailPath())).toBe(false);
+      expect(queueThumbnail()).toBe(false);
+    });
+  });
+
+  describe('queueProxy', () => {
+    it('should do nothing while proxies are off', async () => {
+      expect(await mediaJobService.queueProxy(recordingPath)).toBe(false);
+    });
+
+    it('should link the proxy to the media pool item when it is done', async () => {
+      const clip = { LinkProxyMedia: jest.fn(() => true) };
+      mediaJobService.saveProxySettings({ enabled: true, height: 540 });
+
+      expect(await mediaJobService.queueProxy(recordingPath, 'ffmpeg', clip)).toBe(true);
+      jest.advanceTimersByTime(1000);
+      finish(processes[0]);
+      await Promise.resolve();
+
+      const proxyPath = path.join(tempDir, 'Proxy', 'screen-recording.mp4.mp4');
+      expect(clip.LinkProxyMedia).toHaveBeenCalledWith(proxyPath);
+
+      // A re-import links the proxy already made
+      const reimported = { LinkProxyMedia: jest.fn(() => true) };
+      expect(await mediaJobService.queueProxy(recordingPath, 'ffmpeg', reimported)).toBe(false);
+      expect(reimported.LinkProxyMedia).toHaveBeenCalledWith(proxyPath);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Media pool service tests
+ */
+
+const MediaPoolService = require('../services/mediaPoolService');
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+/**
+ * Create a fake Media Pool folder
+ */
+function createFolder(name, subFolders = []) {
+  return {
+    name,
+    subFolders,
+    GetName: jest.fn(() => name),
+    GetSubFolderList: jest.fn(() => subFolders)
+  };
+}
+
+/**
+ * Create a fake media pool whose AddSubFolder adds to the parent folder
+ */
+function createMediaPool(root) {
+  return {
+    GetRootFolder: jest.fn(() => root),
+    AddSubFolder: jest.fn((parent, name) => {
+      const folder = createFolder(name);
+      parent.subFolders.push(folder);
+      return folder;
+    }),
+    SetCurrentFolder: jest.fn(() => true)
+  };
+}
+
+describe('MediaPoolService', () => {
+  let mediaPoolService;
+  let mockLogger;
+  let mockStore;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    const values = {};
+    mockStore = {
+      get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+      set: jest.fn((key, value) => { values[key] = value; })
+    };
+
+    mediaPoolService = new MediaPoolService(mockLogger, mockStore);
+  });
+
+  describe('getBinPath', () => {
+    it('should fill in the date and source type', () => {
+      const date = new Date(2026, 0, 5, 9, 30);
+
+      expect(MediaPoolService.getBinPath('Recordings/{date}/{sourceType}', { date, sourceType: 'selection' }))
+        .toEqual(['Recordings', '2026-01-05', 'Region']);
+      expect(MediaPoolService.getBinPath('{year}\\{month} / Captures', { date, sourceType: 'window' }))
+        .toEqual(['2026', '01', 'Captures']);
+    });
+
+    it('should use the current bin for an empty template', () => {
+      expect(MediaPoolService.getBinPath(' / ', { date: new Date(), sourceType: 'desktop' })).toEqual([]);
+    });
+  });
+
+  describe('getSourceTypeFromPath', () => {
+    it('should recognise dual recording and replay file names', () => {
+      expect(MediaPoolService.getSourceTypeFromPath('/videos/camera-recording-2026-10-19T10-00-00.mp4')).toBe('camera');
+      expect(MediaPoolService.getSourceTypeFromPath('/videos/window-recording-2026-10-19T10-00-00.mp4')).toBe('window');
+      expect(MediaPoolService.getSourceTypeFromPath('/videos/replay-2026-10-19T10-00-00.mp4')).toBe('replay');
+    });
+
+    it('should fall back to a generic screen recording', () => {
+      expect(MediaPoolService.getSourceTypeFromPath('/videos/screen-recording-2026-10-19T10-00-00.mp4')).toBe('screen');
+      expect(MediaPoolService.getSourceTypeFromPath('/videos/holiday.mov')).toBe('screen');
+    });
+  });
+
+  describe('saveBinTemplate', () => {
+    it('should save a trimmed template', () => {
+      expect(mediaPoolService.getBinTemplate()).toBe('Recordings/{date}/{sourceType}');
+
+      expect(mediaPoolService.saveBinTemplate(' Captures/{year} ')).toEqual({ success: true, template: 'Captures/{year}' });
+      expect(mediaPoolService.getBinTemplate()).toBe('Captures/{year}');
+    });
+
+    it('should reject unknown placeholders', () => {
+      const result = mediaPoolService.saveBinTemplate('Recordings/{project}');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('{project}');
+      expect(mockStore.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('openBin', () => {
+    it('should reuse existing bins and create the missing ones', async () => {
+      const recordings = createFolder('Recordings');
+      const root = createFolder('Master', [createFolder('Footage'), recordings]);
+      const mediaPool = createMediaPool(root);
+
+      const bin = await mediaPoolService.openBin(mediaPool, ['Recordings', '2026-10-19', 'Desktop']);
+
+      expect(mediaPool.AddSubFolder).toHaveBeenCalledTimes(2);
+      expect(mediaPool.AddSubFolder).toHaveBeenCalledWith(recordings, '2026-10-19');
+      expect(bin.name).toBe('Desktop');
+      expect(mediaPool.SetCurrentFolder).toHaveBeenCalledWith(bin);
+
+      await mediaPoolService.openBin(mediaPool, ['Recordings', '2026-10-19', 'Desktop']);
+      expect(mediaPool.AddSubFolder).toHaveBeenCalledTimes(2);
+    });
+
+    it('should leave the current bin alone for an empty path', async () => {
+      const mediaPool = createMediaPool(createFolder('Master'));
+
+      expect(await mediaPoolService.openBin(mediaPool, [])).toBeNull();
+      expect(mediaPool.SetCurrentFolder).not.toHaveBeenCalled();
+    });
+
+    it('should report bins that cannot be created', async () => {
+      const mediaPool = createMediaPool(createFolder('Master'));
+      mediaPool.AddSubFolder.mockReturnValue(null);
+
+      expect(await mediaPoolService.openBin(mediaPool, ['Recordings', 'Desktop'])).toBeNull();
+      expect(mockLogger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('labelClip', () => {
+    it('should color the clip and add keywords it does not have yet', async () => {
+      const clip = {
+        SetClipColor: jest.fn(() => true),
+        GetMetadata: jest.fn(() => 'Screen Recording,H.264 Proxy'),
+        SetMetadata: jest.fn(() => true)
+      };
+
+      expect(await mediaPoolService.labelClip(clip, 'camera')).toBe(true);
+      expect(clip.SetClipColor).toHaveBeenCalledWith('Orange');
+      expect(clip.SetMetadata).toHaveBeenCalledWith('Keywords', 'Screen Recording,H.264 Proxy,Camera');
+    });
+  });
+});
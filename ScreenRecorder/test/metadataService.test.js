@@ -0,0 +1,173 @@
+/**
+ * Metadata service tests
+ */
+
+const MetadataService = require('../services/metadataService');
+const CaptureBackend = require('../services/captureBackends/baseBackend');
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+const STARTED_AT = new Date(2026, 9, 19, 14, 5, 9, 500);
+
+const WINDOW_RECORDING = {
+  sourceType: 'window',
+  windowTitle: 'Notes - "draft" $HOME',
+  frameRate: '30',
+  encodingProfile: 'H.264 Proxy',
+  pluginVersion: '1.0.0'
+};
+
+/**
+ * Create a fake media pool item
+ */
+function createClip(startTimecode = '00:00:00:00') {
+  return {
+    SetMetadata: jest.fn(() => true),
+    GetClipProperty: jest.fn(() => startTimecode),
+    SetClipProperty: jest.fn(() => true)
+  };
+}
+
+describe('MetadataService', () => {
+  let metadataService;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    metadataService = new MetadataService(mockLogger);
+  });
+
+  describe('getStartTimecode', () => {
+    it('should use the time of day with frames from the milliseconds', () => {
+      expect(MetadataService.getStartTimecode(STARTED_AT, '30')).toBe('14:05:09:15');
+      expect(MetadataService.getStartTimecode(STARTED_AT, 25)).toBe('14:05:09:12');
+    });
+
+    it('should count fractional frame rates as whole frames', () => {
+      expect(MetadataService.getStartTimecode(STARTED_AT, '29.97')).toBe('14:05:09:15');
+      expect(MetadataService.getStartTimecode(STARTED_AT, 'auto')).toBe('14:05:09:15');
+    });
+  });
+
+  describe('getTags', () => {
+    it('should leave out empty values and keep the others as they are', () => {
+      expect(MetadataService.getTags({ ...WINDOW_RECORDING, cameraName: '' })).toEqual({
+        source_type: 'window',
+        window_title: 'Notes - "draft" $HOME',
+        frame_rate: '30',
+        encoding_profile: 'H.264 Proxy',
+        plugin_version: '1.0.0'
+      });
+    });
+  });
+
+  describe('getOutputArgs', () => {
+    it('should write the timecode and every tag', () => {
+      const metadata = metadataService.begin('/videos/rec.mkv', WINDOW_RECORDING, STARTED_AT);
+      const args = MetadataService.getOutputArgs(metadata, '.mkv');
+
+      expect(args.slice(0, 4)).toEqual(['-timecode', '14:05:09:15', '-metadata', `creation_time=${STARTED_AT.toISOString()}`]);
+      expect(args).toEqual(expect.arrayContaining(['-metadata', 'source_type=window']));
+      expect(args).not.toContain('-movflags');
+    });
+
+    it('should keep custom tags in MP4 and MOV files', () => {
+      const metadata = metadataService.begin('/videos/rec.mp4', WINDOW_RECORDING, STARTED_AT);
+
+      expect(MetadataService.getOutputArgs(metadata, '.MP4').slice(-2)).toEqual(['-movflags', '+use_metadata_tags']);
+    });
+
+    it('should keep window titles literal on a shell command line', () => {
+      const metadata = metadataService.begin('/videos/rec.mkv', { ...WINDOW_RECORDING, windowTitle: 'R&D|x $(id)\nnext' }, STARTED_AT);
+      const args = MetadataService.getOutputArgs(metadata, '.mkv');
+
+      expect(args).toContain('window_title=R&D|x $(id) next');
+      expect(CaptureBackend.toCommandString(args, 'win32')).toContain('-metadata ^"window_title=R^&D^|x $^(id^) next^"');
+      expect(CaptureBackend.toCommandString(args, 'linux')).toContain("-metadata 'window_title=R&D|x $(id) next'");
+    });
+
+    it('should add nothing without metadata', () => {
+      expect(MetadataService.getOutputArgs(null, '.mp4')).toEqual([]);
+    });
+  });
+
+  describe('getMediaPoolMetadata', () => {
+    it('should describe the recording in searchable fields', () => {
+      const metadata = metadataService.begin('/videos/rec.mp4', {
+        sourceType: 'selection',
+        cameraName: 'USB Camera',
+        frameRate: 60,
+        encodingProfile: 'ProRes 422 LT',
+        pluginVersion: '1.0.0'
+      }, STARTED_AT);
+
+      expect(MetadataService.getMediaPoolMetadata(metadata)).toEqual({
+        metadata: {
+          'Description': 'Region recording',
+          'Keywords': 'Screen Recording,Region,ProRes 422 LT,USB Camera',
+          'Comments': 'Recorded with Screen Recorder 1.0.0 (60 fps, ProRes 422 LT, camera USB Camera)'
+        },
+        properties: { 'Start TC': '14:05:09:30' }
+      });
+    });
+  });
+
+  describe('move', () => {
+    it('should keep the metadata under the path the recording is written to', () => {
+      const metadata = metadataService.begin('/videos/rec.mkv', WINDOW_RECORDING, STARTED_AT);
+
+      expect(metadataService.move('/videos/rec.mkv', '/videos/rec_attempt1.mkv')).toBe(metadata);
+      expect(metadataService.get('/videos/rec.mkv')).toBeNull();
+      expect(metadataService.get('/videos/rec_attempt1.mkv')).toBe(metadata);
+      expect(metadataService.move('/videos/other.mkv', '/videos/other_attempt1.mkv')).toBeNull();
+    });
+  });
+
+  describe('applyToClip', () => {
+    it('should copy the metadata once and set the start timecode when the file has none', async () => {
+      metadataService.begin('/videos/rec.mkv', WINDOW_RECORDING, STARTED_AT);
+      const clip = createClip();
+
+      expect(await metadataService.applyToClip(clip, '/videos/rec.mkv')).toBe(true);
+      expect(clip.SetMetadata).toHaveBeenCalledWith(expect.objectContaining({
+        'Description': 'Window recording: Notes - "draft" $HOME'
+      }));
+      expect(clip.SetClipProperty).toHaveBeenCalledWith('Start TC', '14:05:09:15');
+      expect(metadataService.get('/videos/rec.mkv')).toBeNull();
+    });
+
+    it('should keep a timecode read from the file', async () => {
+      metadataService.begin('/videos/rec.mp4', WINDOW_RECORDING, STARTED_AT);
+      const clip = createClip('14:05:09:15');
+
+      await metadataService.applyToClip(clip, '/videos/rec.mp4');
+
+      expect(clip.SetClipProperty).not.toHaveBeenCalled();
+    });
+
+    it('should report fields Resolve rejects', async () => {
+      metadataService.begin('/videos/rec.mp4', WINDOW_RECORDING, STARTED_AT);
+      const clip = createClip();
+      clip.SetMetadata.mockReturnValue(false);
+
+      expect(await metadataService.applyToClip(clip, '/videos/rec.mp4')).toBe(false);
+      expect(mockLogger.error).toHaveBeenCalled();
+    });
+
+    it('should skip files it has no metadata for', async () => {
+      const clip = createClip();
+
+      expect(await metadataService.applyToClip(clip, '/videos/imported.mp4')).toBe(false);
+      expect(clip.SetMetadata).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Picture-in-picture service tests
+ */
+
+const PipService = require('../services/pipService');
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+describe('PipService', () => {
+  let pipService;
+  let mockLogger;
+  let mockStore;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    const values = {};
+    mockStore = {
+      get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+      set: jest.fn((key, value) => { values[key] = value; })
+    };
+
+    pipService = new PipService(mockLogger, mockStore);
+  });
+
+  describe('normalizeLayout', () => {
+    it('should clamp values and fall back to defaults', () => {
+      expect(PipService.normalizeLayout({
+        position: 'center',
+        size: 90,
+        margin: -5,
+        cornerRadius: 'round',
+        borderWidth: '6',
+        borderColor: 'red',
+        timelineJoin: 'merge'
+      })).toEqual({
+        position: 'bottom-right',
+        size: 50,
+        margin: 0,
+        cornerRadius: 16,
+        borderWidth: 6,
+        borderColor: '#ffffff',
+        timelineJoin: 'link'
+      });
+    });
+  });
+
+  describe('getOverlayPosition', () => {
+    it('should place the camera in the chosen corner', () => {
+      expect(PipService.getOverlayPosition({ position: 'top-left', margin: 20 })).toEqual({ x: '20', y: '20' });
+      expect(PipService.getOverlayPosition({ position: 'bottom-right', margin: 20 }))
+        .toEqual({ x: 'main_w-overlay_w-20', y: 'main_h-overlay_h-20' });
+    });
+  });
+
+  describe('getFilterComplex', () => {
+    it('should scale the camera relative to the screen and overlay it', () => {
+      const graph = PipService.getFilterComplex(
+        { position: 'top-right', size: 30, margin: 10, cornerRadius: 0, borderWidth: 0 },
+        { screenInput: 0, cameraInput: 1 }
+      );
+
+      expect(graph).toBe([
+        '[0:v]null[screen]',
+        '[1:v][screen]scale2ref=w=trunc(main_w*0.3/2)*2:h=trunc(ow/a/2)*2[camera][base]',
+        '[camera]null[pip]',
+        '[base][pip]overlay=x=main_w-overlay_w-10:y=10:eof_action=pass[vout]'
+      ].join(';'));
+    });
+
+    it('should add the border before cutting rounded corners', () => {
+      const graph = PipService.getFilterComplex(
+        { cornerRadius: 24, borderWidth: 4, borderColor: '#FF8800' },
+        { screenInput: 0, cameraInput: 1 }
+      );
+      const cameraChain = graph.split(';')[2];
+
+      expect(cameraChain.indexOf('pad=w=iw+8:h=ih+8:x=4:y=4:color=0xff8800')).toBeLessThan(cameraChain.indexOf('geq='));
+      expect(cameraChain).toContain("a='if(gt(abs(W/2-X),W/2-24)");
+    });
+
+    it('should keep capture filters on the screen and encoder filters last', () => {
+      const graph = PipService.getFilterComplex({}, {
+        screenInput: 0,
+        cameraInput: 1,
+        screenFilters: ['hwdownload', 'format=bgr0'],
+        encoderFilters: ['format=nv12', 'hwupload']
+      });
+
+      expect(graph.startsWith('[0:v]hwdownload,format=bgr0[screen];')).toBe(true);
+      expect(graph.endsWith(',format=nv12,hwupload[vout]')).toBe(true);
+    });
+  });
+
+  describe('getTimelineTransform', () => {
+    it('should zoom the camera to the layout size and move it into the corner', () => {
+      const transform = PipService.getTimelineTransform(
+        { position: 'bottom-right', size: 25, margin: 32 },
+        { width: 1920, height: 1080 },
+        { width: 1280, height: 720 }
+      );
+
+      expect(transform).toEqual({ ZoomX: 0.25, ZoomY: 0.25, Pan: 688, Tilt: -373 });
+    });
+
+    it('should allow for cameras that do not fill the timeline', () => {
+      const transform = PipService.getTimelineTransform(
+        { position: 'top-left', size: 25, margin: 0 },
+        { width: 1920, height: 1080 },
+        { width: 640, height: 480 }
+      );
+
+      // A 4:3 camera fits at 1440x1080 before zooming
+      expect(transform).toEqual({ ZoomX: 0.333, ZoomY: 0.333, Pan: -720, Tilt: 360 });
+    });
+  });
+
+  describe('getMapArgs', () => {
+    it('should map the composited video and each audio input', () => {
+      expect(PipService.getMapArgs([], 2)).toEqual(['-map', '[vout]']);
+      expect(PipService.getMapArgs(['Mic'], 2)).toEqual(['-map', '[vout]', '-map', '2:a']);
+      expect(PipService.getMapArgs(['Mic', 'Stereo Mix'], 2)).toEqual([
+        '-map', '[vout]', '-map', '2:a', '-map', '3:a',
+        '-metadata:s:a:0', 'title=Mic', '-metadata:s:a:1', 'title=Stereo Mix'
+      ]);
+    });
+  });
+
+  describe('layout persistence', () => {
+    it('should save the normalized layout', () => {
+      const result = pipService.saveLayout({ position: 'top-left', size: 5 });
+
+      expect(result.success).toBe(true);
+      expect(result.layout.size).toBe(10);
+      expect(pipService.getLayout()).toEqual(result.layout);
+    });
+
+    it('should reject invalid layouts', () => {
+      expect(pipService.saveLayout(null).success).toBe(false);
+    });
+  });
+});
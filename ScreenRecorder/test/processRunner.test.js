@@ -0,0 +1,79 @@
+/**
+ * Process runner tests
+ */
+
+const { EventEmitter } = require('events');
+const { spawn } = require('child_process');
+const ProcessRunner = require('../utils/processRunner');
+
+jest.mock('child_process', () => ({
+  spawn: jest.fn()
+}));
+
+/**
+ * Create a fake child process
+ */
+function createProcess() {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.kill = jest.fn(() => child.emit('close', null));
+  return child;
+}
+
+describe('ProcessRunner', () => {
+  let child;
+
+  beforeEach(() => {
+    child = createProcess();
+    spawn.mockReset();
+    spawn.mockReturnValue(child);
+  });
+
+  describe('run', () => {
+    it('should collect the output and exit code', async () => {
+      const result = ProcessRunner.run('ffmpeg', ['-encoders']);
+      child.stdout.emit('data', Buffer.from('h264_nvenc'));
+      child.stderr.emit('data', Buffer.from('ffmpeg version'));
+      child.emit('close', 0);
+
+      await expect(result).resolves.toEqual({ code: 0, stdout: 'h264_nvenc', stderr: 'ffmpeg version' });
+      expect(spawn).toHaveBeenCalledWith('ffmpeg', ['-encoders']);
+    });
+
+    it('should run a command line through the shell', async () => {
+      const result = ProcessRunner.run('ffmpeg -f dshow -i audio="Mic"', [], { shell: true });
+      child.emit('close', 0);
+
+      await result;
+      expect(spawn).toHaveBeenCalledWith('ffmpeg -f dshow -i audio="Mic"', [], { shell: true });
+    });
+
+    it('should kill a process that runs past its timeout', async () => {
+      jest.useFakeTimers();
+      const result = ProcessRunner.run('ffmpeg', [], { timeout: 1000 });
+      jest.advanceTimersByTime(1000);
+      jest.useRealTimers();
+
+      await expect(result).resolves.toEqual(expect.objectContaining({ code: null }));
+      expect(child.kill).toHaveBeenCalledWith('SIGKILL');
+    });
+
+    it('should reject when the process cannot start', async () => {
+      const result = ProcessRunner.run('missing-ffmpeg');
+      child.emit('error', new Error('spawn missing-ffmpeg ENOENT'));
+
+      await expect(result).rejects.toThrow('ENOENT');
+    });
+  });
+
+  describe('runChecked', () => {
+    it('should reject with the last line of FFmpeg output on failure', async () => {
+      const result = ProcessRunner.runChecked('ffmpeg', ['-i', 'rec.mp4'], 'Remux');
+      child.stderr.emit('data', Buffer.from('ffmpeg version\nrec.mp4: Invalid data found\n'));
+      child.emit('close', 1);
+
+      await expect(result).rejects.toThrow('Remux failed with exit code 1: rec.mp4: Invalid data found');
+    });
+  });
+});
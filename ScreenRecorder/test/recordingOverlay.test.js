@@ -0,0 +1,228 @@
+/**
+ * Recording overlay utility tests
+ */
+
+const { EventEmitter } = require('events');
+const { ipcMain, BrowserWindow } = require('electron');
+const RecordingOverlay = require('../utils/recordingOverlay');
+
+// Mock electron modules
+jest.mock('electron', () => {
+  const { EventEmitter } = require('events');
+  return {
+    app: {
+      getPath: jest.fn(() => '/mock/videos')
+    },
+    ipcMain: new EventEmitter(),
+    BrowserWindow: jest.fn(),
+    screen: {
+      getPrimaryDisplay: jest.fn(() => ({
+        id: 1,
+        workArea: { x: 0, y: 0, width: 1920, height: 1040 }
+      })),
+      getAllDisplays: jest.fn(() => [
+        { id: 2, workArea: { x: 1920, y: 0, width: 1280, height: 1000 } },
+        { id: 1, workArea: { x: 0, y: 0, width: 1920, height: 1040 } }
+      ])
+    }
+  };
+});
+
+/**
+ * Create a fake overlay window
+ */
+function createWindow(bounds) {
+  const window = new EventEmitter();
+  window.bounds = bounds;
+  window.webContents = new EventEmitter();
+  window.webContents.send = jest.fn();
+  window.loadURL = jest.fn();
+  window.showInactive = jest.fn();
+  window.setAlwaysOnTop = jest.fn();
+  window.setContentProtection = jest.fn();
+  window.getPosition = jest.fn(() => [bounds.x, bounds.y]);
+  window.isDestroyed = jest.fn(() => false);
+  window.close = jest.fn(() => window.emit('closed'));
+  return window;
+}
+
+describe('RecordingOverlay', () => {
+  let overlay;
+  let mockLogger;
+  let mockStore;
+  let handlers;
+  let recording;
+  let windows;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    const values = {};
+    mockStore = {
+      get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+      set: jest.fn((key, value) => { values[key] = value; })
+    };
+
+    recording = true;
+    handlers = {
+      isRecording: () => recording,
+      canPause: () => true,
+      onAction: jest.fn()
+    };
+
+    windows = [];
+    BrowserWindow.mockClear();
+    BrowserWindow.mockImplementation((options) => {
+      const window = createWindow({ x: options.x, y: options.y, width: options.width, height: options.height });
+      window.options = options;
+      windows.push(window);
+      return window;
+    });
+
+    ipcMain.removeAllListeners();
+    overlay = new RecordingOverlay(mockLogger, mockStore, handlers);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const lastState = (window) => window.webContents.send.mock.calls[window.webContents.send.mock.calls.length - 1][1];
+
+  describe('normalizeSettings', () => {
+    it('should fall back to a 3 second countdown with the indicator on', () => {
+      expect(RecordingOverlay.normalizeSettings({ countdown: '7', indicator: 'yes' })).toEqual({ countdown: 3, indicator: true });
+      expect(RecordingOverlay.normalizeSettings({ countdown: '0', indicator: false })).toEqual({ countdown: 0, indicator: false });
+    });
+  });
+
+  describe('getIndicatorBounds', () => {
+    const workArea = { x: 1920, y: 0, width: 1280, height: 1000 };
+
+    it('should start in the top right corner', () => {
+      expect(RecordingOverlay.getIndicatorBounds(workArea)).toEqual({ x: 2964, y: 16, width: 220, height: 40 });
+    });
+
+    it('should keep a dragged position on screen', () => {
+      expect(RecordingOverlay.getIndicatorBounds(workArea, { x: 100, y: 990 })).toEqual({ x: 1920, y: 960, width: 220, height: 40 });
+    });
+  });
+
+  describe('getUncapturedBounds', () => {
+    const workAreas = [{ x: 0, y: 0, width: 1920, height: 1040 }, { x: 1920, y: 0, width: 1280, height: 1000 }];
+
+    it('should keep out of a recorded region, trying the last position first', () => {
+      const region = { x: 0, y: 0, width: 800, height: 600 };
+      expect(RecordingOverlay.getUncapturedBounds(workAreas, region, { x: 1000, y: 700 })).toEqual({ x: 1000, y: 700, width: 220, height: 40 });
+      expect(RecordingOverlay.getUncapturedBounds(workAreas, region, { x: 300, y: 400 })).toEqual({ x: 1684, y: 16, width: 220, height: 40 });
+    });
+
+    it('should move to another display when a whole display is recorded', () => {
+      expect(RecordingOverlay.getUncapturedBounds(workAreas, { x: 0, y: 0, width: 1920, height: 1080 })).toEqual({ x: 2964, y: 16, width: 220, height: 40 });
+      expect(RecordingOverlay.getUncapturedBounds(workAreas, { x: 0, y: 0, width: 3200, height: 1080 })).toBeNull();
+    });
+  });
+
+  describe('formatElapsed', () => {
+    it('should show minutes and seconds, and hours when needed', () => {
+      expect(RecordingOverlay.formatElapsed(65.9)).toBe('1:05');
+      expect(RecordingOverlay.formatElapsed(3725)).toBe('1:02:05');
+    });
+  });
+
+  describe('countdown', () => {
+    it('should not show anything when turned off', async () => {
+      overlay.saveSettings({ countdown: 0, indicator: true });
+
+      expect(await overlay.countdown()).toBe(true);
+      expect(BrowserWindow).not.toHaveBeenCalled();
+    });
+
+    it('should resolve once the finished countdown window has closed', async () => {
+      const counting = overlay.countdown();
+      const [window] = windows;
+      expect(window.options).toEqual(expect.objectContaining({ transparent: true, alwaysOnTop: true, focusable: false }));
+      expect(window.setContentProtection).toHaveBeenCalledWith(true);
+
+      // A second start while counting down is turned away
+      expect(await overlay.countdown()).toBe(false);
+
+      ipcMain.emit('countdown-ended', { sender: window.webContents }, 'finished');
+      expect(await counting).toBe(true);
+      expect(window.close).toHaveBeenCalled();
+    });
+
+    it('should report a countdown clicked away', async () => {
+      const counting = overlay.countdown();
+
+      ipcMain.emit('countdown-ended', { sender: windows[0].webContents }, 'cancelled');
+      expect(await counting).toBe(false);
+    });
+  });
+
+  describe('indicator', () => {
+    it('should show the recorded time, not counting pauses', () => {
+      overlay.showIndicator();
+      const [window] = windows;
+      expect(window.setContentProtection).toHaveBeenCalledWith(true);
+
+      jest.advanceTimersByTime(5000);
+      expect(lastState(window)).toEqual({ elapsed: '0:05', paused: false, canPause: true });
+
+      overlay.setPaused(true);
+      jest.advanceTimersByTime(60000);
+      expect(lastState(window)).toEqual(expect.objectContaining({ elapsed: '0:05', paused: true }));
+
+      overlay.setPaused(false);
+      jest.advanceTimersByTime(2000);
+      expect(lastState(window).elapsed).toBe('0:07');
+    });
+
+    it('should pass its buttons on and close when the recording stops', () => {
+      overlay.showIndicator();
+      const [window] = windows;
+
+      ipcMain.emit('overlay-action', { sender: window.webContents }, 'stop');
+      ipcMain.emit('overlay-action', { sender: {} }, 'pause');
+      expect(handlers.onAction).toHaveBeenCalledTimes(1);
+      expect(handlers.onAction).toHaveBeenCalledWith('stop');
+
+      recording = false;
+      jest.advanceTimersByTime(1000);
+      expect(window.close).toHaveBeenCalled();
+      expect(overlay.indicatorWindow).toBeNull();
+    });
+
+    it('should open where it was dragged to last time', () => {
+      overlay.showIndicator();
+      windows[0].getPosition.mockReturnValue([300, 400]);
+      windows[0].emit('moved');
+      overlay.hideIndicator();
+
+      overlay.showIndicator();
+      expect(windows[1].bounds).toEqual(expect.objectContaining({ x: 300, y: 400 }));
+    });
+
+    it('should keep out of the recorded area where content protection does not work', () => {
+      overlay.showIndicator({ x: 0, y: 0, width: 1920, height: 1080 });
+      expect(windows[0].bounds).toEqual({ x: 2964, y: 16, width: 220, height: 40 });
+      overlay.hideIndicator();
+
+      overlay.showIndicator({ x: 0, y: 0, width: 3200, height: 1080 });
+      expect(windows).toHaveLength(1);
+      expect(overlay.getElapsed()).toBe(0);
+    });
+
+    it('should stay hidden when turned off', () => {
+      overlay.saveSettings({ countdown: 3, indicator: false });
+
+      overlay.showIndicator();
+      expect(BrowserWindow).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Recovery service tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RecoveryService = require('../services/recoveryService');
+const EncoderProfileService = require('../services/encoderProfileService');
+const ProcessRunner = require('../utils/processRunner');
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+/**
+ * Build an MP4 box with a 32-bit size header
+ */
+function box(type, payloadSize = 8) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + payloadSize, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, Buffer.alloc(payloadSize)]);
+}
+
+describe('RecoveryService', () => {
+  let recoveryService;
+  let mockLogger;
+  let tempDir;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recovery-'));
+    recoveryService = new RecoveryService(mockLogger, path.join(tempDir, '.journal'));
+
+    // Stand-in for FFmpeg: copy the input to the output
+    jest.spyOn(ProcessRunner, 'runChecked').mockImplementation(async (ffmpegPath, args) => {
+      fs.copyFileSync(args[args.indexOf('-i') + 1], args[args.length - 1]);
+    });
+    jest.spyOn(recoveryService.segmentService, 'concatSegments').mockImplementation(async (segments, outputPath) => {
+      fs.writeFileSync(outputPath, segments.map(segment => fs.readFileSync(segment, 'latin1')).join(''));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const recordingPath = (name) => path.join(tempDir, name);
+
+  describe('journal', () => {
+    it('should record source, options, start time and expected path', () => {
+      const encodingProfile = EncoderProfileService.getDefaultProfile();
+      const id = recoveryService.startEntry({
+        sourceType: 'window',
+        options: { windowTitle: 'Editor', framerate: '30', encodingProfile },
+        paths: [recordingPath('rec.mkv')]
+      });
+
+      const [entry] = recoveryService.listEntries();
+      expect(entry).toMatchObject({
+        id,
+        sourceType: 'window',
+        options: {
+          windowTitle: 'Editor',
+          framerate: '30',
+          encodingProfile: { id: 'h264-proxy', extension: '.mp4', codec: 'libx264' }
+        },
+        paths: [recordingPath('rec.mkv')]
+      });
+      expect(new Date(entry.startedAt).toString()).not.toBe('Invalid Date');
+    });
+
+    it('should update paths and remove completed entries', () => {
+      const id = recoveryService.startEntry({ sourceType: 'desktop', options: {}, paths: ['a.mp4'] });
+
+      recoveryService.updatePaths(id, ['primary.mp4', 'camera.mp4']);
+      expect(recoveryService.listEntries()[0].paths).toEqual(['primary.mp4', 'camera.mp4']);
+
+      recoveryService.completeEntry(id);
+      expect(recoveryService.listEntries()).toEqual([]);
+    });
+
+    it('should skip corrupt journal files', () => {
+      fs.mkdirSync(recoveryService.journalDir, { recursive: true });
+      fs.writeFileSync(path.join(recoveryService.journalDir, 'broken.json'), '{');
+
+      expect(recoveryService.listEntries()).toEqual([]);
+      expect(mockLogger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('getRepairArgs', () => {
+    it('should copy readable streams and rebuild the MP4 index', () => {
+      expect(recoveryService.getRepairArgs('in.mp4', 'out.mp4')).toEqual([
+        '-y', '-err_detect', 'ignore_err', '-fflags', '+genpts+discardcorrupt',
+        '-i', 'in.mp4', '-map', '0', '-c', 'copy', '-movflags', '+faststart+use_metadata_tags', 'out.mp4'
+      ]);
+      expect(recoveryService.getRepairArgs('in.mkv', 'out.mkv')).not.toContain('-movflags');
+    });
+  });
+
+  describe('recoverAll', () => {
+    it('should remux truncated MKV recordings and clear the journal', async () => {
+      fs.writeFileSync(recordingPath('rec.mkv'), 'partial');
+      recoveryService.startEntry({ sourceType: 'desktop', options: {}, paths: [recordingPath('rec.mkv')] });
+
+      const results = await recoveryService.recoverAll('ffmpeg');
+
+      expect(results).toHaveLength(1);
+      expect(results[0].recovered).toEqual([recordingPath('rec.mkv')]);
+      expect(ProcessRunner.runChecked).toHaveBeenCalledTimes(1);
+      expect(recoveryService.listEntries()).toEqual([]);
+      expect(fs.readdirSync(tempDir).sort()).toEqual(['.journal', 'rec.mkv']);
+    });
+
+    it('should join pause segments with the cut-off last segment', async () => {
+      const output = recordingPath('rec.mp4');
+      fs.writeFileSync(recordingPath('rec.part001.mp4'), 'one');
+      fs.writeFileSync(recordingPath('rec.part002.mp4'), 'two');
+      fs.writeFileSync(output, Buffer.concat([box('ftyp'), box('moov'), box('moof')]));
+      recoveryService.startEntry({ sourceType: 'desktop', options: {}, paths: [output] });
+
+      const [result] = await recoveryService.recoverAll('ffmpeg');
+
+      expect(result.recovered).toEqual([output]);
+      expect(recoveryService.segmentService.concatSegments).toHaveBeenCalledWith(
+        [recordingPath('rec.part001.mp4'), recordingPath('rec.part002.mp4'), output],
+        recordingPath('rec.remux.mp4'),
+        'ffmpeg'
+      );
+      expect(fs.existsSync(recordingPath('rec.part001.mp4'))).toBe(false);
+      expect(fs.readFileSync(output, 'latin1').startsWith('onetwo')).toBe(true);
+    });
+
+    it('should report plain MP4 files without an index as unrecoverable', async () => {
+      const output = recordingPath('rec.mp4');
+      fs.writeFileSync(output, Buffer.concat([box('ftyp'), box('mdat', 64)]));
+      recoveryService.startEntry({ sourceType: 'desktop', options: {}, paths: [output] });
+
+      const [result] = await recoveryService.recoverAll('ffmpeg');
+
+      expect(result.recovered).toEqual([]);
+      expect(result.failed[0]).toMatchObject({ path: output, error: expect.stringContaining('no index') });
+      expect(fs.existsSync(output)).toBe(true);
+    });
+
+    it('should quietly drop entries for recordings that never wrote data', async () => {
+      recoveryService.startEntry({ sourceType: 'camera', options: {}, paths: [recordingPath('never.mp4')] });
+
+      expect(await recoveryService.recoverAll('ffmpeg')).toEqual([]);
+      expect(recoveryService.listEntries()).toEqual([]);
+    });
+  });
+});
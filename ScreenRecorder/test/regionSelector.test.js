@@ -6,6 +6,9 @@ const RegionSelector = require('../utils/regionSelector');
 
 // Mock electron modules
 jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  },
   ipcMain: {
     once: jest.fn(),
     removeListener: jest.fn()
@@ -19,7 +22,11 @@ jest.mock('electron', () => ({
     getPrimaryDisplay: jest.fn(() => ({
       bounds: { x: 0, y: 0, width: 1920, height: 1080 },
       scaleFactor: 1
-    }))
+    })),
+    getAllDisplays: jest.fn(() => [
+      { id: 1, bounds: { x: 0, y: 0, width: 1920, height: 1080 }, scaleFactor: 1 },
+      { id: 2, bounds: { x: -1280, y: -200, width: 1280, height: 720 }, scaleFactor: 1.5 }
+    ])
   }
 }));
 
@@ -88,6 +95,34 @@ describe('RegionSelector', () => {
       expect(html).toContain('const MIN_SIZE = 16');
     });
 
+    it('should report the display the region is drawn on', () => {
+      const html = regionSelector._generateSelectionHTML(-1280, -200, 1.5, 2);
+      expect(html).toContain('const screenX = -1280');
+      expect(html).toContain('const displayId = 2');
+      expect(html).toContain('displayId: displayId');
+    });
+
+    it('should offer resize handles, typed coordinates and the aspect locks', () => {
+      const html = regionSelector._generateSelectionHTML(0, 0, 1);
+      ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'].forEach(handle => {
+        expect(html).toContain(`data-handle="${handle}"`);
+      });
+      ['input-x', 'input-y', 'input-w', 'input-h', 'save-name'].forEach(id => {
+        expect(html).toContain(`id="${id}"`);
+      });
+      expect(html).toContain('const ASPECT_RATIOS = ["16:9","9:16","1:1","4:5"]');
+    });
+
+    it('should pass windows and saved regions without breaking out of the script', () => {
+      const html = regionSelector._generateSelectionHTML(0, 0, 1, 1, {
+        windows: [{ x: 10, y: 20, width: 300, height: 200 }],
+        savedRegions: [{ name: '</script><b>', x: 0, y: 0, width: 100, height: 100 }]
+      });
+      expect(html).toContain('const windowRects = [{"x":10,"y":20,"width":300,"height":200}]');
+      expect(html).not.toContain('</script><b>');
+      expect(html).toContain('\\u003c/script>\\u003cb>');
+    });
+
     it('should include selection interface elements', () => {
       const html = regionSelector._generateSelectionHTML(0, 0, 1);
       expect(html).toContain('id="selection-box"');
@@ -146,5 +181,49 @@ describe('RegionSelector', () => {
       expect(ipcMain.once).toHaveBeenCalledWith('region-selected', expect.any(Function));
       expect(mockWindow.on).toHaveBeenCalledWith('closed', expect.any(Function));
     });
+
+    it('should close every display\'s window once a region is selected', () => {
+      const { ipcMain } = require('electron');
+      const mockWindows = [1, 2].map(() => ({ close: jest.fn(), on: jest.fn(), isDestroyed: jest.fn(() => false) }));
+      const mockResolve = jest.fn();
+      const mockReject = jest.fn();
+
+      regionSelector._setupRegionHandlers(mockWindows, mockResolve, mockReject);
+      const region = { x: -1000, y: 0, width: 400, height: 300, displayId: 2 };
+      ipcMain.once.mock.calls[0][1]({}, region);
+
+      expect(mockResolve).toHaveBeenCalledWith(region);
+      mockWindows.forEach(window => expect(window.close).toHaveBeenCalled());
+
+      // Their 'closed' events do not count as a cancel
+      mockWindows[0].on.mock.calls[0][1]();
+      expect(mockReject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getScreenRegion', () => {
+    it('should cover every display', () => {
+      const { BrowserWindow } = require('electron');
+      BrowserWindow.mockImplementation(() => ({ loadURL: jest.fn(), on: jest.fn(), close: jest.fn() }));
+
+      regionSelector.getScreenRegion();
+
+      expect(BrowserWindow).toHaveBeenCalledTimes(2);
+      expect(BrowserWindow).toHaveBeenCalledWith(expect.objectContaining({ x: -1280, y: -200, width: 1280, height: 720 }));
+    });
+
+    it('should offer each display only its own saved regions', () => {
+      const { BrowserWindow } = require('electron');
+      BrowserWindow.mockImplementation(() => ({ loadURL: jest.fn(), on: jest.fn(), close: jest.fn() }));
+      const generate = jest.spyOn(regionSelector, '_generateSelectionHTML');
+
+      regionSelector.getScreenRegion({
+        windows: [],
+        savedRegions: [{ name: 'Vertical', displayId: 2, x: -1000, y: 0, width: 360, height: 640 }]
+      });
+
+      expect(generate.mock.calls[0][4].savedRegions).toEqual([]);
+      expect(generate.mock.calls[1][4].savedRegions).toHaveLength(1);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,165 @@
+/**
+ * Replay buffer service tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReplayBufferService = require('../services/replayBufferService');
+
+// Mock child_process
+jest.mock('child_process', () => ({
+  spawn: jest.fn()
+}));
+
+const mockSpawn = require('child_process').spawn;
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+describe('ReplayBufferService', () => {
+  let replayBufferService;
+  let mockLogger;
+  let bufferDir;
+
+  const createProcess = () => {
+    const handlers = {};
+    return {
+      handlers,
+      on: jest.fn((event, callback) => { handlers[event] = callback; }),
+      stderr: { on: jest.fn() },
+      stdin: { write: jest.fn() },
+      kill: jest.fn()
+    };
+  };
+
+  const writeSegment = (name, modified) => {
+    const filePath = path.join(bufferDir, name);
+    fs.writeFileSync(filePath, name);
+    fs.utimesSync(filePath, modified, modified);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+    bufferDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+    replayBufferService = new ReplayBufferService(mockLogger, bufferDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(bufferDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe('clampDuration', () => {
+    it('should keep durations within 60-300 seconds', () => {
+      expect(replayBufferService.clampDuration(10)).toBe(60);
+      expect(replayBufferService.clampDuration('180')).toBe(180);
+      expect(replayBufferService.clampDuration(900)).toBe(300);
+      expect(replayBufferService.clampDuration(undefined)).toBe(120);
+    });
+  });
+
+  describe('getBufferArgs', () => {
+    it('should write a wrapping MPEG-TS segment ring', () => {
+      const args = replayBufferService.getBufferArgs(['-f', 'gdigrab', '-i', 'desktop'], '30', 60);
+
+      expect(args.slice(0, 4)).toEqual(['-f', 'gdigrab', '-i', 'desktop']);
+      expect(args).toEqual(expect.arrayContaining(['-f', 'segment', '-segment_format', 'mpegts']));
+      expect(args[args.indexOf('-g') + 1]).toBe('30');
+      expect(args[args.indexOf('-segment_time') + 1]).toBe('5');
+      // 60s / 5s + 1 segment being written + 1 spare
+      expect(args[args.indexOf('-segment_wrap') + 1]).toBe('14');
+      expect(args[args.length - 1]).toBe(path.join(bufferDir, 'buffer-%03d.ts'));
+    });
+  });
+
+  describe('start / stop', () => {
+    it('should clear old segments and spawn the buffer', () => {
+      const process = createProcess();
+      mockSpawn.mockReturnValue(process);
+      writeSegment('buffer-000.ts', new Date());
+
+      const result = replayBufferService.start(['-i', 'desktop'], { framerate: '30', duration: 90 });
+
+      expect(result).toEqual({ success: true, duration: 90 });
+      expect(fs.readdirSync(bufferDir)).toEqual([]);
+      expect(mockSpawn.mock.calls[0][0]).toContain('-segment_wrap 20');
+      expect(replayBufferService.isRunning()).toBe(true);
+      expect(replayBufferService.start(['-i', 'desktop']).success).toBe(false);
+    });
+
+    it('should stop gracefully and reset when the process exits', () => {
+      const process = createProcess();
+      mockSpawn.mockReturnValue(process);
+      replayBufferService.start(['-i', 'desktop']);
+
+      expect(replayBufferService.stop()).toEqual({ success: true });
+      expect(process.stdin.write).toHaveBeenCalledWith('q');
+
+      process.handlers.close(0, null);
+      expect(replayBufferService.isRunning()).toBe(false);
+      expect(replayBufferService.forceKillTimeout).toBeNull();
+    });
+  });
+
+  describe('selectSegments', () => {
+    it('should return the newest segments in playback order', () => {
+      const now = Date.now() / 1000;
+      writeSegment('buffer-002.ts', now - 30);
+      writeSegment('buffer-000.ts', now - 20);
+      writeSegment('buffer-001.ts', now - 10);
+      fs.writeFileSync(path.join(bufferDir, 'other.txt'), 'x');
+
+      replayBufferService.getSegmentCount = () => 2;
+      const selected = replayBufferService.selectSegments(replayBufferService.listSegments(), 60);
+
+      expect(selected.map(segment => path.basename(segment.path))).toEqual(['buffer-000.ts', 'buffer-001.ts']);
+    });
+  });
+
+  describe('save', () => {
+    it('should report an empty buffer', async () => {
+      const result = await replayBufferService.save(path.join(bufferDir, 'replay.mp4'));
+      expect(result).toEqual({ success: false, error: 'Replay buffer is empty' });
+    });
+
+    it('should join snapshot copies and clean them up', async () => {
+      const now = Date.now() / 1000;
+      writeSegment('buffer-000.ts', now - 10);
+      writeSegment('buffer-001.ts', now);
+      const outputPath = path.join(bufferDir, 'replay.mp4');
+
+      jest.spyOn(replayBufferService.segmentService, 'concatSegments').mockResolvedValue();
+
+      const result = await replayBufferService.save(outputPath, 'ffmpeg');
+
+      expect(result).toEqual({ success: true, filePath: outputPath });
+      expect(replayBufferService.segmentService.concatSegments).toHaveBeenCalledWith(
+        [path.join(bufferDir, 'snapshot-0.ts'), path.join(bufferDir, 'snapshot-1.ts')],
+        outputPath,
+        'ffmpeg',
+        ['-bsf:a', 'aac_adtstoasc']
+      );
+      expect(fs.readdirSync(bufferDir).sort()).toEqual(['buffer-000.ts', 'buffer-001.ts']);
+      expect(replayBufferService.isSaving).toBe(false);
+    });
+
+    it('should report concat failures', async () => {
+      writeSegment('buffer-000.ts', new Date());
+      jest.spyOn(replayBufferService.segmentService, 'concatSegments').mockRejectedValue(new Error('bad segment'));
+
+      const result = await replayBufferService.save(path.join(bufferDir, 'replay.mp4'));
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('bad segment');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Saved region service tests
+ */
+
+const SavedRegionService = require('../services/savedRegionService');
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+describe('SavedRegionService', () => {
+  let savedRegionService;
+  let mockLogger;
+  let values;
+
+  const vertical = { x: 100, y: 50, width: 720, height: 1280, displayId: 2, aspect: '9:16', saveAs: 'Vertical' };
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    values = {};
+    const mockStore = {
+      get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+      set: jest.fn((key, value) => { values[key] = value; })
+    };
+
+    savedRegionService = new SavedRegionService(mockLogger, mockStore);
+  });
+
+  describe('normalizeRegion', () => {
+    it('should keep the position, size, display and aspect lock only', () => {
+      expect(SavedRegionService.normalizeRegion(vertical))
+        .toEqual({ x: 100, y: 50, width: 720, height: 1280, displayId: 2, aspect: '9:16' });
+      expect(SavedRegionService.normalizeRegion({ x: 0, y: 0, width: 10, height: 10, aspect: '3:2' }).aspect).toBeNull();
+    });
+
+    it('should reject regions without a size', () => {
+      expect(SavedRegionService.normalizeRegion({ x: 0, y: 0, width: 0, height: 10 })).toBeNull();
+      expect(SavedRegionService.normalizeRegion({ x: 'left', y: 0, width: 10, height: 10 })).toBeNull();
+      expect(SavedRegionService.normalizeRegion(null)).toBeNull();
+    });
+  });
+
+  describe('save', () => {
+    it('should save a region and find it by name in any case', () => {
+      const result = savedRegionService.save('  Vertical   clip ', vertical);
+
+      expect(result).toEqual({ success: true, region: expect.objectContaining({ name: 'Vertical clip', width: 720 }) });
+      expect(savedRegionService.get('vertical CLIP')).toEqual(result.region);
+      expect(savedRegionService.list()).toHaveLength(1);
+    });
+
+    it('should replace a region saved under the same name', () => {
+      savedRegionService.save('Vertical', vertical);
+      savedRegionService.save('VERTICAL', { ...vertical, x: 300 });
+
+      expect(savedRegionService.list()).toEqual([expect.objectContaining({ name: 'VERTICAL', x: 300 })]);
+    });
+
+    it('should need a name and a valid region', () => {
+      expect(savedRegionService.save('  ', vertical).error).toBe('Enter a name for the region');
+      expect(savedRegionService.save('Empty', { x: 0, y: 0, width: 0, height: 0 }).error).toBe('Invalid region');
+    });
+
+    it('should keep to the limit', () => {
+      for (let i = 0; i < 20; i++) {
+        savedRegionService.save(`Region ${i}`, vertical);
+      }
+
+      expect(savedRegionService.save('One more', vertical).error).toContain('Up to 20');
+      expect(savedRegionService.save('Region 3', { ...vertical, width: 360 }).success).toBe(true);
+    });
+  });
+
+  describe('remove', () => {
+    it('should delete a saved region', () => {
+      savedRegionService.save('Vertical', vertical);
+
+      expect(savedRegionService.remove('vertical').success).toBe(true);
+      expect(savedRegionService.list()).toEqual([]);
+      expect(savedRegionService.remove('Vertical').error).toBe('No saved region named "Vertical"');
+    });
+  });
+
+  describe('list', () => {
+    it('should skip broken entries in the settings file', () => {
+      values.savedRegions = [{ name: 'Broken' }, { ...vertical, name: 'Vertical' }, null];
+
+      expect(savedRegionService.list().map(region => region.name)).toEqual(['Vertical']);
+    });
+  });
+});
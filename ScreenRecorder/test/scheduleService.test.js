@@ -0,0 +1,151 @@
+/**
+ * Schedule service tests
+ */
+
+const ScheduleService = require('../services/scheduleService');
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+describe('ScheduleService', () => {
+  let scheduleService;
+  let mockLogger;
+  let handlers;
+  let recording;
+
+  const NOW = new Date(2026, 5, 1, 9, 0, 0).getTime();
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(NOW);
+
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    recording = false;
+    handlers = {
+      onStart: jest.fn(() => { recording = true; }),
+      onTick: jest.fn(),
+      onExpire: jest.fn(),
+      isRecording: () => recording
+    };
+
+    scheduleService = new ScheduleService(mockLogger, handlers);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const lastStatus = () => handlers.onTick.mock.calls[handlers.onTick.mock.calls.length - 1][0];
+
+  describe('normalizeSchedule', () => {
+    it('should accept a start time, a duration or both', () => {
+      expect(ScheduleService.normalizeSchedule({ startAt: NOW + 60000, duration: '90.4' }, NOW))
+        .toEqual({ startAt: NOW + 60000, duration: 90 });
+      expect(ScheduleService.normalizeSchedule({ startAt: '', duration: 600 }, NOW)).toEqual({ startAt: null, duration: 600 });
+    });
+
+    it('should reject past or far-off start times and bad durations', () => {
+      expect(ScheduleService.normalizeSchedule({ startAt: NOW - 1000 }, NOW).error).toContain('passed');
+      expect(ScheduleService.normalizeSchedule({ startAt: NOW + 8 * 86400000 }, NOW).error).toContain('7 days');
+      expect(ScheduleService.normalizeSchedule({ startAt: 'soon' }, NOW).error).toBe('Invalid start time');
+      expect(ScheduleService.normalizeSchedule({ duration: 0 }, NOW).error).toContain('Duration');
+      expect(ScheduleService.normalizeSchedule({}, NOW).error).toBe('Set a start time, a duration or both');
+    });
+  });
+
+  describe('getDurationArgs', () => {
+    it('should pass the time left to FFmpeg, never 0', () => {
+      expect(ScheduleService.getDurationArgs(null)).toEqual([]);
+      expect(ScheduleService.getDurationArgs(90)).toEqual(['-t', '90.000']);
+      expect(ScheduleService.getDurationArgs(-2)).toEqual(['-t', '0.100']);
+    });
+  });
+
+  describe('schedule', () => {
+    it('should count down and start the recording with the scheduled options', () => {
+      const result = scheduleService.schedule({ startAt: NOW + 3000, duration: 60 }, { sourceType: 'desktop' });
+      expect(result.success).toBe(true);
+
+      jest.advanceTimersByTime(1000);
+      expect(lastStatus()).toEqual(expect.objectContaining({ state: 'waiting', remaining: 2, duration: 60 }));
+      expect(handlers.onStart).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(2000);
+      expect(handlers.onStart).toHaveBeenCalledWith({ sourceType: 'desktop', duration: 60 });
+      expect(scheduleService.getStatus().state).toBe('idle');
+    });
+
+    it('should schedule one recording at a time and cancel it', () => {
+      scheduleService.schedule({ startAt: NOW + 60000 }, {});
+      expect(scheduleService.schedule({ startAt: NOW + 120000 }, {}).error).toContain('already scheduled');
+
+      expect(scheduleService.cancel().success).toBe(true);
+      expect(lastStatus().state).toBe('idle');
+
+      jest.advanceTimersByTime(120000);
+      expect(handlers.onStart).not.toHaveBeenCalled();
+      expect(scheduleService.cancel().success).toBe(false);
+    });
+
+    it('should need a start time', () => {
+      expect(scheduleService.schedule({ duration: 60 }, {}).error).toContain('start time');
+    });
+  });
+
+  describe('timed recordings', () => {
+    it('should not count paused time', () => {
+      scheduleService.setLimit(60);
+      expect(scheduleService.getRemaining()).toBe(60);
+
+      recording = true;
+      scheduleService.startClock();
+      jest.advanceTimersByTime(20000);
+      scheduleService.stopClock();
+      expect(lastStatus()).toEqual(expect.objectContaining({ state: 'recording', remaining: 40 }));
+
+      jest.advanceTimersByTime(30000);
+      expect(scheduleService.getRemaining()).toBe(40);
+      expect(lastStatus().state).toBe('paused');
+
+      scheduleService.startClock();
+      jest.advanceTimersByTime(10000);
+      expect(scheduleService.getRemaining()).toBe(30);
+    });
+
+    it('should stop ticking once the recording has stopped', () => {
+      scheduleService.setLimit(60);
+      recording = true;
+      scheduleService.startClock();
+      jest.advanceTimersByTime(5000);
+
+      recording = false;
+      jest.advanceTimersByTime(1000);
+      expect(lastStatus().state).toBe('idle');
+      expect(scheduleService.getRemaining()).toBeNull();
+
+      const ticks = handlers.onTick.mock.calls.length;
+      jest.advanceTimersByTime(5000);
+      expect(handlers.onTick).toHaveBeenCalledTimes(ticks);
+    });
+
+    it('should stop a recording that FFmpeg did not stop, once', () => {
+      scheduleService.setLimit(10);
+      recording = true;
+      scheduleService.startClock();
+
+      jest.advanceTimersByTime(15000);
+      expect(handlers.onExpire).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(5000);
+      expect(handlers.onExpire).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Segment service tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SegmentService = require('../services/segmentService');
+
+// Mock child_process
+jest.mock('child_process', () => ({
+  spawn: jest.fn()
+}));
+
+const mockSpawn = require('child_process').spawn;
+
+describe('SegmentService', () => {
+  let segmentService;
+  let mockLogger;
+  let tempDir;
+  let outputPath;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+    segmentService = new SegmentService(mockLogger);
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'segments-'));
+    outputPath = path.join(tempDir, 'screen-recording.mp4');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('paths', () => {
+    it('should number segments next to the output file', () => {
+      expect(segmentService.getSegmentPath('/rec/clip.mp4', 2)).toBe('/rec/clip.part002.mp4');
+    });
+
+    it('should name the sidecar after the output file', () => {
+      expect(segmentService.getSidecarPath('/rec/clip.mp4')).toBe('/rec/clip.pauses.json');
+    });
+
+    it('should name the frozen frame after the output file', () => {
+      expect(segmentService.getFramePath('/rec/clip.mp4')).toBe('/rec/clip.frame.png');
+    });
+  });
+
+  describe('buildConcatList', () => {
+    it('should quote paths for the concat demuxer', () => {
+      const list = segmentService.buildConcatList(['C:\\Videos\\a.mp4', "/rec/it's.mp4"]);
+      expect(list).toBe("file 'C:/Videos/a.mp4'\nfile '/rec/it'\\''s.mp4'\n");
+    });
+  });
+
+  describe('getConcatArgs', () => {
+    it('should stream copy without re-encoding', () => {
+      expect(segmentService.getConcatArgs('/rec/list.txt', '/rec/out.mp4')).toEqual([
+        '-y', '-f', 'concat', '-safe', '0', '-i', '/rec/list.txt', '-map', '0', '-c', 'copy', '/rec/out.mp4'
+      ]);
+    });
+  });
+
+  describe('paused spans', () => {
+    it('should record offset and duration of each pause', () => {
+      jest.useFakeTimers().setSystemTime(new Date('2024-01-01T10:00:00Z'));
+      segmentService.startSession(outputPath);
+
+      jest.setSystemTime(new Date('2024-01-01T10:00:05Z'));
+      segmentService.markPaused();
+      expect(segmentService.isPaused()).toBe(true);
+
+      jest.setSystemTime(new Date('2024-01-01T10:00:15Z'));
+      segmentService.markResumed();
+
+      expect(segmentService.isPaused()).toBe(false);
+      expect(segmentService.session.pausedSpans).toEqual([{
+        offset: 5,
+        start: '2024-01-01T10:00:05.000Z',
+        end: '2024-01-01T10:00:15.000Z',
+        duration: 10
+      }]);
+    });
+  });
+
+  describe('keepSegment', () => {
+    it('should move the recorded file to the next segment path', () => {
+      segmentService.startSession(outputPath);
+      fs.writeFileSync(outputPath, 'data');
+
+      const segmentPath = segmentService.keepSegment(outputPath);
+
+      expect(segmentPath).toBe(path.join(tempDir, 'screen-recording.part001.mp4'));
+      expect(fs.existsSync(outputPath)).toBe(false);
+      expect(fs.existsSync(segmentPath)).toBe(true);
+    });
+
+    it('should drop empty segments', () => {
+      segmentService.startSession(outputPath);
+      fs.writeFileSync(outputPath, '');
+
+      expect(segmentService.keepSegment(outputPath)).toBeNull();
+      expect(segmentService.session.segments).toHaveLength(0);
+    });
+  });
+
+  describe('extractLastFrame', () => {
+    it('should save the last frame next to the recording', async () => {
+      mockSpawn.mockImplementation((ffmpegPath, args) => ({
+        stdout: { on: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn((event, callback) => event === 'close' && callback(0))
+      }));
+      segmentService.startSession(outputPath);
+
+      const segmentPath = segmentService.getSegmentPath(outputPath, 1);
+      const framePath = await segmentService.extractLastFrame(segmentPath, 'ffmpeg');
+
+      expect(framePath).toBe(segmentService.getFramePath(outputPath));
+      expect(mockSpawn).toHaveBeenCalledWith('ffmpeg', ['-y', '-sseof', '-1', '-i', segmentPath, '-update', '1', framePath]);
+    });
+
+    it('should report no frame when FFmpeg fails', async () => {
+      mockSpawn.mockImplementation(() => ({
+        stdout: { on: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn((event, callback) => event === 'close' && callback(1))
+      }));
+      segmentService.startSession(outputPath);
+
+      await expect(segmentService.extractLastFrame('/rec/missing.mp4')).resolves.toBeNull();
+      expect(mockLogger.error).toHaveBeenCalledWith(expect.stringContaining('Frame extraction failed'));
+    });
+  });
+
+  describe('finalize', () => {
+    const mockConcat = (code) => {
+      mockSpawn.mockImplementation((ffmpegPath, args) => ({
+        stdout: { on: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn((event, callback) => {
+          if (event === 'close') {
+            if (code === 0) fs.writeFileSync(args[args.length - 1], 'joined');
+            callback(code);
+          }
+        })
+      }));
+    };
+
+    it('should leave uninterrupted recordings untouched', async () => {
+      segmentService.startSession(outputPath);
+
+      const result = await segmentService.finalize();
+
+      expect(result).toEqual({ filePath: outputPath, pausedSpans: [], sidecarPath: null });
+      expect(mockSpawn).not.toHaveBeenCalled();
+    });
+
+    it('should join segments and write the sidecar', async () => {
+      mockConcat(0);
+      segmentService.startSession(outputPath);
+      fs.writeFileSync(outputPath, 'first');
+      segmentService.markPaused();
+      segmentService.keepSegment(outputPath);
+      segmentService.markResumed();
+      fs.writeFileSync(outputPath, 'second');
+      fs.writeFileSync(segmentService.getFramePath(outputPath), 'frame');
+
+      const result = await segmentService.finalize('ffmpeg');
+
+      expect(mockSpawn).toHaveBeenCalledWith('ffmpeg', expect.arrayContaining(['concat', outputPath]));
+      expect(fs.readFileSync(outputPath, 'utf8')).toBe('joined');
+      expect(fs.readdirSync(tempDir).sort()).toEqual(['screen-recording.mp4', 'screen-recording.pauses.json']);
+
+      const sidecar = JSON.parse(fs.readFileSync(result.sidecarPath, 'utf8'));
+      expect(sidecar.recording).toBe('screen-recording.mp4');
+      expect(sidecar.segments).toBe(2);
+      expect(sidecar.pausedSpans).toHaveLength(1);
+      expect(segmentService.hasSession()).toBe(false);
+    });
+
+    it('should keep segments when the concat fails', async () => {
+      mockConcat(1);
+      segmentService.startSession(outputPath);
+      fs.writeFileSync(outputPath, 'first');
+      segmentService.keepSegment(outputPath);
+
+      await expect(segmentService.finalize()).rejects.toThrow('exit code 1');
+      expect(fs.readdirSync(tempDir)).toEqual(['screen-recording.part001.mp4']);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Settings store tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SettingsStore = require('../utils/settingsStore');
+
+describe('SettingsStore', () => {
+  let tempDir;
+  let settingsPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-'));
+    settingsPath = path.join(tempDir, 'nested', 'settings.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should return defaults when nothing is saved', () => {
+    const store = new SettingsStore(settingsPath);
+    expect(store.get('missing', 'fallback')).toBe('fallback');
+  });
+
+  it('should persist values across instances', () => {
+    new SettingsStore(settingsPath).set('encodingProfile', 'dnxhr-hq');
+
+    expect(new SettingsStore(settingsPath).get('encodingProfile')).toBe('dnxhr-hq');
+  });
+
+  it('should ignore a corrupt settings file', () => {
+    fs.mkdirSync(path.dirname(settingsPath), { recursive: true });
+    fs.writeFileSync(settingsPath, '{not json');
+
+    const store = new SettingsStore(settingsPath);
+    expect(store.get('anything', 1)).toBe(1);
+  });
+});
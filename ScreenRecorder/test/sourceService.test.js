@@ -3,6 +3,10 @@
  */
 
 const SourceService = require('../services/sourceService');
+const fs = require('fs');
+const path = require('path');
+const { WindowsCaptureBackend, MacCaptureBackend } = require('../services/captureBackends');
+const { WindowsWindowProvider } = require('../services/windowProviders');
 
 // Mock child_process
 jest.mock('child_process', () => ({
@@ -11,6 +15,13 @@ jest.mock('child_process', () => ({
 
 const mockExec = require('child_process').exec;
 
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
 describe('SourceService', () => {
   let sourceService;
   let mockLogger;
@@ -20,7 +31,7 @@ describe('SourceService', () => {
       log: jest.fn(),
       error: jest.fn()
     };
-    sourceService = new SourceService(mockLogger);
+    sourceService = new SourceService(mockLogger, new WindowsCaptureBackend(), new WindowsWindowProvider(mockLogger));
   });
 
   afterEach(() => {
@@ -30,27 +41,33 @@ describe('SourceService', () => {
   describe('getAvailableWindows', () => {
     it('should parse valid PowerShell output', async () => {
       const mockWindows = [
-        { ProcessName: 'chrome', MainWindowTitle: 'Chrome Window', Id: 1234 },
+        { ProcessName: 'chrome', MainWindowTitle: 'Chrome Window', Id: 1234, Handle: 656210, Left: 10, Top: 20, Width: 1280, Height: 720 },
         { ProcessName: 'notepad', MainWindowTitle: 'Notepad', Id: 5678 }
       ];
 
-      mockExec.mockImplementation((command, callback) => {
+      mockExec.mockImplementation((command, options, callback) => {
         callback(null, JSON.stringify(mockWindows), '');
       });
 
       const windows = await sourceService.getAvailableWindows();
 
+      expect(mockExec).toHaveBeenCalledWith(expect.stringContaining('powershell'), expect.any(Object), expect.any(Function));
       expect(windows).toHaveLength(2);
       expect(windows[0]).toEqual({
         name: 'Chrome Window',
         processName: 'chrome',
         id: 1234,
-        title: 'Chrome Window'
+        pid: 1234,
+        handle: 656210,
+        title: 'Chrome Window',
+        geometry: { x: 10, y: 20, width: 1280, height: 720 },
+        minimized: false
       });
+      expect(windows[1].geometry).toBeNull();
     });
 
     it('should handle empty PowerShell output', async () => {
-      mockExec.mockImplementation((command, callback) => {
+      mockExec.mockImplementation((command, options, callback) => {
         callback(null, '', '');
       });
 
@@ -59,7 +76,7 @@ describe('SourceService', () => {
     });
 
     it('should handle PowerShell errors', async () => {
-      mockExec.mockImplementation((command, callback) => {
+      mockExec.mockImplementation((command, options, callback) => {
         callback(new Error('PowerShell failed'), '', '');
       });
 
@@ -75,7 +92,7 @@ describe('SourceService', () => {
         { ProcessName: 'system', MainWindowTitle: null, Id: 9012 }
       ];
 
-      mockExec.mockImplementation((command, callback) => {
+      mockExec.mockImplementation((command, options, callback) => {
         callback(null, JSON.stringify(mockWindows), '');
       });
 
@@ -83,6 +100,17 @@ describe('SourceService', () => {
       expect(windows).toHaveLength(1);
       expect(windows[0].name).toBe('Chrome Window');
     });
+
+    it('should expose window geometry for region snapping', async () => {
+      mockExec.mockImplementation((command, options, callback) => {
+        callback(null, JSON.stringify({ ProcessName: 'code', MainWindowTitle: 'Editor', Id: 1, Left: 0, Top: 0, Width: 800, Height: 600 }), '');
+      });
+
+      await sourceService.getAvailableWindows();
+
+      expect(sourceService.getWindowGeometry('Editor')).toEqual({ x: 0, y: 0, width: 800, height: 600 });
+      expect(sourceService.getWindowGeometry('Missing')).toBeNull();
+    });
   });
 
   describe('getAvailableCameras', () => {
@@ -122,6 +150,20 @@ describe('SourceService', () => {
       expect(mockLogger.error).toHaveBeenCalled();
     });
 
+    it('should parse avfoundation device output on macOS', async () => {
+      const mockFFmpegOutput = fs.readFileSync(path.join(__dirname, 'fixtures', 'avfoundation-list-devices.txt'), 'utf8');
+      sourceService = new SourceService(mockLogger, new MacCaptureBackend());
+
+      mockExec.mockImplementation((command, callback) => {
+        callback(new Error('Input/output error'), '', mockFFmpegOutput);
+      });
+
+      const cameras = await sourceService.getAvailableCameras();
+
+      expect(mockExec).toHaveBeenCalledWith(expect.stringContaining('-f avfoundation -list_devices true'), expect.any(Function));
+      expect(cameras.map(camera => camera.name)).toEqual(['FaceTime HD Camera', 'OBS Virtual Camera']);
+    });
+
     it('should handle empty device list', async () => {
       const mockFFmpegOutput = `
 [dshow @ 000000] DirectShow video devices
@@ -140,7 +182,8 @@ describe('SourceService', () => {
   describe('updateAvailableSources', () => {
     it('should update both windows and cameras', async () => {
       // Mock windows
-      mockExec.mockImplementation((command, callback) => {
+      mockExec.mockImplementation((command, options, callback) => {
+        callback = callback || options;
         if (command.includes('powershell')) {
           callback(null, JSON.stringify([{ ProcessName: 'test', MainWindowTitle: 'Test Window', Id: 123 }]), '');
         } else if (command.includes('ffmpeg')) {
@@ -157,7 +200,8 @@ describe('SourceService', () => {
     });
 
     it('should handle update errors gracefully', async () => {
-      mockExec.mockImplementation((command, callback) => {
+      mockExec.mockImplementation((command, options, callback) => {
+        callback = callback || options;
         callback(new Error('Update failed'), '', '');
       });
 
@@ -0,0 +1,96 @@
+/**
+ * Sync service tests
+ */
+
+const { EventEmitter } = require('events');
+const SyncService = require('../services/syncService');
+
+const SCREEN_OUTPUT = `Input #0, gdigrab, from 'desktop':
+  Duration: N/A, start: 1729340000.250000, bitrate: 1990656 kb/s
+  Stream #0:0: Video: bmp, bgra, 1920x1080, 1990656 kb/s, 30 fps, 1000k tbr, 1000k tbn
+Input #1, dshow, from 'audio=Microphone (Realtek(R) Audio)':
+  Duration: N/A, start: 1234.567000, bitrate: 1411 kb/s
+`;
+
+/**
+ * Create a fake FFmpeg process
+ */
+function createProcess() {
+  const process = new EventEmitter();
+  process.stderr = new EventEmitter();
+  return process;
+}
+
+describe('SyncService', () => {
+  let syncService;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    syncService = new SyncService(mockLogger);
+  });
+
+  describe('getInputArgs', () => {
+    it('should read inputs with wall-clock timestamps', () => {
+      expect(SyncService.getInputArgs()).toEqual(['-use_wallclock_as_timestamps', '1']);
+    });
+  });
+
+  describe('parseStartTime', () => {
+    it('should read the start of the requested input', () => {
+      expect(SyncService.parseStartTime(SCREEN_OUTPUT)).toBe(1729340000.25);
+      expect(SyncService.parseStartTime(SCREEN_OUTPUT, 1)).toBe(1234.567);
+    });
+
+    it('should wait for the summary to be printed', () => {
+      expect(SyncService.parseStartTime('ffmpeg version 7.0\n')).toBeNull();
+      expect(SyncService.parseStartTime("Input #0, gdigrab, from 'desktop':\n  Dura")).toBeNull();
+    });
+  });
+
+  describe('getFrameOffsets', () => {
+    it('should delay the camera when it started after the screen', () => {
+      expect(SyncService.getFrameOffsets(0.35, 30)).toEqual({ first: 0, second: 11 });
+    });
+
+    it('should delay the screen when the camera started first', () => {
+      expect(SyncService.getFrameOffsets(-0.12, 25)).toEqual({ first: 3, second: 0 });
+    });
+
+    it('should not move clips that started within half a frame', () => {
+      expect(SyncService.getFrameOffsets(0.01, 30)).toEqual({ first: 0, second: 0 });
+    });
+  });
+
+  describe('watch', () => {
+    it('should measure the offset between two processes, even when output arrives in pieces', () => {
+      const screen = createProcess();
+      const camera = createProcess();
+      syncService.watch('screen', screen);
+      syncService.watch('camera', camera);
+
+      screen.stderr.emit('data', Buffer.from(SCREEN_OUTPUT.slice(0, 60)));
+      expect(syncService.getOffset('screen', 'camera')).toBeNull();
+
+      screen.stderr.emit('data', Buffer.from(SCREEN_OUTPUT.slice(60)));
+      camera.stderr.emit('data', Buffer.from("Input #0, dshow, from 'video=USB Camera':\n  Duration: N/A, start: 1729340000.650000, bitrate: N/A\n"));
+
+      expect(syncService.getOffset('screen', 'camera')).toBeCloseTo(0.4, 6);
+      expect(screen.stderr.listenerCount('data')).toBe(0);
+    });
+
+    it('should forget start times on reset', () => {
+      const screen = createProcess();
+      syncService.watch('screen', screen);
+      screen.stderr.emit('data', Buffer.from(SCREEN_OUTPUT));
+
+      syncService.reset();
+
+      expect(syncService.startTimes.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Timeline placement service tests
+ */
+
+const TimelinePlacementService = require('../services/timelinePlacementService');
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+/**
+ * Create a fake timeline item
+ */
+function createItem(start, end) {
+  return {
+    GetStart: jest.fn(() => start),
+    GetEnd: jest.fn(() => end)
+  };
+}
+
+/**
+ * Create a fake 25 fps timeline starting at 01:00:00:00 (frame 90000)
+ * @param {Array} tracks - Per video track, the [start, end] of its items
+ * @param {string} playhead - Current timecode
+ */
+function createTimeline(tracks, playhead = '01:00:04:00') {
+  const trackCounts = { video: tracks.length, audio: 1 };
+  return {
+    GetName: jest.fn(() => 'Edit'),
+    GetSetting: jest.fn(() => '25'),
+    GetStartFrame: jest.fn(() => 90000),
+    GetEndFrame: jest.fn(() => 90250),
+    GetStartTimecode: jest.fn(() => '01:00:00:00'),
+    GetCurrentTimecode: jest.fn(() => playhead),
+    GetTrackCount: jest.fn(type => trackCounts[type]),
+    AddTrack: jest.fn(type => {
+      trackCounts[type]++;
+      return true;
+    }),
+    GetItemListInTrack: jest.fn((type, index) => tracks[index - 1].map(([start, end]) => createItem(start, end))),
+    SetClipsLinked: jest.fn(() => true)
+  };
+}
+
+/**
+ * Create a fake 4 second, 25 fps media pool item
+ */
+function createClip() {
+  const properties = { Frames: '100', FPS: '25' };
+  return {
+    GetClipProperty: jest.fn(name => properties[name])
+  };
+}
+
+describe('TimelinePlacementService', () => {
+  let placementService;
+  let mockLogger;
+  let mockStore;
+  let mediaPool;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    const values = {};
+    mockStore = {
+      get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+      set: jest.fn((key, value) => { values[key] = value; })
+    };
+
+    mediaPool = {
+      AppendToTimeline: jest.fn(clipInfos => clipInfos.map(() => ({}))),
+      CreateEmptyTimeline: jest.fn(() => createTimeline([[]]))
+    };
+
+    placementService = new TimelinePlacementService(mockLogger, mockStore);
+  });
+
+  describe('normalizePlacement', () => {
+    it('should fall back to the defaults and clamp tracks', () => {
+      expect(TimelinePlacementService.normalizePlacement({ mode: 'ripple', videoTrack: '3', audioTrack: 99 }))
+        .toEqual({ mode: 'insert', videoTrack: 3, audioTrack: 20 });
+      expect(TimelinePlacementService.normalizePlacement()).toEqual({ mode: 'insert', videoTrack: 0, audioTrack: 0 });
+    });
+  });
+
+  describe('timecodeToFrames', () => {
+    it('should count frames of drop and non-drop timecodes', () => {
+      expect(TimelinePlacementService.timecodeToFrames('01:00:04:10', 25)).toBe(90110);
+      expect(TimelinePlacementService.timecodeToFrames('00:00:01;02', 29.97)).toBe(32);
+    });
+
+    it('should reject anything else', () => {
+      expect(TimelinePlacementService.timecodeToFrames('', 25)).toBeNull();
+      expect(TimelinePlacementService.timecodeToFrames('4 seconds', 25)).toBeNull();
+    });
+  });
+
+  describe('findFreeTrack', () => {
+    const tracks = [
+      [{ start: 0, end: 100 }],
+      [{ start: 150, end: 200 }],
+      []
+    ];
+
+    it('should find the lowest track with room', () => {
+      expect(TimelinePlacementService.findFreeTrack(tracks, 50, 120)).toBe(2);
+      expect(TimelinePlacementService.findFreeTrack(tracks, 100, 150)).toBe(1);
+    });
+
+    it('should find adjacent free tracks and start from the chosen track', () => {
+      expect(TimelinePlacementService.findFreeTrack(tracks, 50, 180, 2)).toBe(3);
+      expect(TimelinePlacementService.findFreeTrack(tracks, 300, 400, 1, 2)).toBe(2);
+    });
+  });
+
+  describe('getClipInfos', () => {
+    it('should place the whole clip on one track', () => {
+      const clip = {};
+
+      expect(TimelinePlacementService.getClipInfos(clip, { recordFrame: 90, videoTrack: 2, audioTrack: 0 }, 100)).toEqual([
+        { mediaPoolItem: clip, recordFrame: 90, startFrame: 0, endFrame: 99, trackIndex: 2 }
+      ]);
+    });
+
+    it('should split video and audio going to different tracks', () => {
+      const infos = TimelinePlacementService.getClipInfos({}, { recordFrame: 90, videoTrack: 2, audioTrack: 3 }, 0);
+
+      expect(infos.map(info => [info.trackIndex, info.mediaType])).toEqual([[2, 1], [3, 2]]);
+      expect(infos[0]).not.toHaveProperty('endFrame');
+    });
+  });
+
+  describe('place', () => {
+    it('should insert at the playhead on the first free track', async () => {
+      const timeline = createTimeline([[[90000, 90150]], []]);
+      const project = { GetCurrentTimeline: jest.fn(() => timeline) };
+
+      const result = await placementService.place(mediaPool, project, createClip());
+
+      expect(mediaPool.AppendToTimeline).toHaveBeenCalledWith([
+        expect.objectContaining({ recordFrame: 90100, trackIndex: 2, endFrame: 99 })
+      ]);
+      expect(result.message).toBe('Recording inserted at the playhead on video track 2 of "Edit"');
+    });
+
+    it('should overwrite on the chosen track, adding tracks as needed', async () => {
+      const timeline = createTimeline([[[90000, 90150]]]);
+      const project = { GetCurrentTimeline: jest.fn(() => timeline) };
+
+      const result = await placementService.place(mediaPool, project, createClip(),
+        { mode: 'overwrite', videoTrack: 1, audioTrack: 2 });
+
+      expect(timeline.AddTrack).toHaveBeenCalledWith('audio', 'stereo');
+      expect(mediaPool.AppendToTimeline.mock.calls[0][0].map(info => [info.recordFrame, info.trackIndex]))
+        .toEqual([[90100, 1], [90100, 2]]);
+      expect(timeline.SetClipsLinked).toHaveBeenCalled();
+      expect(result.message).toBe('Recording placed over the playhead on video track 1, audio track 2 of "Edit"');
+    });
+
+    it('should append to the end of the timeline', async () => {
+      const timeline = createTimeline([[[90000, 90250]]]);
+      const project = { GetCurrentTimeline: jest.fn(() => timeline) };
+      placementService.savePlacement({ mode: 'append', videoTrack: 0, audioTrack: 0 });
+
+      const result = await placementService.place(mediaPool, project, createClip());
+
+      expect(result.recordFrame).toBe(90250);
+      expect(result.videoTrack).toBe(1);
+      expect(timeline.GetItemListInTrack).not.toHaveBeenCalled();
+    });
+
+    it('should create a new timeline when asked or when none is open', async () => {
+      const project = {
+        GetCurrentTimeline: jest.fn(() => null),
+        SetCurrentTimeline: jest.fn(() => true)
+      };
+
+      const result = await placementService.place(mediaPool, project, createClip());
+
+      expect(mediaPool.CreateEmptyTimeline).toHaveBeenCalled();
+      expect(result.createdNewTimeline).toBe(true);
+      expect(result.message).toBe('Recording added to new timeline "Edit" on video track 1');
+    });
+
+    it('should report clips Resolve does not place', async () => {
+      const timeline = createTimeline([[]]);
+      const project = { GetCurrentTimeline: jest.fn(() => timeline) };
+      mediaPool.AppendToTimeline.mockReturnValue([]);
+
+      await expect(placementService.place(mediaPool, project, createClip())).rejects.toThrow('video track 1');
+    });
+  });
+});
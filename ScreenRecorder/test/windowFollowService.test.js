@@ -0,0 +1,249 @@
+/**
+ * Window follow service tests
+ */
+
+const WindowFollowService = require('../services/windowFollowService');
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+/**
+ * Create a window in the window providers' shape
+ */
+function createWindow(title, pid, handle, size = { width: 1280, height: 720 }, minimized = false) {
+  return { name: title, title, processName: 'app', id: pid, pid, handle, geometry: { x: 0, y: 0, ...size }, minimized };
+}
+
+describe('WindowFollowService', () => {
+  let service;
+  let mockLogger;
+  let mockProvider;
+  let handlers;
+  let windows;
+  let recording;
+  let listingError;
+
+  const editor = createWindow('main.js - Editor', 42, 1001);
+
+  // Let the interval fire and the provider's promises settle
+  const poll = async () => {
+    jest.advanceTimersByTime(2000);
+    for (let i = 0; i < 5; i++) {
+      await Promise.resolve();
+    }
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+
+    windows = [editor];
+    listingError = null;
+    mockProvider = {
+      queryWindows: jest.fn(async () => (listingError
+        ? { success: false, windows: [], error: listingError }
+        : { success: true, windows })),
+      getWindow: jest.fn(async ({ handle }) => (listingError
+        ? { success: false, window: null, error: listingError }
+        : { success: true, window: windows.find(window => String(window.handle) === String(handle)) || null })),
+      release: jest.fn(),
+      isMinimized: jest.fn(async window => window.minimized)
+    };
+
+    const values = {};
+    const mockStore = {
+      get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+      set: jest.fn((key, value) => { values[key] = value; })
+    };
+
+    recording = true;
+    handlers = {
+      isRecording: () => recording,
+      onChange: jest.fn()
+    };
+
+    service = new WindowFollowService(mockLogger, mockProvider, mockStore, handlers);
+  });
+
+  afterEach(() => {
+    service.stop();
+    jest.useRealTimers();
+  });
+
+  describe('normalizeSettings', () => {
+    it('should pause on minimize and stop on close by default', () => {
+      expect(WindowFollowService.normalizeSettings({})).toEqual({ minimized: 'pause', closed: 'stop' });
+      expect(WindowFollowService.normalizeSettings({ minimized: 'freeze', closed: 'hide' })).toEqual({ minimized: 'freeze', closed: 'stop' });
+    });
+  });
+
+  describe('matchTitle', () => {
+    it('should match part of the title, ignoring case, with * as a wildcard', () => {
+      expect(WindowFollowService.matchTitle('index.html - Visual Studio Code', 'visual studio')).toBe(true);
+      expect(WindowFollowService.matchTitle('Pull request (#42) - Firefox', '(#42)*firefox')).toBe(true);
+      expect(WindowFollowService.matchTitle('Terminal', 'Firefox')).toBe(false);
+      expect(WindowFollowService.matchTitle('Terminal', '  ')).toBe(false);
+    });
+  });
+
+  describe('findWindow', () => {
+    const windowsOpen = [
+      createWindow('Inbox - Mail', 7, 500),
+      createWindow('Docs - Browser', 42, 2002),
+      createWindow('Settings - Browser', 42, 2003)
+    ];
+
+    it('should prefer the handle, then the process, then the title', () => {
+      expect(WindowFollowService.findWindow(windowsOpen, { handle: '2003', pid: 42 }))
+        .toEqual({ window: windowsOpen[2], matchedBy: 'handle' });
+      expect(WindowFollowService.findWindow(windowsOpen, { handle: 1001, pid: 42, titlePattern: 'Docs' }))
+        .toEqual({ window: windowsOpen[1], matchedBy: 'pid' });
+      expect(WindowFollowService.findWindow(windowsOpen, { handle: 1001, pid: 99, titlePattern: '* - mail' }))
+        .toEqual({ window: windowsOpen[0], matchedBy: 'title' });
+      expect(WindowFollowService.findWindow(windowsOpen, { handle: 1001, pid: 99, titlePattern: 'Editor' })).toBeNull();
+    });
+
+    it('should not take a reused handle from another process', () => {
+      expect(WindowFollowService.findWindow(windowsOpen, { handle: 500, pid: 42 }).matchedBy).toBe('pid');
+    });
+  });
+
+  describe('frame size', () => {
+    it('should keep the size the recording started with, or the chosen resolution', () => {
+      expect(WindowFollowService.getFrameSize({ x: 0, y: 0, width: 1281, height: 721 }, 'desktop')).toEqual({ width: 1280, height: 720 });
+      expect(WindowFollowService.getFrameSize({ x: 0, y: 0, width: 800, height: 600 }, '1920x1080')).toEqual({ width: 1920, height: 1080 });
+      expect(WindowFollowService.getFrameSize(null, 'desktop')).toBeNull();
+    });
+
+    it('should letterbox a resized window into the frame', () => {
+      expect(WindowFollowService.getFitFilters({ width: 1280, height: 720 })).toEqual([
+        'scale=1280:720:force_original_aspect_ratio=decrease:force_divisible_by=2',
+        'pad=1280:720:-1:-1'
+      ]);
+      expect(WindowFollowService.getFitFilters(null)).toEqual([]);
+    });
+  });
+
+  describe('start', () => {
+    it('should find the window it was given', async () => {
+      const result = await service.start({ handle: '1001', pid: '42', title: 'main.js - Editor' });
+
+      expect(result).toEqual({ success: true, window: editor });
+      expect(service.getWindow()).toBe(editor);
+    });
+
+    it('should refuse to start when windows cannot be listed', async () => {
+      listingError = 'neither wmctrl nor xdotool is available';
+
+      expect((await service.start({ handle: 1001, pid: 42, title: 'main.js - Editor' })).error)
+        .toBe('Could not list windows: neither wmctrl nor xdotool is available');
+    });
+
+    it('should refuse a closed or minimized window', async () => {
+      windows = [];
+      expect((await service.start({ handle: 1001, pid: 42, title: 'main.js - Editor' })).error).toBe('Window not found: main.js - Editor');
+
+      windows = [{ ...editor, minimized: true }];
+      expect((await service.start({ handle: 1001, pid: 42, title: 'main.js - Editor' })).error).toContain('minimized');
+      expect(service.isFollowing()).toBe(false);
+    });
+  });
+
+  describe('check', () => {
+    it('should fail when no window is followed', async () => {
+      await expect(service.check()).resolves.toEqual({ success: false, error: 'No window is being followed' });
+    });
+  });
+
+  describe('following', () => {
+    beforeEach(async () => {
+      await service.start({ handle: 1001, pid: 42, title: 'main.js - Editor', titlePattern: 'Editor' });
+    });
+
+    it('should look up only the followed handle while the window is there', async () => {
+      await poll();
+      await poll();
+
+      expect(mockProvider.getWindow).toHaveBeenCalledWith({ handle: 1001 });
+      expect(mockProvider.queryWindows).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not report title changes of a window captured by handle', async () => {
+      windows = [{ ...editor, title: 'renderer.js - Editor' }];
+      await poll();
+
+      expect(handlers.onChange).not.toHaveBeenCalled();
+    });
+
+    it('should report the window minimized and back', async () => {
+      windows = [{ ...editor, minimized: true }];
+      await poll();
+      await poll();
+
+      windows = [editor];
+      await poll();
+
+      expect(handlers.onChange.mock.calls.map(([change]) => [change.state, change.restart])).toEqual([
+        ['minimized', false],
+        ['visible', false]
+      ]);
+    });
+
+    it('should capture a resized window again', async () => {
+      const resized = { ...editor, geometry: { x: 0, y: 0, width: 1600, height: 900 } };
+      windows = [resized];
+      await poll();
+
+      expect(handlers.onChange).toHaveBeenCalledWith({ state: 'visible', window: resized, restart: true });
+      expect(service.getWindow()).toBe(resized);
+    });
+
+    it('should find a closed window again by its title', async () => {
+      windows = [];
+      await poll();
+
+      const reopened = createWindow('notes.txt - Editor', 77, 3003);
+      windows = [reopened];
+      await poll();
+
+      expect(handlers.onChange.mock.calls.map(([change]) => change.state)).toEqual(['closed', 'visible']);
+      expect(handlers.onChange).toHaveBeenLastCalledWith({ state: 'visible', window: reopened, restart: true });
+    });
+
+    it('should not take a failed listing for a closed window', async () => {
+      listingError = 'PowerShell failed';
+      await poll();
+
+      expect(handlers.onChange).not.toHaveBeenCalled();
+      expect(service.getWindow()).toBe(editor);
+    });
+
+    it('should look the window up on request without reporting it', async () => {
+      windows = [];
+      await expect(service.check()).resolves.toEqual(expect.objectContaining({ success: true, state: 'closed', changed: true }));
+      await poll();
+      expect(handlers.onChange).not.toHaveBeenCalled();
+
+      windows = [editor];
+      await poll();
+      expect(handlers.onChange).toHaveBeenCalledWith({ state: 'visible', window: editor, restart: false });
+    });
+
+    it('should stop when the recording has stopped', async () => {
+      recording = false;
+      await poll();
+
+      expect(service.isFollowing()).toBe(false);
+      expect(mockProvider.queryWindows).toHaveBeenCalledTimes(1);
+      expect(mockProvider.release).toHaveBeenCalled();
+    });
+  });
+});
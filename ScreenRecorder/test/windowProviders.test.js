@@ -0,0 +1,215 @@
+/**
+ * Window provider tests
+ */
+
+const { EventEmitter } = require('events');
+const {
+  getWindowProvider,
+  WindowProvider,
+  WindowsWindowProvider,
+  X11WindowProvider
+} = require('../services/windowProviders');
+
+// Mock child_process
+jest.mock('child_process', () => ({
+  exec: jest.fn(),
+  spawn: jest.fn()
+}));
+
+const mockExec = require('child_process').exec;
+const mockSpawn = require('child_process').spawn;
+
+/**
+ * Create a fake PowerShell process
+ */
+function createProcess() {
+  const process = new EventEmitter();
+  process.stdout = new EventEmitter();
+  process.stderr = new EventEmitter();
+  process.stdin = new EventEmitter();
+  process.stdin.write = jest.fn();
+  process.exitCode = null;
+  process.killed = false;
+  process.kill = jest.fn(() => { process.killed = true; });
+  return process;
+}
+
+// Mock app.getPath
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/videos')
+  }
+}));
+
+describe('Window providers', () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn(),
+      error: jest.fn()
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getWindowProvider', () => {
+    it('should pick PowerShell on Windows', () => {
+      expect(getWindowProvider(mockLogger, 'win32', {})).toBeInstanceOf(WindowsWindowProvider);
+    });
+
+    it('should pick X11 on Linux with a display', () => {
+      expect(getWindowProvider(mockLogger, 'linux', { DISPLAY: ':0' })).toBeInstanceOf(X11WindowProvider);
+    });
+
+    it('should return an empty provider elsewhere', async () => {
+      const provider = getWindowProvider(mockLogger, 'darwin', {});
+      expect(provider.constructor).toBe(WindowProvider);
+      await expect(provider.listWindows()).resolves.toEqual([]);
+    });
+  });
+
+  describe('WindowsWindowProvider', () => {
+    it('should run the script as an encoded command', () => {
+      const provider = new WindowsWindowProvider(mockLogger);
+      expect(provider.getCommand()).toMatch(/^powershell -NoProfile -NonInteractive -EncodedCommand [A-Za-z0-9+/=]+$/);
+    });
+
+    it('should report minimized windows', async () => {
+      const provider = new WindowsWindowProvider(mockLogger);
+      const [window] = provider.parse(JSON.stringify({
+        ProcessName: 'Code', MainWindowTitle: 'main.js - Editor', Id: 42, Handle: 132456,
+        Left: -32000, Top: -32000, Width: 160, Height: 28, Minimized: true
+      }));
+
+      expect(window).toEqual(expect.objectContaining({ pid: 42, handle: 132456, minimized: true }));
+      await expect(provider.isMinimized(window)).resolves.toBe(true);
+    });
+
+    it('should tell a failed listing from no windows', async () => {
+      const provider = new WindowsWindowProvider(mockLogger);
+      mockExec.mockImplementationOnce((command, options, callback) => callback(null, '', ''));
+      await expect(provider.queryWindows()).resolves.toEqual({ success: true, windows: [] });
+
+      mockExec.mockImplementationOnce((command, options, callback) => callback(new Error('Access denied'), '', ''));
+      await expect(provider.queryWindows()).resolves.toEqual({ success: false, windows: [], error: 'Access denied' });
+    });
+
+    it('should look up a followed window in one PowerShell process', async () => {
+      const provider = new WindowsWindowProvider(mockLogger);
+      const process = createProcess();
+      mockSpawn.mockReturnValue(process);
+
+      const first = provider.getWindow({ handle: 132456 });
+      expect(process.stdin.write).toHaveBeenCalledWith('132456\n');
+      process.stdout.emit('data', Buffer.from(JSON.stringify({
+        ProcessName: 'Code', MainWindowTitle: 'main.js - Editor', Id: 42, Handle: 132456,
+        Left: 0, Top: 0, Width: 1280, Height: 720, Minimized: true
+      }) + '\r\n'));
+      expect((await first).window).toEqual(expect.objectContaining({ pid: 42, geometry: { x: 0, y: 0, width: 1280, height: 720 }, minimized: true }));
+
+      const second = provider.getWindow({ handle: 132456 });
+      process.stdout.emit('data', Buffer.from('null\r\n'));
+      await expect(second).resolves.toEqual({ success: true, window: null });
+      expect(mockSpawn).toHaveBeenCalledTimes(1);
+      expect(mockExec).not.toHaveBeenCalled();
+
+      provider.release();
+      expect(process.kill).toHaveBeenCalled();
+    });
+
+    it('should report a lookup that PowerShell could not answer', async () => {
+      const provider = new WindowsWindowProvider(mockLogger);
+      const process = createProcess();
+      mockSpawn.mockReturnValue(process);
+
+      const lookup = provider.getWindow({ handle: 132456 });
+      process.stderr.emit('data', Buffer.from('Add-Type : Cannot add type\n'));
+      process.exitCode = 1;
+      process.emit('close', 1);
+
+      await expect(lookup).resolves.toEqual({ success: false, window: null, error: 'PowerShell exited with code 1: Add-Type : Cannot add type' });
+      expect(provider.watcher).toBeNull();
+    });
+  });
+
+  describe('X11WindowProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new X11WindowProvider(mockLogger);
+      jest.spyOn(provider, '_getProcessName').mockImplementation(pid => `proc-${pid}`);
+    });
+
+    it('should parse wmctrl -lpG output', () => {
+      const output = [
+        '0x04a00003  0 4321   10   40   1280 720  workstation Resolve - Project 1',
+        '0x02c00007 -1 1200   0    0    1920 32   workstation ',
+        '0x03600004  1 987    -1920 0   1920 1080 workstation Terminal'
+      ].join('\n');
+
+      const windows = provider.parseWmctrl(output);
+
+      expect(windows).toHaveLength(2);
+      expect(windows[0]).toEqual({
+        name: 'Resolve - Project 1',
+        title: 'Resolve - Project 1',
+        processName: 'proc-4321',
+        id: 4321,
+        pid: 4321,
+        handle: '0x04a00003',
+        geometry: { x: 10, y: 40, width: 1280, height: 720 },
+        minimized: false
+      });
+      expect(windows[1].geometry.x).toBe(-1920);
+    });
+
+    it('should read the minimized state with xprop', async () => {
+      mockExec.mockImplementation((command, options, callback) =>
+        callback(null, '_NET_WM_STATE(ATOM) = _NET_WM_STATE_HIDDEN, _NET_WM_STATE_SKIP_TASKBAR\n', ''));
+
+      await expect(provider.isMinimized({ handle: '0x04a00003' })).resolves.toBe(true);
+      expect(mockExec.mock.calls[0][0]).toBe('xprop _NET_WM_STATE -id 0x04a00003');
+
+      mockExec.mockImplementation((command, options, callback) => callback(null, '_NET_WM_STATE(ATOM) = \n', ''));
+      await expect(provider.isMinimized({ handle: '0x04a00003' })).resolves.toBe(false);
+    });
+
+    it('should parse xdotool geometry', () => {
+      expect(provider.parseXdotoolGeometry('WINDOW=123\nX=50\nY=60\nWIDTH=800\nHEIGHT=600\nSCREEN=0\n'))
+        .toEqual({ x: 50, y: 60, width: 800, height: 600 });
+      expect(provider.parseXdotoolGeometry('')).toBeNull();
+    });
+
+    it('should fall back to xdotool when wmctrl is missing', async () => {
+      mockExec.mockImplementation((command, options, callback) => {
+        if (command.startsWith('wmctrl')) return callback(new Error('not found'), '', '');
+        if (command.startsWith('xdotool search')) return callback(null, '77594627\n', '');
+        if (command.startsWith('xdotool getwindowname')) return callback(null, 'Browser Tab\n', '');
+        if (command.startsWith('xdotool getwindowpid')) return callback(null, '555\n', '');
+        return callback(null, 'X=0\nY=0\nWIDTH=1024\nHEIGHT=768\n', '');
+      });
+
+      const windows = await provider.listWindows();
+
+      expect(windows).toEqual([expect.objectContaining({
+        title: 'Browser Tab',
+        pid: 555,
+        handle: '0x4a00003',
+        geometry: { x: 0, y: 0, width: 1024, height: 768 }
+      })]);
+    });
+
+    it('should report a failed listing when no X11 tool is available', async () => {
+      mockExec.mockImplementation((command, options, callback) => callback(new Error('not found'), '', ''));
+
+      await expect(provider.queryWindows()).resolves.toEqual({
+        success: false, windows: [], error: 'neither wmctrl nor xdotool is available'
+      });
+      await expect(provider.listWindows()).resolves.toEqual([]);
+      expect(mockLogger.error).toHaveBeenCalled();
+    });
+  });
+});
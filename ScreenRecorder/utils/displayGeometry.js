@@ -0,0 +1,219 @@
+/**
+ * Display geometry - maps selections in Electron's coordinates to capture pixels
+ *
+ * Electron lays displays out in device-independent pixels (DIPs), while the
+ * grabbers work in physical pixels: gdigrab from the primary display's
+ * top-left corner (so displays left of or above it have negative offsets),
+ * x11grab from the top-left corner of the whole X screen, and avfoundation
+ * per screen. With mixed scale factors DIP and physical layouts differ, so a
+ * rectangle is always mapped through the display it lies on. Pure functions
+ * only, so the math can be tested without Electron.
+ *
+ * A display is { id, bounds, scaleFactor, primary, physicalBounds }, where
+ * bounds are in DIPs and physicalBounds are the display's pixels on the
+ * desktop when the platform can tell (Windows), otherwise bounds scaled.
+ */
+
+class DisplayGeometry {
+  /**
+   * Scale a rectangle
+   * @param {Object} rect - { x, y, width, height }
+   * @param {number} factor - Scale factor
+   * @returns {Object} Scaled rectangle, rounded to whole pixels
+   */
+  static scaleRect(rect, factor) {
+    return {
+      x: Math.round(rect.x * factor),
+      y: Math.round(rect.y * factor),
+      width: Math.round(rect.width * factor),
+      height: Math.round(rect.height * factor)
+    };
+  }
+
+  /**
+   * Get the pixels a display covers on the desktop
+   * @param {Object} display - Display
+   * @returns {Object} Physical bounds
+   */
+  static getPhysicalBounds(display) {
+    return display.physicalBounds || DisplayGeometry.scaleRect(display.bounds, display.scaleFactor || 1);
+  }
+
+  /**
+   * Get the rectangle around all rectangles
+   * @param {Array} rects - Rectangles (may have negative coordinates)
+   * @returns {Object|null} Bounding rectangle, null without rectangles
+   */
+  static getVirtualBounds(rects) {
+    if (!rects || rects.length === 0) {
+      return null;
+    }
+
+    const left = Math.min(...rects.map(rect => rect.x));
+    const top = Math.min(...rects.map(rect => rect.y));
+    const right = Math.max(...rects.map(rect => rect.x + rect.width));
+    const bottom = Math.max(...rects.map(rect => rect.y + rect.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Find the display a point is on, or the nearest one
+   * @param {Array} displays - Displays
+   * @param {Object} point - { x, y } in DIPs
+   * @returns {Object|null} Display
+   */
+  static findDisplay(displays, point) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const display of displays) {
+      const { x, y, width, height } = display.bounds;
+      const dx = Math.max(x - point.x, 0, point.x - (x + width - 1));
+      const dy = Math.max(y - point.y, 0, point.y - (y + height - 1));
+      const distance = dx * dx + dy * dy;
+      if (distance < nearestDistance) {
+        nearest = display;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Clip a rectangle to a display
+   * @param {Object} rect - Rectangle in DIPs
+   * @param {Object} bounds - Display bounds in DIPs
+   * @returns {Object} Clipped rectangle relative to the display, in DIPs
+   * @private
+   */
+  static _clipToDisplay(rect, bounds) {
+    const left = Math.max(rect.x, bounds.x);
+    const top = Math.max(rect.y, bounds.y);
+    const right = Math.min(rect.x + rect.width, bounds.x + bounds.width);
+    const bottom = Math.min(rect.y + rect.height, bounds.y + bounds.height);
+    return {
+      x: left - bounds.x,
+      y: top - bounds.y,
+      width: Math.max(0, right - left),
+      height: Math.max(0, bottom - top)
+    };
+  }
+
+  /**
+   * Map a rectangle to the pixels of the display it is on
+   * @param {Object} rect - Rectangle in DIPs
+   * @param {Object} display - Display
+   * @returns {Object} Rectangle in physical pixels relative to the display's top-left corner
+   */
+  static toDisplayPixels(rect, display) {
+    const clipped = DisplayGeometry._clipToDisplay(rect, display.bounds);
+    const physical = DisplayGeometry.getPhysicalBounds(display);
+    const scaled = DisplayGeometry.scaleRect(clipped, display.scaleFactor || 1);
+
+    // Rounding must not push the rectangle off the display, and H.264 needs an even size
+    scaled.width = Math.min(scaled.width, physical.width - scaled.x);
+    scaled.height = Math.min(scaled.height, physical.height - scaled.y);
+    scaled.width = Math.floor(scaled.width / 2) * 2;
+    scaled.height = Math.floor(scaled.height / 2) * 2;
+    return scaled;
+  }
+
+  /**
+   * Map a rectangle to desktop pixels
+   * @param {Object} rect - Rectangle in DIPs
+   * @param {Object} display - Display the rectangle is on
+   * @param {Object} origin - { x, y } of the grabber's origin in physical pixels
+   * @returns {Object} Rectangle in physical pixels relative to the origin
+   */
+  static toDesktopPixels(rect, display, origin = { x: 0, y: 0 }) {
+    const physical = DisplayGeometry.getPhysicalBounds(display);
+    const pixels = DisplayGeometry.toDisplayPixels(rect, display);
+    return {
+      x: physical.x + pixels.x - origin.x,
+      y: physical.y + pixels.y - origin.y,
+      width: pixels.width,
+      height: pixels.height
+    };
+  }
+
+  /**
+   * Map desktop pixels (e.g. a window's geometry) back to DIPs
+   * @param {Object} rect - Rectangle in physical pixels relative to the origin
+   * @param {Array} displays - All displays
+   * @param {Object} origin - { x, y } of the grabber's origin in physical pixels
+   * @returns {Object|null} Rectangle in DIPs on the display holding its centre, null when off screen
+   */
+  static fromDesktopPixels(rect, displays, origin = { x: 0, y: 0 }) {
+    const centerX = rect.x + rect.width / 2 + origin.x;
+    const centerY = rect.y + rect.height / 2 + origin.y;
+    const display = displays.find(candidate => {
+      const physical = DisplayGeometry.getPhysicalBounds(candidate);
+      return centerX >= physical.x && centerX < physical.x + physical.width &&
+        centerY >= physical.y && centerY < physical.y + physical.height;
+    });
+    if (!display) {
+      return null;
+    }
+
+    const physical = DisplayGeometry.getPhysicalBounds(display);
+    const scaleFactor = display.scaleFactor || 1;
+    return {
+      x: display.bounds.x + (rect.x + origin.x - physical.x) / scaleFactor,
+      y: display.bounds.y + (rect.y + origin.y - physical.y) / scaleFactor,
+      width: rect.width / scaleFactor,
+      height: rect.height / scaleFactor
+    };
+  }
+
+  /**
+   * Get the grabber's origin in physical pixels: x11grab counts from the
+   * top-left corner of the X screen, gdigrab from the primary display
+   * @param {Array} displays - All displays
+   * @param {string} platform - Capture backend platform
+   * @returns {Object} { x, y }
+   */
+  static getOrigin(displays, platform) {
+    return platform === 'linux' && displays.length > 0
+      ? DisplayGeometry.getVirtualBounds(displays.map(DisplayGeometry.getPhysicalBounds))
+      : { x: 0, y: 0 };
+  }
+
+  /**
+   * Get what to hand the grabber for a display or a region on it
+   * @param {Array} displays - All displays, in the platform's screen order
+   * @param {Object} display - Display to record
+   * @param {Object|null} rect - Region in DIPs, null for the whole display
+   * @param {string} platform - Capture backend platform
+   * @returns {Object} { region, screenIndex } - region in the grabber's pixels
+   */
+  static getCaptureArea(displays, display, rect, platform) {
+    if (platform === 'darwin') {
+      // avfoundation captures one screen at a time and regions are cropped from it
+      return {
+        region: rect ? DisplayGeometry.toDisplayPixels(rect, display) : null,
+        screenIndex: displays.indexOf(display)
+      };
+    }
+
+    return {
+      region: DisplayGeometry.toDesktopPixels(rect || display.bounds, display, DisplayGeometry.getOrigin(displays, platform)),
+      screenIndex: null
+    };
+  }
+
+  /**
+   * Describe a display for the monitor picker
+   * @param {Object} display - Display
+   * @param {number} index - Position in the display list
+   * @returns {string} Label, e.g. "Display 2 - 2560x1440 at 150% (primary)"
+   */
+  static describeDisplay(display, index) {
+    const physical = DisplayGeometry.getPhysicalBounds(display);
+    const scale = Math.round((display.scaleFactor || 1) * 100);
+    return `Display ${index + 1} - ${physical.width}x${physical.height}` +
+      (scale !== 100 ? ` at ${scale}%` : '') +
+      (display.primary ? ' (primary)' : '');
+  }
+}
+
+module.exports = DisplayGeometry;
@@ -18,14 +18,25 @@ class FileSystemUtils {
 
   /**
    * Generate unique recording filename with timestamp
-   * @param {string} extension - File extension (default: .mp4)
+   * @param {string|Object} container - File extension or encoding profile (default: .mp4)
    * @returns {string} Generated filename
    */
-  static generateRecordingFilename(extension = '.mp4') {
+  static generateRecordingFilename(container = '.mp4') {
+    const extension = typeof container === 'string' ? container : container.extension;
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
     return `screen-recording-${timestamp}${extension}`;
   }
 
+  /**
+   * Check if a file is a recording in one of the supported containers
+   * @param {string} filePath - File name or path
+   * @returns {boolean} True for .mp4, .mov and .mkv files (not pause segments or remux temp files)
+   */
+  static isRecordingFile(filePath) {
+    return CONFIG.RECORDING.RECORDING_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) &&
+      !/\.(part\d+|remux)\.\w+$/i.test(filePath);
+  }
+
   /**
    * Get full path for recording file
    * @param {string} filename - Filename (optional)
@@ -63,13 +74,14 @@ class FileSystemUtils {
       }
 
       return fs.readdirSync(CONFIG.RECORDINGS_DIR)
-        .filter(file => file.endsWith('.mp4'))
+        .filter(file => this.isRecordingFile(file))
         .map(file => {
           const filePath = path.join(CONFIG.RECORDINGS_DIR, file);
           const stats = fs.statSync(filePath);
           return {
             name: file,
             path: filePath,
+            container: path.extname(file).slice(1).toLowerCase(),
             size: stats.size,
             modified: stats.mtime
           };
@@ -0,0 +1,61 @@
+/**
+ * Process runner - runs FFmpeg (or a shell command) to completion
+ *
+ * Shared by the services that wait for a short FFmpeg job: concat, remux,
+ * repair, probes and test encodes. Long-running recordings keep their own
+ * process handling.
+ */
+
+const { spawn } = require('child_process');
+
+class ProcessRunner {
+  /**
+   * Run a process and collect its output
+   * @param {string} command - Executable path, or a whole command line with { shell: true }
+   * @param {Array} args - Arguments
+   * @param {Object} options - { shell, timeout (ms before the process is killed) }
+   * @returns {Promise<Object>} { code, stdout, stderr } (code null if it was killed)
+   */
+  static run(command, args = [], options = {}) {
+    return new Promise((resolve, reject) => {
+      const process = options.shell ? spawn(command, args, { shell: true }) : spawn(command, args);
+      let stdout = '';
+      let stderr = '';
+
+      const timer = options.timeout ? setTimeout(() => process.kill('SIGKILL'), options.timeout) : null;
+
+      process.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+      process.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+      process.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      process.on('close', (code) => {
+        clearTimeout(timer);
+        resolve({ code, stdout, stderr });
+      });
+    });
+  }
+
+  /**
+   * Run a process that must succeed
+   * @param {string} command - Executable path, or a whole command line with { shell: true }
+   * @param {Array} args - Arguments
+   * @param {string} label - What the process does, for the error message (e.g. 'Remux')
+   * @param {Object} options - { shell, timeout }
+   * @returns {Promise<Object>} { code, stdout, stderr }; rejects unless the exit code is 0
+   */
+  static async runChecked(command, args, label, options = {}) {
+    const result = await ProcessRunner.run(command, args, options);
+    if (result.code !== 0) {
+      throw new Error(`${label} failed with exit code ${result.code}: ${result.stderr.trim().split('\n').pop()}`);
+    }
+    return result;
+  }
+}
+
+module.exports = ProcessRunner;
@@ -0,0 +1,482 @@
+/**
+ * On-screen countdown before recording and indicator while recording
+ *
+ * Both are small frameless, transparent, always-on-top windows shown without
+ * taking focus from the app being recorded. Content protection keeps them out
+ * of the capture where the platform supports it (Windows 10 2004+ and macOS);
+ * elsewhere the indicator is placed outside the recorded area, or not shown.
+ * The indicator shows the recorded time, which pauses with the recording, and
+ * can be dragged anywhere; its buttons pause, resume and stop the recording.
+ */
+
+const { ipcMain, BrowserWindow } = require('electron');
+const CONFIG = require('../config/constants');
+
+const OVERLAY = CONFIG.OVERLAY;
+const SETTINGS_KEY = 'recordingOverlay';
+
+class RecordingOverlay {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {SettingsStore} settingsStore - Store for the countdown and indicator settings
+   * @param {Object} handlers - { isRecording(), canPause(), onAction(action) } (action is 'pause', 'resume' or 'stop')
+   */
+  constructor(logger, settingsStore, handlers = {}) {
+    this.logger = logger;
+    this.settingsStore = settingsStore;
+    this.handlers = handlers;
+    this.countdownWindow = null;
+    this.indicatorWindow = null;
+    this.indicatorTimer = null;
+    this.indicatorPosition = null; // Where the indicator was dragged to, kept for the next recording
+    this.clock = null; // { recorded (seconds), runningSince }
+
+    this._handleAction = (event, action) => {
+      if (this.indicatorWindow && event.sender === this.indicatorWindow.webContents && this.handlers.onAction) {
+        this.handlers.onAction(action);
+      }
+    };
+    ipcMain.on('overlay-action', this._handleAction);
+  }
+
+  /**
+   * Complete overlay settings with defaults
+   * @param {Object} settings - { countdown (seconds, 0 for none), indicator }
+   * @returns {Object} Normalized settings
+   */
+  static normalizeSettings(settings = {}) {
+    const countdown = parseInt(settings.countdown, 10);
+    return {
+      countdown: OVERLAY.COUNTDOWN_OPTIONS.includes(countdown) ? countdown : OVERLAY.DEFAULT.countdown,
+      indicator: typeof settings.indicator === 'boolean' ? settings.indicator : OVERLAY.DEFAULT.indicator
+    };
+  }
+
+  /**
+   * Get where the indicator goes, keeping it on screen
+   * @param {Object} workArea - Display work area { x, y, width, height }
+   * @param {Object|null} position - Last position { x, y }, null for the top right corner
+   * @returns {Object} Window bounds { x, y, width, height }
+   */
+  static getIndicatorBounds(workArea, position = null) {
+    const { INDICATOR_WIDTH: width, INDICATOR_HEIGHT: height, INDICATOR_MARGIN: margin } = OVERLAY;
+    const maxX = workArea.x + workArea.width - width;
+    const maxY = workArea.y + workArea.height - height;
+    const x = position ? position.x : maxX - margin;
+    const y = position ? position.y : workArea.y + margin;
+
+    return {
+      x: Math.max(workArea.x, Math.min(x, maxX)),
+      y: Math.max(workArea.y, Math.min(y, maxY)),
+      width,
+      height
+    };
+  }
+
+  /**
+   * Get a place for the indicator outside the recorded area
+   * @param {Array} workAreas - Work areas of all displays, the primary display first
+   * @param {Object} capturedArea - Recorded area { x, y, width, height } in DIPs
+   * @param {Object|null} position - Last position { x, y }, tried first
+   * @returns {Object|null} Window bounds, null if every place would be recorded
+   */
+  static getUncapturedBounds(workAreas, capturedArea, position = null) {
+    const { INDICATOR_WIDTH: width, INDICATOR_HEIGHT: height, INDICATOR_MARGIN: margin } = OVERLAY;
+    const overlaps = bounds =>
+      bounds.x < capturedArea.x + capturedArea.width && bounds.x + bounds.width > capturedArea.x &&
+      bounds.y < capturedArea.y + capturedArea.height && bounds.y + bounds.height > capturedArea.y;
+
+    const candidates = [];
+    if (position && workAreas.length > 0) {
+      candidates.push(RecordingOverlay.getIndicatorBounds(workAreas[0], position));
+    }
+    workAreas.forEach(workArea => {
+      const left = workArea.x + margin;
+      const right = workArea.x + workArea.width - width - margin;
+      const top = workArea.y + margin;
+      const bottom = workArea.y + workArea.height - height - margin;
+      [[right, top], [left, top], [right, bottom], [left, bottom]].forEach(([x, y]) => {
+        candidates.push(RecordingOverlay.getIndicatorBounds(workArea, { x, y }));
+      });
+    });
+
+    return candidates.find(bounds => !overlaps(bounds)) || null;
+  }
+
+  /**
+   * Format recorded time for the indicator
+   * @param {number} seconds - Recorded time
+   * @returns {string} H:MM:SS, or M:SS under an hour
+   */
+  static formatElapsed(seconds) {
+    const total = Math.floor(seconds);
+    const pad = value => String(value).padStart(2, '0');
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total / 60) % 60;
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${minutes}:${pad(total % 60)}`;
+  }
+
+  /**
+   * Get the saved overlay settings
+   * @returns {Object} Normalized settings
+   */
+  getSettings() {
+    return RecordingOverlay.normalizeSettings(this.settingsStore.get(SETTINGS_KEY, OVERLAY.DEFAULT));
+  }
+
+  /**
+   * Save the overlay settings chosen in the renderer
+   * @param {Object} settings - { countdown, indicator }
+   * @returns {Object} Result with the normalized settings
+   */
+  saveSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+      return { success: false, error: 'Invalid overlay settings' };
+    }
+
+    const normalized = RecordingOverlay.normalizeSettings(settings);
+    this.settingsStore.set(SETTINGS_KEY, normalized);
+    return { success: true, settings: normalized };
+  }
+
+  /**
+   * Count down in the middle of the screen before recording starts
+   * @returns {Promise<boolean>} True when the countdown finished (or is off), false if it was clicked away
+   */
+  countdown() {
+    const { countdown: seconds } = this.getSettings();
+    if (seconds === 0) {
+      return Promise.resolve(true);
+    }
+    if (this.countdownWindow) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      const { screen } = require('electron');
+      const { workArea } = screen.getPrimaryDisplay();
+      const size = OVERLAY.COUNTDOWN_SIZE;
+
+      const countdownWindow = this._createOverlayWindow({
+        x: Math.round(workArea.x + (workArea.width - size) / 2),
+        y: Math.round(workArea.y + (workArea.height - size) / 2),
+        width: size,
+        height: size
+      });
+      this.countdownWindow = countdownWindow;
+
+      let finished = false;
+      const handler = (event, result) => {
+        if (event.sender === countdownWindow.webContents) {
+          finished = result === 'finished';
+          countdownWindow.close();
+        }
+      };
+      ipcMain.on('countdown-ended', handler);
+
+      // Resolved once the window is gone, so it is never in the first frames
+      countdownWindow.on('closed', () => {
+        ipcMain.removeListener('countdown-ended', handler);
+        this.countdownWindow = null;
+        this.logger.log(finished ? 'Countdown finished' : 'Countdown cancelled');
+        resolve(finished);
+      });
+
+      countdownWindow.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(this._generateCountdownHTML(seconds)));
+      countdownWindow.once('ready-to-show', () => countdownWindow.showInactive());
+    });
+  }
+
+  /**
+   * Show the indicator for a recording that has just started
+   * @param {Object|null} capturedArea - Recorded screen area in DIPs to keep out of,
+   *   null when content protection keeps the indicator out of the recording
+   */
+  showIndicator(capturedArea = null) {
+    this.clock = { recorded: 0, runningSince: Date.now() };
+    if (!this.getSettings().indicator || this.indicatorWindow) {
+      return;
+    }
+
+    const { screen } = require('electron');
+    let bounds;
+    if (capturedArea) {
+      const primaryId = screen.getPrimaryDisplay().id;
+      const workAreas = screen.getAllDisplays()
+        .sort((a, b) => (b.id === primaryId) - (a.id === primaryId))
+        .map(display => display.workArea);
+      bounds = RecordingOverlay.getUncapturedBounds(workAreas, capturedArea, this.indicatorPosition);
+      if (!bounds) {
+        // The indicator would be in the recording; the app window still shows the recording state
+        this.logger.log('Recording indicator not shown: every place for it is being recorded');
+        return;
+      }
+    } else {
+      bounds = RecordingOverlay.getIndicatorBounds(screen.getPrimaryDisplay().workArea, this.indicatorPosition);
+    }
+    const indicatorWindow = this._createOverlayWindow(bounds);
+    this.indicatorWindow = indicatorWindow;
+
+    indicatorWindow.on('moved', () => {
+      const [x, y] = indicatorWindow.getPosition();
+      this.indicatorPosition = { x, y };
+    });
+    indicatorWindow.on('closed', () => {
+      if (this.indicatorWindow === indicatorWindow) {
+        this.indicatorWindow = null;
+      }
+    });
+    indicatorWindow.webContents.on('did-finish-load', () => this._sendState());
+
+    indicatorWindow.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(this._generateIndicatorHTML()));
+    indicatorWindow.once('ready-to-show', () => indicatorWindow.showInactive());
+
+    this.indicatorTimer = setInterval(() => this._tick(), OVERLAY.INDICATOR_INTERVAL);
+  }
+
+  /**
+   * Stop or restart the recorded time as the recording is paused or resumed
+   * @param {boolean} paused - True when paused
+   */
+  setPaused(paused) {
+    if (!this.clock) {
+      return;
+    }
+
+    if (paused && this.clock.runningSince !== null) {
+      this.clock.recorded += (Date.now() - this.clock.runningSince) / 1000;
+      this.clock.runningSince = null;
+    } else if (!paused && this.clock.runningSince === null) {
+      this.clock.runningSince = Date.now();
+    }
+    this._sendState();
+  }
+
+  /**
+   * Get the recorded time
+   * @returns {number} Seconds, not counting pauses
+   */
+  getElapsed() {
+    if (!this.clock) {
+      return 0;
+    }
+    const running = this.clock.runningSince === null ? 0 : (Date.now() - this.clock.runningSince) / 1000;
+    return this.clock.recorded + running;
+  }
+
+  /**
+   * Close the indicator
+   */
+  hideIndicator() {
+    if (this.indicatorTimer) {
+      clearInterval(this.indicatorTimer);
+      this.indicatorTimer = null;
+    }
+    this.clock = null;
+
+    if (this.indicatorWindow) {
+      const indicatorWindow = this.indicatorWindow;
+      this.indicatorWindow = null;
+      if (!indicatorWindow.isDestroyed()) {
+        indicatorWindow.close();
+      }
+    }
+  }
+
+  /**
+   * Update the indicator, closing it once the recording has stopped
+   * @private
+   */
+  _tick() {
+    if (this.handlers.isRecording && !this.handlers.isRecording()) {
+      this.hideIndicator();
+      return;
+    }
+    this._sendState();
+  }
+
+  /**
+   * Send the recorded time and pause state to the indicator
+   * @private
+   */
+  _sendState() {
+    if (!this.indicatorWindow || this.indicatorWindow.isDestroyed() || !this.clock) {
+      return;
+    }
+
+    this.indicatorWindow.webContents.send('overlay-state', {
+      elapsed: RecordingOverlay.formatElapsed(this.getElapsed()),
+      paused: this.clock.runningSince === null,
+      canPause: this.handlers.canPause ? this.handlers.canPause() : true
+    });
+  }
+
+  /**
+   * Create a countdown or indicator window
+   * @param {Object} bounds - { x, y, width, height }
+   * @returns {BrowserWindow} Hidden window, shown once loaded
+   * @private
+   */
+  _createOverlayWindow(bounds) {
+    const overlayWindow = new BrowserWindow({
+      ...bounds,
+      show: false,
+      frame: false,
+      transparent: true,
+      backgroundColor: '#00000000',
+      resizable: false,
+      alwaysOnTop: true,
+      skipTaskbar: true,
+      focusable: false,
+      hasShadow: false,
+      webPreferences: {
+        nodeIntegration: true,
+        contextIsolation: false
+      }
+    });
+
+    // Above full-screen apps, and left out of screen capture
+    overlayWindow.setAlwaysOnTop(true, 'screen-saver');
+    overlayWindow.setContentProtection(true);
+    return overlayWindow;
+  }
+
+  /**
+   * Generate HTML content for the countdown
+   * @param {number} seconds - Seconds to count down from
+   * @returns {string} HTML content
+   * @private
+   */
+  _generateCountdownHTML(seconds) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body {
+            margin:0; padding:0;
+            background:transparent;
+            font-family:Arial;
+            user-select:none;
+            overflow:hidden;
+            cursor:pointer;
+        }
+        #countdown {
+            width:100vw; height:100vh;
+            border-radius:50%;
+            background:rgba(0,0,0,0.7);
+            color:white;
+            display:flex;
+            flex-direction:column;
+            align-items:center;
+            justify-content:center;
+        }
+        #number { font-size:96px; font-weight:bold; line-height:1; }
+        #hint { font-size:12px; opacity:0.7; margin-top:8px; }
+    </style>
+</head>
+<body>
+    <div id="countdown">
+        <div id="number">${seconds}</div>
+        <div id="hint">Click to cancel</div>
+    </div>
+    <script>
+        const { ipcRenderer } = require('electron');
+        let remaining = ${seconds};
+        const number = document.getElementById('number');
+
+        const timer = setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                number.textContent = remaining;
+            } else {
+                clearInterval(timer);
+                ipcRenderer.send('countdown-ended', 'finished');
+            }
+        }, 1000);
+
+        document.addEventListener('click', () => {
+            clearInterval(timer);
+            ipcRenderer.send('countdown-ended', 'cancelled');
+        });
+    </script>
+</body>
+</html>`;
+  }
+
+  /**
+   * Generate HTML content for the recording indicator
+   * @returns {string} HTML content
+   * @private
+   */
+  _generateIndicatorHTML() {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body {
+            margin:0; padding:0;
+            background:transparent;
+            font-family:Arial;
+            user-select:none;
+            overflow:hidden;
+        }
+        #indicator {
+            height:100vh;
+            box-sizing:border-box;
+            padding:0 8px;
+            border-radius:8px;
+            background:rgba(0,0,0,0.75);
+            color:white;
+            display:flex;
+            align-items:center;
+            gap:8px;
+            -webkit-app-region:drag;
+        }
+        #dot { width:10px; height:10px; border-radius:50%; background:#ff3b30; }
+        #indicator.paused #dot { background:#ff9500; }
+        #elapsed { flex:1; font-size:15px; font-variant-numeric:tabular-nums; }
+        .button {
+            -webkit-app-region:no-drag;
+            background:rgba(255,255,255,0.15);
+            color:white;
+            border:none;
+            padding:4px 8px;
+            border-radius:3px;
+            font-size:12px;
+            cursor:pointer;
+        }
+        .button:hover { background:rgba(255,255,255,0.3); }
+        #stop { background:#ff3b30; }
+        #stop:hover { background:#cc0000; }
+    </style>
+</head>
+<body>
+    <div id="indicator">
+        <div id="dot"></div>
+        <div id="elapsed">0:00</div>
+        <button class="button" id="pause">Pause</button>
+        <button class="button" id="stop">Stop</button>
+    </div>
+    <script>
+        const { ipcRenderer } = require('electron');
+        const indicator = document.getElementById('indicator');
+        const pauseButton = document.getElementById('pause');
+        let paused = false;
+
+        ipcRenderer.on('overlay-state', (event, state) => {
+            paused = state.paused;
+            document.getElementById('elapsed').textContent = state.elapsed;
+            indicator.classList.toggle('paused', paused);
+            pauseButton.textContent = paused ? 'Resume' : 'Pause';
+            pauseButton.style.display = state.canPause ? '' : 'none';
+        });
+
+        pauseButton.addEventListener('click', () => ipcRenderer.send('overlay-action', paused ? 'resume' : 'pause'));
+        document.getElementById('stop').addEventListener('click', () => ipcRenderer.send('overlay-action', 'stop'));
+    </script>
+</body>
+</html>`;
+  }
+}
+
+module.exports = RecordingOverlay;
@@ -1,10 +1,18 @@
 /**
  * Screen region selection utility
+ *
+ * Covers every display with a selection window. The selection can be drawn,
+ * moved and resized with handles, typed in, locked to an aspect ratio,
+ * snapped to a window, or loaded from a saved region. It is reported in
+ * Electron's device-independent coordinates together with the display it was
+ * drawn on; DisplayGeometry maps it to capture pixels.
  */
 
 const { ipcMain, BrowserWindow } = require('electron');
 const CONFIG = require('../config/constants');
 
+const REGION_SELECTOR = CONFIG.REGION_SELECTOR;
+
 class RegionSelector {
   constructor(logger) {
     this.logger = logger;
@@ -12,24 +20,29 @@ class RegionSelector {
 
   /**
    * Get screen region selection from user
-   * @returns {Promise<Object|null>} Selected region or null if cancelled
+   * @param {Object} sources - { windows, savedRegions } in DIPs, offered for snapping and reuse
+   * @returns {Promise<Object|null>} { x, y, width, height, displayId, aspect, saveAs } in DIPs, or null if cancelled
    */
-  async getScreenRegion() {
+  async getScreenRegion(sources = {}) {
     return new Promise((resolve, reject) => {
       const { screen } = require('electron');
-      const primaryDisplay = screen.getPrimaryDisplay();
-      const { width: screenWidth, height: screenHeight } = primaryDisplay.bounds;
-      const { x: screenX, y: screenY } = primaryDisplay.bounds;
-      const scaleFactor = primaryDisplay.scaleFactor;
+      const regionWindows = screen.getAllDisplays().map((display) => {
+        const { x: screenX, y: screenY, width: screenWidth, height: screenHeight } = display.bounds;
+        const scaleFactor = display.scaleFactor;
 
-      this.logger.log(`Screen info: bounds=${screenX},${screenY} ${screenWidth}x${screenHeight}, scale=${scaleFactor}x`);
+        this.logger.log(`Screen info: display ${display.id} bounds=${screenX},${screenY} ${screenWidth}x${screenHeight}, scale=${scaleFactor}x`);
 
-      const regionWindow = this._createRegionWindow(screenX, screenY, screenWidth, screenHeight);
-      const htmlContent = this._generateSelectionHTML(screenX, screenY, scaleFactor);
+        const regionWindow = this._createRegionWindow(screenX, screenY, screenWidth, screenHeight);
+        const htmlContent = this._generateSelectionHTML(screenX, screenY, scaleFactor, display.id, {
+          windows: sources.windows || [],
+          savedRegions: (sources.savedRegions || []).filter(region => region.displayId === display.id)
+        });
 
-      regionWindow.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(htmlContent));
+        regionWindow.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(htmlContent));
+        return regionWindow;
+      });
 
-      this._setupRegionHandlers(regionWindow, resolve, reject);
+      this._setupRegionHandlers(regionWindows, resolve, reject);
     });
   }
 
@@ -60,15 +73,30 @@ class RegionSelector {
     });
   }
 
+  /**
+   * Serialize a value for an inline script (window titles and names may contain "</script>")
+   * @param {*} value - Value
+   * @returns {string} JavaScript literal
+   * @private
+   */
+  _toScript(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+  }
+
   /**
    * Generate HTML content for region selection
+   *
+   * The selection is kept in the display's own pixels, so typed sizes and
+   * aspect ratios come out exact (e.g. 1080x1920 for 9:16).
    * @param {number} screenX - Screen X position
    * @param {number} screenY - Screen Y position
    * @param {number} scaleFactor - Screen scale factor
+   * @param {number|null} displayId - Display the window covers
+   * @param {Object} sources - { windows, savedRegions } in DIPs
    * @returns {string} HTML content
    * @private
    */
-  _generateSelectionHTML(screenX, screenY, scaleFactor) {
+  _generateSelectionHTML(screenX, screenY, scaleFactor, displayId = null, sources = {}) {
     return `<!DOCTYPE html>
 <html>
 <head>
@@ -79,14 +107,49 @@ class RegionSelector {
             font-family:Arial;
             user-select:none;
             overflow:hidden;
+            width:100vw; height:100vh;
         }
         #selection-box {
             position:absolute;
             border:2px dashed #ff0000;
             background:rgba(255,0,0,0.1);
+            box-sizing:border-box;
+            cursor:move;
+            display:none;
+        }
+        #snap-box {
+            position:absolute;
+            border:2px solid #4da3ff;
+            background:rgba(77,163,255,0.1);
+            box-sizing:border-box;
             pointer-events:none;
             display:none;
         }
+        .handle {
+            position:absolute;
+            width:10px; height:10px;
+            margin:-6px 0 0 -6px;
+            background:#ffffff;
+            border:1px solid #ff0000;
+        }
+        .handle[data-handle=nw] { left:0; top:0; cursor:nwse-resize; }
+        .handle[data-handle=n] { left:50%; top:0; cursor:ns-resize; }
+        .handle[data-handle=ne] { left:100%; top:0; cursor:nesw-resize; }
+        .handle[data-handle=e] { left:100%; top:50%; cursor:ew-resize; }
+        .handle[data-handle=se] { left:100%; top:100%; cursor:nwse-resize; }
+        .handle[data-handle=s] { left:50%; top:100%; cursor:ns-resize; }
+        .handle[data-handle=sw] { left:0; top:100%; cursor:nesw-resize; }
+        .handle[data-handle=w] { left:0; top:50%; cursor:ew-resize; }
+        #size-label {
+            position:absolute;
+            left:0; bottom:100%;
+            margin-bottom:4px;
+            background:rgba(0,0,0,0.8);
+            color:white;
+            padding:2px 6px;
+            font-size:12px;
+            white-space:nowrap;
+        }
         #instructions {
             position:absolute;
             top:20px; left:20px;
@@ -106,6 +169,7 @@ class RegionSelector {
             cursor:pointer;
         }
         .button:hover { background:#cc0000; }
+        .button:disabled { background:#777777; cursor:default; }
         #controls {
             position:absolute;
             top:20px; right:20px;
@@ -113,90 +177,317 @@ class RegionSelector {
             color:white;
             padding:15px;
             border-radius:5px;
+            font-size:13px;
         }
+        #controls label { display:inline-block; margin:4px 8px 4px 0; }
+        #controls input[type=number] { width:64px; }
+        #controls input[type=text] { width:140px; }
+        .row { margin-bottom:6px; }
     </style>
 </head>
 <body>
     <div id="instructions">
         <strong>Select Recording Region</strong><br>
-        Click and drag to select an area<br>
+        Click and drag to select an area on any display<br>
         Press ESC to cancel
     </div>
     <div id="controls">
-        <button class="button" onclick="selectRegion()">Select Region</button>
-        <button class="button" onclick="recordFull()">Record Full Screen</button>
+        <div class="row">
+            <label>Aspect
+                <select id="aspect">
+                    <option value="">Free</option>
+                </select>
+            </label>
+            <label id="saved-label" style="display:none;">Saved
+                <select id="saved">
+                    <option value="">Load...</option>
+                </select>
+            </label>
+        </div>
+        <div class="row">
+            <label>X <input type="number" id="input-x" min="0"></label>
+            <label>Y <input type="number" id="input-y" min="0"></label>
+            <label>W <input type="number" id="input-w" min="${CONFIG.RECORDING.MIN_REGION_SIZE}"></label>
+            <label>H <input type="number" id="input-h" min="${CONFIG.RECORDING.MIN_REGION_SIZE}"></label>
+        </div>
+        <div class="row">
+            <label>Save as <input type="text" id="save-name" maxlength="${REGION_SELECTOR.MAX_NAME_LENGTH}" placeholder="Name (optional)"></label>
+        </div>
+        <button class="button" id="confirm" onclick="confirmSelection()" disabled>Record Region</button>
+        <button class="button" onclick="recordFull()">Record Whole Display</button>
+    </div>
+    <div id="snap-box"></div>
+    <div id="selection-box">
+        <div id="size-label"></div>
+        <div class="handle" data-handle="nw"></div>
+        <div class="handle" data-handle="n"></div>
+        <div class="handle" data-handle="ne"></div>
+        <div class="handle" data-handle="e"></div>
+        <div class="handle" data-handle="se"></div>
+        <div class="handle" data-handle="s"></div>
+        <div class="handle" data-handle="sw"></div>
+        <div class="handle" data-handle="w"></div>
     </div>
-    <div id="selection-box"></div>
     <script>
         const screenX = ${screenX};
         const screenY = ${screenY};
         const scaleFactor = ${scaleFactor};
+        const displayId = ${this._toScript(displayId)};
         const MIN_SIZE = ${CONFIG.RECORDING.MIN_REGION_SIZE};
-        let isSelecting = false, startX, startY, endX, endY;
+        const SNAP_DISTANCE = ${REGION_SELECTOR.SNAP_DISTANCE} * scaleFactor;
+        const ASPECT_RATIOS = ${this._toScript(REGION_SELECTOR.ASPECT_RATIOS)};
+        // Windows (for snapping) and saved regions, in desktop DIPs
+        const windowRects = ${this._toScript(sources.windows || [])};
+        const savedRegions = ${this._toScript(sources.savedRegions || [])};
+
+        // Everything below is in this display's pixels, relative to its top-left corner
+        const displayWidth = Math.round(window.innerWidth * scaleFactor);
+        const displayHeight = Math.round(window.innerHeight * scaleFactor);
         const selectionBox = document.getElementById('selection-box');
+        const snapBox = document.getElementById('snap-box');
+        const sizeLabel = document.getElementById('size-label');
+        const aspectSelect = document.getElementById('aspect');
+        const savedSelect = document.getElementById('saved');
+        const nameInput = document.getElementById('save-name');
+        const inputs = {
+            x: document.getElementById('input-x'),
+            y: document.getElementById('input-y'),
+            width: document.getElementById('input-w'),
+            height: document.getElementById('input-h')
+        };
+        let box = null;
+        let drag = null;
+        let hoverTarget = null;
+
+        function toPixels(rect) {
+            return {
+                x: Math.round((rect.x - screenX) * scaleFactor),
+                y: Math.round((rect.y - screenY) * scaleFactor),
+                width: Math.round(rect.width * scaleFactor),
+                height: Math.round(rect.height * scaleFactor)
+            };
+        }
 
-        function startSelection(e) {
-            isSelecting = true;
-            startX = e.clientX;
-            startY = e.clientY;
-            selectionBox.style.left = startX + 'px';
-            selectionBox.style.top = startY + 'px';
-            selectionBox.style.width = '0px';
-            selectionBox.style.height = '0px';
+        function clipToDisplay(rect) {
+            const left = Math.max(rect.x, 0);
+            const top = Math.max(rect.y, 0);
+            const right = Math.min(rect.x + rect.width, displayWidth);
+            const bottom = Math.min(rect.y + rect.height, displayHeight);
+            return { x: left, y: top, width: Math.max(0, right - left), height: Math.max(0, bottom - top) };
+        }
+
+        // Windows on this display, smallest first so the innermost one under the pointer wins
+        const snapTargets = windowRects
+            .map(rect => clipToDisplay(toPixels(rect)))
+            .filter(rect => rect.width >= MIN_SIZE && rect.height >= MIN_SIZE)
+            .sort((a, b) => a.width * a.height - b.width * b.height);
+
+        function getAspect() {
+            if (!aspectSelect.value) return null;
+            const parts = aspectSelect.value.split(':').map(Number);
+            return { width: parts[0], height: parts[1] };
+        }
+
+        // With an aspect lock, sizes are an even multiple of the ratio, so the ratio is exact and
+        // both sides are even (H.264). 'by' says which side leads: width, height, both (the larger) or inside
+        function fitSize(width, height, maxWidth, maxHeight, by) {
+            const aspect = getAspect();
+            if (!aspect) {
+                return { width: Math.min(width, maxWidth), height: Math.min(height, maxHeight) };
+            }
+
+            const byWidth = width / aspect.width;
+            const byHeight = height / aspect.height;
+            let multiple = by === 'width' ? byWidth
+                : by === 'height' ? byHeight
+                : by === 'inside' ? Math.min(byWidth, byHeight)
+                : Math.max(byWidth, byHeight);
+            multiple = Math.round(multiple / 2) * 2;
+            const largest = Math.floor(Math.min(maxWidth / aspect.width, maxHeight / aspect.height) / 2) * 2;
+            multiple = Math.max(2, Math.min(multiple, largest));
+            return { width: aspect.width * multiple, height: aspect.height * multiple };
+        }
+
+        // Edges snap to window and display edges while the aspect ratio is free
+        function snap(value, horizontal) {
+            if (getAspect()) return value;
+            const edges = [0, horizontal ? displayWidth : displayHeight];
+            snapTargets.forEach(rect => {
+                if (horizontal) edges.push(rect.x, rect.x + rect.width);
+                else edges.push(rect.y, rect.y + rect.height);
+            });
+            let snapped = value;
+            let distance = SNAP_DISTANCE;
+            edges.forEach(edge => {
+                if (Math.abs(edge - value) <= distance) {
+                    snapped = edge;
+                    distance = Math.abs(edge - value);
+                }
+            });
+            return snapped;
+        }
+
+        // Place a box, keeping it on the display and its aspect ratio
+        function setBox(rect, by) {
+            const size = fitSize(Math.max(rect.width, 1), Math.max(rect.height, 1), displayWidth, displayHeight, by);
+            box = {
+                x: Math.min(Math.max(Math.round(rect.x), 0), displayWidth - size.width),
+                y: Math.min(Math.max(Math.round(rect.y), 0), displayHeight - size.height),
+                width: Math.round(size.width),
+                height: Math.round(size.height)
+            };
+            showBox();
+        }
+
+        function showBox() {
+            const confirmButton = document.getElementById('confirm');
+            if (!box) {
+                selectionBox.style.display = 'none';
+                confirmButton.disabled = true;
+                Object.values(inputs).forEach(input => { input.value = ''; });
+                return;
+            }
+
+            selectionBox.style.left = (box.x / scaleFactor) + 'px';
+            selectionBox.style.top = (box.y / scaleFactor) + 'px';
+            selectionBox.style.width = (box.width / scaleFactor) + 'px';
+            selectionBox.style.height = (box.height / scaleFactor) + 'px';
             selectionBox.style.display = 'block';
+            sizeLabel.textContent = box.width + ' x ' + box.height + (aspectSelect.value ? ' (' + aspectSelect.value + ')' : '');
+            Object.keys(inputs).forEach(key => {
+                if (document.activeElement !== inputs[key]) inputs[key].value = box[key];
+            });
+            confirmButton.disabled = false;
+            snapBox.style.display = 'none';
+        }
+
+        function showSnapTarget(rect) {
+            hoverTarget = rect;
+            if (!rect) {
+                snapBox.style.display = 'none';
+                return;
+            }
+            snapBox.style.left = (rect.x / scaleFactor) + 'px';
+            snapBox.style.top = (rect.y / scaleFactor) + 'px';
+            snapBox.style.width = (rect.width / scaleFactor) + 'px';
+            snapBox.style.height = (rect.height / scaleFactor) + 'px';
+            snapBox.style.display = 'block';
+        }
+
+        function pointer(e) {
+            return {
+                x: Math.min(Math.max(Math.round(e.clientX * scaleFactor), 0), displayWidth),
+                y: Math.min(Math.max(Math.round(e.clientY * scaleFactor), 0), displayHeight)
+            };
+        }
+
+        function startSelection(e) {
+            if (e.button !== 0 || e.target.closest('#controls')) return;
+            const point = pointer(e);
+            const handle = e.target.dataset ? e.target.dataset.handle : null;
+            if (handle && box) {
+                drag = { mode: handle, startX: point.x, startY: point.y, original: { ...box } };
+            } else if (box && e.target === selectionBox) {
+                drag = { mode: 'move', startX: point.x, startY: point.y, original: { ...box } };
+            } else {
+                drag = { mode: 'draw', startX: point.x, startY: point.y, original: { x: point.x, y: point.y, width: 0, height: 0 } };
+            }
             e.preventDefault();
         }
 
         function updateSelection(e) {
-            if (!isSelecting) return;
-            endX = e.clientX;
-            endY = e.clientY;
-            const left = Math.min(startX, endX);
-            const top = Math.min(startY, endY);
-            const width = Math.abs(endX - startX);
-            const height = Math.abs(endY - startY);
-            selectionBox.style.left = left + 'px';
-            selectionBox.style.top = top + 'px';
-            selectionBox.style.width = width + 'px';
-            selectionBox.style.height = height + 'px';
+            const point = pointer(e);
+            if (!drag) {
+                if (!box) showSnapTarget(snapTargets.find(rect => point.x >= rect.x && point.x < rect.x + rect.width &&
+                    point.y >= rect.y && point.y < rect.y + rect.height) || null);
+                return;
+            }
+
+            const original = drag.original;
+            if (drag.mode === 'move') {
+                box = {
+                    ...original,
+                    x: Math.min(Math.max(original.x + point.x - drag.startX, 0), displayWidth - original.width),
+                    y: Math.min(Math.max(original.y + point.y - drag.startY, 0), displayHeight - original.height)
+                };
+                showBox();
+                return;
+            }
+
+            // The corner or edge opposite the handle stays put; side handles keep the top or left edge
+            const mode = drag.mode;
+            const movesX = mode === 'draw' || /[ew]/.test(mode);
+            const movesY = mode === 'draw' || /[ns]/.test(mode);
+            const anchorX = mode.includes('w') ? original.x + original.width : original.x;
+            const anchorY = mode.includes('n') ? original.y + original.height : original.y;
+            const targetX = movesX ? snap(point.x, true) : original.x + original.width;
+            const targetY = movesY ? snap(point.y, false) : original.y + original.height;
+            const rightward = targetX >= anchorX;
+            const downward = targetY >= anchorY;
+            const size = fitSize(Math.abs(targetX - anchorX), Math.abs(targetY - anchorY),
+                rightward ? displayWidth - anchorX : anchorX,
+                downward ? displayHeight - anchorY : anchorY,
+                movesX && movesY ? 'both' : (movesX ? 'width' : 'height'));
+            box = {
+                x: rightward ? anchorX : anchorX - size.width,
+                y: downward ? anchorY : anchorY - size.height,
+                width: size.width,
+                height: size.height
+            };
+            showBox();
         }
 
         function endSelection(e) {
-            if (!isSelecting) return;
-            isSelecting = false;
-            endX = e.clientX;
-            endY = e.clientY;
+            if (!drag) return;
+            const point = pointer(e);
+            const clicked = drag.mode === 'draw' &&
+                Math.abs(point.x - drag.startX) < 4 * scaleFactor && Math.abs(point.y - drag.startY) < 4 * scaleFactor;
+            drag = null;
+
+            // A click picks the window under the pointer
+            if (clicked) {
+                if (hoverTarget) {
+                    const size = fitSize(hoverTarget.width, hoverTarget.height, hoverTarget.width, hoverTarget.height, 'inside');
+                    setBox({
+                        x: hoverTarget.x + (hoverTarget.width - size.width) / 2,
+                        y: hoverTarget.y + (hoverTarget.height - size.height) / 2,
+                        width: size.width,
+                        height: size.height
+                    }, 'inside');
+                } else {
+                    box = null;
+                    showBox();
+                }
+            }
+        }
 
-            let width = Math.abs(endX - startX);
-            let height = Math.abs(endY - startY);
+        function applyTypedValues(changed) {
+            const value = key => parseInt(inputs[key].value, 10) || 0;
+            setBox({ x: value('x'), y: value('y'), width: value('width'), height: value('height') },
+                changed === 'height' ? 'height' : 'width');
+        }
+
+        function confirmSelection() {
+            if (!box) return;
 
             // Validate minimum size
-            if (width < MIN_SIZE || height < MIN_SIZE) {
-                alert('Selected region is too small. Minimum size is ' + MIN_SIZE + 'x' + MIN_SIZE + ' pixels.');
-                selectRegion(); // Restart selection
+            if (box.width < MIN_SIZE || box.height < MIN_SIZE) {
+                document.getElementById('instructions').innerHTML = '<strong>Selected region is too small</strong><br>Minimum size is ' + MIN_SIZE + 'x' + MIN_SIZE + ' pixels';
                 return;
             }
 
-            let region = {
-                x: Math.min(startX, endX) + screenX,
-                y: Math.min(startY, endY) + screenY,
-                width: width,
-                height: height
+            // Desktop coordinates in DIPs; the main process maps them back to exactly these pixels
+            const region = {
+                x: screenX + box.x / scaleFactor,
+                y: screenY + box.y / scaleFactor,
+                width: box.width / scaleFactor,
+                height: box.height / scaleFactor,
+                displayId: displayId,
+                aspect: aspectSelect.value || null,
+                saveAs: nameInput.value.trim() || null
             };
 
-            // Adjust for scale factor
-            if (scaleFactor !== 1) {
-                region.x = Math.round(region.x * scaleFactor);
-                region.y = Math.round(region.y * scaleFactor);
-                region.width = Math.round(region.width * scaleFactor);
-                region.height = Math.round(region.height * scaleFactor);
-            }
-
-            // Ensure even dimensions for H.264
-            region.width = Math.floor(region.width / 2) * 2;
-            region.height = Math.floor(region.height / 2) * 2;
-
-            console.log('Region selected: x=' + region.x + ', y=' + region.y + ', width=' + region.width + ', height=' + region.height);
+            console.log('Region selected on display ' + displayId + ': ' + box.width + 'x' + box.height + ' at (' + box.x + ', ' + box.y + ')');
             require('electron').ipcRenderer.send('region-selected', region);
         }
 
@@ -205,16 +496,53 @@ class RegionSelector {
             document.addEventListener('mousedown', startSelection);
             document.addEventListener('mousemove', updateSelection);
             document.addEventListener('mouseup', endSelection);
-            document.getElementById('instructions').innerHTML = '<strong>Click and drag to select region</strong><br>Press ESC to cancel<br>Minimum size: ' + MIN_SIZE + 'x' + MIN_SIZE + ' pixels';
-            document.getElementById('controls').style.display = 'none';
+            document.getElementById('instructions').innerHTML = '<strong>Click and drag to select region on any display</strong><br>' +
+                (snapTargets.length > 0 ? 'Click a window to select it<br>' : '') +
+                'Drag the box or its handles to adjust, or type the size<br>' +
+                'Enter to record, ESC to cancel<br>Minimum size: ' + MIN_SIZE + 'x' + MIN_SIZE + ' pixels';
         }
 
         function recordFull() {
-            require('electron').ipcRenderer.send('region-selected', null);
+            box = { x: 0, y: 0, width: displayWidth, height: displayHeight };
+            aspectSelect.value = '';
+            confirmSelection();
         }
 
+        ASPECT_RATIOS.forEach(ratio => {
+            const option = document.createElement('option');
+            option.value = ratio;
+            option.textContent = ratio;
+            aspectSelect.appendChild(option);
+        });
+        aspectSelect.addEventListener('change', () => {
+            if (box) setBox(box, 'width');
+        });
+
+        savedRegions.forEach((region, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = region.name;
+            savedSelect.appendChild(option);
+        });
+        document.getElementById('saved-label').style.display = savedRegions.length > 0 ? 'inline-block' : 'none';
+        savedSelect.addEventListener('change', () => {
+            const region = savedRegions[savedSelect.value];
+            if (!region) return;
+            aspectSelect.value = region.aspect || '';
+            nameInput.value = region.name;
+            setBox(clipToDisplay(toPixels(region)), 'inside');
+        });
+
+        Object.keys(inputs).forEach(key => {
+            inputs[key].addEventListener('change', () => applyTypedValues(key));
+        });
+
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') require('electron').ipcRenderer.send('region-selected', null);
+            if (e.key === 'Enter' && box) {
+                if (e.target.tagName === 'INPUT' && e.target.type === 'number') applyTypedValues(e.target.id === 'input-h' ? 'height' : 'width');
+                confirmSelection();
+            }
         });
 
         selectRegion();
@@ -225,24 +553,42 @@ class RegionSelector {
 
   /**
    * Setup event handlers for region selection
-   * @param {BrowserWindow} regionWindow - Region selection window
+   * @param {BrowserWindow|Array<BrowserWindow>} regionWindows - Region selection window(s), one per display
    * @param {Function} resolve - Promise resolve function
    * @param {Function} reject - Promise reject function
    * @private
    */
-  _setupRegionHandlers(regionWindow, resolve, reject) {
+  _setupRegionHandlers(regionWindows, resolve, reject) {
+    const windows = [].concat(regionWindows);
+    let settled = false;
+
+    const closeAll = () => {
+      windows.forEach(window => {
+        if (!window.isDestroyed || !window.isDestroyed()) {
+          window.close();
+        }
+      });
+    };
+
     const regionHandler = (event, region) => {
-      regionWindow.close();
+      settled = true;
       ipcMain.removeListener('region-selected', regionHandler);
+      closeAll();
       resolve(region);
     };
 
     ipcMain.once('region-selected', regionHandler);
 
-    regionWindow.on('closed', () => {
+    // Closing any of the windows cancels the selection on every display
+    windows.forEach(window => window.on('closed', () => {
+      if (settled) {
+        return;
+      }
+      settled = true;
       ipcMain.removeListener('region-selected', regionHandler);
+      closeAll();
       reject(new Error('Region selection cancelled'));
-    });
+    }));
   }
 
   /**
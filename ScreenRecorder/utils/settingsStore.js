@@ -0,0 +1,62 @@
+/**
+ * Persistent user settings stored as JSON in the user data directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class SettingsStore {
+  /**
+   * @param {string} filePath - Settings file path
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.settings = null;
+  }
+
+  /**
+   * Load settings from disk (once)
+   * @returns {Object} Settings object
+   * @private
+   */
+  _load() {
+    if (this.settings) {
+      return this.settings;
+    }
+
+    try {
+      this.settings = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      // Missing or corrupt file - start from defaults
+      this.settings = {};
+    }
+
+    return this.settings;
+  }
+
+  /**
+   * Get a setting value
+   * @param {string} key - Setting key
+   * @param {*} defaultValue - Value returned when the key is not set
+   * @returns {*} Setting value
+   */
+  get(key, defaultValue = undefined) {
+    const settings = this._load();
+    return Object.prototype.hasOwnProperty.call(settings, key) ? settings[key] : defaultValue;
+  }
+
+  /**
+   * Set a setting value and save to disk
+   * @param {string} key - Setting key
+   * @param {*} value - Setting value
+   */
+  set(key, value) {
+    const settings = this._load();
+    settings[key] = value;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(settings, null, 2));
+  }
+}
+
+module.exports = SettingsStore;
@@ -2,6 +2,8 @@
  * Input validation utilities
  */
 
+const CONFIG = require('../config/constants');
+
 class Validator {
   /**
    * Validate recording options
@@ -147,8 +149,9 @@ class Validator {
     }
 
     // Check extension
-    if (!filePath.toLowerCase().endsWith('.mp4')) {
-      errors.push('File must have .mp4 extension');
+    const extensions = CONFIG.RECORDING.RECORDING_EXTENSIONS;
+    if (!extensions.some(extension => filePath.toLowerCase().endsWith(extension))) {
+      errors.push(`File must have one of these extensions: ${extensions.join(', ')}`);
     }
 
     // Check directory traversal attempts
@@ -288,6 +291,71 @@ class Validator {
     };
   }
 
+  /**
+   * Validate a user-editable encoding profile
+   * @param {Object} profile - Encoding profile to validate
+   * @returns {Object} Validation result
+   */
+  static validateEncodingProfile(profile) {
+    const errors = [];
+
+    if (!profile || typeof profile !== 'object') {
+      errors.push('Encoding profile is required');
+      return { valid: false, errors };
+    }
+
+    if (!profile.name || typeof profile.name !== 'string' || !profile.name.trim()) {
+      errors.push('Profile name is required');
+    } else if (profile.name.length > 64) {
+      errors.push('Profile name must be 64 characters or fewer');
+    }
+
+    const validExtensions = CONFIG.RECORDING.RECORDING_EXTENSIONS;
+    if (!validExtensions.includes(profile.extension)) {
+      errors.push(`Container must be one of: ${validExtensions.join(', ')}`);
+    }
+
+    // Profiles end up in shell commands, so only plain FFmpeg tokens are accepted
+    const tokenPattern = /^[\w.:+-]+$/;
+    const video = profile.video || {};
+    const audio = profile.audio || {};
+
+    if (!video.codec || !tokenPattern.test(video.codec)) {
+      errors.push('Video codec is required and may only contain letters, numbers, and _ . : + -');
+    }
+
+    ['preset', 'profile', 'pixelFormat', 'bitrate'].forEach(field => {
+      if (video[field] !== undefined && video[field] !== '' && !tokenPattern.test(String(video[field]))) {
+        errors.push(`Invalid video ${field}`);
+      }
+    });
+
+    if (video.crf !== undefined && video.crf !== '' && video.crf !== null) {
+      const crf = Number(video.crf);
+      if (!Number.isInteger(crf) || crf < 0 || crf > 63) {
+        errors.push('CRF must be a whole number between 0 and 63');
+      }
+    }
+
+    if (video.extraArgs !== undefined &&
+      (!Array.isArray(video.extraArgs) || !video.extraArgs.every(arg => tokenPattern.test(String(arg))))) {
+      errors.push('Extra arguments may only contain letters, numbers, and _ . : + -');
+    }
+
+    if (audio.codec !== undefined && audio.codec !== '' && !tokenPattern.test(audio.codec)) {
+      errors.push('Invalid audio codec');
+    }
+
+    if (audio.bitrate !== undefined && audio.bitrate !== '' && !/^\d+k$/.test(audio.bitrate)) {
+      errors.push('Audio bitrate must look like 128k');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
   /**
    * Create validation error message
    * @param {Array} errors - Array of error messages